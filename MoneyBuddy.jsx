@@ -20,7 +20,7 @@
  *  ─────────────────────────────
  *  If you'd prefer to run it in your own environment:
  *
- *  Prerequisites: Node.js 18+ and an Anthropic API key
+ *  Prerequisites: Node.js 18+ and, for real replies, an Anthropic API key
  *  (get one at https://console.anthropic.com)
  *
  *  1. Create a new Vite + React project:
@@ -30,13 +30,14 @@
  *
  *  2. Replace src/App.jsx with this file
  *
- *  3. Add your Anthropic API key to a .env file:
- *       VITE_ANTHROPIC_KEY=sk-ant-...
+ *  3. Start the API proxy from this repo (it holds the key, never the browser):
+ *       ANTHROPIC_API_KEY=sk-ant-... node server/index.mjs
+ *     Leave the key out to use the offline mock provider instead.
+ *     MONEYBUDDY_MODEL and MONEYBUDDY_MAX_TOKENS pick the model and cap.
  *
- *  4. In the fetch() call below, add this header:
- *       "x-api-key": import.meta.env.VITE_ANTHROPIC_KEY,
- *       "anthropic-version": "2023-06-01",
- *       "anthropic-dangerous-direct-browser-calls": "true"
+ *  4. Point CHAT_CONFIG.endpoint below at the proxy:
+ *       endpoint: "http://localhost:8787/api/chat"
+ *     Risk-profile handoffs follow it to the proxy's /api/onboarding.
  *
  *  5. Run it:
  *       npm run dev
@@ -52,49 +53,1045 @@
  *  Key design decisions:
  *  • AI owns the interpretation and reasoning layer
  *  • The final decision to act always remains with the human
- *  • Links to Wealthsimple products, learn guides, and calculators
- *  • Quick-reply pills for structured choices, bold questions to stand out
- *  • Feedback panel at end of conversation (TLDR-style)
+ *  • Links to Wealthsimple products, learn guides, and calculators come
+ *    from the RESOURCES catalogue, which also writes that part of the
+ *    prompt; links outside it are flagged or stripped, and a report
+ *    counts which resources get cited
+ *  • English or French (EN/FR toggle): UI strings, a French system prompt
+ *    with Quebec specifics (QPP, QPIP, TP-1), locale number formatting
+ *    and /fr-ca/ Wealthsimple links
+ *  • Replies stream in token-by-token; Stop cancels the request in flight
+ *  • Failures are told apart (auth, rate limit, overload, server, network)
+ *    and retried with backoff; a reply cut off at max_tokens can be
+ *    continued, the last reply regenerated and any earlier message edited
+ *  • Long chats stay within a token budget: older turns fold into a
+ *    rolling session memory (province, income and goals stay pinned)
+ *    while the full transcript is still shown and saved locally
+ *  • Quick-reply pills (single, multi-select, "other") from a structured
+ *    <quick-replies> block, bold questions to stand out
+ *  • Tax figures come from the versioned TAX_RULES table, which grounds
+ *    the model and powers the calculators
+ *  • TFSA room and RRSP deduction-limit calculators render inline as
+ *    cards the model can pre-fill; results go back into the chat
+ *  • A retirement simulator card projects TFSA/RRSP/non-registered
+ *    savings year by year through CPP/QPP and OAS start ages, OAS
+ *    clawback, RRIF minimums and provincial tax, with a chart, a table
+ *    and saved scenarios compared side by side
+ *  • A first-home planner card lays out FHSA room (per person, with
+ *    carry-forward), HBP withdrawals and repayments, TFSA savings, tax
+ *    refunds, CMHC premiums and land transfer rebates month by month
+ *  • An options payoff card (protective put, covered call, collar,
+ *    spreads) draws profit/loss at expiry with breakeven, max loss and
+ *    max gain, and can estimate premiums with Black–Scholes locally
+ *  • Household mode keeps a second profile for a partner (income, room,
+ *    accounts); a household card and [Household] block cover combined tax,
+ *    pension income splitting, spousal RRSPs and who claims what
+ *  • A debt card (typed, pasted or model-filled) simulates avalanche,
+ *    snowball and custom payoff orders, ranks paying down each debt
+ *    against a TFSA or RRSP by after-tax return, and feeds the plan to
+ *    the model as a [Debts] block
+ *  • 🧭 (or the model's tag) asks a risk questionnaire in the chat on
+ *    quick-reply pills; the scored profile, profile facts, goals,
+ *    suggested accounts and a chat summary become a handoff the user
+ *    reviews and confirms before the proxy signs it and passes it to a
+ *    pluggable onboarding service
+ *  • Figures in each reply are fact-checked against TAX_RULES; mismatches
+ *    are flagged inline with a one-click corrected regenerate
+ *  • SINs, account and card numbers, phone numbers, addresses and
+ *    employer names are swapped for placeholders before any request
+ *    leaves the browser and restored in replies; 🔒 sets which types,
+ *    a preview shows what will be masked, and each masking is logged
+ *  • Conversations are saved locally (IndexedDB, falling back to
+ *    localStorage) and listed in a searchable session sidebar
+ *  • Every reply passes a configurable compliance policy (closing
+ *    disclaimer, banned phrasing, product picks, link domains) before
+ *    it's shown; failures are repaired or rewritten and audit-logged
+ *  • High-stakes situations (estates, separation, corporations, debt
+ *    distress, retirement drawdown, leverage) raise a referral card to a
+ *    licensed professional; rules + a model pass decide, and every
+ *    decision is logged for review
+ *  • Export turns a chat into a "money plan" for a licensed advisor:
+ *    Markdown, printable PDF or JSON, with or without the transcript
+ *  • 📎 imports a bank/credit-card CSV or a T4 / Notice of Assessment
+ *    (text PDF or pasted) in the browser; confirmed income, RRSP limit,
+ *    TFSA room and monthly spending ride along as structured context
+ *  • Imported transactions are categorized (merchant rules, then a model
+ *    pass) into a cash-flow card — income, fixed costs, discretionary
+ *    spend, savings rate, recurring charges — that the model sizes
+ *    TFSA/RRSP/FHSA suggestions against
+ *  • Every turn also extracts a structured profile into an editable
+ *    "What I know" panel; the user's edits go back to the model
+ *  • 👍/👎 on any reply, with reasons and a note; ratings are stored with
+ *    the exact request as the model saw it (masked) and download as a
+ *    JSONL eval dataset
  * ============================================================
  */
 
-import { useState, useRef, useEffect } from "react";
+import { useState, useRef, useEffect, useCallback } from "react";
+
+// Where chat requests go. On claude.ai the artifact calls the API directly;
+// locally, point endpoint at the proxy in server/, which holds the key and
+// overrides model and maxTokens from its own config.
+const CHAT_CONFIG = {
+  endpoint: "https://api.anthropic.com/v1/messages",
+  model: "claude-sonnet-4-20250514",
+  maxTokens: 1000,
+  maxRetries: 3, // for 429/529/5xx and dropped connections, with backoff
+  historyBudget: 6000, // estimated tokens of history before older turns are condensed
+};
+
+// Where a confirmed risk-profile handoff goes: /api/onboarding on the same
+// proxy as chat, which signs it and passes it to the configured onboarding
+// service (a local mock unless MONEYBUDDY_ONBOARDING_URL is set). Null when
+// chat calls the API directly: nothing could sign it, so the handoff is hidden.
+const ONBOARDING_CONFIG = {
+  endpoint: /\/api\/chat$/.test(CHAT_CONFIG.endpoint) ? CHAT_CONFIG.endpoint.replace(/\/api\/chat$/, "/api/onboarding") : null,
+};
+
+// Identifies this browser tab in the proxy's request log
+const SESSION_ID = `mb_${Math.random().toString(36).slice(2)}${Date.now().toString(36)}`;
+
+// ── Language ───────────────────────────────────────────────
+// English and French (Canada). UI chrome lives in STRINGS; text inside data
+// tables is an { en, fr } pair read through loc(). The active locale is module
+// state so formatters and prompt builders outside React can read it too.
+const LOCALES = [
+  { code: "en", label: "EN", intl: "en-CA", name: "English" },
+  { code: "fr", label: "FR", intl: "fr-CA", name: "Français" },
+];
+const LOCALE_KEY = "moneybuddy:locale";
+
+let activeLocale = "en";
+
+function setLocale(code) {
+  activeLocale = LOCALES.some(l => l.code === code) ? code : "en";
+  try { localStorage.setItem(LOCALE_KEY, activeLocale); } catch { /* private mode */ }
+}
+
+function initialLocale() {
+  try {
+    const saved = localStorage.getItem(LOCALE_KEY);
+    if (saved) return saved;
+  } catch { /* private mode */ }
+  return typeof navigator !== "undefined" && /^fr\b/i.test(navigator.language || "") ? "fr" : "en";
+}
+
+function intlLocale() {
+  return LOCALES.find(l => l.code === activeLocale).intl;
+}
+
+// Pick the active locale's text from an { en, fr } pair; plain strings pass through
+function loc(text) {
+  return typeof text === "string" ? text : text[activeLocale] ?? text.en;
+}
+
+const STRINGS = {
+  en: {
+    "header.rules": "{year} tax rules · v{version}",
+    "header.export": "📄 Export",
+    "header.tag": "💬 AI-powered",
+    "header.language": "Language",
+    "landing.headline": "Your money coach.",
+    "landing.headlineEm1": "No jargon.",
+    "landing.headlineEm2": "No judgment. 💸",
+    "landing.sub": "No forms. No dropdowns. Just tell us where you're at — messy, incomplete, uncertain, whatever.",
+    "landing.try": "Try one of these →",
+    "input.placeholder": "What's on your mind?",
+    "input.placeholderMore": "Tell me more...",
+    "input.hint": "Enter to send · Shift+Enter for new line · you make the final call 🙌",
+    "input.send": "Send",
+    "input.stop": "Stop",
+    "link.unreviewed": "Not one of MoneyBuddy's reviewed resources — double-check this page",
+    "msg.you": "You",
+    "msg.stopped": "Stopped — ask again whenever you're ready.",
+    "msg.regenerate": "↻ Regenerate with the correct figures",
+    "msg.compliance": "✎ Edited to stay within education-only guidelines",
+    "msg.emptyReply": "Something went wrong. Please try again.",
+    "msg.edit": "Edit",
+    "msg.editSave": "Save & regenerate",
+    "msg.editCancel": "Cancel",
+    "msg.regenerateReply": "↻ Regenerate",
+    "msg.truncated": "This reply hit the length limit.",
+    "msg.continue": "Continue ↓",
+    "msg.retry": "Try again",
+    "msg.retrying": "Retrying in {seconds}s ({attempt} of {max})…",
+    "memory.note": "🧠 Earlier messages are condensed into session memory — they're still saved here",
+    "error.auth": "MoneyBuddy couldn't sign in to the AI service. Check the API key on the server, then try again.",
+    "error.rateLimit": "That's a lot of questions in a short time. Give it a minute, then try again.",
+    "error.overloaded": "The AI service is overloaded right now. Try again in a moment.",
+    "error.server": "The AI service had a problem on its end. Try again in a moment.",
+    "error.network": "Couldn't reach MoneyBuddy. Check your connection and try again.",
+    "error.badRequest": "That request didn't go through. Try rephrasing, or start a new chat.",
+    "quick.other": "Something else…",
+    "quick.send": "Send",
+    "quick.hintMulti": "pick all that apply, ",
+    "quick.hint": "or type your response below ↓",
+    "quick.and": "and",
+    "fact.flag": "⚠️ this figure may be outdated",
+    "fact.detail": "{label}: {claimed} → {expected} ({year}, tax rules v{version})",
+    "referral.eyebrow": "Worth a licensed professional",
+    "referral.title": "This one's bigger than a chat 🧑‍💼",
+    "referral.lede": "I can keep explaining the basics, but what you've described is where a licensed pro earns their fee.",
+    "referral.lookFor": "Look for {who}.",
+    "referral.export": "📄 Export my context for them",
+    "referral.dismiss": "Got it",
+    "referral.note": "🧑‍💼 Worth a professional: {labels}",
+    "feedback.up": "Helpful",
+    "feedback.down": "Not helpful",
+    "feedback.why": "What was off?",
+    "feedback.note": "Anything else? (optional)",
+    "feedback.send": "Send feedback",
+    "feedback.thanks": "Thanks for the feedback! 🙌",
+    "profile.title": "What I know about you",
+    "profile.updating": "updating…",
+    "profile.hint": "Fix anything that's off — MoneyBuddy treats your edits as fact.",
+    "profile.undo": "you · undo",
+    "profile.unknown": "Unknown",
+    "profile.invalidNumber": "That doesn't read as a number. Try 62000, $62,000 or 62k.",
+    "profile.stillUnknown": "Still unknown",
+    "household.title": "What I know about you two",
+    "household.you": "You",
+    "household.partner": "Partner",
+    "household.together": "Together",
+    "household.add": "+ Add a partner to plan as a couple",
+    "household.remove": "Plan on my own instead",
+    "household.partnerHint": "Your partner's own figures — contribution room and tax are per person.",
+    "household.needIncomes": "Add both incomes and a province to see combined tax, pension splitting and who should claim what.",
+    "household.roomNote": "TFSA, RRSP and FHSA room belongs to each of you and can't be pooled; a spousal RRSP uses the contributor's room.",
+    "household.name.0": "you",
+    "household.name.1": "your partner",
+    "household.return.0": "your return",
+    "household.return.1": "your partner's return",
+    "sidebar.label": "Past conversations",
+    "sidebar.new": "+ New chat",
+    "sidebar.search": "Search chats…",
+    "sidebar.noMatch": "Nothing matches.",
+    "sidebar.empty": "Your chats will show up here.",
+    "sidebar.rename": "Rename",
+    "sidebar.delete": "Delete",
+    "sidebar.confirmDelete": "Delete \"{title}\"?",
+    "sidebar.logs": "Review logs:",
+    "sidebar.logReferrals": "referrals",
+    "sidebar.logCompliance": "compliance",
+    "sidebar.logFeedback": "feedback",
+    "sidebar.logRedactions": "redactions",
+    "sidebar.logHandoffs": "handoffs",
+    "sidebar.reportCitations": "cited resources",
+    "session.untitled": "New chat",
+    "time.now": "just now",
+    "time.minutes": "{n}m ago",
+    "time.hours": "{n}h ago",
+    "time.days": "{n}d ago",
+    "export.label": "Export your money plan",
+    "export.title": "Take this to an advisor 📄",
+    "export.close": "Close",
+    "export.working": "Writing up your money plan…",
+    "export.error": "Couldn't build the summary.",
+    "export.retry": "Try again",
+    "export.accounts": "accounts discussed",
+    "export.tradeoffs": "tradeoffs",
+    "export.questions": "open questions",
+    "export.links": "links cited",
+    "export.transcript": "Include the full transcript",
+    "export.markdown": "Markdown",
+    "export.pdf": "PDF (print)",
+    "export.json": "JSON",
+    "import.attach": "Import a statement or tax slip",
+    "debts.open": "Plan paying off your debts",
+    "risk.open": "Find your investing risk profile",
+    "redaction.open": "Privacy: what's masked before sending",
+    "redaction.settings": "Mask before anything leaves your browser:",
+    "redaction.note": "Matches go out as placeholders like [SIN_1] and come back as the real thing in replies. Detection is pattern-based, so glance at the preview.",
+    "redaction.preview": "🔒 Masked before sending:",
+    "redaction.show": "Show what's sent",
+    "redaction.hide": "Hide",
+    "import.title": "Bring in your numbers 📎",
+    "import.lede": "A bank or credit-card CSV, or a T4 or Notice of Assessment (PDF or pasted text). It's read right here in your browser.",
+    "import.file": "Choose a file",
+    "import.paste": "…or paste the slip's text",
+    "import.read": "Read it",
+    "import.reading": "Reading…",
+    "import.nothing": "Couldn't find any figures in that. For a scanned PDF, copy the text off the slip and paste it instead.",
+    "import.failed": "Couldn't read that file.",
+    "import.statement": "{count} transactions · {layout}",
+    "import.check": "Check these before they're shared with MoneyBuddy:",
+    "import.confirm": "Use these figures",
+    "import.back": "Start over",
+    "import.attached": "Imported",
+    "import.remove": "Remove imported figures",
+    "cashflow.title": "Your cash flow",
+    "cashflow.period": "{from} – {to} · monthly averages",
+    "cashflow.sorting": "Sorting your transactions…",
+    "cashflow.left": "left each month after spending",
+    "cashflow.rate": "savings rate {rate}",
+    "cashflow.income": "Income",
+    "cashflow.fixed": "Fixed costs",
+    "cashflow.essential": "Everyday essentials",
+    "cashflow.discretionary": "Discretionary",
+    "cashflow.saving": "Already saving",
+    "cashflow.top": "Where it goes",
+    "cashflow.recurring": "Subscriptions & recurring",
+    "cashflow.weekly": "weekly",
+    "cashflow.biweekly": "every 2 weeks",
+    "cashflow.monthly": "monthly",
+    "cashflow.yearly": "yearly",
+    "cashflow.uncategorized": "{count} transactions couldn't be sorted and count as Other.",
+    "cashflow.source": "Worked out on your device from your imported statements",
+    "risk.title": "Your risk profile",
+    "risk.remove": "Remove the questionnaire",
+    "risk.start": "Help me find my investing risk profile",
+    "risk.retake": "Retake the questionnaire",
+    "risk.progress": "Question {n} of {total}",
+    "risk.score": "Score {score} of {max}",
+    "risk.mix": "portfolios like this typically hold about {stocks}% stocks and {bonds}% bonds",
+    "risk.limited.horizon": "Capped by your time horizon: money you'll need soon doesn't have time to recover from a deep drop.",
+    "risk.limited.knowledge": "Capped while you're new to investing. It can move up as you get comfortable.",
+    "risk.accounts": "Account types to look at",
+    "risk.held": "you have one",
+    "risk.sent": "Sent for onboarding on {date} · reference {reference}",
+    "risk.handoff": "Review & send to a robo-advisor →",
+    "risk.handoffAgain": "Review & send again",
+    "risk.source": "Scored on your device. A starting point, not a recommendation: the robo-advisor checks suitability before opening anything.",
+    "handoff.label": "Send your risk profile to a robo-advisor",
+    "handoff.title": "Send to a robo-advisor",
+    "handoff.lede": "This is everything that would go to the robo-advisor's onboarding service. Nothing is sent until you confirm below.",
+    "handoff.riskProfile": "Risk profile",
+    "handoff.goals": "Goals",
+    "handoff.accounts": "Account types",
+    "handoff.profile": "About you",
+    "handoff.summary": "Chat summary",
+    "handoff.asked": "You asked: “{question}”",
+    "handoff.masked": "Masked by your privacy settings: {count}. They go out as the placeholders shown.",
+    "handoff.showRaw": "Show the exact payload",
+    "handoff.hideRaw": "Hide the payload",
+    "handoff.consent": "I've reviewed this and want it sent to the robo-advisor's onboarding service.",
+    "handoff.send": "Send",
+    "handoff.sending": "Sending…",
+    "handoff.cancel": "Not now",
+    "handoff.sendError": "That didn't go through, so nothing was sent. Try again in a moment.",
+    "handoff.fine": "The service uses this to pre-fill your application. You'll still confirm your identity and suitability with them before any account is opened.",
+    "handoff.sent": "Sent. Your reference is {reference}.",
+    "handoff.signed": "Signed with key {keyId} · {digest}…",
+    "handoff.done": "Done",
+    "debts.title": "Debt payoff plan",
+    "debts.remove": "Remove the debt plan",
+    "debts.name": "Name",
+    "debts.type": "Type",
+    "debts.balance": "Balance owing",
+    "debts.rate": "Interest rate (%)",
+    "debts.payment": "Monthly payment",
+    "debts.moveUp": "Pay this one earlier",
+    "debts.delete": "Delete this debt",
+    "debts.add": "+ Add a debt",
+    "debts.paste": "Paste a list",
+    "debts.file": "Import a CSV",
+    "debts.pastePlaceholder": "One per line, e.g. Visa 6,000 at 20.99% — or a CSV with name, balance, rate and payment columns",
+    "debts.pasteAdd": "Add these debts",
+    "debts.pasteError": "Couldn't find a balance in that. Try one debt per line, e.g. Visa 6,000 at 20.99%.",
+    "debts.budget": "Monthly budget for debt",
+    "debts.order": "Payoff order",
+    "debts.returnRate": "Expected investment return (%)",
+    "debts.withdrawalRate": "Tax rate on RRSP withdrawals (%)",
+    "debts.freeBy": "Debt-free by {date}",
+    "debts.interest": "{interest} in interest",
+    "debts.saved": "{saved} less than minimum payments alone (debt-free {date})",
+    "debts.baselineNever": "minimum payments alone would never clear it",
+    "debts.never": "Not paid off within 50 years",
+    "debts.belowMinimums": "This budget doesn't cover the minimum payments of {minimums} a month.",
+    "debts.short": "Below the minimums",
+    "debts.outcome": "{date} · {interest}",
+    "debts.more": "+{amount}",
+    "debts.compare": "Payoff orders",
+    "debts.paidOff": "Paid off",
+    "debts.notYet": "Not within 50 years",
+    "debts.nextDollar": "Where an extra dollar earns most after tax",
+    "debts.payDown": "Pay down {name}",
+    "debts.tfsa": "TFSA",
+    "debts.rrsp": "RRSP",
+    "debts.guaranteed": "{rate} guaranteed",
+    "debts.expected": "{rate} expected",
+    "debts.assumptions": "The RRSP figure includes the refund at your {marginal} marginal rate and tax on withdrawal {years} years later. Interest on personal debt isn't tax-deductible.",
+    "debts.noRrsp": "Add your income and province to the profile to compare an RRSP too. Interest on personal debt isn't tax-deductible.",
+    "debts.assumedRate": "Rates left blank use a typical rate for that kind of debt.",
+    "debts.empty": "Add a balance to see when you'd be debt-free.",
+    "debts.source": "Worked out on your device · minimum payments held at today's amounts",
+    "debts.summary": "📊 Debt plan: {total} owing, {budget} a month toward debt, {order}: {result}.",
+    "plan.title": "My money plan",
+    "plan.prepared": "Prepared with MoneyBuddy on {date} · tax rules v{version} ({year})",
+    "plan.about": "About me",
+    "plan.accounts": "Accounts discussed",
+    "plan.tradeoffs": "Tradeoffs",
+    "plan.questions": "Open questions for my advisor",
+    "plan.referrals": "Why I'm seeing a professional",
+    "plan.links": "Links",
+    "plan.transcript": "Transcript",
+    "plan.me": "Me",
+    "plan.nothingYet": "Nothing yet.",
+    "plan.nothingRecorded": "Nothing recorded.",
+    "plan.none": "None.",
+    "plan.disclaimer": "⚠️ The final call is yours. This summary is for education only and isn't financial advice — bring it to a licensed financial advisor before you act on it.",
+    "calc.choose": "Choose…",
+    "calc.estimated": "This year's official limit isn't in our table yet, so the latest known one is used.",
+    "calc.send": "Send result to MoneyBuddy",
+    "calc.sent": "Sent ✓",
+    "calc.empty": "Fill in the fields to see your number.",
+    "calc.source": "Tax rules v{version} · {year} tax year",
+    "calc.tfsa.caption": "available TFSA room in {year} · {accrued} accrued since {firstYear}",
+    "calc.tfsa.over": "😬 That's an over-contribution — CRA charges 1% a month on the excess.",
+    "calc.tfsa.restored": "+ {amount} comes back on January 1",
+    "calc.tfsa.summary": "📊 TFSA calculator ({year}): room has been accruing since {firstYear}, cumulative limit {limit}, available room now {room}{restored}.",
+    "calc.tfsa.summaryRestored": ", plus {amount} coming back on January 1",
+    "calc.rrsp.caption": "left to contribute for {year} · limit {limit} = {newRoom} new room + carry-forward",
+    "calc.rrsp.capped": "18% of your income ({eighteen}) is over the {cap} yearly max.",
+    "calc.rrsp.over": "😬 More than $2,000 over — CRA charges 1% a month on the excess.",
+    "calc.rrsp.summary": "📊 RRSP calculator ({year}): new room {newRoom}{capped}, deduction limit {limit}, {remaining} left to contribute.",
+    "calc.rrsp.summaryCapped": " (capped at the {cap} yearly max)",
+    "calc.tax.caption": "marginal rate · {total} total tax ({federal} federal + {provincial} provincial) · {average} average",
+    "calc.tax.quebec": "Quebec tax goes on a separate TP-1 return to Revenu Québec; the federal figure already includes the {abatement} Quebec abatement.",
+    "calc.tax.takeHome": "On a salary: {plan} {pension} + EI {ei}{qpip} · about {net} take-home ({monthly}/month)",
+    "calc.tax.cpp": "CPP",
+    "calc.tax.qpp": "QPP",
+    "calc.tax.qpip": " + QPIP {amount}",
+    "calc.tax.summary": "📊 Tax calculator ({year}, {province}): total income tax {total}, marginal rate {marginal}, average rate {average}, about {takeHome} take-home on a salary.",
+    "calc.saveScenario": "Save as scenario",
+    "calc.scenario": "Scenario {letter}",
+    "calc.current": "Current",
+    "calc.loadScenario": "Load these inputs",
+    "calc.removeScenario": "Remove scenario",
+    "calc.retirement.runsOut": "Runs out at {age}",
+    "calc.retirement.lastsTo": "Lasts to {age}",
+    "calc.retirement.savingsRunOut": "savings run out at {age}",
+    "calc.retirement.savingsLast": "savings last to {age}",
+    "calc.retirement.caption": "{saved} saved by {age}, spending {spending} a year after tax · {estate} left at {end} · today's dollars",
+    "calc.retirement.chart": "Savings balance by age",
+    "calc.retirement.tfsa": "TFSA",
+    "calc.retirement.rrsp": "RRSP/RRIF",
+    "calc.retirement.nonReg": "Non-registered",
+    "calc.retirement.clawbackNote": "{amount} of OAS is clawed back over the plan — drawing more RRSP before 65 or delaying OAS can shrink that.",
+    "calc.retirement.cppMax": "CPP/QPP assumes the {max} maximum at 65 — most people get less, so enter yours from My Service Canada Account.",
+    "calc.retirement.table": "Year-by-year table",
+    "calc.retirement.age": "Age",
+    "calc.retirement.benefits": "CPP, OAS, pension",
+    "calc.retirement.withdrawals": "Withdrawals",
+    "calc.retirement.taxCol": "Tax + clawback",
+    "calc.retirement.balance": "Balance",
+    "calc.retirement.assumptions": "RRSP becomes a RRIF at 71 with the minimum withdrawals; non-registered is drawn first, then RRSP/RRIF, then TFSA. Leaves out the pension and age credits.",
+    "calc.retirement.atRetirement": "Saved at retirement",
+    "calc.retirement.lasts": "Savings",
+    "calc.retirement.tax": "Tax in retirement",
+    "calc.retirement.clawback": "OAS clawback",
+    "calc.retirement.estate": "Left at {age}",
+    "calc.retirement.summary": "📊 Retirement simulator (today's dollars): retiring at {retirementAge} in {province} with {saved} saved, spending {spending} a year after tax, CPP/QPP from {cppAge} and OAS from {oasAge}: {lasts}. Tax in retirement {tax}, OAS clawback {clawback}, {estate} left at the end.",
+    "calc.retirement.summaryScenario": "{name}: retiring at {retirementAge}, CPP/QPP from {cppAge}, OAS from {oasAge} — {lasts}, tax {tax}, {estate} left.",
+    "calc.home.onTrack": "On track by {month}",
+    "calc.home.short": "Short {amount}",
+    "calc.home.caption": "{saved} saved by {month} · {down} down ({share}) on {price} after closing taxes",
+    "calc.home.chart": "Home savings by month",
+    "calc.home.fhsa": "FHSA",
+    "calc.home.tfsa": "TFSA",
+    "calc.home.hbp": "RRSP via HBP",
+    "calc.home.month": "Month",
+    "calc.home.total": "Total",
+    "calc.home.table": "Month-by-month timeline",
+    "calc.home.minDown": "Minimum down payment",
+    "calc.home.transferRow": "Land transfer tax {tax} − first-time buyer rebate {rebate}",
+    "calc.home.transferUnknown": "Land transfer tax in {province} isn't in the table (registration fees or municipal rates) — budget for it separately.",
+    "calc.home.premiumRow": "CMHC premium, added to the mortgage",
+    "calc.home.premiumRowTax": "CMHC premium, added to the mortgage (+{tax} sales tax at closing)",
+    "calc.home.uninsurable": "At {cap} or more, mortgage insurance isn't available, so the minimum is 20% down.",
+    "calc.home.noInsurance": "20% or more down — no mortgage insurance needed.",
+    "calc.home.you": "You",
+    "calc.home.partner": "Partner",
+    "calc.home.fhsaRow": "FHSA ({contributed} contributed)",
+    "calc.home.hbpRow": "HBP withdrawal · repay {yearly} a year from {from}",
+    "calc.home.refundRow": "Tax refunds at {rate} (+{coming} still to come)",
+    "calc.home.saved": "Saved by purchase",
+    "calc.home.down": "Down payment",
+    "calc.home.premium": "CMHC premium",
+    "calc.home.transfer": "Land transfer tax",
+    "calc.home.refunds": "Tax refunds",
+    "calc.home.assumptions": "FHSA savings come first each month (room {annual} a year, {carry} carry-forward, {lifetime} lifetime), the rest goes to the TFSA. RRSP money must sit 90 days before an HBP withdrawal to be deductible.",
+    "calc.home.summary": "📊 Home planner: {price} home in {province}, buying {month} with {saved} saved ({fhsa} FHSA, {tfsa} TFSA, {hbp} HBP) — {down} down ({share}), minimum {minDown}, CMHC premium {premium}, land transfer tax {transfer} after rebates, {refunds} in tax refunds. {status}.",
+    "calc.home.summaryScenario": "{name}: {status} — {price} home, buying {month} with {saved} saved ({share} down).",
+    "calc.options.unlimited": "unlimited",
+    "calc.options.strategy": "Strategy",
+    "calc.options.maxLoss": "Max loss",
+    "calc.options.maxGain": "Max gain",
+    "calc.options.breakeven": "Breakeven",
+    "calc.options.net": "Net premium paid (− = received)",
+    "calc.options.chart": "Profit or loss at expiry by stock price",
+    "calc.options.today": "today {price}",
+    "calc.options.bigLoss": "Max loss {loss}",
+    "calc.options.caption": "max gain {gain} · breakeven {breakeven} · {quantity} shares, {days} days to expiry",
+    "calc.options.or": " or ",
+    "calc.options.kind.call": "call",
+    "calc.options.kind.put": "put",
+    "calc.options.buy.call": "Buy the {strike} call",
+    "calc.options.buy.put": "Buy the {strike} put",
+    "calc.options.write.call": "Write (sell) the {strike} call",
+    "calc.options.write.put": "Write (sell) the {strike} put",
+    "calc.options.fair": "Black–Scholes {fair}",
+    "calc.options.debit": "Net premium paid",
+    "calc.options.credit": "Net premium received",
+    "calc.options.explain.protective-put": "A put is insurance on shares you own: below the strike, every dollar the stock drops is made back by the put. The premium is the cost of that floor.",
+    "calc.options.explain.covered-call": "Selling a call on shares you own pays you the premium now, but above the strike your gains stop — and you still own every dollar of downside.",
+    "calc.options.explain.collar": "A put for a floor, paid for (partly or fully) by selling a call that caps the upside. You trade away big gains to limit the loss.",
+    "calc.options.explain.bull-call-spread": "A cheaper bet on the stock rising: the call you sell pays for part of the one you buy, and caps the gain at the higher strike. Worst case, you lose what you paid.",
+    "calc.options.explain.bear-put-spread": "A bet on the stock falling: buy the higher put, sell the lower one to cut the cost. The gain stops at the lower strike; worst case, you lose what you paid.",
+    "calc.options.estimated": "Blank premiums use the Black–Scholes estimate — real quotes differ, so check the bid and ask before you trade.",
+    "calc.options.assumptions": "Payoff at expiry, before commissions and taxes. Listed options can be assigned early, and options can expire worthless.",
+    "calc.options.summary": "📊 Options payoff ({strategy}, {quantity} shares, {days} days; {legs}): max loss {loss}, max gain {gain}, breakeven {breakeven}.",
+    "calc.options.summaryScenario": "{name} ({strategy}; {legs}): max loss {loss}, max gain {gain}, breakeven {breakeven}.",
+    "calc.household.caption": "combined income tax on {income} in {province} · {average} average",
+    "calc.household.income": "Income",
+    "calc.household.pension": "Pension income",
+    "calc.household.taxable": "Taxable after splitting",
+    "calc.household.taxCol": "Income tax",
+    "calc.household.marginal": "Marginal rate",
+    "calc.household.combinedTax": "Combined tax",
+    "calc.household.splitSaved": "Saved by pension splitting",
+    "calc.household.spousalRefund": "Spousal RRSP refund",
+    "calc.household.split": "Moving {amount} of pension income from {from} to {to} saves {saved} a year in combined tax.",
+    "calc.household.noSplit": "Splitting the pension income wouldn't lower your combined tax.",
+    "calc.household.spousal": "A {amount} spousal RRSP contribution by {contributor} brings a {refund} refund; withdrawals go on {annuitant} once {years} calendar years pass without a contribution.",
+    "calc.household.spousalHint": "Your marginal rates are {gap} points apart: a spousal RRSP lets {contributor} take the deduction now, with withdrawals later taxed on {annuitant}.",
+    "calc.household.claims": "Claim medical expenses on {medical} (only the part above {floor} counts), child care on {childCare}, and pool donations on {donations}.",
+    "calc.household.summary": "📊 Household tax ({province}): {income} combined income, {tax} combined tax ({average} average); you pay {youTax} at a {youMarginal} marginal rate, your partner {partnerTax} at {partnerMarginal}.",
+    "calc.household.summaryScenario": "{name}: combined tax {tax}, {saved} saved by splitting and the spousal RRSP.",
+  },
+  fr: {
+    "header.rules": "Règles fiscales {year} · v{version}",
+    "header.export": "📄 Exporter",
+    "header.tag": "💬 Propulsé par l'IA",
+    "header.language": "Langue",
+    "landing.headline": "Votre coach financier.",
+    "landing.headlineEm1": "Zéro jargon.",
+    "landing.headlineEm2": "Zéro jugement. 💸",
+    "landing.sub": "Pas de formulaires. Pas de menus déroulants. Dites-nous juste où vous en êtes — en vrac, incomplet, incertain, peu importe.",
+    "landing.try": "Essayez une de ces questions →",
+    "input.placeholder": "Qu'est-ce qui vous trotte dans la tête?",
+    "input.placeholderMore": "Dites-m'en plus...",
+    "input.hint": "Entrée pour envoyer · Maj+Entrée pour un saut de ligne · la décision finale vous appartient 🙌",
+    "input.send": "Envoyer",
+    "input.stop": "Arrêter",
+    "link.unreviewed": "Cette page ne fait pas partie des ressources vérifiées par MoneyBuddy — vérifiez-la",
+    "msg.you": "Vous",
+    "msg.stopped": "Arrêté — reposez la question quand vous voulez.",
+    "msg.regenerate": "↻ Régénérer avec les bons chiffres",
+    "msg.compliance": "✎ Modifié pour rester dans un cadre strictement éducatif",
+    "msg.emptyReply": "Un problème est survenu. Veuillez réessayer.",
+    "msg.edit": "Modifier",
+    "msg.editSave": "Enregistrer et régénérer",
+    "msg.editCancel": "Annuler",
+    "msg.regenerateReply": "↻ Régénérer",
+    "msg.truncated": "Cette réponse a atteint la limite de longueur.",
+    "msg.continue": "Continuer ↓",
+    "msg.retry": "Réessayer",
+    "msg.retrying": "Nouvel essai dans {seconds} s ({attempt} sur {max})…",
+    "memory.note": "🧠 Les messages plus anciens sont condensés dans la mémoire de session — ils restent enregistrés ici",
+    "error.auth": "MoneyBuddy n'a pas pu se connecter au service d'IA. Vérifiez la clé d'API sur le serveur, puis réessayez.",
+    "error.rateLimit": "Beaucoup de questions en peu de temps. Attendez une minute, puis réessayez.",
+    "error.overloaded": "Le service d'IA est surchargé en ce moment. Réessayez dans un instant.",
+    "error.server": "Le service d'IA a eu un problème de son côté. Réessayez dans un instant.",
+    "error.network": "Impossible de joindre MoneyBuddy. Vérifiez votre connexion et réessayez.",
+    "error.badRequest": "Cette demande n'a pas abouti. Reformulez, ou commencez une nouvelle conversation.",
+    "quick.other": "Autre chose…",
+    "quick.send": "Envoyer",
+    "quick.hintMulti": "choisissez tout ce qui s'applique, ",
+    "quick.hint": "ou écrivez votre réponse ci-dessous ↓",
+    "quick.and": "et",
+    "fact.flag": "⚠️ ce chiffre est peut-être périmé",
+    "fact.detail": "{label} : {claimed} → {expected} ({year}, règles fiscales v{version})",
+    "referral.eyebrow": "Mérite l'avis d'un professionnel",
+    "referral.title": "Ça dépasse une simple conversation 🧑‍💼",
+    "referral.lede": "Je peux continuer à expliquer les bases, mais ce que vous décrivez, c'est exactement là qu'un professionnel agréé vaut ses honoraires.",
+    "referral.lookFor": "Cherchez {who}.",
+    "referral.export": "📄 Exporter mon contexte pour eux",
+    "referral.dismiss": "Compris",
+    "referral.note": "🧑‍💼 Mérite un professionnel : {labels}",
+    "feedback.up": "Utile",
+    "feedback.down": "Pas utile",
+    "feedback.why": "Qu'est-ce qui clochait?",
+    "feedback.note": "Autre chose? (facultatif)",
+    "feedback.send": "Envoyer",
+    "feedback.thanks": "Merci pour vos commentaires! 🙌",
+    "profile.title": "Ce que je sais de vous",
+    "profile.updating": "mise à jour…",
+    "profile.hint": "Corrigez ce qui cloche — MoneyBuddy considère vos modifications comme des faits.",
+    "profile.undo": "vous · annuler",
+    "profile.unknown": "Inconnu",
+    "profile.invalidNumber": "Ce n'est pas un nombre reconnu. Essayez 62000, 62 000 $ ou 62k.",
+    "profile.stillUnknown": "Encore inconnu",
+    "household.title": "Ce que je sais de vous deux",
+    "household.you": "Vous",
+    "household.partner": "Partenaire",
+    "household.together": "Ensemble",
+    "household.add": "+ Ajouter un partenaire pour planifier à deux",
+    "household.remove": "Planifier seul plutôt",
+    "household.partnerHint": "Les chiffres propres à votre partenaire — les droits de cotisation et l'impôt sont individuels.",
+    "household.needIncomes": "Ajoutez les deux revenus et une province pour voir l'impôt combiné, le fractionnement du revenu de pension et qui devrait demander quoi.",
+    "household.roomNote": "Les droits CELI, REER et CELIAPP appartiennent à chacun et ne se mettent pas en commun; un REER de conjoint utilise les droits du cotisant.",
+    "household.name.0": "vous",
+    "household.name.1": "votre partenaire",
+    "household.return.0": "votre déclaration",
+    "household.return.1": "la déclaration de votre partenaire",
+    "sidebar.label": "Conversations passées",
+    "sidebar.new": "+ Nouvelle conversation",
+    "sidebar.search": "Rechercher…",
+    "sidebar.noMatch": "Aucun résultat.",
+    "sidebar.empty": "Vos conversations apparaîtront ici.",
+    "sidebar.rename": "Renommer",
+    "sidebar.delete": "Supprimer",
+    "sidebar.confirmDelete": "Supprimer « {title} »?",
+    "sidebar.logs": "Journaux de révision :",
+    "sidebar.logReferrals": "recommandations",
+    "sidebar.logCompliance": "conformité",
+    "sidebar.logFeedback": "commentaires",
+    "sidebar.logRedactions": "masquages",
+    "sidebar.logHandoffs": "transmissions",
+    "sidebar.reportCitations": "ressources citées",
+    "session.untitled": "Nouvelle conversation",
+    "time.now": "à l'instant",
+    "time.minutes": "il y a {n} min",
+    "time.hours": "il y a {n} h",
+    "time.days": "il y a {n} j",
+    "export.label": "Exporter votre plan financier",
+    "export.title": "Apportez ceci à un conseiller 📄",
+    "export.close": "Fermer",
+    "export.working": "Rédaction de votre plan financier…",
+    "export.error": "Impossible de préparer le résumé.",
+    "export.retry": "Réessayer",
+    "export.accounts": "comptes abordés",
+    "export.tradeoffs": "compromis",
+    "export.questions": "questions ouvertes",
+    "export.links": "liens cités",
+    "export.transcript": "Inclure la transcription complète",
+    "export.markdown": "Markdown",
+    "export.pdf": "PDF (imprimer)",
+    "export.json": "JSON",
+    "import.attach": "Importer un relevé ou un feuillet fiscal",
+    "debts.open": "Planifier le remboursement de vos dettes",
+    "risk.open": "Trouver votre profil de risque",
+    "redaction.open": "Confidentialité : ce qui est masqué avant l'envoi",
+    "redaction.settings": "Masquer avant que quoi que ce soit quitte votre navigateur :",
+    "redaction.note": "Les correspondances partent sous forme de marqueurs comme [SIN_1] et reviennent en clair dans les réponses. La détection repose sur des motifs, alors jetez un œil à l'aperçu.",
+    "redaction.preview": "🔒 Masqué avant l'envoi :",
+    "redaction.show": "Voir ce qui est envoyé",
+    "redaction.hide": "Masquer",
+    "import.title": "Importez vos chiffres 📎",
+    "import.lede": "Un CSV bancaire ou de carte de crédit, ou un T4 ou un avis de cotisation (PDF ou texte collé). Tout est lu ici, dans votre navigateur.",
+    "import.file": "Choisir un fichier",
+    "import.paste": "…ou collez le texte du feuillet",
+    "import.read": "Lire",
+    "import.reading": "Lecture…",
+    "import.nothing": "Aucun montant trouvé. Pour un PDF numérisé, copiez le texte du feuillet et collez-le plutôt.",
+    "import.failed": "Impossible de lire ce fichier.",
+    "import.statement": "{count} opérations · {layout}",
+    "import.check": "Vérifiez ces montants avant de les transmettre à MoneyBuddy :",
+    "import.confirm": "Utiliser ces montants",
+    "import.back": "Recommencer",
+    "import.attached": "Importé",
+    "import.remove": "Retirer les montants importés",
+    "cashflow.title": "Vos flux de trésorerie",
+    "cashflow.period": "{from} – {to} · moyennes mensuelles",
+    "cashflow.sorting": "Classement de vos opérations…",
+    "cashflow.left": "restent chaque mois après les dépenses",
+    "cashflow.rate": "taux d'épargne {rate}",
+    "cashflow.income": "Revenus",
+    "cashflow.fixed": "Frais fixes",
+    "cashflow.essential": "Dépenses essentielles",
+    "cashflow.discretionary": "Dépenses discrétionnaires",
+    "cashflow.saving": "Déjà épargné",
+    "cashflow.top": "Où va l'argent",
+    "cashflow.recurring": "Abonnements et frais récurrents",
+    "cashflow.weekly": "par semaine",
+    "cashflow.biweekly": "aux 2 semaines",
+    "cashflow.monthly": "par mois",
+    "cashflow.yearly": "par année",
+    "cashflow.uncategorized": "{count} opérations n'ont pas pu être classées et comptent dans Autres.",
+    "cashflow.source": "Calculé sur votre appareil à partir de vos relevés importés",
+    "risk.title": "Votre profil de risque",
+    "risk.remove": "Retirer le questionnaire",
+    "risk.start": "Aidez-moi à trouver mon profil de risque en placement",
+    "risk.retake": "Refaire le questionnaire",
+    "risk.progress": "Question {n} sur {total}",
+    "risk.score": "Pointage de {score} sur {max}",
+    "risk.mix": "ce genre de portefeuille détient généralement environ {stocks} % d'actions et {bonds} % d'obligations",
+    "risk.limited.horizon": "Limité par votre horizon de placement : l'argent dont vous aurez besoin bientôt n'a pas le temps de se remettre d'une forte baisse.",
+    "risk.limited.knowledge": "Limité tant que vous débutez en placement. Il pourra monter à mesure que vous serez à l'aise.",
+    "risk.accounts": "Types de comptes à considérer",
+    "risk.held": "vous en avez un",
+    "risk.sent": "Envoyé pour l'ouverture le {date} · référence {reference}",
+    "risk.handoff": "Revoir et envoyer à un conseiller-robot →",
+    "risk.handoffAgain": "Revoir et envoyer de nouveau",
+    "risk.source": "Calculé sur votre appareil. Un point de départ, pas une recommandation : le conseiller-robot vérifie la convenance avant d'ouvrir quoi que ce soit.",
+    "handoff.label": "Envoyer votre profil de risque à un conseiller-robot",
+    "handoff.title": "Envoyer à un conseiller-robot",
+    "handoff.lede": "Voici tout ce qui serait envoyé au service d'ouverture de compte du conseiller-robot. Rien n'est envoyé avant votre confirmation ci-dessous.",
+    "handoff.riskProfile": "Profil de risque",
+    "handoff.goals": "Objectifs",
+    "handoff.accounts": "Types de comptes",
+    "handoff.profile": "À votre sujet",
+    "handoff.summary": "Résumé de la conversation",
+    "handoff.asked": "Vous avez demandé : « {question} »",
+    "handoff.masked": "Masqués par vos paramètres de confidentialité : {count}. Ils partent sous forme des marqueurs affichés.",
+    "handoff.showRaw": "Voir les données exactes",
+    "handoff.hideRaw": "Masquer les données",
+    "handoff.consent": "J'ai revu ces renseignements et je veux qu'ils soient envoyés au service d'ouverture de compte du conseiller-robot.",
+    "handoff.send": "Envoyer",
+    "handoff.sending": "Envoi…",
+    "handoff.cancel": "Pas maintenant",
+    "handoff.sendError": "L'envoi n'a pas fonctionné, donc rien n'a été transmis. Réessayez dans un moment.",
+    "handoff.fine": "Le service s'en sert pour préremplir votre demande. Vous confirmerez quand même votre identité et la convenance avec lui avant l'ouverture d'un compte.",
+    "handoff.sent": "Envoyé. Votre référence est {reference}.",
+    "handoff.signed": "Signé avec la clé {keyId} · {digest}…",
+    "handoff.done": "Terminé",
+    "debts.title": "Plan de remboursement des dettes",
+    "debts.remove": "Retirer le plan de remboursement",
+    "debts.name": "Nom",
+    "debts.type": "Type",
+    "debts.balance": "Solde dû",
+    "debts.rate": "Taux d'intérêt (%)",
+    "debts.payment": "Paiement mensuel",
+    "debts.moveUp": "Rembourser celle-ci plus tôt",
+    "debts.delete": "Supprimer cette dette",
+    "debts.add": "+ Ajouter une dette",
+    "debts.paste": "Coller une liste",
+    "debts.file": "Importer un CSV",
+    "debts.pastePlaceholder": "Une par ligne, p. ex. Visa 6 000 à 20,99 % — ou un CSV avec des colonnes nom, solde, taux et paiement",
+    "debts.pasteAdd": "Ajouter ces dettes",
+    "debts.pasteError": "Aucun solde trouvé. Essayez une dette par ligne, p. ex. Visa 6 000 à 20,99 %.",
+    "debts.budget": "Budget mensuel pour les dettes",
+    "debts.order": "Ordre de remboursement",
+    "debts.returnRate": "Rendement attendu des placements (%)",
+    "debts.withdrawalRate": "Taux d'imposition au retrait du REER (%)",
+    "debts.freeBy": "Sans dettes en {date}",
+    "debts.interest": "{interest} d'intérêts",
+    "debts.saved": "{saved} de moins qu'avec les paiements minimums seulement (sans dettes en {date})",
+    "debts.baselineNever": "les paiements minimums seuls n'en viendraient jamais à bout",
+    "debts.never": "Pas remboursé d'ici 50 ans",
+    "debts.belowMinimums": "Ce budget ne couvre pas les paiements minimums de {minimums} par mois.",
+    "debts.short": "Sous les minimums",
+    "debts.outcome": "{date} · {interest}",
+    "debts.more": "+{amount}",
+    "debts.compare": "Ordres de remboursement",
+    "debts.paidOff": "Remboursé",
+    "debts.notYet": "Pas d'ici 50 ans",
+    "debts.nextDollar": "Où un dollar de plus rapporte le plus après impôt",
+    "debts.payDown": "Rembourser {name}",
+    "debts.tfsa": "CELI",
+    "debts.rrsp": "REER",
+    "debts.guaranteed": "{rate} garanti",
+    "debts.expected": "{rate} attendu",
+    "debts.assumptions": "Le chiffre du REER tient compte du remboursement d'impôt à votre taux marginal de {marginal} et de l'impôt au retrait {years} ans plus tard. Les intérêts sur les dettes personnelles ne sont pas déductibles.",
+    "debts.noRrsp": "Ajoutez votre revenu et votre province au profil pour comparer aussi un REER. Les intérêts sur les dettes personnelles ne sont pas déductibles.",
+    "debts.assumedRate": "Les taux laissés vides prennent un taux typique pour ce genre de dette.",
+    "debts.empty": "Ajoutez un solde pour voir quand vous seriez sans dettes.",
+    "debts.source": "Calculé sur votre appareil · paiements minimums fixés aux montants actuels",
+    "debts.summary": "📊 Plan de remboursement : {total} dus, {budget} par mois pour les dettes, {order} : {result}.",
+    "plan.title": "Mon plan financier",
+    "plan.prepared": "Préparé avec MoneyBuddy le {date} · règles fiscales v{version} ({year})",
+    "plan.about": "À propos de moi",
+    "plan.accounts": "Comptes abordés",
+    "plan.tradeoffs": "Compromis",
+    "plan.questions": "Questions ouvertes pour mon conseiller",
+    "plan.referrals": "Pourquoi je consulte un professionnel",
+    "plan.links": "Liens",
+    "plan.transcript": "Transcription",
+    "plan.me": "Moi",
+    "plan.nothingYet": "Rien pour l'instant.",
+    "plan.nothingRecorded": "Rien de noté.",
+    "plan.none": "Aucun.",
+    "plan.disclaimer": "⚠️ La décision finale vous appartient. Ce résumé est fourni à des fins éducatives seulement et ne constitue pas un conseil financier — montrez-le à un conseiller financier agréé avant d'agir.",
+    "calc.choose": "Choisir…",
+    "calc.estimated": "Le plafond officiel de cette année n'est pas encore dans notre table; le plus récent connu est utilisé.",
+    "calc.send": "Envoyer le résultat à MoneyBuddy",
+    "calc.sent": "Envoyé ✓",
+    "calc.empty": "Remplissez les champs pour voir votre chiffre.",
+    "calc.source": "Règles fiscales v{version} · année d'imposition {year}",
+    "calc.tfsa.caption": "droits de cotisation CELI disponibles en {year} · {accrued} accumulés depuis {firstYear}",
+    "calc.tfsa.over": "😬 C'est une cotisation excédentaire — l'ARC impose 1 % par mois sur l'excédent.",
+    "calc.tfsa.restored": "+ {amount} reviennent le 1er janvier",
+    "calc.tfsa.summary": "📊 Calculateur CELI ({year}) : droits accumulés depuis {firstYear}, plafond cumulatif {limit}, droits disponibles {room}{restored}.",
+    "calc.tfsa.summaryRestored": ", plus {amount} qui reviennent le 1er janvier",
+    "calc.rrsp.caption": "reste à cotiser pour {year} · plafond {limit} = {newRoom} de nouveaux droits + report",
+    "calc.rrsp.capped": "18 % de votre revenu ({eighteen}) dépasse le maximum annuel de {cap}.",
+    "calc.rrsp.over": "😬 Plus de 2 000 $ d'excédent — l'ARC impose 1 % par mois sur l'excédent.",
+    "calc.rrsp.summary": "📊 Calculateur REER ({year}) : nouveaux droits {newRoom}{capped}, plafond de déduction {limit}, {remaining} qu'il reste à cotiser.",
+    "calc.rrsp.summaryCapped": " (limités au maximum annuel de {cap})",
+    "calc.tax.caption": "taux marginal · impôt total {total} ({federal} fédéral + {provincial} provincial) · taux moyen {average}",
+    "calc.tax.quebec": "L'impôt du Québec se déclare séparément à Revenu Québec (TP-1); le montant fédéral tient déjà compte de l'abattement du Québec de {abatement}.",
+    "calc.tax.takeHome": "Sur un salaire : {plan} {pension} + AE {ei}{qpip} · environ {net} net ({monthly}/mois)",
+    "calc.tax.cpp": "RPC",
+    "calc.tax.qpp": "RRQ",
+    "calc.tax.qpip": " + RQAP {amount}",
+    "calc.tax.summary": "📊 Calculateur d'impôt ({year}, {province}) : impôt total {total}, taux marginal {marginal}, taux moyen {average}, environ {takeHome} net sur un salaire.",
+    "calc.saveScenario": "Enregistrer le scénario",
+    "calc.scenario": "Scénario {letter}",
+    "calc.current": "Actuel",
+    "calc.loadScenario": "Reprendre ces données",
+    "calc.removeScenario": "Retirer le scénario",
+    "calc.retirement.runsOut": "Épuisé à {age} ans",
+    "calc.retirement.lastsTo": "Dure jusqu'à {age} ans",
+    "calc.retirement.savingsRunOut": "l'épargne est épuisée à {age} ans",
+    "calc.retirement.savingsLast": "l'épargne dure jusqu'à {age} ans",
+    "calc.retirement.caption": "{saved} épargnés à {age} ans, dépenses de {spending} par année après impôt · {estate} restants à {end} ans · en dollars d'aujourd'hui",
+    "calc.retirement.chart": "Épargne selon l'âge",
+    "calc.retirement.tfsa": "CELI",
+    "calc.retirement.rrsp": "REER/FERR",
+    "calc.retirement.nonReg": "Non enregistré",
+    "calc.retirement.clawbackNote": "{amount} de SV sont récupérés sur la durée du plan — retirer plus du REER avant 65 ans ou reporter la SV peut réduire ce montant.",
+    "calc.retirement.cppMax": "Le RPC/RRQ suppose le maximum de {max} à 65 ans — la plupart des gens reçoivent moins; entrez votre montant (Mon dossier Service Canada ou Mon dossier Retraite Québec).",
+    "calc.retirement.table": "Tableau année par année",
+    "calc.retirement.age": "Âge",
+    "calc.retirement.benefits": "RPC, SV, rente",
+    "calc.retirement.withdrawals": "Retraits",
+    "calc.retirement.taxCol": "Impôt + récupération",
+    "calc.retirement.balance": "Solde",
+    "calc.retirement.assumptions": "Le REER devient un FERR à 71 ans avec les retraits minimums; on puise d'abord dans le non enregistré, puis le REER/FERR, puis le CELI. Les crédits pour revenu de pension et en raison de l'âge sont exclus.",
+    "calc.retirement.atRetirement": "Épargne à la retraite",
+    "calc.retirement.lasts": "Épargne",
+    "calc.retirement.tax": "Impôt à la retraite",
+    "calc.retirement.clawback": "Récupération de la SV",
+    "calc.retirement.estate": "Reste à {age} ans",
+    "calc.retirement.summary": "📊 Simulateur de retraite (dollars d'aujourd'hui) : retraite à {retirementAge} ans ({province}) avec {saved} d'épargne, dépenses de {spending} par année après impôt, RPC/RRQ dès {cppAge} ans et SV dès {oasAge} ans : {lasts}. Impôt à la retraite {tax}, récupération de la SV {clawback}, {estate} restants à la fin.",
+    "calc.retirement.summaryScenario": "{name} : retraite à {retirementAge} ans, RPC/RRQ dès {cppAge} ans, SV dès {oasAge} ans — {lasts}, impôt {tax}, {estate} restants.",
+    "calc.home.onTrack": "En voie d'y arriver en {month}",
+    "calc.home.short": "Il manque {amount}",
+    "calc.home.caption": "{saved} épargnés d'ici {month} · mise de fonds de {down} ({share}) sur {price} après les droits de mutation",
+    "calc.home.chart": "Épargne pour la maison par mois",
+    "calc.home.fhsa": "CELIAPP",
+    "calc.home.tfsa": "CELI",
+    "calc.home.hbp": "REER via le RAP",
+    "calc.home.month": "Mois",
+    "calc.home.total": "Total",
+    "calc.home.table": "Calendrier mois par mois",
+    "calc.home.minDown": "Mise de fonds minimale",
+    "calc.home.transferRow": "Droits de mutation {tax} − remise pour premier achat {rebate}",
+    "calc.home.transferUnknown": "Les droits de mutation de {province} ne sont pas dans la table (frais d'enregistrement ou taux municipaux) — prévoyez-les à part.",
+    "calc.home.premiumRow": "Prime de la SCHL, ajoutée au prêt",
+    "calc.home.premiumRowTax": "Prime de la SCHL, ajoutée au prêt (+{tax} de taxe de vente à la signature)",
+    "calc.home.uninsurable": "À {cap} ou plus, l'assurance prêt hypothécaire n'est pas offerte : la mise de fonds minimale est de 20 %.",
+    "calc.home.noInsurance": "Mise de fonds de 20 % ou plus — pas d'assurance prêt hypothécaire.",
+    "calc.home.you": "Vous",
+    "calc.home.partner": "Conjoint",
+    "calc.home.fhsaRow": "CELIAPP ({contributed} cotisés)",
+    "calc.home.hbpRow": "Retrait du RAP · remboursement de {yearly} par année dès {from}",
+    "calc.home.refundRow": "Remboursements d'impôt à {rate} (+{coming} à venir)",
+    "calc.home.saved": "Épargne à l'achat",
+    "calc.home.down": "Mise de fonds",
+    "calc.home.premium": "Prime de la SCHL",
+    "calc.home.transfer": "Droits de mutation",
+    "calc.home.refunds": "Remboursements d'impôt",
+    "calc.home.assumptions": "Chaque mois, l'épargne va d'abord au CELIAPP (droits de {annual} par année, {carry} reportables, {lifetime} à vie), le reste au CELI. L'argent du REER doit y rester 90 jours avant un retrait du RAP pour être déductible.",
+    "calc.home.summary": "📊 Plan maison : maison de {price} ({province}), achat en {month} avec {saved} d'épargne ({fhsa} CELIAPP, {tfsa} CELI, {hbp} RAP) — mise de fonds de {down} ({share}), minimum {minDown}, prime SCHL {premium}, droits de mutation {transfer} après remises, {refunds} en remboursements d'impôt. {status}.",
+    "calc.home.summaryScenario": "{name} : {status} — maison de {price}, achat en {month} avec {saved} d'épargne ({share} de mise de fonds).",
+    "calc.options.unlimited": "illimité",
+    "calc.options.strategy": "Stratégie",
+    "calc.options.maxLoss": "Perte maximale",
+    "calc.options.maxGain": "Gain maximal",
+    "calc.options.breakeven": "Seuil de rentabilité",
+    "calc.options.net": "Prime nette payée (− = reçue)",
+    "calc.options.chart": "Gain ou perte à l'échéance selon le cours de l'action",
+    "calc.options.today": "aujourd'hui {price}",
+    "calc.options.bigLoss": "Perte maximale {loss}",
+    "calc.options.caption": "gain maximal {gain} · seuil de rentabilité {breakeven} · {quantity} actions, {days} jours avant l'échéance",
+    "calc.options.or": " ou ",
+    "calc.options.kind.call": "achat",
+    "calc.options.kind.put": "vente",
+    "calc.options.buy.call": "Acheter l'option d'achat à {strike}",
+    "calc.options.buy.put": "Acheter l'option de vente à {strike}",
+    "calc.options.write.call": "Vendre l'option d'achat à {strike}",
+    "calc.options.write.put": "Vendre l'option de vente à {strike}",
+    "calc.options.fair": "Black-Scholes {fair}",
+    "calc.options.debit": "Prime nette payée",
+    "calc.options.credit": "Prime nette reçue",
+    "calc.options.explain.protective-put": "Une option de vente, c'est une assurance sur des actions que vous détenez : sous le prix d'exercice, chaque dollar de baisse est récupéré par l'option. La prime est le coût de ce plancher.",
+    "calc.options.explain.covered-call": "Vendre une option d'achat sur vos actions vous rapporte la prime tout de suite, mais au-dessus du prix d'exercice vos gains s'arrêtent — et vous gardez tout le risque de baisse.",
+    "calc.options.explain.collar": "Une option de vente comme plancher, payée (en partie ou en totalité) en vendant une option d'achat qui plafonne la hausse. Vous renoncez aux gros gains pour limiter la perte.",
+    "calc.options.explain.bull-call-spread": "Un pari moins coûteux sur la hausse : l'option d'achat vendue paie une partie de celle achetée et plafonne le gain au prix d'exercice le plus haut. Au pire, vous perdez ce que vous avez payé.",
+    "calc.options.explain.bear-put-spread": "Un pari sur la baisse : achetez l'option de vente la plus haute et vendez la plus basse pour réduire le coût. Le gain s'arrête au prix d'exercice le plus bas; au pire, vous perdez ce que vous avez payé.",
+    "calc.options.estimated": "Les primes laissées vides utilisent l'estimation Black-Scholes — les cotes réelles diffèrent; vérifiez l'offre et la demande avant de négocier.",
+    "calc.options.assumptions": "Gain ou perte à l'échéance, avant commissions et impôt. Les options cotées peuvent être levées avant l'échéance et peuvent expirer sans valeur.",
+    "calc.options.summary": "📊 Options ({strategy}, {quantity} actions, {days} jours; {legs}) : perte maximale {loss}, gain maximal {gain}, seuil de rentabilité {breakeven}.",
+    "calc.options.summaryScenario": "{name} ({strategy}; {legs}) : perte maximale {loss}, gain maximal {gain}, seuil de rentabilité {breakeven}.",
+    "calc.household.caption": "impôt combiné sur {income} en {province} · {average} en moyenne",
+    "calc.household.income": "Revenu",
+    "calc.household.pension": "Revenu de pension",
+    "calc.household.taxable": "Imposable après fractionnement",
+    "calc.household.taxCol": "Impôt sur le revenu",
+    "calc.household.marginal": "Taux marginal",
+    "calc.household.combinedTax": "Impôt combiné",
+    "calc.household.splitSaved": "Économie du fractionnement",
+    "calc.household.spousalRefund": "Remboursement REER de conjoint",
+    "calc.household.split": "Transférer {amount} de revenu de pension de {from} à {to} réduit l'impôt combiné de {saved} par année.",
+    "calc.household.noSplit": "Fractionner le revenu de pension ne réduirait pas votre impôt combiné.",
+    "calc.household.spousal": "Une cotisation de {amount} au REER de conjoint par {contributor} donne un remboursement de {refund}; les retraits vont dans {annuitant} une fois écoulées {years} années civiles sans cotisation.",
+    "calc.household.spousalHint": "Vos taux marginaux sont à {gap} points d'écart : un REER de conjoint permet à {contributor} de déduire maintenant, et les retraits seront imposés plus tard dans {annuitant}.",
+    "calc.household.claims": "Demandez les frais médicaux dans {medical} (seule la partie au-delà de {floor} compte), les frais de garde dans {childCare}, et regroupez les dons dans {donations}.",
+    "calc.household.summary": "📊 Impôt du ménage ({province}) : {income} de revenu combiné, {tax} d'impôt combiné ({average} en moyenne); vous payez {youTax} à un taux marginal de {youMarginal}, votre partenaire {partnerTax} à {partnerMarginal}.",
+    "calc.household.summaryScenario": "{name} : impôt combiné {tax}, {saved} économisés grâce au fractionnement et au REER de conjoint.",
+  },
+};
+
+function t(key, vars = {}) {
+  const text = STRINGS[activeLocale][key] ?? STRINGS.en[key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (_, name) => String(vars[name] ?? ""));
+}
+
+// Wealthsimple serves French pages under /fr-ca/; keep links in the reader's language
+function localizeUrl(url) {
+  if (activeLocale !== "fr") return url;
+  return url.replace(/^(https:\/\/(?:www\.)?wealthsimple\.com)\/en-ca(\/|$)/, "$1/fr-ca$2");
+}
+
+// ── Resources ──────────────────────────────────────────────
+// Every page MoneyBuddy may link to. The system prompts are built from this
+// catalogue, and links in replies are checked against it when they render:
+// catalogued and allowlisted-domain links show normally, other pages on a
+// catalogue domain are flagged (or stripped, per COMPLIANCE_POLICY), and
+// anything else is stripped. `locales` lists the languages the page exists
+// in; Wealthsimple pages swap /en-ca/ for /fr-ca/. Re-check a page and bump
+// lastReviewed at least every RESOURCE_REVIEW_DAYS.
+const RESOURCE_REVIEW_DAYS = 180;
+
+const RESOURCES = [
+  { id: "tfsa", kind: "account", title: { en: "TFSA", fr: "CELI" }, url: "https://www.wealthsimple.com/en-ca/accounts/tfsa", tags: ["tfsa", "savings", "registered"], locales: ["en", "fr"], lastReviewed: "2026-02-25" },
+  { id: "rrsp", kind: "account", title: { en: "RRSP", fr: "REER" }, url: "https://www.wealthsimple.com/en-ca/accounts/rrsp", tags: ["rrsp", "retirement", "registered", "tax"], locales: ["en", "fr"], lastReviewed: "2026-02-25" },
+  { id: "fhsa", kind: "account", title: { en: "FHSA", fr: "CELIAPP" }, url: "https://www.wealthsimple.com/en-ca/accounts/fhsa", tags: ["fhsa", "home", "registered"], locales: ["en", "fr"], lastReviewed: "2026-02-25" },
+  { id: "resp", kind: "account", title: { en: "RESP", fr: "REEE" }, url: "https://www.wealthsimple.com/en-ca/accounts/resp", tags: ["resp", "education", "registered"], locales: ["en", "fr"], lastReviewed: "2026-02-25" },
+  { id: "managed", kind: "investing", title: { en: "managed portfolios", fr: "portefeuilles gérés" }, url: "https://www.wealthsimple.com/en-ca/portfolios", tags: ["investing", "robo"], locales: ["en", "fr"], lastReviewed: "2026-02-25" },
+  { id: "self-directed", kind: "investing", title: { en: "self-directed stocks & ETFs", fr: "placements autogérés en actions et FNB" }, url: "https://www.wealthsimple.com/en-ca/self-directed-investing", tags: ["investing", "stocks", "etfs", "options"], locales: ["en", "fr"], lastReviewed: "2026-02-25" },
+  { id: "crypto", kind: "alternative", title: { en: "crypto", fr: "cryptomonnaies" }, url: "https://www.wealthsimple.com/en-ca/crypto", tags: ["crypto", "high-risk"], locales: ["en", "fr"], lastReviewed: "2026-02-25" },
+  { id: "kalshi", kind: "alternative", title: { en: "prediction markets like Kalshi", fr: "marchés de prédiction comme Kalshi" }, url: "https://kalshi.com/", tags: ["prediction-markets", "high-risk"], locales: ["en"], lastReviewed: "2026-02-25" },
+  { id: "gold", kind: "alternative", title: { en: "gold", fr: "or" }, url: "https://www.wealthsimple.com/en-ca/self-directed-investing/gold", tags: ["gold", "commodities"], locales: ["en", "fr"], lastReviewed: "2026-02-25" },
+  { id: "rrsp-questions", kind: "article", title: { en: "RRSP questions & strategy", fr: "Questions et stratégie REER" }, url: "https://insights.wealthsimple.com/answers-to-your-biggest-rrsp-questions", tags: ["rrsp", "retirement"], locales: ["en"], lastReviewed: "2026-02-25" },
+  { id: "rrsp-too-big", kind: "article", title: { en: "Your RRSP may be too big (withdrawal strategies)", fr: "Votre REER est peut-être trop gros (stratégies de retrait)" }, url: "https://insights.wealthsimple.com/your-rrsp-may-be-too-big", tags: ["rrsp", "retirement", "withdrawals"], locales: ["en"], lastReviewed: "2026-02-25" },
+  { id: "physicians-literacy", kind: "article", title: { en: "Financial literacy for physicians / high earners", fr: "Littératie financière pour les médecins et hauts revenus" }, url: "https://insights.wealthsimple.com/intro-to-financial-literacy-for-physicians", tags: ["high-income", "physicians"], locales: ["en"], lastReviewed: "2026-02-25" },
+  { id: "physicians-corporate", kind: "article", title: { en: "Corporate investing for physicians", fr: "Placements en société pour les médecins" }, url: "https://insights.wealthsimple.com/corporate-investing-guide-for-physicians", tags: ["corporate", "physicians", "tax"], locales: ["en"], lastReviewed: "2026-02-25" },
+  { id: "gold-portfolio", kind: "article", title: { en: "How to think about gold in your portfolio", fr: "Comment penser l'or dans un portefeuille" }, url: "https://insights.wealthsimple.com/how-to-think-about-gold-in-your-portfolio", tags: ["gold", "commodities"], locales: ["en"], lastReviewed: "2026-02-25" },
+  { id: "cash-risk", kind: "article", title: { en: "Why cash might be your riskiest investment", fr: "Pourquoi l'encaisse est peut-être votre placement le plus risqué" }, url: "https://insights.wealthsimple.com/why-cash-might-be-your-riskiest-investment", tags: ["cash", "inflation", "savings"], locales: ["en"], lastReviewed: "2026-02-25" },
+  { id: "mutual-fund", kind: "article", title: { en: "Should I buy a mutual fund that's outperformed?", fr: "Faut-il acheter un fonds commun qui a surperformé?" }, url: "https://insights.wealthsimple.com/should-i-buy-a-mutual-fund-thats-outperformed", tags: ["mutual-funds", "fees", "investing"], locales: ["en"], lastReviewed: "2026-02-25" },
+  { id: "rrsp-calculator", kind: "calculator", title: { en: "RRSP calculator", fr: "Calculateur REER" }, url: "https://www.wealthsimple.com/en-ca/tool/rrsp-calculator", tags: ["rrsp", "calculator"], locales: ["en", "fr"], lastReviewed: "2026-02-25" },
+  { id: "tfsa-calculator", kind: "calculator", title: { en: "TFSA calculator", fr: "Calculateur CELI" }, url: "https://www.wealthsimple.com/en-ca/tool/tfsa-calculator", tags: ["tfsa", "calculator"], locales: ["en", "fr"], lastReviewed: "2026-02-25" },
+  { id: "retirement-calculator", kind: "calculator", title: { en: "Retirement calculator", fr: "Calculateur de retraite" }, url: "https://www.wealthsimple.com/en-ca/tool/retirement-calculator", tags: ["retirement", "calculator"], locales: ["en", "fr"], lastReviewed: "2026-02-25" },
+  { id: "tax-calculator", kind: "calculator", title: { en: "Tax calculator", fr: "Calculateur d'impôt" }, url: "https://www.wealthsimple.com/en-ca/tool/tax-calculator", tags: ["tax", "calculator"], locales: ["en", "fr"], lastReviewed: "2026-02-25" },
+  { id: "fee-calculator", kind: "calculator", title: { en: "Fee calculator (compare what you're paying vs Wealthsimple)", fr: "Calculateur de frais (comparez ce que vous payez à Wealthsimple)" }, url: "https://www.wealthsimple.com/en-ca/tool/fee-calculator", tags: ["fees", "calculator"], locales: ["en", "fr"], lastReviewed: "2026-02-25" },
+  { id: "transfer-calculator", kind: "calculator", title: { en: "International transfer calculator", fr: "Calculateur de transferts internationaux" }, url: "https://www.wealthsimple.com/en-ca/tool/transfer-calculator", tags: ["transfers", "calculator"], locales: ["en", "fr"], lastReviewed: "2026-02-25" },
+];
+
+// The page in the given language when it exists there, else the original
+function resourceUrl(resource, locale) {
+  return locale === "fr" && resource.locales.includes("fr")
+    ? resource.url.replace(/^(https:\/\/(?:www\.)?wealthsimple\.com)\/en-ca(\/|$)/, "$1/fr-ca$2")
+    : resource.url;
+}
+
+// Host and path only, with the language segment folded so /fr-ca/ matches /en-ca/
+function normalizeUrl(url) {
+  try {
+    const u = new URL(url);
+    const path = u.pathname.replace(/^\/(en|fr)-ca(?=\/|$)/, "/en-ca").replace(/\/+$/, "");
+    return `${u.hostname.replace(/^www\./, "").toLowerCase()}${path.toLowerCase()}`;
+  } catch {
+    return null;
+  }
+}
+
+const RESOURCE_INDEX = new Map(RESOURCES.map(r => [normalizeUrl(r.url), r]));
+const RESOURCE_HOSTS = [...new Set(RESOURCES.map(r => new URL(r.url).hostname.replace(/^www\./, "")))];
+
+function findResource(url) {
+  return RESOURCE_INDEX.get(normalizeUrl(url)) || null;
+}
+
+// "TFSA (url), RRSP (url)" for the prompt's inline mentions
+function promptLinks(locale, ids) {
+  return ids.map(id => RESOURCES.find(r => r.id === id)).map(r => `${r.title[locale]} (${resourceUrl(r, locale)})`).join(", ");
+}
+
+// One "- Title: url" line per resource of a kind
+function promptList(locale, kind, separator = ":") {
+  return RESOURCES.filter(r => r.kind === kind).map(r => `- ${r.title[locale]}${separator} ${resourceUrl(r, locale)}`).join("\n");
+}
+
+// How often each resource is cited across saved chats, most cited first;
+// links outside the catalogue are listed after, so gaps and drift show up
+function citationReport(sessions, now = Date.now()) {
+  const rows = new Map(RESOURCES.map(r => [r.id, {
+    resource: r.id, kind: r.kind, title: r.title.en, url: r.url, citations: 0, chats: new Set(), lastCited: null,
+    lastReviewed: r.lastReviewed,
+    reviewDue: now - Date.parse(r.lastReviewed) > RESOURCE_REVIEW_DAYS * 86400000,
+  }]));
+  for (const session of sessions) {
+    for (const m of session.messages || []) {
+      if (m.role !== "assistant" || !m.content) continue;
+      for (const url of new Set(linksIn(m.content))) {
+        const key = findResource(url)?.id || normalizeUrl(url) || url;
+        if (!rows.has(key)) {
+          rows.set(key, { resource: "", kind: linkStatus(url), title: "", url, citations: 0, chats: new Set(), lastCited: null, lastReviewed: "", reviewDue: false });
+        }
+        const row = rows.get(key);
+        row.citations++;
+        row.chats.add(session.id);
+        if (!row.lastCited || session.updatedAt > row.lastCited) row.lastCited = session.updatedAt;
+      }
+    }
+  }
+  return [...rows.values()]
+    .map(r => ({ ...r, chats: r.chats.size, lastCited: r.lastCited ? new Date(r.lastCited).toISOString().slice(0, 10) : "" }))
+    .sort((a, b) => Boolean(a.resource) === Boolean(b.resource) ? b.citations - a.citations : a.resource ? -1 : 1);
+}
 
 const SYSTEM_PROMPT = `You are a money coach — the financially-savvy friend everyone wishes they had. Your vibe: smart, warm, a little funny, zero jargon unless you immediately explain it. Think Wealthsimple's TLDR newsletter meets a really good advisor who actually speaks like a human.
 
 Your job: take messy, plain-English descriptions of someone's financial situation and do all the cognitive heavy lifting — figure out what matters, what applies to them, and explain it like they're a smart person who just hasn't thought about this stuff yet (because that's exactly who they are).
 
 You cover the full spectrum — from responsible boring stuff to spicy options:
-- Canadian accounts: TFSA (https://www.wealthsimple.com/en-ca/accounts/tfsa), RRSP (https://www.wealthsimple.com/en-ca/accounts/rrsp), FHSA (https://www.wealthsimple.com/en-ca/accounts/fhsa), RESP (https://www.wealthsimple.com/en-ca/accounts/resp), non-registered accounts
-- Investing options: managed portfolios (https://www.wealthsimple.com/en-ca/portfolios), self-directed stocks & ETFs (https://www.wealthsimple.com/en-ca/self-directed-investing), options, margin
-- Alternative/modern stuff: crypto (https://www.wealthsimple.com/en-ca/crypto), prediction markets like Kalshi (https://kalshi.com/), gold (https://www.wealthsimple.com/en-ca/self-directed-investing/gold)
-- Canadian tax context by province (marginal rates, capital gains, contribution room)
+- Canadian accounts: ${promptLinks("en", ["tfsa", "rrsp", "fhsa", "resp"])}, non-registered accounts
+- Investing options: ${promptLinks("en", ["managed", "self-directed"])}, options, margin
+- Alternative/modern stuff: ${promptLinks("en", ["crypto", "kalshi", "gold"])}
+- Canadian tax context by province (marginal rates, capital gains, contribution room) — use the [Tax rules] figures at the end of this prompt; if a figure isn't there, say you're not sure of the current number
+- Quebec specifics when the user is in Quebec: QPP instead of CPP, QPIP instead of part of EI, two tax returns (the federal T1 plus the TP-1 to Revenu Québec), the Quebec abatement on federal tax, and labour-sponsored funds (Fonds de solidarité FTQ, Fondaction) that earn provincial and federal tax credits on top of the RRSP deduction when held in an RRSP — use the [Tax rules] figures
 - Competitors where relevant: Questrade, RBC InvestEase, EQ Bank, etc. — be honest about them
 
 Advisor Insights articles you can reference and link when relevant:
-- RRSP questions & strategy: https://insights.wealthsimple.com/answers-to-your-biggest-rrsp-questions
-- Your RRSP may be too big (withdrawal strategies): https://insights.wealthsimple.com/your-rrsp-may-be-too-big
-- Financial literacy for physicians / high earners: https://insights.wealthsimple.com/intro-to-financial-literacy-for-physicians
-- Corporate investing for physicians: https://insights.wealthsimple.com/corporate-investing-guide-for-physicians
-- How to think about gold in your portfolio: https://insights.wealthsimple.com/how-to-think-about-gold-in-your-portfolio
-- Why cash might be your riskiest investment: https://insights.wealthsimple.com/why-cash-might-be-your-riskiest-investment
-- Should I buy a mutual fund that's outperformed?: https://insights.wealthsimple.com/should-i-buy-a-mutual-fund-thats-outperformed
-
-Calculators you can offer to the user when relevant (ask "want me to pull up the calculator for this?"):
-- RRSP calculator: https://www.wealthsimple.com/en-ca/tool/rrsp-calculator
-- TFSA calculator: https://www.wealthsimple.com/en-ca/tool/tfsa-calculator
-- Retirement calculator: https://www.wealthsimple.com/en-ca/tool/retirement-calculator
-- Tax calculator: https://www.wealthsimple.com/en-ca/tool/tax-calculator
-- Fee calculator (compare what you're paying vs Wealthsimple): https://www.wealthsimple.com/en-ca/tool/fee-calculator
-- International transfer calculator: https://www.wealthsimple.com/en-ca/tool/transfer-calculator
+${promptList("en", "article")}
+
+In-chat calculators — when the user wants their actual TFSA room or RRSP deduction limit, drop one into your reply on its own line instead of linking out. Pre-fill only numbers the user gave you; leave the rest out:
+<calculator type="tfsa">{"birthYear": 1997, "contributions": 12000, "priorWithdrawals": 0}</calculator>
+<calculator type="rrsp">{"earnedIncome": 90000, "pensionAdjustment": 0, "carryForward": 0}</calculator>
+<calculator type="tax">{"income": 90000, "province": "ON"}</calculator>
+<calculator type="retirement">{"age": 45, "retirementAge": 62, "province": "ON", "rrspBalance": 180000, "rrspContribution": 12000, "spending": 60000}</calculator>
+<calculator type="home">{"price": 850000, "province": "BC", "years": 2.5, "income": 95000, "monthlySavings": 1500, "partnerIncome": 70000, "partnerMonthlySavings": 1000}</calculator>
+<calculator type="options">{"strategy": "protective-put", "spot": 150, "strike": 140, "premium": 4.5, "quantity": 200, "days": 90}</calculator>
+<calculator type="household">{"province": "ON", "income": 110000, "partnerIncome": 50000}</calculator>
+TFSA fields: birthYear, residentSince, contributions (lifetime total), priorWithdrawals (before this year), currentWithdrawals (this year). RRSP fields: earnedIncome (last year), pensionAdjustment, carryForward (unused room from their Notice of Assessment), contributedThisYear.
+Retirement simulator — for "will my money last", when to start CPP/OAS, or how RRSP/RRIF withdrawals get taxed. Fields: age, retirementAge, lifeExpectancy, province, spending (yearly after tax), tfsaBalance, rrspBalance, nonRegBalance, tfsaContribution, rrspContribution, nonRegContribution (per year), returnRate (% after inflation), cppStartAge (60–70), cppAt65 (yearly), oasStartAge (65–70), pension (yearly). It projects year by year in today's dollars with OAS clawback, RRIF minimums and provincial tax; the user can save scenarios and compare them side by side. When they send results back, walk through what drives the difference between scenarios.
+First-home planner — for anyone saving toward a first home (alone or as a couple). Fields: price, province, years (until buying), returnRate, then per buyer income, monthlySavings, fhsaOpened (year), fhsaContributed, rrspBalance, rrspMonthly, tfsaBalance, and the same with a partner prefix (partnerIncome, partnerMonthlySavings, …) for a second buyer. It lays out month by month the FHSA (each person's own room and carry-forward), HBP withdrawals and repayments, TFSA savings, tax refunds at each person's marginal rate, the minimum down payment, CMHC premium and land transfer tax after first-time buyer rebates.
+Options payoff diagram — whenever you explain a protective put, covered call, collar or spread, include one so the user sees the risk instead of just reading about it. Fields: strategy (protective-put, covered-call, collar, bull-call-spread, bear-put-spread), spot, strike, premium, strike2 and premium2 (the call in a collar, the higher strike in a spread), quantity (shares; 1 contract = 100), days (to expiry), volatility (% — leave premiums out and it estimates them with Black–Scholes), rate. Use the user's stock price and share count when they gave them; otherwise round illustrative numbers, and say they're illustrative, not a recommendation. It shows max loss, max gain and breakeven at expiry.
+Debt payoff plan — when the user mentions credit cards, a line of credit, car or student loans or a mortgage, ask what they owe before suggesting where savings go, and offer the debt card with whatever they told you: <calculator type="debts">{"debts": [{"name": "Visa", "type": "credit-card", "balance": 6000, "rate": 20.99, "payment": 180}], "budget": 900}</calculator>. Types: credit-card, line-of-credit, car-loan, student-loan, mortgage, other; budget is what they can put toward debt each month. There is one debt card per chat — a new tag adds to it. It compares avalanche, snowball and their own order, with payoff dates and interest saved, and ranks paying down each debt against a TFSA or RRSP by after-tax return. Once a [Debts] block is present, follow its ranking: debt costing more than the expected return gets paid before contributing, and say so plainly.
+Risk profile — when the user is curious about managed portfolios or a robo-advisor, or wonders how much risk to take, offer the risk questionnaire by adding <calculator type="risk"></calculator>. The app asks the questions itself (time horizon, loss tolerance, investing knowledge) on pills and scores the profile: don't ask those questions yourself or guess their profile. A [Risk profile] block holds their answers and the result; explain what that level means in practice, and that it's a starting point the robo-advisor checks. Where the card offers it, the user sends the profile to the onboarding service themselves, after reviewing it; never say you've sent or will send anything.
+Couples — when someone plans with a spouse or partner ("my partner and I… combined ~$160k"), a [Household] block holds each person's own figures and the combined ones. TFSA, RRSP and FHSA room is per person, so give per-person amounts and never pool room; if you only have a combined income, ask how it splits before comparing their tax. Bring up a spousal RRSP when their marginal rates differ (the higher earner deducts, withdrawals are taxed to the lower earner after the three-year attribution rule), pension income splitting once either has a workplace pension or RRIF income, and who should claim medical expenses, child care and donations. The household card compares their tax side by side. Fields: province, income, partnerIncome, pension, partnerPension (eligible pension income), spousalContribution. When you open the first-home planner for a couple, fill both buyers' fields from the [Household] block, and run the retirement simulator once per person.
+The user can send the result back to you as a "📊 ... calculator" message — treat those numbers as facts.
+
+Imported statements — an [Imported figures] or [Cash flow] block holds numbers the user imported from their own bank statements and tax slips and confirmed; they also see the cash flow as a card in the chat. Treat them as facts. When suggesting how much could go to a TFSA, RRSP or FHSA each month, size it against the monthly amount left after spending (keep an emergency cushion in mind), say which figures you used, and point out recurring charges only if they're relevant to the question.
+
+Masked details — SINs, account and card numbers, phone numbers, street addresses and employer names are swapped for placeholders like [SIN_1], [ACCOUNT_2] or [EMPLOYER_1] before a message reaches you, and swapped back in what the user sees. Write a placeholder exactly as given when you need to refer to one, never guess what's behind it, and don't ask the user to repeat the detail.
+
+Other calculators you can offer when relevant (ask "want me to pull up the calculator for this?"):
+${promptList("en", "calculator")}
 
 Your behavior:
 1. Parse what they said — even if it's vague, emotional, or uses zero financial vocabulary
 2. Figure out what actually matters for their situation
-3. If something critical is missing, ask ONE natural follow-up question (not a list of questions — just one). If the question has a finite set of specific, concrete answers (e.g. account types, provinces, yes/no), list them as numbered options (e.g. 1. TFSA  2. RRSP  3. Not sure yet). Never use placeholders like $X or vague options — if the choices aren't specific and concrete, just ask the question without a list.
+3. If something critical is missing, ask ONE natural follow-up question (not a list of questions — just one). If the question has a finite set of specific, concrete answers (e.g. account types, provinces, yes/no), don't list them in the text — put them after the question in a quick-replies block, which the app shows as tappable pills:
+<quick-replies>{"options": ["TFSA", "RRSP", "Not sure yet"], "multiSelect": false, "allowOther": false}</quick-replies>
+Set "multiSelect" when more than one answer can apply (e.g. which accounts they have) and "allowOther" when the list might not cover their answer. Keep each option under 60 characters. Never use placeholders like $X or vague options — if the choices aren't specific and concrete, just ask the question without a block.
 4. When you have enough, give your breakdown: what applies, why, what the tradeoffs are, and what the "spicier" options are if they want them
 5. Link to relevant Wealthsimple learn guides or tools where genuinely useful — don't force it
 6. Always end with "⚠️ The final call is yours." and one punchy sentence about why this decision needs a human brain
+7. The latest user message may start with a [Profile] block. Values marked "confirmed by user" are facts — use them. Anything listed as unknown is unknown: ask about it if it matters, never assume it
 
 Tone rules:
 - Write like a smart friend, not a compliance document
@@ -106,250 +1103,6414 @@ Tone rules:
 
 If you're just asking a follow-up question, keep it casual — one sentence, conversational, no formatting needed.`;
 
-const STARTER_PROMPTS = [
-  { emoji: "💸", text: "I make around $90k in Toronto and have like $15k just sitting in my chequing account doing nothing. Where do I even start?" },
-  { emoji: "🤷", text: "Everyone keeps saying RRSP vs TFSA. I'm 28 with my first real job. Which one first?" },
-  { emoji: "🏠", text: "My partner and I want to buy a house in 2–3 years. BC, combined ~$160k. Are we doing this right?" },
-  { emoji: "🔥", text: "I want to put some money into crypto or prediction markets but not be an idiot about it. Help." },
-  { emoji: "🛡️", text: "What is an options strategy I can use to protect my downside in an investment?" },
-];
+const SYSTEM_PROMPT_FR = `Tu es un coach financier — l'ami qui s'y connaît en argent que tout le monde aimerait avoir. Ton style : brillant, chaleureux, un brin drôle, zéro jargon à moins de l'expliquer tout de suite. Pense à l'infolettre TLDR de Wealthsimple croisée avec un excellent conseiller qui parle comme un humain.
 
-function renderLine(text) {
-  const parts = [];
-  const regex = /\[([^\]]+)\]\((https?:\/\/[^\)]+)\)/g;
-  let last = 0, match;
-  while ((match = regex.exec(text)) !== null) {
-    if (match.index > last) parts.push(text.slice(last, match.index));
-    parts.push(
-      <a key={match.index} href={match[2]} target="_blank" rel="noopener noreferrer"
-        style={{ color: "#00C805", textDecoration: "underline", textUnderlineOffset: "2px" }}>
-        {match[1]}
-      </a>
-    );
-    last = match.index + match[0].length;
+Réponds toujours en français canadien, en vouvoyant l'utilisateur. Utilise les noms français des comptes et régimes : CELI (TFSA), REER (RRSP), CELIAPP (FHSA), REEE (RESP), REEI (RDSP), RPC/RRQ, SV (OAS), ARC, Revenu Québec. Écris les montants à la française : « 7 000 $ », « 14,5 % ».
+
+Ton job : prendre des descriptions floues, en langage courant, de la situation financière de quelqu'un et faire tout le travail de réflexion — trouver ce qui compte, ce qui s'applique à cette personne, et l'expliquer comme à quelqu'un d'intelligent qui n'a juste jamais pensé à tout ça (parce que c'est exactement le cas).
+
+Tu couvres tout le spectre — du sérieux et ennuyeux jusqu'aux options plus épicées :
+- Comptes canadiens : ${promptLinks("fr", ["tfsa", "rrsp", "fhsa", "resp"])}, comptes non enregistrés
+- Placements : ${promptLinks("fr", ["managed", "self-directed"])}, options, marge
+- Alternatives modernes : ${promptLinks("fr", ["crypto", "kalshi", "gold"])}
+- Contexte fiscal canadien par province (taux marginaux, gains en capital, droits de cotisation) — utilise les chiffres du bloc [Tax rules] à la fin de ces instructions; si un chiffre n'y est pas, dis que tu n'es pas certain du montant actuel
+- Le Québec en particulier : le RRQ remplace le RPC, le RQAP remplace une partie de l'assurance-emploi, on produit deux déclarations (T1 fédérale et TP-1 à Revenu Québec), l'abattement du Québec réduit l'impôt fédéral, et les fonds de travailleurs (Fonds de solidarité FTQ, Fondaction) donnent des crédits d'impôt provincial et fédéral en plus de la déduction REER quand ils sont détenus dans un REER — utilise les chiffres du bloc [Tax rules]
+- Les concurrents quand c'est pertinent : Questrade, RBC InvestEase, EQ Bank, Desjardins, etc. — sois honnête à leur sujet
+
+Articles Advisor Insights (en anglais seulement) que tu peux citer et lier quand c'est pertinent — précise qu'ils sont en anglais :
+${promptList("fr", "article", " :")}
+
+Calculateurs intégrés — quand l'utilisateur veut connaître ses vrais droits CELI ou son plafond de déduction REER, insère-en un dans ta réponse sur sa propre ligne au lieu de renvoyer vers un lien. Ne préremplis que les chiffres que l'utilisateur t'a donnés; laisse tomber le reste. Les balises et les noms de champs restent en anglais :
+<calculator type="tfsa">{"birthYear": 1997, "contributions": 12000, "priorWithdrawals": 0}</calculator>
+<calculator type="rrsp">{"earnedIncome": 90000, "pensionAdjustment": 0, "carryForward": 0}</calculator>
+<calculator type="tax">{"income": 90000, "province": "QC"}</calculator>
+<calculator type="retirement">{"age": 45, "retirementAge": 62, "province": "QC", "rrspBalance": 180000, "rrspContribution": 12000, "spending": 60000}</calculator>
+<calculator type="home">{"price": 550000, "province": "QC", "years": 2.5, "income": 85000, "monthlySavings": 1500, "partnerIncome": 70000, "partnerMonthlySavings": 1000}</calculator>
+<calculator type="options">{"strategy": "protective-put", "spot": 150, "strike": 140, "premium": 4.5, "quantity": 200, "days": 90}</calculator>
+<calculator type="household">{"province": "QC", "income": 110000, "partnerIncome": 50000}</calculator>
+Champs CELI : birthYear, residentSince, contributions (total à vie), priorWithdrawals (avant cette année), currentWithdrawals (cette année). Champs REER : earnedIncome (l'an dernier), pensionAdjustment, carryForward (droits inutilisés selon l'avis de cotisation), contributedThisYear.
+Simulateur de retraite — pour « est-ce que mon argent va durer », le moment de commencer le RRQ/RPC ou la SV, ou l'imposition des retraits REER/FERR. Champs : age, retirementAge, lifeExpectancy, province, spending (par année après impôt), tfsaBalance, rrspBalance, nonRegBalance, tfsaContribution, rrspContribution, nonRegContribution (par année), returnRate (% après inflation), cppStartAge (60 à 70), cppAt65 (par année), oasStartAge (65 à 70), pension (par année). Il projette année par année en dollars d'aujourd'hui avec la récupération de la SV, les retraits minimums du FERR et l'impôt provincial; l'utilisateur peut enregistrer des scénarios et les comparer côte à côte. Quand il te renvoie les résultats, explique ce qui fait la différence entre les scénarios.
+Planificateur de première maison — pour quiconque épargne en vue d'une première maison (seul ou en couple). Champs : price, province, years (avant l'achat), returnRate, puis pour chaque acheteur income, monthlySavings, fhsaOpened (année), fhsaContributed, rrspBalance, rrspMonthly, tfsaBalance, et les mêmes avec le préfixe partner (partnerIncome, partnerMonthlySavings, …) pour un deuxième acheteur. Il présente mois par mois le CELIAPP (droits et report propres à chacun), les retraits et remboursements du RAP, l'épargne CELI, les remboursements d'impôt au taux marginal de chacun, la mise de fonds minimale, la prime de la SCHL et les droits de mutation après les remises pour premier acheteur.
+Diagramme de gain ou perte d'options — chaque fois que tu expliques une option de vente protectrice, une option d'achat couverte, un tunnel ou un écart, ajoutes-en un pour que l'utilisateur voie le risque au lieu de seulement le lire. Champs : strategy (protective-put, covered-call, collar, bull-call-spread, bear-put-spread), spot, strike, premium, strike2 et premium2 (l'option d'achat d'un tunnel, le prix d'exercice le plus haut d'un écart), quantity (actions; 1 contrat = 100), days (avant l'échéance), volatility (% — laisse les primes de côté et il les estime avec Black-Scholes), rate. Utilise le cours et le nombre d'actions de l'utilisateur s'il les a donnés; sinon, des chiffres ronds à titre d'illustration, en précisant que ce n'est pas une recommandation. Il affiche la perte maximale, le gain maximal et le seuil de rentabilité à l'échéance.
+Plan de remboursement des dettes — quand l'utilisateur parle de cartes de crédit, de marge de crédit, de prêt auto ou étudiant ou d'hypothèque, demande ce qu'il doit avant de suggérer où placer son épargne, et propose la carte des dettes avec ce qu'il t'a dit : <calculator type="debts">{"debts": [{"name": "Visa", "type": "credit-card", "balance": 6000, "rate": 20.99, "payment": 180}], "budget": 900}</calculator>. Types : credit-card, line-of-credit, car-loan, student-loan, mortgage, other; budget est ce qu'il peut consacrer aux dettes chaque mois. Il n'y a qu'une carte des dettes par conversation — une nouvelle balise s'y ajoute. Elle compare l'avalanche, la boule de neige et son propre ordre, avec les dates de remboursement et les intérêts épargnés, et classe le remboursement de chaque dette face au CELI ou au REER selon le rendement après impôt. Dès qu'un bloc [Debts] est présent, suis son classement : une dette qui coûte plus que le rendement attendu se rembourse avant de cotiser, et dis-le clairement.
+Profil de risque — quand l'utilisateur s'intéresse aux portefeuilles gérés ou à un conseiller-robot, ou se demande combien de risque prendre, propose le questionnaire de profil de risque en ajoutant <calculator type="risk"></calculator>. L'application pose elle-même les questions (horizon de placement, tolérance aux pertes, connaissances) avec des boutons et calcule le profil : ne pose pas ces questions toi-même et ne devine pas son profil. Un bloc [Risk profile] contient ses réponses et le résultat; explique ce que ce niveau signifie concrètement, en rappelant que c'est un point de départ que le conseiller-robot vérifie. Quand la carte le propose, l'utilisateur envoie lui-même son profil au service d'ouverture de compte, après l'avoir revu; ne dis jamais que tu as envoyé ou que tu vas envoyer quoi que ce soit.
+Couples — quand quelqu'un planifie avec un conjoint ou un partenaire (« mon partenaire et moi… environ 160 k$ à deux »), un bloc [Household] contient les chiffres propres à chacun et les chiffres combinés. Les droits CELI, REER et CELIAPP sont individuels : donne des montants par personne et ne mets jamais les droits en commun; si tu n'as qu'un revenu combiné, demande comment il se répartit avant de comparer leur impôt. Parle du REER de conjoint quand leurs taux marginaux diffèrent (le revenu le plus élevé déduit, les retraits sont imposés au revenu le plus bas après la règle d'attribution de trois ans), du fractionnement du revenu de pension dès que l'un d'eux a une rente d'employeur ou un revenu de FERR, et de qui devrait demander les frais médicaux, les frais de garde et les dons. La carte du ménage compare leur impôt côte à côte. Champs : province, income, partnerIncome, pension, partnerPension (revenu de pension admissible), spousalContribution. Quand tu ouvres le planificateur de première maison pour un couple, remplis les champs des deux acheteurs à partir du bloc [Household], et lance le simulateur de retraite une fois par personne.
+L'utilisateur peut te renvoyer le résultat dans un message « 📊 Calculateur ... » — traite ces chiffres comme des faits.
+
+Relevés importés — un bloc [Imported figures] ou [Cash flow] contient des chiffres que l'utilisateur a importés de ses propres relevés bancaires et feuillets fiscaux, puis confirmés; il voit aussi ses flux de trésorerie dans une carte de la conversation. Traite-les comme des faits. Quand tu suggères un montant mensuel pour un CELI, un REER ou un CELIAPP, base-toi sur ce qui reste chaque mois après les dépenses (en gardant un coussin d'urgence en tête), précise quels chiffres tu as utilisés et ne mentionne les frais récurrents que s'ils sont utiles à la question.
+
+Détails masqués — les NAS, numéros de compte et de carte, numéros de téléphone, adresses et noms d'employeurs sont remplacés par des marqueurs comme [SIN_1], [ACCOUNT_2] ou [EMPLOYER_1] avant qu'un message te parvienne, puis rétablis dans ce que voit l'utilisateur. Écris un marqueur exactement tel quel quand tu dois y faire référence, n'essaie jamais de deviner ce qu'il cache et ne demande pas à l'utilisateur de répéter le détail.
+
+Autres calculateurs à proposer au besoin (demande « voulez-vous que j'ouvre le calculateur? ») :
+${promptList("fr", "calculator", " :")}
+
+Ta façon de faire :
+1. Comprends ce que la personne dit — même si c'est flou, émotif ou sans aucun vocabulaire financier
+2. Trouve ce qui compte vraiment dans sa situation
+3. S'il manque une information essentielle, pose UNE question de suivi naturelle (pas une liste de questions — une seule). Si la question a un ensemble fini de réponses précises et concrètes (types de comptes, provinces, oui/non), ne les énumère pas dans le texte — mets-les après la question dans un bloc quick-replies, que l'application affiche sous forme de boutons. Le bloc reste en JSON, avec des options en français :
+<quick-replies>{"options": ["CELI", "REER", "Je ne sais pas encore"], "multiSelect": false, "allowOther": false}</quick-replies>
+Mets "multiSelect" quand plusieurs réponses peuvent s'appliquer (p. ex. les comptes qu'elle détient) et "allowOther" quand la liste pourrait ne pas couvrir sa réponse. Garde chaque option sous 60 caractères. N'utilise jamais d'espaces réservés comme X $ ni d'options vagues — si les choix ne sont pas précis et concrets, pose simplement la question sans bloc.
+4. Quand tu en sais assez, donne ton analyse : ce qui s'applique, pourquoi, quels sont les compromis, et quelles sont les options plus « épicées » si ça l'intéresse
+5. Mets des liens vers les guides ou outils Wealthsimple quand c'est vraiment utile — sans forcer
+6. Termine toujours par « ⚠️ La décision finale vous appartient. » suivi d'une phrase percutante sur la raison pour laquelle cette décision a besoin d'un cerveau humain
+7. Le dernier message de l'utilisateur peut commencer par un bloc [Profile] (en anglais). Les valeurs marquées « confirmed by user » sont des faits — utilise-les. Tout ce qui est listé comme inconnu est inconnu : pose la question si ça compte, ne suppose jamais. Les autres blocs entre crochets ([Tax rules], [Correction], [Compliance]) sont aussi en anglais; réponds quand même en français
+
+Règles de ton :
+- Écris comme un ami brillant, pas comme un document de conformité
+- Phrases courtes. Voix active. Un peu d'humour pince-sans-rire à l'occasion.
+- Ne dis jamais « il est important de noter » ou « il convient de mentionner » — dis simplement la chose
+- Si quelque chose est ennuyeux mais nécessaire, dis-le franchement
+- Utilise des liens markdown naturellement dans ta réponse quand tu parles de produits ou de guides. Formule-les de façon conversationnelle, p. ex. « jetez un œil au [CELI de Wealthsimple](url) » ou « consultez [ce guide sur le REER](url) » — ne mets jamais simplement un terme en lien dans le texte comme « __CELI de Wealthsimple__ est solide »
+- Utilise des émojis naturellement — pas à chaque phrase, mais assez pour garder ça humain et amusant. Bons choix : 💸 argent, 📈 bons coups en placement, 🏠 achat d'une maison, 🔥 placements risqués, 🧊 trucs ennuyeux mais sûrs, 😬 risques/mises en garde, ✅ options solides, 🎯 point clé, 🤷 vraie incertitude, 🚀 potentiel de croissance, 💀 à éviter
+
+Si tu poses seulement une question de suivi, reste décontracté — une phrase, sur le ton de la conversation, sans mise en forme.`;
+
+const SYSTEM_PROMPTS = { en: SYSTEM_PROMPT, fr: SYSTEM_PROMPT_FR };
+
+const STARTER_PROMPTS = {
+  en: [
+    { emoji: "💸", text: "I make around $90k in Toronto and have like $15k just sitting in my chequing account doing nothing. Where do I even start?" },
+    { emoji: "🤷", text: "Everyone keeps saying RRSP vs TFSA. I'm 28 with my first real job. Which one first?" },
+    { emoji: "🏠", text: "My partner and I want to buy a house in 2–3 years. BC, combined ~$160k. Are we doing this right?" },
+    { emoji: "🔥", text: "I want to put some money into crypto or prediction markets but not be an idiot about it. Help." },
+    { emoji: "🛡️", text: "What is an options strategy I can use to protect my downside in an investment?" },
+  ],
+  fr: [
+    { emoji: "💸", text: "Je gagne environ 90 000 $ à Montréal et j'ai genre 15 000 $ qui dorment dans mon compte chèques. Je commence par où?" },
+    { emoji: "🤷", text: "Tout le monde parle de REER ou CELI. J'ai 28 ans et mon premier vrai emploi. Lequel en premier?" },
+    { emoji: "🏠", text: "Mon conjoint et moi voulons acheter une maison d'ici 2 ou 3 ans. Au Québec, environ 160 000 $ à deux. Est-ce qu'on s'y prend bien?" },
+    { emoji: "🧾", text: "Je suis au Québec : c'est quoi la différence entre le RRQ et le RPC, et pourquoi je fais deux déclarations de revenus?" },
+    { emoji: "🛡️", text: "Quelle stratégie d'options puis-je utiliser pour protéger un placement contre une baisse?" },
+  ],
+};
+
+// ── Markdown ───────────────────────────────────────────────
+// A small, safe Markdown subset for replies: headings, paragraphs, nested
+// lists, tables, block quotes, fenced code, emphasis, inline code and links.
+// It only ever builds React elements (never HTML strings), and links must be
+// http(s). Single newlines inside a paragraph are kept as line breaks, the way
+// chat replies are written.
+
+function safeHref(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "https:" || parsed.protocol === "http:" ? parsed.href : null;
+  } catch {
+    return null;
   }
-  if (last < text.length) parts.push(text.slice(last));
-  return parts.length ? parts : text;
 }
 
-function TypingIndicator() {
-  return (
-    <div className="typing-row">
-      <div className="msg-label">MoneyBuddy</div>
-      <div className="typing-money">
-        <span>💸</span><span>💸</span><span>💸</span>
-      </div>
-    </div>
-  );
+// code | **bold** | __bold__ | [text](url) | *em* | _em_ | bare https:// link
+const INLINE_SOURCE = [
+  "`([^`]+)`",
+  "\\*\\*(.+?)\\*\\*",
+  "__(.+?)__",
+  "\\[([^\\]]+)\\]\\(([^)\\s]+)\\)",
+  "(?<![\\w*])\\*(?!\\s)(.+?)(?<!\\s)\\*(?![\\w*])",
+  "(?<![\\w_])_(?!\\s)(.+?)(?<!\\s)_(?![\\w_])",
+  "(https?:\\/\\/[^\\s<>()]*[^\\s<>().,!?:;'\"])",
+].join("|");
+
+// Pages outside the catalogue get a warning instead of looking vetted
+function linkProps(url) {
+  return linkStatus(url) === "flagged"
+    ? { className: "md-link md-link--flagged", title: t("link.unreviewed") }
+    : { className: "md-link" };
 }
 
-// Detect if a message ends with a question and extract quick-reply options
-function extractQuickReplies(content) {
-  const lines = content.trim().split("\n").filter(l => l.trim());
+function renderInline(text, keyPrefix = "i") {
+  const out = [];
+  const re = new RegExp(INLINE_SOURCE, "g");
+  let last = 0, m;
+  while ((m = re.exec(text))) {
+    if (m.index > last) out.push(text.slice(last, m.index));
+    const key = `${keyPrefix}-${m.index}`;
+    const [, code, bold1, bold2, label, url, em1, em2, bare] = m;
+    if (code !== undefined) {
+      out.push(<code key={key} className="md-code">{code}</code>);
+    } else if (bold1 !== undefined || bold2 !== undefined) {
+      out.push(<strong key={key}>{renderInline(bold1 ?? bold2, key)}</strong>);
+    } else if (label !== undefined) {
+      const href = linkAllowed(url) && safeHref(localizeUrl(url));
+      out.push(href
+        ? <a key={key} {...linkProps(url)} href={href} target="_blank" rel="noopener noreferrer">{renderInline(label, key)}</a>
+        : <span key={key}>{renderInline(label, key)}</span>);
+    } else if (em1 !== undefined || em2 !== undefined) {
+      out.push(<em key={key}>{renderInline(em1 ?? em2, key)}</em>);
+    } else {
+      const href = linkAllowed(bare) && safeHref(localizeUrl(bare));
+      out.push(href ? <a key={key} {...linkProps(bare)} href={href} target="_blank" rel="noopener noreferrer">{bare}</a> : bare);
+    }
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) out.push(text.slice(last));
+  return out;
+}
 
-  // Only show pills if there are explicit numbered or lettered options
-  const optionPatterns = [
-    /^[A-D]\)\s+(.+)/,
-    /^\d+\.\s+(.+)/,
-    /^•\s+(.+)/,
-  ];
-  const options = lines
-    .map(l => {
-      for (const pat of optionPatterns) {
-        const m = l.match(pat);
-        if (m) return m[1].replace(/\*\*/g, "").trim();
-      }
-      return null;
-    })
-    .filter(Boolean);
+const LIST_ITEM = /^(\s*)([-*+•]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
 
-  // Reject if any option contains placeholders like $X, [X], <X>, or is too long
-  const hasPlaceholder = options.some(o =>
-    /\$X|\[.*?\]|<.*?>|\bX\b/.test(o) || o.length > 60
-  );
-  if (hasPlaceholder) return null;
+function splitRow(line) {
+  return line.trim().replace(/^\|/, "").replace(/\|$/, "").split(/(?<!\\)\|/).map(c => c.trim().replace(/\\\|/g, "|"));
+}
 
-  return options.length >= 2 ? options : null;
+function startsBlock(lines, i) {
+  const line = lines[i];
+  return /^\s*```/.test(line)
+    || /^#{1,6}\s/.test(line)
+    || /^\s*>/.test(line)
+    || /^\s*([-*_])(\s*\1){2,}\s*$/.test(line)
+    || LIST_ITEM.test(line)
+    || line.startsWith("⚠️")
+    || (line.includes("|") && TABLE_SEPARATOR.test(lines[i + 1] || ""));
 }
 
-function Message({ msg, isNew, onQuickReply }) {
-  const isUser = msg.role === "user";
-  const quickReplies = !isUser ? extractQuickReplies(msg.content) : null;
+// Nest flat list items by indentation
+function buildList(items, from) {
+  const base = items[from].indent;
+  const list = { type: "list", ordered: items[from].ordered, start: items[from].number, items: [] };
+  let i = from;
+  while (i < items.length && items[i].indent >= base) {
+    if (items[i].indent <= base + 1) {
+      if (items[i].ordered !== list.ordered) break; // switching bullets for numbers starts a new list
+      list.items.push({ text: items[i].text, children: [] });
+      i++;
+    } else {
+      const { list: sub, next } = buildList(items, i);
+      if (!list.items.length) list.items.push({ text: "", children: [] });
+      list.items[list.items.length - 1].children.push(sub);
+      i = next;
+    }
+  }
+  return { list, next: i };
+}
 
-  // If pills exist, strip the option lines from the bubble text
-  const optionLinePattern = /^([A-D]\)|[\d]+\.|•)\s+/;
-  const displayLines = quickReplies
-    ? msg.content.split("\n").filter(l => !optionLinePattern.test(l.trim()))
-    : msg.content.split("\n");
+function parseMarkdown(text) {
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  const blocks = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) { i++; continue; }
 
-  // Find the last non-empty line to bold it if it's a question
-  const trimmed = displayLines.filter(l => l.trim());
-  const lastLine = trimmed[trimmed.length - 1] || "";
-  const lastIsQuestion = !isUser && lastLine.trim().endsWith("?");
+    if (/^\s*```/.test(line)) {
+      const code = [];
+      i++;
+      while (i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i++]);
+      i++;
+      blocks.push({ type: "code", text: code.join("\n") });
+      continue;
+    }
 
-  return (
-    <div className={`message message--${msg.role} ${isNew ? "message--new" : ""}`}>
-      <div className="msg-label">{isUser ? "You" : "MoneyBuddy"}</div>
-      <div className="message__bubble">
-        {displayLines.map((line, i) => {
-          if (line.startsWith("⚠️")) return <p key={i} className="msg-warning">{renderLine(line)}</p>;
-          if (line.startsWith("- ") || line.startsWith("* ")) return <li key={i}>{renderLine(line.slice(2))}</li>;
-          if (line.trim() === "") return <br key={i} />;
-          const isQuestion = !isUser && line.includes("?");
-          return <p key={i} style={isQuestion ? { fontWeight: 600 } : {}}>{renderLine(line)}</p>;
-        })}
-      </div>
-      {quickReplies && (
-        <div className="quick-replies">
-          <div className="quick-replies__pills">
-            {quickReplies.map((r, i) => (
-              <button key={i} className="quick-pill" onClick={() => onQuickReply(r)}>{r}</button>
-            ))}
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      blocks.push({ type: "heading", level: heading[1].length, text: heading[2].replace(/\s#+\s*$/, "") });
+      i++;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      blocks.push({ type: "hr" });
+      i++;
+      continue;
+    }
+
+    if (line.includes("|") && TABLE_SEPARATOR.test(lines[i + 1] || "")) {
+      const header = splitRow(line);
+      const align = splitRow(lines[i + 1]).map(c => (c.endsWith(":") ? (c.startsWith(":") ? "center" : "right") : "left"));
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes("|") && lines[i].trim()) rows.push(splitRow(lines[i++]));
+      blocks.push({ type: "table", header, align, rows });
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ""));
+      blocks.push({ type: "quote", blocks: parseMarkdown(quoted.join("\n")) });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const items = [];
+      while (i < lines.length) {
+        const m = lines[i].match(LIST_ITEM);
+        if (m) {
+          items.push({
+            indent: m[1].replace(/\t/g, "    ").length,
+            ordered: /\d/.test(m[2]),
+            number: parseInt(m[2], 10) || 1,
+            text: m[3],
+          });
+          i++;
+        } else if (lines[i].trim() && /^\s{2,}/.test(lines[i])) {
+          items[items.length - 1].text += `\n${lines[i++].trim()}`; // continuation line
+        } else if (!lines[i].trim() && LIST_ITEM.test(lines[i + 1] || "")) {
+          i++; // loose list
+        } else {
+          break;
+        }
+      }
+      let at = 0;
+      while (at < items.length) {
+        const { list, next } = buildList(items, at);
+        blocks.push(list);
+        at = next;
+      }
+      continue;
+    }
+
+    const para = [];
+    do { para.push(lines[i++].trim()); } while (i < lines.length && lines[i].trim() && !startsBlock(lines, i));
+    blocks.push({ type: para[0].startsWith("⚠️") ? "callout" : "paragraph", lines: para });
+  }
+  return blocks;
+}
+
+// Lines of a paragraph, with questions emphasised so they stand out
+function renderLines(lines, key, highlightQuestions) {
+  return lines.flatMap((line, i) => {
+    const content = renderInline(line, `${key}-${i}`);
+    const node = highlightQuestions && line.endsWith("?")
+      ? <span key={`${key}-${i}`} className="md-question">{content}</span>
+      : <span key={`${key}-${i}`}>{content}</span>;
+    return i ? [<br key={`${key}-br${i}`} />, node] : [node];
+  });
+}
+
+// annotate(text) may return an extra node (e.g. a fact-check flag) for a block
+function renderBlocks(blocks, { annotate, highlightQuestions = true } = {}, keyPrefix = "b") {
+  const note = (text, key) => (annotate ? annotate(text, key) : null);
+
+  const renderList = (list, key) => {
+    const Tag = list.ordered ? "ol" : "ul";
+    return (
+      <Tag key={key} className="md-list" start={list.ordered && list.start !== 1 ? list.start : undefined}>
+        {list.items.map((item, j) => (
+          <li key={j}>
+            {renderLines(item.text.split("\n"), `${key}-${j}`, false)}
+            {note(item.text, `${key}-${j}-note`)}
+            {item.children.map((child, c) => renderList(child, `${key}-${j}-${c}`))}
+          </li>
+        ))}
+      </Tag>
+    );
+  };
+
+  return blocks.map((block, i) => {
+    const key = `${keyPrefix}${i}`;
+    switch (block.type) {
+      case "heading": {
+        const Tag = `h${Math.min(block.level + 2, 6)}`; // h1 in a reply is still a small heading
+        return <Tag key={key} className="md-heading">{renderInline(block.text, key)}</Tag>;
+      }
+      case "code":
+        return <pre key={key} className="md-pre"><code>{block.text}</code></pre>;
+      case "hr":
+        return <hr key={key} className="md-hr" />;
+      case "quote":
+        return <blockquote key={key} className="md-quote">{renderBlocks(block.blocks, { annotate, highlightQuestions }, `${key}q`)}</blockquote>;
+      case "list":
+        return renderList(block, key);
+      case "table":
+        return (
+          <div key={key} className="md-table-wrap">
+            <table className="md-table">
+              <thead>
+                <tr>{block.header.map((cell, c) => <th key={c} style={{ textAlign: block.align[c] }}>{renderInline(cell, `${key}h${c}`)}</th>)}</tr>
+              </thead>
+              <tbody>
+                {block.rows.map((row, r) => (
+                  <tr key={r}>
+                    {block.header.map((_, c) => <td key={c} style={{ textAlign: block.align[c] }}>{renderInline(row[c] || "", `${key}r${r}c${c}`)}</td>)}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {note(block.rows.map(r => r.join(" ")).join("\n"), `${key}-note`)}
           </div>
-          <div className="quick-replies__hint">or type your response below ↓</div>
-        </div>
-      )}
-    </div>
-  );
+        );
+      case "callout":
+        return <p key={key} className="msg-warning">{renderLines(block.lines, key, false)}</p>;
+      default:
+        return [
+          <p key={key}>{renderLines(block.lines, key, highlightQuestions)}</p>,
+          note(block.lines.join("\n"), `${key}-note`),
+        ];
+    }
+  });
 }
 
-const FEEDBACK_OPTIONS = [
-  { emoji: "🤑", label: "Love it" },
-  { emoji: "😏", label: "Good" },
-  { emoji: "😐", label: "So so" },
+// ── Redaction ──────────────────────────────────────────────
+// SINs, account and card numbers, phone numbers, addresses and employer names
+// never leave the browser. Every outbound request swaps them for numbered
+// placeholders ([SIN_1], [ACCOUNT_2]) and the vault built along the way puts
+// the originals back in whatever comes back. Placeholders are numbered per
+// request, in order of first appearance, so the same value gets the same one
+// across the whole history. Detection is pattern-based: rules within a type
+// run in order, and types run in the order listed.
+
+// Mod-10 check used by SINs and card numbers
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2) d = d * 2 > 9 ? d * 2 - 9 : d * 2;
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+const digitsOf = (text) => text.replace(/\D/g, "");
+
+// Capitalized only: lowercase "way" or "place" is ordinary English
+const STREET_SUFFIXES = ["Street", "St", "Avenue", "Ave", "Road", "Rd", "Boulevard", "Blvd", "Drive", "Dr", "Crescent", "Cres", "Court", "Ct", "Lane", "Ln", "Way", "Place", "Pl", "Terrace", "Highway", "Hwy", "Parkway", "Pkwy", "Circle", "Trail"].join("|");
+// Words that number things rather than houses: "Option 1 Plan Place"
+const LABEL_WORDS = ["option", "plan", "step", "scenario", "choice", "tier", "level", "phase", "goal", "idea", "part", "question", "étape", "choix", "scénario", "niveau"]
+  .flatMap(s => [s, s[0].toUpperCase() + s.slice(1)]).join("|");
+const RUE_TYPES = ["rue", "avenue", "av\\.", "boulevard", "boul\\.", "chemin", "ch\\.", "route", "rang", "montée", "place", "croissant", "promenade"]
+  .flatMap(s => [s, s[0].toUpperCase() + s.slice(1)]).join("|");
+const NAME_WORD = "[A-ZÀ-Ý0-9][\\wÀ-ÿ&'’-]*";
+
+const REDACTION_TYPES = [
+  {
+    id: "sin",
+    tag: "SIN",
+    label: { en: "SINs", fr: "NAS" },
+    numeric: true,
+    rules: [{ pattern: /(?<![\d$.,])\d{3}([ -]?)\d{3}\1\d{3}(?![.,]?\d)/g, valid: (m) => luhn(digitsOf(m)) }],
+  },
+  {
+    id: "account",
+    tag: "ACCOUNT",
+    label: { en: "Account and card numbers", fr: "Numéros de compte et de carte" },
+    numeric: true,
+    rules: [
+      // Anything numbered after an account word: "chequing account 0123-4567890", "compte no 12345678".
+      // Not amounts ("account balance is 25000000", "$") and not runs of years ("account 2024 2025")
+      {
+        pattern: /(?<=\b(?:account|acct|card|transit|policy|folio|member|compte|carte|police|membre)\b(?:(?!balance|solde)[^\d\n$]){0,20})(?<!(?<!\b(?:number|numéro|no\.?|#))\s+(?:is|est)\s+)\d[\d -]{4,22}\d/gi,
+        valid: (m) => digitsOf(m).length >= 7 && !/^(?:19|20)\d\d(?:[ -]+(?:19|20)\d\d)*$/.test(m),
+      },
+      // A bare 12–19 digit run that passes the card checksum
+      { pattern: /(?<![\d$.,])\d(?:[ -]?\d){11,18}(?![.,]?\d)/g, valid: (m) => luhn(digitsOf(m)) },
+    ],
+  },
+  {
+    id: "phone",
+    tag: "PHONE",
+    label: { en: "Phone numbers", fr: "Numéros de téléphone" },
+    numeric: true,
+    rules: [{ pattern: /(?<![\w$.,])(?:\+?1[ .-]?)?(?:\([2-9]\d{2}\)|[2-9]\d{2})[ .-]?\d{3}[ .-]?\d{4}(?![.,]?\d)/g }],
+  },
+  {
+    id: "address",
+    tag: "ADDRESS",
+    label: { en: "Street addresses and postal codes", fr: "Adresses et codes postaux" },
+    rules: [
+      // "12-345 Maple Grove Ave", "99 King St"; street name and type have to be capitalized
+      { pattern: new RegExp(`(?<!\\b(?:${LABEL_WORDS})\\s+)\\b\\d{1,6}(?:-\\d{1,6})?,?\\s+(?:${NAME_WORD}\\s+){1,3}(?:${STREET_SUFFIXES})\\b\\.?(?:\\s+[NSEW]\\b)?`, "g") },
+      // "1234, rue de la Montagne", "55 boul. Saint-Laurent"
+      { pattern: new RegExp(`\\b\\d{1,6}(?:-\\d{1,6})?,?\\s+(?:${RUE_TYPES})\\s+(?:(?:de la|du|des|de|la|le)\\s+|[dl]['’])?${NAME_WORD}(?:[ -]${NAME_WORD}){0,3}`, "g") },
+      { pattern: /\b[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d\b/gi },
+    ],
+  },
+  {
+    id: "employer",
+    tag: "EMPLOYER",
+    label: { en: "Employer names", fr: "Noms d'employeurs" },
+    rules: [{
+      pattern: new RegExp(`(?<=\\b(?:[Ii] work (?:at|for)|[Ii](?:'m| am) employed (?:at|by)|[Mm]y employer is|[Jj]e travaille (?:chez|pour)|[Mm]on employeur(?:,| est)|[Jj]e suis employée? (?:chez|par))\\s+(?:(?:the|la|le)\\s+|l['’])?)${NAME_WORD}(?:\\s+(?:(?:of|de|du|des|and|et|&)\\s+)?${NAME_WORD}){0,4}`, "g"),
+    }],
+  },
 ];
 
-function FeedbackPanel({ feedback, onSelect, feedbackRef }) {
-  return (
-    <div className="feedback-panel" ref={feedbackRef}>
-      <h3 className="feedback-title">Thoughts on our chat?</h3>
-      <div className="feedback-cards">
-        {FEEDBACK_OPTIONS.map((opt) => (
-          <button
-            key={opt.label}
-            className={`feedback-card ${feedback === opt.label ? "feedback-card--selected" : ""}`}
-            onClick={() => onSelect(opt.label)}
-          >
-            <span className="feedback-emoji">{opt.emoji}</span>
-            <span className="feedback-label">{opt.label}</span>
-          </button>
-        ))}
-      </div>
-      {feedback && <p className="feedback-thanks">Thanks for the feedback! 🙌</p>}
-    </div>
-  );
+const PLACEHOLDER_PATTERN = new RegExp(`\\[(?:${REDACTION_TYPES.map(r => r.tag).join("|")})_\\d+\\]`, "g");
+
+// Which types are masked. Module state like the locale, so request helpers
+// outside React read it too; remembered in localStorage.
+const REDACTION_KEY = "moneybuddy:redaction";
+
+let redactionSettings = Object.fromEntries(REDACTION_TYPES.map(r => [r.id, true]));
+
+function setRedactionSettings(next) {
+  redactionSettings = Object.fromEntries(REDACTION_TYPES.map(r => [r.id, next[r.id] !== false]));
+  try { localStorage.setItem(REDACTION_KEY, JSON.stringify(redactionSettings)); } catch { /* private mode */ }
 }
 
-export default function App() {
-  const [messages, setMessages] = useState([]);
-  const [input, setInput] = useState("");
-  const [loading, setLoading] = useState(false);
-  const [started, setStarted] = useState(false);
-  const [newMsgIndex, setNewMsgIndex] = useState(null);
-  const [feedback, setFeedback] = useState(null); // null | "selected emoji"
-  const [showFeedback, setShowFeedback] = useState(false);
-  const bottomRef = useRef(null);
-  const feedbackRef = useRef(null);
-  const inputRef = useRef(null);
+function initialRedactionSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(REDACTION_KEY)) || redactionSettings;
+  } catch {
+    return redactionSettings;
+  }
+}
 
-  useEffect(() => {
-    bottomRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages, loading]);
+// vault.values maps placeholder → original; vault.items is what the audit
+// log and preview show, with only a hint of the value
+function createVault() {
+  return { keys: new Map(), values: new Map(), items: [] };
+}
 
-  const sendMessage = async (text) => {
-    const userText = text || input.trim();
-    if (!userText || loading) return;
-    setInput("");
-    setStarted(true);
-    const newMessages = [...messages, { role: "user", content: userText }];
-    setMessages(newMessages);
-    setLoading(true);
+function redactionHint(type, value) {
+  return type.numeric ? `•••${digitsOf(value).slice(-3)}` : `${value.trim()[0]}•••`;
+}
+
+function redactText(text, vault, settings = redactionSettings) {
+  let out = text;
+  for (const type of REDACTION_TYPES.filter(r => settings[r.id])) {
+    for (const { pattern, valid } of type.rules) {
+      out = out.replace(pattern, (match) => {
+        if (valid && !valid(match)) return match;
+        // Spacing and case don't make a different value
+        const key = `${type.id}:${type.numeric ? digitsOf(match) : match.toLowerCase().replace(/\s+/g, " ")}`;
+        if (!vault.keys.has(key)) {
+          const placeholder = `[${type.tag}_${vault.items.filter(i => i.type === type.id).length + 1}]`;
+          vault.keys.set(key, placeholder);
+          vault.values.set(placeholder, match);
+          vault.items.push({ type: type.id, placeholder, hint: redactionHint(type, match) });
+        }
+        return vault.keys.get(key);
+      });
+    }
+  }
+  return out;
+}
+
+// Apply fn to every string inside a JSON-shaped value
+function mapStrings(value, fn) {
+  if (typeof value === "string") return fn(value);
+  if (Array.isArray(value)) return value.map(v => mapStrings(v, fn));
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, mapStrings(v, fn)]));
+  return value;
+}
+
+// Mask a request's messages; the system prompt is MoneyBuddy's own text
+function redactMessages(messages, settings = redactionSettings) {
+  const vault = createVault();
+  return { messages: mapStrings(messages, s => redactText(s, vault, settings)), vault };
+}
+
+// Put originals back into a reply, a tool's input or any other response
+function restorePii(value, vault) {
+  if (!vault.items.length) return value;
+  return mapStrings(value, s => s.replace(PLACEHOLDER_PATTERN, p => vault.values.get(p) ?? p));
+}
+
+// One audit record per request that masked anything. Hints only, never values.
+function logRedaction({ vault, ...entry }) {
+  if (!vault.items.length) return null;
+  return db.put("redactions", {
+    id: newId("redact"),
+    at: Date.now(),
+    types: REDACTION_TYPES.filter(r => redactionSettings[r.id]).map(r => r.id),
+    items: vault.items,
+    ...entry,
+  });
+}
+
+// ── Requests ───────────────────────────────────────────────
+// Failures the UI tells apart. kind is one of auth, rateLimit, overloaded,
+// server, network or badRequest; the proxy passes the API's status through.
+class ChatError extends Error {
+  constructor(kind, { status = null, retryAfter = null, message = kind } = {}) {
+    super(message);
+    this.name = "ChatError";
+    this.kind = kind;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+
+  get retryable() {
+    return ["rateLimit", "overloaded", "server", "network"].includes(this.kind);
+  }
+}
+
+// Messages-API error types, for errors that arrive inside a stream
+const ERROR_KINDS = {
+  authentication_error: "auth",
+  permission_error: "auth",
+  rate_limit_error: "rateLimit",
+  overloaded_error: "overloaded",
+  api_error: "server",
+  invalid_request_error: "badRequest",
+};
+
+function errorKindFor(status) {
+  if (status === 401 || status === 403) return "auth";
+  if (status === 429) return "rateLimit";
+  if (status === 529) return "overloaded";
+  if (status >= 500) return "server";
+  return "badRequest";
+}
+
+async function chatErrorFrom(response) {
+  let message = `HTTP ${response.status}`;
+  try { message = (await response.json()).error?.message || message; } catch { /* not JSON */ }
+  return new ChatError(errorKindFor(response.status), {
+    status: response.status,
+    retryAfter: Number(response.headers.get("retry-after")) || null,
+    message,
+  });
+}
+
+// Exponential backoff with jitter; the server's retry-after wins when it sends one
+function retryDelay(error, attempt) {
+  if (error.retryAfter) return error.retryAfter * 1000;
+  return Math.min(1000 * 2 ** attempt, 16000) * (0.75 + Math.random() * 0.5);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new DOMException("Aborted", "AbortError"));
+    }, { once: true });
+  });
+}
+
+// POST to the chat endpoint. Transient failures are retried before any reply
+// arrives; onRetry hears about each wait so the UI can say so.
+async function postChat(body, { signal, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let error;
     try {
-      const response = await fetch("https://api.anthropic.com/v1/messages", {
+      const response = await fetch(CHAT_CONFIG.endpoint, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
+        signal,
         body: JSON.stringify({
-          model: "claude-sonnet-4-20250514",
-          max_tokens: 1000,
-          system: SYSTEM_PROMPT,
-          messages: newMessages.map((m) => ({ role: m.role, content: m.content })),
+          model: CHAT_CONFIG.model,
+          max_tokens: CHAT_CONFIG.maxTokens,
+          metadata: { user_id: SESSION_ID },
+          ...body,
         }),
       });
-      const data = await response.json();
-      const assistantText = data.content?.[0]?.text || "Something went wrong. Please try again.";
-      const updated = [...newMessages, { role: "assistant", content: assistantText }];
-      setMessages(updated);
-      setNewMsgIndex(updated.length - 1);
-
-      // Show feedback after 4+ exchanges and the last message contains a wrap-up signal
-      const wrapSignals = /⚠️|final call|good luck|hope (this|that) helps|any (other|more) question/i;
-      const assistantTurns = updated.filter(m => m.role === "assistant").length;
-      if (assistantTurns >= 3 && wrapSignals.test(assistantText) && !showFeedback) {
-        setTimeout(() => {
-          setShowFeedback(true);
-          setTimeout(() => feedbackRef.current?.scrollIntoView({ behavior: "smooth", block: "start" }), 150);
-        }, 800);
-      }
-    } catch {
-      setMessages([...newMessages, { role: "assistant", content: "Connection error. Please try again." }]);
-    } finally {
-      setLoading(false);
-      setTimeout(() => inputRef.current?.focus(), 100);
+      if (response.ok) return response;
+      error = await chatErrorFrom(response);
+    } catch (err) {
+      if (err.name === "AbortError") throw err;
+      error = new ChatError("network", { message: err.message });
     }
-  };
+    if (!error.retryable || attempt >= CHAT_CONFIG.maxRetries) throw error;
+    const delay = retryDelay(error, attempt);
+    onRetry?.({ attempt: attempt + 1, delay, kind: error.kind });
+    await sleep(delay, signal);
+  }
+}
 
-  const handleKey = (e) => {
-    if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); sendMessage(); }
+// Read an Anthropic-style server-sent-event stream, calling onText with the
+// accumulated reply after every text delta. Resolves once the stream closes.
+async function readMessageStream(response, onText) {
+  if (!response.body) throw new ChatError("server", { message: "Empty response body" });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "", text = "", stopReason = null;
+  const usage = {};
+
+  const handleEvent = (raw) => {
+    const data = raw
+      .split("\n")
+      .filter(l => l.startsWith("data:"))
+      .map(l => l.slice(5).trim())
+      .join("");
+    if (!data) return;
+    let evt;
+    try { evt = JSON.parse(data); } catch { return; }
+    if (evt.type === "content_block_delta" && evt.delta?.type === "text_delta") {
+      text += evt.delta.text;
+      onText(text);
+    } else if (evt.type === "message_start") {
+      usage.input = evt.message?.usage?.input_tokens;
+    } else if (evt.type === "message_delta") {
+      stopReason = evt.delta?.stop_reason ?? stopReason;
+      usage.output = evt.usage?.output_tokens ?? usage.output;
+    } else if (evt.type === "error") {
+      throw new ChatError(ERROR_KINDS[evt.error?.type] || "server", { message: evt.error?.message || "Stream error" });
+    }
   };
 
-  return (
-    <>
-      <style>{`
-        @import url('https://fonts.googleapis.com/css2?family=Playfair+Display:ital,wght@0,700;0,900;1,700&family=Hanken+Grotesk:wght@300;400;500;600&display=swap');
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, "\n");
+    const events = buffer.split("\n\n");
+    buffer = events.pop();
+    events.forEach(handleEvent);
+  }
+  if (buffer.trim()) handleEvent(buffer);
+  return { text, stopReason, usage };
+}
 
-        *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+// One-shot (non-streaming) request for structured side calls. purpose names
+// the call in the redaction log.
+async function callModel(body, { signal, purpose = "model" } = {}) {
+  const { messages, vault } = redactMessages(body.messages);
+  logRedaction({ purpose, vault });
+  const response = await postChat({ ...body, messages }, { signal });
+  return restorePii(await response.json(), vault);
+}
 
-        :root {
-          --bg: #FAF8F4;
-          --black: #0A0A0A;
-          --muted: #888;
-          --rule: #D9D5CC;
-          --red: #E8321E;
-          --red-pale: #FEF1EF;
-          --green: #00C805;
-          --green-pale: #E6FFE6;
-        }
+// Force the model to answer through a single tool and return that tool's input
+async function callTool(tool, { system, messages, signal }) {
+  const data = await callModel(
+    { system, messages, tools: [tool], tool_choice: { type: "tool", name: tool.name } },
+    { signal, purpose: tool.name },
+  );
+  return data.content?.find(b => b.type === "tool_use")?.input ?? null;
+}
 
-        html, body { height: 100%; }
+// Flatten chat history into one readable transcript for side calls
+function transcriptOf(messages) {
+  return messages
+    .map(m => `${m.role === "user" ? "User" : "MoneyBuddy"}: ${m.content}`)
+    .join("\n\n");
+}
 
-        body {
-          font-family: 'Hanken Grotesk', sans-serif;
-          background: var(--bg);
-          color: var(--black);
-        }
+const PROVINCES = [
+  { code: "AB", name: { en: "Alberta", fr: "Alberta" } },
+  { code: "BC", name: { en: "British Columbia", fr: "Colombie-Britannique" } },
+  { code: "MB", name: { en: "Manitoba", fr: "Manitoba" } },
+  { code: "NB", name: { en: "New Brunswick", fr: "Nouveau-Brunswick" } },
+  { code: "NL", name: { en: "Newfoundland and Labrador", fr: "Terre-Neuve-et-Labrador" } },
+  { code: "NS", name: { en: "Nova Scotia", fr: "Nouvelle-Écosse" } },
+  { code: "NT", name: { en: "Northwest Territories", fr: "Territoires du Nord-Ouest" } },
+  { code: "NU", name: { en: "Nunavut", fr: "Nunavut" } },
+  { code: "ON", name: { en: "Ontario", fr: "Ontario" } },
+  { code: "PE", name: { en: "Prince Edward Island", fr: "Île-du-Prince-Édouard" } },
+  { code: "QC", name: { en: "Quebec", fr: "Québec" } },
+  { code: "SK", name: { en: "Saskatchewan", fr: "Saskatchewan" } },
+  { code: "YT", name: { en: "Yukon", fr: "Yukon" } },
+];
 
-        .app {
-          display: flex;
-          flex-direction: column;
-          height: 100vh;
-          max-width: 660px;
-          margin: 0 auto;
-          padding: 0 28px;
-        }
+const ACCOUNT_TYPES = ["TFSA", "RRSP", "FHSA", "RESP", "RDSP", "Non-registered", "Workplace pension", "Chequing/savings"];
 
-        /* HEADER */
-        .header {
-          display: flex;
-          align-items: flex-end;
-          justify-content: space-between;
-          padding: 22px 0 14px;
+// Fields of the structured profile, in panel order. `person` fields belong
+// to one partner in household mode; the rest are shared.
+const PROFILE_FIELDS = [
+  { key: "age", label: { en: "Age", fr: "Âge" }, kind: "number", person: true },
+  { key: "province", label: { en: "Province", fr: "Province" }, kind: "province", person: true },
+  { key: "income", label: { en: "Annual income", fr: "Revenu annuel" }, kind: "money", person: true },
+  { key: "pension", label: { en: "Pension or RRIF income", fr: "Revenu de pension ou de FERR" }, kind: "money", person: true },
+  { key: "householdIncome", label: { en: "Household income", fr: "Revenu du ménage" }, kind: "money", household: true },
+  { key: "savings", label: { en: "Savings", fr: "Épargne" }, kind: "money" },
+  { key: "debts", label: { en: "Debts", fr: "Dettes" }, kind: "text" },
+  { key: "goals", label: { en: "Goals", fr: "Objectifs" }, kind: "list" },
+  { key: "timeHorizon", label: { en: "Time horizon", fr: "Horizon de placement" }, kind: "text" },
+  { key: "accountTypes", label: { en: "Accounts held", fr: "Comptes détenus" }, kind: "list", person: true },
+  { key: "rrspRoom", label: { en: "RRSP room", fr: "Droits REER" }, kind: "money", person: true },
+  { key: "tfsaRoom", label: { en: "TFSA room", fr: "Droits CELI" }, kind: "money", person: true },
+  { key: "fhsaRoom", label: { en: "FHSA room", fr: "Droits CELIAPP" }, kind: "money", person: true },
+];
+
+const PERSON_FIELDS = PROFILE_FIELDS.filter(f => f.person);
+
+const emptyValues = (fields) => Object.fromEntries(fields.map(f => [f.key, f.kind === "list" ? [] : null]));
+
+const EMPTY_PROFILE = {
+  values: emptyValues(PROFILE_FIELDS),
+  edited: {}, // field key -> true once the user has set it by hand
+  unknown: [], // field keys the model says still matter but haven't been stated
+  partner: null, // { values, edited } for the second person in household mode
+  householdSet: false, // true once the user has added or removed the partner by hand
+};
+
+const EMPTY_PARTNER = { values: emptyValues(PERSON_FIELDS), edited: {} };
+
+// What the extraction records for one person (the user, or their partner)
+const PERSON_SCHEMA = {
+  age: { type: ["integer", "null"] },
+  province: { type: ["string", "null"], enum: [...PROVINCES.map(p => p.code), null] },
+  income: { type: ["number", "null"], description: "This person's own gross annual income in CAD, not the household's" },
+  pension: { type: ["number", "null"], description: "Yearly workplace pension, RRIF or annuity income in CAD" },
+  accountTypes: { type: "array", items: { type: "string", enum: ACCOUNT_TYPES } },
+  rrspRoom: { type: ["number", "null"], description: "Unused RRSP deduction room in CAD, as they stated it" },
+  tfsaRoom: { type: ["number", "null"], description: "Unused TFSA room in CAD, as they stated it" },
+  fhsaRoom: { type: ["number", "null"], description: "FHSA room available this year in CAD, as they stated it" },
+};
+
+const PROFILE_TOOL = {
+  name: "record_profile",
+  description: "Record what the user has actually stated about their finances. Use null (or an empty list) for anything they haven't said. Never guess or fill in typical values.",
+  input_schema: {
+    type: "object",
+    properties: {
+      ...PERSON_SCHEMA,
+      householdIncome: { type: ["number", "null"], description: "Combined gross income of a couple, when that's the figure they gave" },
+      savings: { type: ["number", "null"], description: "Cash and investments in CAD" },
+      debts: { type: ["string", "null"], description: "Short description, e.g. \"$12k student loan, $3k credit card\"" },
+      goals: { type: "array", items: { type: "string" } },
+      timeHorizon: { type: ["string", "null"], description: "e.g. \"2–3 years\"" },
+      partner: {
+        type: ["object", "null"],
+        description: "Their spouse or common-law partner, once they talk about money as a couple; the same fields, for the partner",
+        properties: PERSON_SCHEMA,
+      },
+      unknown: {
+        type: "array",
+        items: { type: "string", enum: PROFILE_FIELDS.map(f => f.key) },
+        description: "Fields that still matter for their question but haven't been stated",
+      },
+    },
+    required: ["goals", "accountTypes", "unknown"],
+  },
+};
+
+const PROFILE_SYSTEM = "You extract a structured financial profile from a coaching conversation between a Canadian user and MoneyBuddy. Only record facts the user stated or confirmed. Fields the user already set by hand are shown as confirmed; keep them as-is. When they plan as a couple, record their partner's own figures under partner and never split a combined figure between them yourself.";
+
+function isBlank(value) {
+  return value === null || value === undefined || value === "" || (Array.isArray(value) && value.length === 0);
+}
+
+// Returns the raw tool input; merge it with mergeProfile against the latest state
+function extractProfile(messages, profile, memory) {
+  return callTool(PROFILE_TOOL, {
+    system: PROFILE_SYSTEM,
+    messages: [{
+      role: "user",
+      content: `Current profile (JSON):\n${JSON.stringify({ ...profile.values, partner: profile.partner?.values ?? null })}\nConfirmed by user: ${[...Object.keys(profile.edited), ...Object.keys(profile.partner?.edited || {}).map(k => `partner.${k}`)].join(", ") || "none"}\n\nConversation:\n${recentTranscript(messages, memory)}`,
+    }],
+  });
+}
+
+// Model output never overwrites a field the user edited, and never blanks a
+// known one. A partner it finds switches on household mode, unless the user
+// has already added or removed one by hand.
+function mergeProfile(profile, extracted) {
+  const merge = (person, found, fields) => {
+    const values = { ...person.values };
+    for (const { key } of fields) {
+      if (person.edited[key] || isBlank(found[key])) continue;
+      values[key] = found[key];
+    }
+    return values;
+  };
+  let partner = profile.partner || null;
+  const found = extracted.partner && typeof extracted.partner === "object" ? extracted.partner : null;
+  // An all-blank partner is the model saying there isn't one, not a household
+  if (found && PERSON_FIELDS.some(f => !isBlank(found[f.key])) && (partner || !profile.householdSet)) {
+    const current = partner || EMPTY_PARTNER;
+    partner = { ...current, values: merge(current, found, PERSON_FIELDS) };
+  }
+  return { ...profile, values: merge(profile, extracted, PROFILE_FIELDS), unknown: extracted.unknown || profile.unknown, partner };
+}
+
+function unknownFields(profile) {
+  return PROFILE_FIELDS.filter(f => profile.unknown.includes(f.key) && isBlank(profile.values[f.key]));
+}
+
+// "$1,000" in English, "1 000 $" in French; cents only when there are any
+function formatMoney(n) {
+  const digits = Number.isInteger(Number(n)) ? 0 : 2;
+  return Number(n).toLocaleString(intlLocale(), { style: "currency", currency: "CAD", minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function formatProfileValue(field, value) {
+  if (isBlank(value)) return "";
+  if (field.kind === "money") return formatMoney(value);
+  if (field.kind === "list") return value.join(", ");
+  return String(value);
+}
+
+// Text block prepended to the outbound user turn so the model sees the profile
+function profileContext(profile) {
+  const known = PROFILE_FIELDS
+    .filter(f => !isBlank(profile.values[f.key]))
+    .map(f => `- ${f.label.en}: ${formatProfileValue(f, profile.values[f.key])}${profile.edited[f.key] ? " (confirmed by user)" : ""}`);
+  const unknown = unknownFields(profile).map(f => f.label.en.toLowerCase());
+  if (!known.length && !unknown.length) return null;
+  return `[Profile]\n${known.join("\n")}${unknown.length ? `\nStill unknown: ${unknown.join(", ")}` : ""}\n[/Profile]`;
+}
+
+// The household card's figures from the profile, once both incomes are known
+function householdFromProfile(profile) {
+  const you = profile.values, partner = profile.partner?.values;
+  const province = you.province || partner?.province;
+  if (!partner || isBlank(you.income) || isBlank(partner.income) || !province) return null;
+  return householdTax({ province, income: you.income, partnerIncome: partner.income, pension: you.pension || 0, partnerPension: partner.pension || 0 });
+}
+
+// The partner's side of the profile and what planning as a couple changes
+function householdContext(profile) {
+  if (!profile.partner) return null;
+  const { values, edited } = profile.partner;
+  const known = PERSON_FIELDS
+    .filter(f => !isBlank(values[f.key]))
+    .map(f => `- ${f.label.en}: ${formatProfileValue(f, values[f.key])}${edited[f.key] ? " (confirmed by user)" : ""}`);
+  const lines = ["Partner:", ...(known.length ? known : ["- Nothing stated yet"])];
+  const r = householdFromProfile(profile);
+  const who = (i) => (i ? "partner" : "user");
+  if (r) {
+    lines.push(
+      `Combined: ${formatMoney(r.combined.income)} income, about ${formatMoney(r.combined.tax)} income tax (${formatPct(r.combined.averageRate)} average)`,
+      ...r.people.map((p, i) => `- ${i ? "Partner" : "User"}: ${formatMoney(p.tax)} tax, marginal rate ${formatPct(p.marginalRate)}`),
+    );
+    if (r.split) lines.push(`- Pension income splitting: moving ${formatMoney(r.split.amount)} from the ${who(r.split.from)} to the ${who(r.split.to)} saves ${formatMoney(r.split.saved)} a year`);
+    else if (r.canSplit) lines.push("- Pension income splitting wouldn't lower their combined tax");
+    if (r.spousal.rateGap >= 0.05) {
+      lines.push(`- Marginal rates differ by ${Math.round(r.spousal.rateGap * 1000) / 10} percentage points: a spousal RRSP lets the ${who(r.spousal.contributor)} deduct now and the ${who(r.spousal.annuitant)} be taxed on withdrawals, once ${r.spousal.attributionYears} calendar years pass without a contribution`);
+    }
+    lines.push(`- Claims: medical expenses on the ${who(r.medicalClaimant)}'s return, child care on the ${who(r.childCareClaimant)}'s, donations pooled on the ${who(r.donationClaimant)}'s`);
+  }
+  return `[Household]\nThe user is planning with their partner; the [Profile] is the user's own. TFSA, RRSP and FHSA room belong to each person and can't be pooled (a spousal RRSP uses the contributor's room), so give per-person amounts.\n${lines.join("\n")}\n[/Household]`;
+}
+
+// Chat history in API shape, with context blocks ahead of the latest user turn
+function buildApiMessages(messages, contextBlocks = []) {
+  const api = messages.map(m => ({ role: m.role, content: m.content }));
+  const context = contextBlocks.filter(Boolean).join("\n\n");
+  const last = api[api.length - 1];
+  if (context && last?.role === "user") last.content = `${context}\n\n${last.content}`;
+  return api;
+}
+
+// ── Session memory ─────────────────────────────────────────
+// Long chats don't resend everything. Once the history passes
+// CHAT_CONFIG.historyBudget, the oldest turns are folded into a rolling
+// summary and only the rest goes out. The full transcript stays on screen and
+// in the saved session; memory.through is the first message still sent as-is.
+
+// About four characters per token in English; close enough for a budget
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+function historyTokens(messages) {
+  return messages.reduce((sum, m) => sum + estimateTokens(m.content) + 4, 0);
+}
+
+// Pinned facts come from the profile on every request, so condensing never loses them
+const PINNED_FACTS = ["province", "income", "goals"];
+
+const MEMORY_TOOL = {
+  name: "record_session_memory",
+  description: "Fold older turns of a money-coaching conversation into a short running memory.",
+  input_schema: {
+    type: "object",
+    properties: {
+      summary: { type: "string", description: "What was discussed and explained so far, in a few sentences" },
+      keyFacts: { type: "array", items: { type: "string" }, description: "Facts about the user's situation and decisions they've made, one per item" },
+    },
+    required: ["summary", "keyFacts"],
+  },
+};
+
+const MEMORY_SYSTEM = "You keep the running memory of a long money-coaching conversation so older turns can be dropped. Merge the current memory with the new turns. Always keep the user's province, income and goals, plus any numbers they gave. No advice, no emoji.";
+
+// Where the kept history should start: the earliest user turn that brings it
+// back under half the budget, never past the latest exchange. Null if no cut is due.
+function condenseCut(messages, memory) {
+  const from = memory?.through || 0;
+  if (historyTokens(messages.slice(from)) <= CHAT_CONFIG.historyBudget) return null;
+  const lastUser = messages.findLastIndex(m => m.role === "user");
+  const cuts = messages.map((m, i) => i).filter(i => i > from && i < lastUser && messages[i].role === "user");
+  if (!cuts.length) return null;
+  return cuts.find(i => historyTokens(messages.slice(i)) <= CHAT_CONFIG.historyBudget / 2) ?? cuts[cuts.length - 1];
+}
+
+async function condenseMemory(messages, memory, cut) {
+  const current = memory ? `Current memory:\n${memory.summary}\n${memory.keyFacts.map(f => `- ${f}`).join("\n")}\n\n` : "";
+  const input = await callTool(MEMORY_TOOL, {
+    system: MEMORY_SYSTEM + languageNote(),
+    messages: [{ role: "user", content: `${current}Turns to fold in:\n${transcriptOf(messages.slice(memory?.through || 0, cut))}` }],
+  });
+  if (!input?.summary) return null;
+  return { summary: input.summary, keyFacts: input.keyFacts || [], through: cut, at: Date.now() };
+}
+
+// Text block sent ahead of the latest user turn in place of the condensed turns
+function memoryContext(memory, profile) {
+  if (!memory) return null;
+  const pinned = PROFILE_FIELDS
+    .filter(f => PINNED_FACTS.includes(f.key) && !isBlank(profile.values[f.key]))
+    .map(f => `- ${f.label.en}: ${formatProfileValue(f, profile.values[f.key])}`);
+  const facts = [...pinned, ...memory.keyFacts.map(f => `- ${f}`)];
+  return `[Session memory]\nEarlier turns of this conversation were condensed. What you need from them:\n${memory.summary}${facts.length ? `\n${facts.join("\n")}` : ""}\n[/Session memory]`;
+}
+
+// Side-call transcript: once turns are condensed, the memory stands in for
+// them and only the turns after its cut-off go out in full
+function recentTranscript(messages, memory) {
+  if (!(memory?.through < messages.length)) return transcriptOf(messages);
+  const facts = memory.keyFacts.map(f => `\n- ${f}`).join("");
+  return `Earlier turns (condensed):\n${memory.summary}${facts}\n\n${transcriptOf(messages.slice(memory.through))}`;
+}
+
+const CURRENT_YEAR = new Date().getFullYear();
+
+// ── Canadian tax rules ─────────────────────────────────────
+// Versioned, year-keyed reference data. Every number the app shows or feeds
+// the model comes from here, so a rule change is a one-place edit: update the
+// figures, bump version and reviewed. Brackets are [upper bound, rate] pairs.
+// Sources: CRA indexation notices and provincial budgets; Revenu Québec for QC.
+const TAX_RULES = {
+  version: "2025.6",
+  reviewed: "2026-02-25",
+
+  // Contribution limits keep their own history back to each account's launch
+  limits: {
+    tfsa: {
+      2009: 5000, 2010: 5000, 2011: 5000, 2012: 5000, 2013: 5500, 2014: 5500,
+      2015: 10000, 2016: 5500, 2017: 5500, 2018: 5500, 2019: 6000, 2020: 6000,
+      2021: 6000, 2022: 6000, 2023: 6500, 2024: 7000, 2025: 7000, 2026: 7000,
+    },
+    // RRSP dollar limit by deduction year (caps the 18% of earned income)
+    rrsp: {
+      2020: 27230, 2021: 27830, 2022: 29210, 2023: 30780, 2024: 31560, 2025: 32490, 2026: 33810,
+    },
+    fhsa: { since: 2023, annual: 8000, lifetime: 40000, carryForwardMax: 8000 },
+    // Labour-sponsored fund shares (e.g. Fonds de solidarité FTQ) bought by Quebec residents
+    labourFund: { quebecCredit: 0.15, federalCredit: 0.15, maxPurchase: 5000 },
+  },
+
+  // Public pensions in today's dollars (2025 amounts). CPP/QPP and OAS change
+  // per month started before or after 65. RRIF minimums are the prescribed
+  // factors by age on January 1; before 71 the factor is 1 / (90 − age).
+  retirement: {
+    cpp: { maxAt65: 17196, earliest: 60, latest: 70, earlyReduction: 0.006, lateIncrease: 0.007 },
+    oas: { at65: 8732, earliest: 65, latest: 70, lateIncrease: 0.006, increaseAt75: 0.10 },
+    rrspConvertBy: 71,
+    rrifMinimums: {
+      71: 0.0528, 72: 0.054, 73: 0.0553, 74: 0.0567, 75: 0.0582, 76: 0.0598, 77: 0.0617, 78: 0.0636, 79: 0.0658, 80: 0.0682,
+      81: 0.0708, 82: 0.0738, 83: 0.0771, 84: 0.0808, 85: 0.0851, 86: 0.0899, 87: 0.0955, 88: 0.1021, 89: 0.1099, 90: 0.1192,
+      91: 0.1306, 92: 0.1449, 93: 0.1634, 94: 0.1879, 95: 0.20,
+    },
+  },
+
+  // Buying a first home. HBP repayments start the second year after the
+  // withdrawal (the fifth for withdrawals in 2022–2025). Insured mortgages
+  // need 5% down on the first $500k and 10% above, up to the price cap;
+  // CMHC premiums are by loan-to-value, and ON, QC and SK charge sales tax on
+  // them, paid at closing. Land transfer brackets are [upper bound, rate];
+  // provinces left out only charge registration fees or vary by municipality.
+  home: {
+    hbp: { maxWithdrawal: 60000, repaymentYears: 15, graceYears: 2, extendedGrace: { from: 2022, to: 2025, years: 5 } },
+    insuredPriceCap: 1500000,
+    minimumDown: [[500000, 0.05], [1500000, 0.10]],
+    cmhcPremiums: [[0.65, 0.006], [0.75, 0.017], [0.80, 0.024], [0.85, 0.028], [0.90, 0.031], [0.95, 0.04]],
+    premiumSalesTax: { ON: 0.08, QC: 0.09, SK: 0.06 },
+    landTransfer: {
+      AB: { brackets: [] },
+      SK: { brackets: [] },
+      NL: { brackets: [] },
+      BC: { brackets: [[200000, 0.01], [2000000, 0.02], [3000000, 0.03], [Infinity, 0.05]], firstTime: { exemptUpTo: 500000, fullBelow: 835000, noneFrom: 860000 } },
+      MB: { brackets: [[30000, 0], [90000, 0.005], [150000, 0.01], [200000, 0.015], [Infinity, 0.02]] },
+      NB: { brackets: [[Infinity, 0.01]] },
+      ON: { brackets: [[55000, 0.005], [250000, 0.01], [400000, 0.015], [2000000, 0.02], [Infinity, 0.025]], firstTime: { maxRebate: 4000 } },
+      PE: { brackets: [[Infinity, 0.01]], firstTime: { exempt: true } },
+      QC: { brackets: [[61500, 0.005], [307800, 0.01], [Infinity, 0.015]] },
+    },
+  },
+
+  // Couples. Up to half of eligible pension income (a workplace pension at
+  // any age, RRIF or annuity income from 65) can move to the other partner's
+  // return. Spousal RRSP withdrawals are taxed back to the contributor if
+  // they contributed in the year or the two before. Medical expenses count
+  // above the lesser of 3% of net income and the dollar floor.
+  household: {
+    pensionSplitMax: 0.5,
+    spousalAttributionYears: 3,
+    medicalThreshold: { rate: 0.03, max: 2834 },
+  },
+
+  years: {
+    2024: {
+      federal: {
+        brackets: [[55867, 0.15], [111733, 0.205], [173205, 0.26], [246752, 0.29], [Infinity, 0.33]],
+        bpa: 15705,
+        bpaMin: 14156, // phased down between the 3rd and 4th bracket thresholds
+        creditRate: 0.15,
+        quebecAbatement: 0.165,
+      },
+      provinces: {
+        AB: { brackets: [[148269, 0.10], [177922, 0.12], [237230, 0.13], [355845, 0.14], [Infinity, 0.15]], bpa: 21885 },
+        BC: { brackets: [[47937, 0.0506], [95875, 0.077], [110076, 0.105], [133664, 0.1229], [181232, 0.147], [252752, 0.168], [Infinity, 0.205]], bpa: 12580 },
+        MB: { brackets: [[47000, 0.108], [100000, 0.1275], [Infinity, 0.174]], bpa: 15780 },
+        NB: { brackets: [[49958, 0.094], [99916, 0.14], [185064, 0.16], [Infinity, 0.195]], bpa: 13044 },
+        NL: { brackets: [[43198, 0.087], [86395, 0.145], [154244, 0.158], [215943, 0.178], [275870, 0.198], [551739, 0.208], [1103478, 0.213], [Infinity, 0.218]], bpa: 10818 },
+        NS: { brackets: [[29590, 0.0879], [59180, 0.1495], [93000, 0.1667], [150000, 0.175], [Infinity, 0.21]], bpa: 8744 },
+        NT: { brackets: [[50597, 0.059], [101198, 0.086], [164525, 0.122], [Infinity, 0.1405]], bpa: 17373 },
+        NU: { brackets: [[53268, 0.04], [106537, 0.07], [173205, 0.09], [Infinity, 0.115]], bpa: 18767 },
+        ON: { brackets: [[51446, 0.0505], [102894, 0.0915], [150000, 0.1116], [220000, 0.1216], [Infinity, 0.1316]], bpa: 12399, surtax: [[5554, 0.20], [7108, 0.36]] },
+        PE: { brackets: [[32656, 0.0965], [64313, 0.1363], [105000, 0.1665], [140000, 0.18], [Infinity, 0.1875]], bpa: 13500 },
+        QC: { brackets: [[51780, 0.14], [103545, 0.19], [126000, 0.24], [Infinity, 0.2575]], bpa: 18056 },
+        SK: { brackets: [[52057, 0.105], [148734, 0.125], [Infinity, 0.145]], bpa: 18491 },
+        YT: { brackets: [[55867, 0.064], [111733, 0.09], [173205, 0.109], [500000, 0.128], [Infinity, 0.15]], bpa: 15705 },
+      },
+      capitalGainsInclusion: 0.5,
+      rrspDeadline: "2025-03-03",
+      cpp: { ympe: 68500, yampe: 73200, basicExemption: 3500, rate: 0.0595, secondRate: 0.04 },
+      qpp: { rate: 0.064, secondRate: 0.04 },
+      qpip: { rate: 0.00494, maxInsurable: 94000 },
+      ei: { maxInsurable: 63200, rate: 0.0166, quebecRate: 0.0132 },
+      oas: { clawbackThreshold: 90997, clawbackRate: 0.15 },
+    },
+    2025: {
+      federal: {
+        // 14.5% is the blended lowest rate for 2025 (15% cut to 14% on July 1)
+        brackets: [[57375, 0.145], [114750, 0.205], [177882, 0.26], [253414, 0.29], [Infinity, 0.33]],
+        bpa: 16129,
+        bpaMin: 14538,
+        creditRate: 0.145,
+        quebecAbatement: 0.165,
+      },
+      provinces: {
+        AB: { brackets: [[60000, 0.08], [151234, 0.10], [181481, 0.12], [241974, 0.13], [362961, 0.14], [Infinity, 0.15]], bpa: 22323, creditRate: 0.10 },
+        BC: { brackets: [[49279, 0.0506], [98560, 0.077], [113158, 0.105], [137407, 0.1229], [186306, 0.147], [259829, 0.168], [Infinity, 0.205]], bpa: 12932 },
+        MB: { brackets: [[47000, 0.108], [100000, 0.1275], [Infinity, 0.174]], bpa: 15969 },
+        NB: { brackets: [[51306, 0.094], [102614, 0.14], [190060, 0.16], [Infinity, 0.195]], bpa: 13396 },
+        NL: { brackets: [[44192, 0.087], [88382, 0.145], [157792, 0.158], [220910, 0.178], [282214, 0.198], [564429, 0.208], [1128858, 0.213], [Infinity, 0.218]], bpa: 11067 },
+        NS: { brackets: [[30507, 0.0879], [61015, 0.1495], [95883, 0.1667], [154650, 0.175], [Infinity, 0.21]], bpa: 11744 },
+        NT: { brackets: [[51964, 0.059], [103930, 0.086], [168967, 0.122], [Infinity, 0.1405]], bpa: 17842 },
+        NU: { brackets: [[54707, 0.04], [109413, 0.07], [177881, 0.09], [Infinity, 0.115]], bpa: 19274 },
+        ON: { brackets: [[52886, 0.0505], [105775, 0.0915], [150000, 0.1116], [220000, 0.1216], [Infinity, 0.1316]], bpa: 12747, surtax: [[5710, 0.20], [7307, 0.36]] },
+        PE: { brackets: [[33328, 0.095], [64656, 0.1347], [105000, 0.166], [140000, 0.1762], [Infinity, 0.19]], bpa: 14250 },
+        QC: { brackets: [[53255, 0.14], [106495, 0.19], [129590, 0.24], [Infinity, 0.2575]], bpa: 18571 },
+        SK: { brackets: [[53463, 0.105], [152750, 0.125], [Infinity, 0.145]], bpa: 19491 },
+        YT: { brackets: [[57375, 0.064], [114750, 0.09], [177882, 0.109], [500000, 0.128], [Infinity, 0.15]], bpa: 16129 },
+      },
+      capitalGainsInclusion: 0.5,
+      rrspDeadline: "2026-03-02",
+      cpp: { ympe: 71300, yampe: 81200, basicExemption: 3500, rate: 0.0595, secondRate: 0.04 },
+      qpp: { rate: 0.064, secondRate: 0.04 },
+      qpip: { rate: 0.00494, maxInsurable: 98000 },
+      ei: { maxInsurable: 65700, rate: 0.0164, quebecRate: 0.0131 },
+      oas: { clawbackThreshold: 93454, clawbackRate: 0.15 },
+    },
+  },
+};
+
+// Latest tax year with full bracket data that isn't in the future
+const TAX_YEAR = Math.max(...Object.keys(TAX_RULES.years).map(Number).filter(y => y <= CURRENT_YEAR));
+
+function taxRulesFor(year = TAX_YEAR) {
+  return TAX_RULES.years[year] || TAX_RULES.years[TAX_YEAR];
+}
+
+function bracketTax(income, brackets) {
+  let tax = 0, floor = 0;
+  for (const [upTo, rate] of brackets) {
+    if (income <= floor) break;
+    tax += (Math.min(income, upTo) - floor) * rate;
+    floor = upTo;
+  }
+  return tax;
+}
+
+// Federal basic personal amount shrinks for high earners
+function federalBpa(income, federal) {
+  const start = federal.brackets[2][0], end = federal.brackets[3][0];
+  if (income <= start) return federal.bpa;
+  if (income >= end) return federal.bpaMin;
+  return federal.bpa - (federal.bpa - federal.bpaMin) * (income - start) / (end - start);
+}
+
+// Income tax for one taxable income, before credits other than the basic personal amount
+function incomeTax(income, province, rules) {
+  const { federal } = rules;
+  const prov = rules.provinces[province];
+  let federalTax = Math.max(0, bracketTax(income, federal.brackets) - federal.creditRate * federalBpa(income, federal));
+  if (province === "QC") federalTax *= 1 - federal.quebecAbatement;
+  let provincialTax = 0;
+  if (prov) {
+    const creditRate = prov.creditRate ?? prov.brackets[0][1];
+    provincialTax = Math.max(0, bracketTax(income, prov.brackets) - creditRate * prov.bpa);
+    // Ontario's surtax tiers are both measured on the basic tax, not on each other
+    const basic = provincialTax;
+    for (const [over, rate] of prov.surtax || []) provincialTax += Math.max(0, basic - over) * rate;
+  }
+  return { federalTax, provincialTax, total: federalTax + provincialTax };
+}
+
+// Marginal and average tax for a taxable income in a province. Covers the
+// basic personal amounts, Quebec abatement and Ontario surtax; ignores other
+// credits and health premiums. Payroll contributions are in payrollContributions.
+function computeTax({ income, province, year = TAX_YEAR }) {
+  const rules = taxRulesFor(year);
+  const base = incomeTax(income, province, rules);
+  const next = incomeTax(income + 100, province, rules);
+  return {
+    year: TAX_RULES.years[year] ? year : TAX_YEAR,
+    province,
+    federal: Math.round(base.federalTax),
+    provincial: Math.round(base.provincialTax),
+    total: Math.round(base.total),
+    averageRate: income > 0 ? base.total / income : 0,
+    marginalRate: (next.total - base.total) / 100,
+  };
+}
+
+// Employee CPP/QPP, EI and (in Quebec) QPIP contributions on employment income
+function payrollContributions({ income, province, year = TAX_YEAR }) {
+  const rules = taxRulesFor(year);
+  const pension = province === "QC" ? { ...rules.cpp, ...rules.qpp } : rules.cpp;
+  const base = Math.max(0, Math.min(income, rules.cpp.ympe) - rules.cpp.basicExemption) * pension.rate;
+  const second = Math.max(0, Math.min(income, rules.cpp.yampe) - rules.cpp.ympe) * pension.secondRate;
+  const ei = Math.min(income, rules.ei.maxInsurable) * (province === "QC" ? rules.ei.quebecRate : rules.ei.rate);
+  const qpip = province === "QC" ? Math.min(income, rules.qpip.maxInsurable) * rules.qpip.rate : 0;
+  return { pension: Math.round(base + second), ei: Math.round(ei), qpip: Math.round(qpip) };
+}
+
+// What's left of a salary after income tax and payroll contributions
+function takeHomePay({ income, province, year = TAX_YEAR }) {
+  const tax = computeTax({ income, province, year });
+  const payroll = payrollContributions({ income, province, year });
+  return { ...payroll, tax: tax.total, net: income - tax.total - payroll.pension - payroll.ei - payroll.qpip };
+}
+
+function formatPct(rate) {
+  return new Intl.NumberFormat(intlLocale(), { style: "percent", maximumFractionDigits: 2 }).format(rate);
+}
+
+// Reference figures appended to the system prompt so replies quote the table, not memory
+function taxGrounding(profile) {
+  const rules = taxRulesFor();
+  const { limits } = TAX_RULES;
+  const brackets = (b) => b.map(([upTo, rate]) => `${formatPct(rate)}${upTo === Infinity ? " above" : ` to ${formatMoney(upTo)}`}`).join(", ");
+  const province = profile?.values.province;
+  const lines = [
+    `[Tax rules v${TAX_RULES.version} — ${TAX_YEAR} tax year. Quote these figures, not your memory.]`,
+    `- TFSA limit: ${formatMoney(limitFor(limits.tfsa, CURRENT_YEAR).value)} for ${CURRENT_YEAR}; RRSP dollar limit ${formatMoney(limitFor(limits.rrsp, CURRENT_YEAR).value)} for ${CURRENT_YEAR} (18% of prior-year earned income)`,
+    `- FHSA: ${formatMoney(limits.fhsa.annual)} a year, ${formatMoney(limits.fhsa.lifetime)} lifetime, carry forward up to ${formatMoney(limits.fhsa.carryForwardMax)}`,
+    `- RRSP deadline for ${TAX_YEAR} contributions: ${rules.rrspDeadline}`,
+    `- Capital gains inclusion rate: ${formatPct(rules.capitalGainsInclusion)}`,
+    `- CPP: YMPE ${formatMoney(rules.cpp.ympe)}, rate ${formatPct(rules.cpp.rate)}; EI max insurable ${formatMoney(rules.ei.maxInsurable)}; OAS clawback starts at ${formatMoney(rules.oas.clawbackThreshold)}`,
+    `- Federal brackets: ${brackets(rules.federal.brackets)}`,
+  ];
+  if (province && rules.provinces[province]) {
+    lines.push(`- ${province} brackets: ${brackets(rules.provinces[province].brackets)}`);
+    const income = profile.values.income;
+    if (income) {
+      const tax = computeTax({ income, province });
+      const pay = takeHomePay({ income, province });
+      lines.push(
+        `- At ${formatMoney(income)} in ${province}: marginal rate ${formatPct(tax.marginalRate)}, average rate ${formatPct(tax.averageRate)}`,
+        `- On a ${formatMoney(income)} salary: ${province === "QC" ? "QPP" : "CPP"} ${formatMoney(pay.pension)}, EI ${formatMoney(pay.ei)}${pay.qpip ? `, QPIP ${formatMoney(pay.qpip)}` : ""}; take-home about ${formatMoney(pay.net)} a year after income tax`,
+      );
+    }
+  }
+  // French speakers are mostly in Quebec, so include it until they say otherwise
+  if (province === "QC" || (!province && activeLocale === "fr")) {
+    const { labourFund } = limits;
+    lines.push(
+      `- Quebec: QPP instead of CPP at ${formatPct(rules.qpp.rate)} (second tier ${formatPct(rules.qpp.secondRate)}); QPIP ${formatPct(rules.qpip.rate)} up to ${formatMoney(rules.qpip.maxInsurable)}, so EI drops to ${formatPct(rules.ei.quebecRate)}`,
+      `- Quebec residents file two returns (federal T1 and TP-1 to Revenu Québec); federal tax is reduced by the ${formatPct(rules.federal.quebecAbatement)} Quebec abatement`,
+      `- Labour-sponsored funds (e.g. Fonds de solidarité FTQ): ${formatPct(labourFund.quebecCredit)} Quebec + ${formatPct(labourFund.federalCredit)} federal credit on up to ${formatMoney(labourFund.maxPurchase)} a year, on top of the RRSP deduction when held in an RRSP`,
+    );
+  }
+  return lines.join("\n");
+}
+
+// Look up a year in a year-keyed table, falling back to the latest known year
+function limitFor(table, year) {
+  if (table[year] !== undefined) return { value: table[year], estimated: false };
+  const latest = Math.max(...Object.keys(table).map(Number));
+  return { value: table[Math.min(year, latest)] ?? table[latest], estimated: year > latest };
+}
+
+// ── Fact check ─────────────────────────────────────────────
+// Finds jurisdiction-specific figures in a reply (limits, rates, deadlines)
+// and compares them to TAX_RULES. A claim only counts when the topic and the
+// kind of figure appear in the same sentence; a year in that sentence pins the
+// comparison to that year.
+const MONTHS = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+const MONTHS_FR = ["janvier", "février", "mars", "avril", "mai", "juin", "juillet", "août", "septembre", "octobre", "novembre", "décembre"];
+
+const FACT_CHECKS = [
+  {
+    label: { en: "TFSA annual limit", fr: "Plafond annuel du CELI" },
+    topic: /\b(TFSA|CELI)\b/i,
+    context: /\b(annual|yearly|per year|a year|each year|limit|annuel(le)?|par (année|an)|chaque année|plafond|limite)\b/i,
+    kind: "money",
+    range: [4000, 12000],
+    expected: (year) => limitFor(TAX_RULES.limits.tfsa, year).value,
+  },
+  {
+    label: { en: "RRSP dollar limit", fr: "Plafond du REER en dollars" },
+    topic: /\b(RRSP|REER)\b/i,
+    context: /\b(max|maximum|limit|cap|capped|up to|plafond|limite|jusqu'à)/i,
+    kind: "money",
+    range: [20000, 45000],
+    expected: (year) => limitFor(TAX_RULES.limits.rrsp, year).value,
+  },
+  {
+    label: { en: "RRSP percentage of earned income", fr: "Pourcentage du revenu gagné (REER)" },
+    topic: /\b(RRSP|REER)\b/i,
+    context: /earned income|of (your |last year's )?income|revenu gagné|de (votre )?revenu/i,
+    kind: "percent",
+    range: [5, 40],
+    expected: () => 0.18,
+  },
+  {
+    label: { en: "FHSA annual limit", fr: "Plafond annuel du CELIAPP" },
+    topic: /\b(FHSA|CELIAPP)\b/i,
+    context: /\b(annual|yearly|per year|a year|each year|annuel(le)?|par (année|an)|chaque année)/i,
+    kind: "money",
+    range: [1000, 20000],
+    expected: () => TAX_RULES.limits.fhsa.annual,
+  },
+  {
+    label: { en: "FHSA lifetime limit", fr: "Plafond à vie du CELIAPP" },
+    topic: /\b(FHSA|CELIAPP)\b/i,
+    context: /\blifetime\b|à vie|viager/i,
+    kind: "money",
+    range: [20000, 100000],
+    expected: () => TAX_RULES.limits.fhsa.lifetime,
+  },
+  {
+    label: { en: "Capital gains inclusion rate", fr: "Taux d'inclusion des gains en capital" },
+    topic: /inclusion rate|capital gains?|taux d'inclusion|gains? en capital/i,
+    context: /\b(taxable|taxed|inclusion|include[sd]?|imposable|imposée?s?|inclus(e|es)?)\b/i,
+    kind: "percent",
+    range: [25, 100],
+    expected: (year) => taxRulesFor(year).capitalGainsInclusion,
+  },
+  {
+    label: { en: "Lowest federal tax rate", fr: "Taux fédéral le plus bas" },
+    topic: /\bfederal\b|fédéral/i,
+    context: /\b(lowest|first|bottom) (tax )?(rate|bracket)\b|(premier|plus bas) (taux|palier)|taux le plus bas/i,
+    kind: "percent",
+    range: [10, 20],
+    expected: (year) => taxRulesFor(year).federal.brackets[0][1],
+  },
+  {
+    label: { en: "RRSP contribution deadline", fr: "Date limite de cotisation au REER" },
+    topic: /\b(RRSP|REER)\b/i,
+    context: /\bdeadline|\bby (March|February)\b|date limite|échéance|d'ici le|au plus tard le/i,
+    kind: "date",
+    expected: (year) => taxRulesFor(year).rrspDeadline,
+  },
+  {
+    label: { en: "OAS clawback threshold", fr: "Seuil de récupération de la SV" },
+    topic: /\bOAS\b|\bSV\b|sécurité de la vieillesse/i,
+    context: /clawback|recovery tax|claw(s|ed)? back|récupération|impôt de récupération/i,
+    kind: "money",
+    range: [60000, 150000],
+    expected: (year) => taxRulesFor(year).oas.clawbackThreshold,
+  },
+];
+
+// "$7,000" and "$7k", or French "7 000 $" and "7 k$"
+function moneyFigures(sentence) {
+  const figures = [];
+  const re = /\$\s?(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s?([kK])?\b|(\d{1,3}(?:[ \u00a0\u202f]\d{3})+|\d+(?:,\d+)?)\s?([kK])?\s?\$(?!\s?\d)/g;
+  let m;
+  while ((m = re.exec(sentence))) {
+    const n = m[1] !== undefined
+      ? parseFloat(m[1].replace(/,/g, "")) * (m[2] ? 1000 : 1)
+      : parseFloat(m[3].replace(/[ \u00a0\u202f]/g, "").replace(",", ".")) * (m[4] ? 1000 : 1);
+    figures.push({ value: n, text: m[0].trim() });
+  }
+  return figures;
+}
+
+function percentFigures(sentence) {
+  const figures = [];
+  const re = /(\d+(?:[.,]\d+)?)[ \u00a0\u202f]?%/g;
+  let m;
+  while ((m = re.exec(sentence))) figures.push({ value: parseFloat(m[1].replace(",", ".")) / 100, text: m[0] });
+  const words = sentence.match(/\b(two[- ]thirds|2\/3|one[- ]half|half|deux tiers|la moitié)/i);
+  if (words) figures.push({ value: /two|2\/|deux/i.test(words[0]) ? 2 / 3 : 0.5, text: words[0] });
+  return figures;
+}
+
+function dateFigures(sentence) {
+  const figures = [];
+  const re = new RegExp(`\\b(${MONTHS.join("|")})\\s+(\\d{1,2})\\b`, "gi");
+  let m;
+  while ((m = re.exec(sentence))) {
+    const month = MONTHS.findIndex(mo => mo.toLowerCase() === m[1].toLowerCase()) + 1;
+    figures.push({ month, day: Number(m[2]), text: m[0] });
+  }
+  // French puts the day first: "2 mars", "1er mars"
+  const fr = new RegExp(`\\b(\\d{1,2})(?:er)?\\s+(${MONTHS_FR.join("|")})`, "gi");
+  while ((m = fr.exec(sentence))) {
+    figures.push({ month: MONTHS_FR.indexOf(m[2].toLowerCase()) + 1, day: Number(m[1]), text: m[0] });
+  }
+  return figures;
+}
+
+function formatFigure(kind, value) {
+  if (kind === "money") return formatMoney(value);
+  if (kind === "percent") return formatPct(value);
+  const [, month, day] = value.split("-").map(Number);
+  return new Date(Date.UTC(2000, month - 1, day)).toLocaleDateString(intlLocale(), { month: "long", day: "numeric", timeZone: "UTC" });
+}
+
+function factCheck(text) {
+  const issues = [];
+  const sentences = text.split(/(?<=[.!?])\s+|\n+/).filter(s => s.trim());
+  for (const sentence of sentences) {
+    const years = sentence.match(/\b20\d\d\b/g) || [];
+    // Ranges like "2009 to 2025" describe history, not a current figure
+    if (years.length > 1) continue;
+    for (const check of FACT_CHECKS) {
+      if (!check.topic.test(sentence) || !check.context.test(sentence)) continue;
+      // A year next to a deadline is the calendar year it falls in, one after the tax year
+      const year = check.kind === "date"
+        ? (years.length ? Number(years[0]) - 1 : TAX_YEAR)
+        : (years.length ? Number(years[0]) : CURRENT_YEAR);
+      const expected = check.expected(year);
+      if (check.kind === "date") {
+        const [, month, day] = expected.split("-").map(Number);
+        for (const f of dateFigures(sentence)) {
+          if (f.month !== month || f.day !== day) {
+            issues.push({ label: loc(check.label), sentence, claimed: f.text, expected: formatFigure("date", expected), year });
+          }
+        }
+        continue;
+      }
+      const figures = check.kind === "money" ? moneyFigures(sentence) : percentFigures(sentence);
+      const [min, max] = check.range;
+      for (const f of figures) {
+        const value = check.kind === "percent" ? f.value * 100 : f.value;
+        if (value < min || value > max) continue;
+        if (Math.abs(f.value - expected) > (check.kind === "percent" ? 0.0005 : 1)) {
+          issues.push({ label: loc(check.label), sentence, claimed: f.text, expected: formatFigure(check.kind, expected), year });
+        }
+      }
+    }
+  }
+  return issues;
+}
+
+// Extra instruction for regenerating a reply that failed the fact check
+function correctionContext(issues) {
+  const lines = issues.map(i => `- ${i.label}: you wrote ${i.claimed}; the ${i.year} figure is ${i.expected}`);
+  return `[Correction]\nYour previous reply had figures that don't match the tax rules table:\n${lines.join("\n")}\nAnswer my last message again using the correct figures. Don't mention this correction.\n[/Correction]`;
+}
+
+// ── Compliance ─────────────────────────────────────────────
+// MoneyBuddy is education, not advice, and the prompt alone can't guarantee
+// that. Every reply is checked against this policy before it's shown:
+// "repair" rules are fixed in place, "regenerate" rules get one rewrite with
+// the violations spelled out, then fall back to repair. Each violation is
+// written to the compliance audit log.
+const COMPLIANCE_POLICY = {
+  version: "1",
+  maxRegenerations: 1,
+  disclaimer: {
+    text: { en: "⚠️ The final call is yours.", fr: "⚠️ La décision finale vous appartient." },
+    closing: { en: "Only you know how this fits the rest of your life.", fr: "Vous seul savez comment ça s'inscrit dans le reste de votre vie." },
+  },
+  // Any page on these domains may be linked; elsewhere only RESOURCES pages
+  allowedLinkDomains: ["canada.ca", "revenuquebec.ca"],
+  // Other pages on a catalogue domain: "flag" shows them with a warning, "strip" drops them
+  uncataloguedLinks: "flag",
+  // scope "phrase" removes just the match; "sentence" drops the whole sentence
+  phrases: [
+    {
+      id: "filler",
+      label: "Filler phrasing",
+      pattern: /\b((it'?s|it is) (important to note|worth (mentioning|noting))(,| that)?|il est important de (noter|souligner)( que)?,?|il convient de (noter|mentionner)( que)?,?)\s*/i,
+      scope: "phrase",
+      action: "repair",
+    },
+    {
+      id: "guarantee",
+      label: "Guaranteed-return claim",
+      pattern: /\b(guaranteed (returns?|profits?|gains?|growth)|risk[- ]free (returns?|profits?|money)|can'?t (lose|go wrong)|sure thing|no[- ]brainer|will (definitely|certainly) (go up|grow|double)|rendements? garantis?|profits? garantis?|sans (aucun )?risque|(vous )?ne pouvez pas perdre|valeur sûre|va (certainement|sûrement) (monter|doubler))/i,
+      unless: /\b(GICs?|CDIC|CDIC-insured|savings accounts?|CPG|SADC|comptes? d'épargne)\b/i,
+      scope: "sentence",
+      action: "regenerate",
+    },
+    {
+      id: "directive",
+      label: "Product recommendation",
+      pattern: /\b(you should (definitely |really )?(buy|sell|short|invest in)|I('d| would)? (recommend|suggest) (that you )?(buy|buying|sell|selling|investing in)|(buy|sell) (it|this|that|these|them) (now|today)|go all[- ]in|put (all|everything) (of your money |of your savings )?(in|into)|vous devriez (absolument |vraiment )?(acheter|vendre|investir dans)|je (vous )?recommande d'(acheter|vendre|investir)|(achetez|vendez)-(le|la|les) (maintenant|aujourd'hui)|mettez (tout|toutes vos économies) (dans|sur))\b/i,
+      scope: "sentence",
+      action: "regenerate",
+    },
+  ],
+};
+
+const MARKDOWN_LINK = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+const BARE_LINK = /(?<!\]\()https?:\/\/[^\s<>()]*[^\s<>().,!?:;'"]/g;
+
+// catalogued | allowed | flagged | blocked
+function linkStatus(url) {
+  if (findResource(url)) return "catalogued";
+  let host;
+  try { host = new URL(url).hostname.replace(/^www\./, ""); } catch { return "blocked"; }
+  const on = (domains) => domains.some(d => host === d || host.endsWith(`.${d}`));
+  if (on(COMPLIANCE_POLICY.allowedLinkDomains)) return "allowed";
+  if (on(RESOURCE_HOSTS) && COMPLIANCE_POLICY.uncataloguedLinks === "flag") return "flagged";
+  return "blocked";
+}
+
+function linkAllowed(url) {
+  return linkStatus(url) !== "blocked";
+}
+
+function linksIn(body) {
+  return [...body.matchAll(MARKDOWN_LINK)].map(m => m[2]).concat(body.match(BARE_LINK) || []);
+}
+
+function sentencesOf(text) {
+  return text.split(/(?<=[.!?])\s+|\n+/).map(s => s.replace(/^\s*([-*+•>]|\d+[.)])\s+/, "").trim()).filter(Boolean);
+}
+
+// A one-line follow-up question doesn't need the closing disclaimer
+function isFollowUpOnly(body) {
+  const lines = body.split("\n").filter(l => l.trim());
+  return body.length <= 400 && !/https?:\/\//.test(body) && /\?\s*$/.test(lines[lines.length - 1] || "");
+}
+
+function hasClosingDisclaimer(body) {
+  const paragraphs = body.split(/\n\s*\n/).filter(p => p.trim());
+  return (paragraphs[paragraphs.length - 1] || "").includes(loc(COMPLIANCE_POLICY.disclaimer.text));
+}
+
+// Partial (mid-stream) checks skip the disclaimer, which only comes at the end
+function checkCompliance(text, { partial = false } = {}) {
+  const violations = [];
+  const body = parseReply(text, partial).text;
+  if (!partial && !isFollowUpOnly(body) && !hasClosingDisclaimer(body)) {
+    violations.push({ rule: "disclaimer", label: "Missing closing disclaimer", action: "repair", excerpt: "" });
+  }
+  for (const rule of COMPLIANCE_POLICY.phrases) {
+    for (const sentence of sentencesOf(body)) {
+      if (rule.pattern.test(sentence) && !rule.unless?.test(sentence)) {
+        violations.push({ rule: rule.id, label: rule.label, action: rule.action, excerpt: sentence });
+      }
+    }
+  }
+  for (const url of linksIn(body).filter(u => !linkAllowed(u))) {
+    violations.push({ rule: "links", label: "Link outside the resource catalogue", action: "repair", excerpt: url });
+  }
+  return violations;
+}
+
+function repairReply(text, { partial = false } = {}) {
+  let out = text;
+  for (const rule of COMPLIANCE_POLICY.phrases) {
+    if (rule.scope === "phrase") {
+      // Re-capitalize a sentence whose opening words were removed
+      out = out
+        .replace(new RegExp(rule.pattern.source, "gi"), "\u0000")
+        .replace(/(^|[.!?]\s+|\n[-*+•\s]*)\u0000([a-z])/g, (m, lead, c) => lead + c.toUpperCase())
+        .replace(/\u0000/g, "");
+      continue;
+    }
+    for (const sentence of sentencesOf(out)) {
+      if (rule.pattern.test(sentence) && !rule.unless?.test(sentence)) out = out.replace(sentence, "");
+    }
+  }
+  out = out
+    .replace(MARKDOWN_LINK, (m, label, url) => (linkAllowed(url) ? m : label))
+    .replace(BARE_LINK, url => (linkAllowed(url) ? url : url.replace(/^https?:\/\//, "")))
+    .replace(/^\s*([-*+•]|\d+[.)])\s*$/gm, "") // list items emptied by a removal
+    .replace(/[ \t]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n");
+  if (partial) return out;
+
+  const { text: disclaimer, closing } = COMPLIANCE_POLICY.disclaimer;
+  const body = parseReply(out).text;
+  if (isFollowUpOnly(body) || hasClosingDisclaimer(body)) return out.trim();
+  // Move a stray mid-reply disclaimer (in either language) to the end, or add one
+  const kept = out.split("\n").filter(l => !Object.values(disclaimer).some(d => l.includes(d))).join("\n").trim();
+  return `${kept}\n\n${loc(disclaimer)} ${loc(closing)}`;
+}
+
+// Extra instruction for rewriting a reply that broke the policy
+function complianceContext(violations) {
+  const lines = violations.map(v => `- ${v.label}${v.excerpt ? `: "${v.excerpt}"` : ""}`);
+  return `[Compliance]\nYour previous reply crossed MoneyBuddy's education-only line:\n${lines.join("\n")}\nAnswer my last message again. Explain the tradeoffs instead of telling me what to buy or sell, never promise returns, and end with "${loc(COMPLIANCE_POLICY.disclaimer.text)}" Don't mention this note.\n[/Compliance]`;
+}
+
+function logCompliance(entry) {
+  return db.put("compliance", { id: newId("audit"), at: Date.now(), policyVersion: COMPLIANCE_POLICY.version, ...entry });
+}
+
+// TFSA room accrues every year from 2009 (or the year you turned 18 or became
+// a resident, whichever is later). Withdrawals come back on January 1.
+function tfsaRoom({ birthYear, residentSince, contributions = 0, priorWithdrawals = 0, currentWithdrawals = 0, year = CURRENT_YEAR }) {
+  if (!birthYear) return null;
+  const firstYear = Math.max(2009, birthYear + 18, residentSince || 0);
+  const breakdown = [];
+  let estimated = false;
+  for (let y = firstYear; y <= year; y++) {
+    const limit = limitFor(TAX_RULES.limits.tfsa, y);
+    estimated = estimated || limit.estimated;
+    breakdown.push({ year: y, limit: limit.value });
+  }
+  const cumulativeLimit = breakdown.reduce((sum, b) => sum + b.limit, 0);
+  const room = cumulativeLimit + priorWithdrawals - contributions;
+  return {
+    year,
+    firstYear,
+    cumulativeLimit,
+    room,
+    overContributed: room < 0,
+    restoredNextYear: currentWithdrawals,
+    breakdown,
+    estimated,
+  };
+}
+
+// RRSP deduction limit: 18% of last year's earned income up to the yearly max,
+// minus pension adjustment, plus unused room carried forward.
+function rrspDeductionLimit({ earnedIncome = 0, pensionAdjustment = 0, carryForward = 0, contributedThisYear = 0, year = CURRENT_YEAR }) {
+  const cap = limitFor(TAX_RULES.limits.rrsp, year);
+  const eighteenPct = Math.round(earnedIncome * 0.18);
+  const newRoom = Math.max(0, Math.min(eighteenPct, cap.value) - pensionAdjustment);
+  const deductionLimit = newRoom + carryForward;
+  return {
+    year,
+    cap: cap.value,
+    capped: eighteenPct > cap.value,
+    eighteenPct,
+    newRoom,
+    deductionLimit,
+    remaining: deductionLimit - contributedThisYear,
+    estimated: cap.estimated,
+  };
+}
+
+function rrifMinimumRate(age) {
+  const { rrifMinimums } = TAX_RULES.retirement;
+  return age < 71 ? 1 / (90 - age) : rrifMinimums[Math.min(age, 95)];
+}
+
+// CPP/QPP or OAS as a share of the age-65 amount when started at startAge
+function benefitFactor(startAge, { earlyReduction = 0, lateIncrease }) {
+  const months = (startAge - 65) * 12;
+  return 1 + months * (months < 0 ? earlyReduction : lateIncrease);
+}
+
+// Largest draw in [0, max] whose after-tax cash doesn't overshoot the target
+function solveDraw(max, netWith, target) {
+  if (max <= 0 || netWith(max) <= target) return Math.max(0, max);
+  let lo = 0, hi = max;
+  for (let i = 0; i < 40; i++) {
+    const mid = (lo + hi) / 2;
+    if (netWith(mid) < target) lo = mid; else hi = mid;
+  }
+  return hi;
+}
+
+// Year-by-year projection in today's dollars: the return is after inflation
+// and this year's brackets stand in for future ones. Savings grow until
+// retirement; after that CPP/QPP, OAS (less the clawback), any workplace
+// pension and RRIF minimums come first, then non-registered, RRSP/RRIF and
+// TFSA withdrawals cover the rest of the after-tax spending target.
+// Ignores the pension and age credits, OAS residency rules and tax on
+// non-registered income before it's withdrawn.
+function retirementProjection({
+  age, retirementAge, province, lifeExpectancy = 95, spending,
+  tfsaBalance = 0, rrspBalance = 0, nonRegBalance = 0,
+  tfsaContribution = 0, rrspContribution = 0, nonRegContribution = 0,
+  returnRate = 3, cppStartAge = 65, oasStartAge = 65, cppAt65, pension = 0,
+}) {
+  if (!age || !retirementAge || !province || !(spending > 0) || retirementAge < age || lifeExpectancy <= age) return null;
+  const rules = taxRulesFor();
+  const { cpp, oas, rrspConvertBy } = TAX_RULES.retirement;
+  const r = returnRate / 100;
+  const cppStart = Math.min(cpp.latest, Math.max(cpp.earliest, cppStartAge));
+  const oasStart = Math.min(oas.latest, Math.max(oas.earliest, oasStartAge));
+  const cppYearly = (cppAt65 ?? cpp.maxAt65) * benefitFactor(cppStart, cpp);
+  const oasYearly = oas.at65 * benefitFactor(oasStart, oas);
+  const tfsaLimit = limitFor(TAX_RULES.limits.tfsa, CURRENT_YEAR).value;
+  let tfsa = tfsaBalance, rrsp = rrspBalance, nonReg = nonRegBalance, costBase = nonRegBalance;
+  const rows = [];
+
+  for (let a = age; a <= lifeExpectancy; a++) {
+    const row = { age: a, year: CURRENT_YEAR + a - age, cpp: 0, oas: 0, pension: 0, rrspDraw: 0, nonRegDraw: 0, tfsaDraw: 0, tax: 0, clawback: 0, shortfall: 0 };
+    if (a < retirementAge) {
+      tfsa = tfsa * (1 + r) + tfsaContribution;
+      rrsp = rrsp * (1 + r) + (a <= rrspConvertBy ? rrspContribution : 0);
+      nonReg = nonReg * (1 + r) + nonRegContribution;
+      costBase += nonRegContribution;
+    } else {
+      row.cpp = a >= cppStart ? cppYearly : 0;
+      row.oas = a >= oasStart ? oasYearly * (a >= 75 ? 1 + oas.increaseAt75 : 1) : 0;
+      row.pension = pension;
+      const minimum = a > rrspConvertBy ? rrsp * rrifMinimumRate(a - 1) : 0;
+      const gainShare = nonReg > 0 ? Math.max(0, 1 - costBase / nonReg) : 0;
+      const outcome = (rrspDraw, nonRegDraw) => {
+        const taxable = row.cpp + row.oas + row.pension + rrspDraw + nonRegDraw * gainShare * rules.capitalGainsInclusion;
+        const tax = incomeTax(taxable, province, rules).total;
+        const clawback = Math.min(row.oas, Math.max(0, (taxable - rules.oas.clawbackThreshold) * rules.oas.clawbackRate));
+        return { tax, clawback, net: row.cpp + row.oas + row.pension + rrspDraw + nonRegDraw - tax - clawback };
+      };
+      row.rrspDraw = minimum;
+      row.nonRegDraw = solveDraw(nonReg, (x) => outcome(row.rrspDraw, x).net, spending);
+      row.rrspDraw = minimum + solveDraw(rrsp - minimum, (x) => outcome(minimum + x, row.nonRegDraw).net, spending);
+      const { tax, clawback, net } = outcome(row.rrspDraw, row.nonRegDraw);
+      row.tax = tax;
+      row.clawback = clawback;
+      row.tfsaDraw = Math.min(tfsa, Math.max(0, spending - net));
+      row.shortfall = Math.max(0, spending - net - row.tfsaDraw);
+      // RRIF minimums beyond what's needed are reinvested: TFSA up to this year's limit, the rest non-registered
+      const surplus = Math.max(0, net - spending);
+      const toTfsa = Math.min(surplus, tfsaLimit);
+      if (nonReg > 0) costBase *= 1 - row.nonRegDraw / nonReg;
+      rrsp = (rrsp - row.rrspDraw) * (1 + r);
+      nonReg = (nonReg - row.nonRegDraw + surplus - toTfsa) * (1 + r);
+      costBase += surplus - toTfsa;
+      tfsa = (tfsa - row.tfsaDraw + toTfsa) * (1 + r);
+    }
+    Object.assign(row, { tfsa, rrsp, nonReg, total: tfsa + rrsp + nonReg });
+    rows.push(row);
+  }
+
+  const retired = rows.filter(row => row.age >= retirementAge);
+  const atRetirement = rows.find(row => row.age === retirementAge - 1)?.total ?? tfsaBalance + rrspBalance + nonRegBalance;
+  const taxable = retired.reduce((sum, row) => sum + row.cpp + row.oas + row.pension + row.rrspDraw, 0);
+  const tax = retired.reduce((sum, row) => sum + row.tax, 0);
+  return {
+    rows,
+    province,
+    retirementAge,
+    lifeExpectancy,
+    spending,
+    cppStartAge: cppStart,
+    oasStartAge: oasStart,
+    cppAssumedMax: cppAt65 === undefined,
+    atRetirement: Math.round(atRetirement),
+    runsOutAt: retired.find(row => row.shortfall > 1)?.age ?? null,
+    estate: Math.round(rows[rows.length - 1].total),
+    retirementTax: Math.round(tax),
+    averageTaxRate: taxable > 0 ? tax / taxable : 0,
+    clawback: Math.round(retired.reduce((sum, row) => sum + row.clawback, 0)),
+  };
+}
+
+// Provincial land transfer tax and the first-time buyer rebate on it; null
+// where the table doesn't cover the province
+function landTransferTax(price, province) {
+  const rules = TAX_RULES.home.landTransfer[province];
+  if (!rules) return null;
+  const tax = bracketTax(price, rules.brackets);
+  const { firstTime } = rules;
+  let rebate = 0;
+  if (firstTime?.exempt) rebate = tax;
+  else if (firstTime?.maxRebate) rebate = Math.min(tax, firstTime.maxRebate);
+  else if (firstTime?.exemptUpTo && price < firstTime.noneFrom) {
+    const full = bracketTax(Math.min(price, firstTime.exemptUpTo), rules.brackets);
+    rebate = price <= firstTime.fullBelow ? full : full * (firstTime.noneFrom - price) / (firstTime.noneFrom - firstTime.fullBelow);
+  }
+  return { tax: Math.round(tax), rebate: Math.round(rebate), net: Math.round(tax - rebate) };
+}
+
+// Minimum down payment and the CMHC premium for a given down payment; the
+// premium is added to the mortgage, its sales tax is due at closing
+function mortgageInsurance(price, province, down) {
+  const { insuredPriceCap, minimumDown, cmhcPremiums, premiumSalesTax } = TAX_RULES.home;
+  const insurable = price < insuredPriceCap;
+  const minDown = insurable ? Math.round(bracketTax(price, minimumDown)) : Math.round(price * 0.2);
+  const loanToValue = (price - down) / price;
+  const needsInsurance = insurable && loanToValue > 0.8;
+  const rate = needsInsurance ? (cmhcPremiums.find(([upTo]) => loanToValue <= upTo + 1e-9)?.[1] ?? null) : 0;
+  const premium = rate ? Math.round((price - down) * rate) : 0;
+  return { minDown, insurable, needsInsurance, premium, premiumTax: Math.round(premium * (premiumSalesTax[province] || 0)) };
+}
+
+// First year HBP repayments are due for a withdrawal made in `year`
+function hbpRepaymentStart(year) {
+  const { graceYears, extendedGrace } = TAX_RULES.home.hbp;
+  return year + (year >= extendedGrace.from && year <= extendedGrace.to ? extendedGrace.years : graceYears);
+}
+
+// FHSA room for a calendar year: this year's limit plus up to one year of
+// unused room, within the lifetime cap
+function fhsaYearRoom(unused, contributed) {
+  const { annual, lifetime, carryForwardMax } = TAX_RULES.limits.fhsa;
+  return Math.max(0, Math.min(annual + Math.min(unused, carryForwardMax), lifetime - contributed));
+}
+
+// Month-by-month savings toward a first home, for one buyer or two. Each
+// month's savings fill the FHSA first (deductible, tax-free out), the rest
+// goes to the TFSA; RRSP contributions build the HBP withdrawal. Deductions
+// come back as a refund each April at the buyer's marginal rate and go into
+// the TFSA. Assumes FHSA contributions so far were made in earlier years.
+function homePlan({
+  price, province, years, returnRate = 3,
+  income, monthlySavings = 0, fhsaOpened, fhsaContributed = 0, rrspBalance = 0, rrspMonthly = 0, tfsaBalance = 0,
+  partnerIncome, partnerMonthlySavings, partnerFhsaOpened, partnerFhsaContributed = 0, partnerRrspBalance = 0, partnerRrspMonthly = 0, partnerTfsaBalance = 0,
+}) {
+  if (!(price > 0) || !province || !(years > 0)) return null;
+  const { annual, since } = TAX_RULES.limits.fhsa;
+  const buyers = [{ income, monthlySavings, fhsaOpened, fhsaContributed, rrspBalance, rrspMonthly, tfsaBalance }];
+  if (partnerIncome !== undefined || partnerMonthlySavings !== undefined) {
+    buyers.push({ income: partnerIncome, monthlySavings: partnerMonthlySavings ?? 0, fhsaOpened: partnerFhsaOpened, fhsaContributed: partnerFhsaContributed, rrspBalance: partnerRrspBalance, rrspMonthly: partnerRrspMonthly, tfsaBalance: partnerTfsaBalance });
+  }
+  const growth = (1 + returnRate / 100) ** (1 / 12);
+  const now = new Date();
+  const startMonth = now.getFullYear() * 12 + now.getMonth();
+  const months = Math.max(1, Math.round(years * 12));
+
+  const people = buyers.map(b => {
+    const opened = Math.max(since, b.fhsaOpened || CURRENT_YEAR);
+    const unused = Math.max(0, (CURRENT_YEAR - opened) * annual - b.fhsaContributed);
+    return {
+      ...b,
+      marginalRate: b.income > 0 ? computeTax({ income: b.income, province }).marginalRate : 0,
+      fhsa: 0, tfsa: b.tfsaBalance, rrsp: b.rrspBalance,
+      fhsaContributedTotal: b.fhsaContributed,
+      roomLeft: fhsaYearRoom(unused, b.fhsaContributed),
+      yearDeposits: 0, yearDeductions: 0, pendingRefund: 0, refunds: 0,
+    };
+  });
+
+  const timeline = [];
+  for (let m = 0; m < months; m++) {
+    const month = startMonth + m;
+    const calendarMonth = month % 12;
+    for (const p of people) {
+      if (calendarMonth === 0 && m > 0) {
+        // New tax year: last year's deductions turn into a refund in April
+        p.pendingRefund = p.yearDeductions * p.marginalRate;
+        p.roomLeft = fhsaYearRoom(p.roomLeft, p.fhsaContributedTotal);
+        p.yearDeposits = 0;
+        p.yearDeductions = 0;
+      }
+      if (calendarMonth === 3 && p.pendingRefund) {
+        p.tfsa += p.pendingRefund;
+        p.refunds += p.pendingRefund;
+        p.pendingRefund = 0;
+      }
+      const toFhsa = Math.min(p.monthlySavings, p.roomLeft);
+      p.roomLeft -= toFhsa;
+      p.yearDeposits += toFhsa;
+      p.fhsaContributedTotal += toFhsa;
+      p.yearDeductions += toFhsa + p.rrspMonthly;
+      p.fhsa = (p.fhsa + toFhsa) * growth;
+      p.tfsa = (p.tfsa + p.monthlySavings - toFhsa) * growth;
+      p.rrsp = (p.rrsp + p.rrspMonthly) * growth;
+    }
+    const sum = (key) => people.reduce((total, p) => total + p[key], 0);
+    const hbp = people.reduce((total, p) => total + Math.min(p.rrsp, TAX_RULES.home.hbp.maxWithdrawal), 0);
+    timeline.push({ month, fhsa: sum("fhsa"), tfsa: sum("tfsa"), hbp, refunds: sum("refunds"), total: sum("fhsa") + sum("tfsa") + hbp });
+  }
+
+  const purchaseMonth = startMonth + months;
+  const purchaseYear = Math.floor(purchaseMonth / 12);
+  const saved = timeline[timeline.length - 1].total;
+  const transfer = landTransferTax(price, province);
+  const closing = transfer?.net ?? 0;
+  const down = Math.min(price, Math.max(0, saved - closing));
+  const insurance = mortgageInsurance(price, province, down);
+  const downAfterTax = Math.min(price, Math.max(0, saved - closing - insurance.premiumTax));
+  const needed = insurance.minDown + closing + mortgageInsurance(price, province, insurance.minDown).premiumTax;
+  const reached = timeline.find(row => row.total >= needed);
+  return {
+    price,
+    province,
+    purchaseMonth,
+    timeline,
+    saved: Math.round(saved),
+    downPayment: Math.round(downAfterTax),
+    downShare: downAfterTax / price,
+    ...insurance,
+    landTransfer: transfer,
+    needed,
+    shortfall: Math.max(0, Math.round(needed - saved)),
+    reachedMonth: reached ? reached.month : null,
+    people: people.map(p => {
+      const hbp = Math.round(Math.min(p.rrsp, TAX_RULES.home.hbp.maxWithdrawal));
+      return {
+        fhsa: Math.round(p.fhsa),
+        fhsaContributed: Math.round(p.fhsaContributedTotal),
+        tfsa: Math.round(p.tfsa),
+        hbp,
+        refunds: Math.round(p.refunds),
+        refundComing: Math.round(p.yearDeductions * p.marginalRate + p.pendingRefund),
+        marginalRate: p.marginalRate,
+        repayment: hbp ? { from: hbpRepaymentStart(purchaseYear), yearly: Math.round(hbp / TAX_RULES.home.hbp.repaymentYears) } : null,
+      };
+    }),
+  };
+}
+
+function formatMonth(month) {
+  return new Date(Math.floor(month / 12), month % 12, 1).toLocaleDateString(intlLocale(), { month: "short", year: "numeric" });
+}
+
+// Option strategies as legs per share: the stock itself, or a call/put at
+// the first or second strike, bought (+1) or written (−1)
+const OPTION_STRATEGIES = [
+  { code: "protective-put", name: { en: "Protective put", fr: "Option de vente protectrice" }, legs: [{ kind: "stock", side: 1 }, { kind: "put", side: 1, strike: 0 }] },
+  { code: "covered-call", name: { en: "Covered call", fr: "Option d'achat couverte" }, legs: [{ kind: "stock", side: 1 }, { kind: "call", side: -1, strike: 0 }] },
+  { code: "collar", name: { en: "Collar", fr: "Tunnel (collar)" }, legs: [{ kind: "stock", side: 1 }, { kind: "put", side: 1, strike: 0 }, { kind: "call", side: -1, strike: 1 }] },
+  { code: "bull-call-spread", name: { en: "Bull call spread", fr: "Écart haussier d'options d'achat" }, legs: [{ kind: "call", side: 1, strike: 0 }, { kind: "call", side: -1, strike: 1 }] },
+  { code: "bear-put-spread", name: { en: "Bear put spread", fr: "Écart baissier d'options de vente" }, legs: [{ kind: "put", side: -1, strike: 0 }, { kind: "put", side: 1, strike: 1 }] },
+];
+
+// Standard normal CDF (Abramowitz–Stegun 7.1.26, error under 1e-7)
+function normalCdf(x) {
+  const z = Math.abs(x) / Math.SQRT2;
+  const k = 1 / (1 + 0.3275911 * z);
+  const erf = 1 - k * (0.254829592 + k * (-0.284496736 + k * (1.421413741 + k * (-1.453152027 + k * 1.061405429)))) * Math.exp(-z * z);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Black–Scholes value of a European option, no dividends. An estimate for
+// listed (American) options on non-dividend stocks, not a quote.
+function blackScholes({ kind, spot, strike, days, volatility, rate }) {
+  const time = days / 365, sigma = volatility / 100, r = rate / 100;
+  if (!(time > 0) || !(sigma > 0)) return kind === "call" ? Math.max(0, spot - strike) : Math.max(0, strike - spot);
+  const d1 = (Math.log(spot / strike) + (r + sigma * sigma / 2) * time) / (sigma * Math.sqrt(time));
+  const d2 = d1 - sigma * Math.sqrt(time);
+  const discounted = strike * Math.exp(-r * time);
+  return kind === "call" ? spot * normalCdf(d1) - discounted * normalCdf(d2) : discounted * normalCdf(-d2) - spot * normalCdf(-d1);
+}
+
+// Profit or loss at expiry for the whole position at one stock price
+function payoffAt(price, { legs, spot, quantity }) {
+  return quantity * legs.reduce((sum, leg) => {
+    if (leg.kind === "stock") return sum + leg.side * (price - spot);
+    const intrinsic = leg.kind === "call" ? Math.max(0, price - leg.strike) : Math.max(0, leg.strike - price);
+    return sum + leg.side * (intrinsic - leg.premium);
+  }, 0);
+}
+
+// Payoff at expiry for a strategy. Blank premiums are filled with the
+// Black–Scholes estimate when a volatility is given. The payoff is linear
+// between strikes, so max gain/loss and breakevens come from the kinks.
+function optionPayoff({ strategy, spot, strike, premium, strike2, premium2, quantity = 100, days = 30, volatility, rate = 3 }) {
+  const spec = OPTION_STRATEGIES.find(s => s.code === strategy);
+  if (!spec || !(spot > 0) || !(strike > 0)) return null;
+  const strikes = [strike, strike2];
+  const premiums = [premium, premium2];
+  if (spec.legs.some(leg => leg.strike === 1) && !(strike2 > 0)) return null;
+  let estimated = false;
+  const legs = spec.legs.map(leg => {
+    if (leg.kind === "stock") return leg;
+    const fair = volatility > 0 ? blackScholes({ kind: leg.kind, spot, strike: strikes[leg.strike], days, volatility, rate }) : null;
+    const paid = premiums[leg.strike];
+    if (paid === undefined && fair === null) return null;
+    estimated = estimated || paid === undefined;
+    return { ...leg, strike: strikes[leg.strike], premium: paid ?? fair, fair };
+  });
+  if (legs.includes(null)) return null;
+
+  const position = { legs, spot, quantity };
+  const kinks = [0, ...new Set(legs.filter(l => l.kind !== "stock").map(l => l.strike))].sort((a, b) => a - b);
+  const top = kinks[kinks.length - 1];
+  const slope = payoffAt(top + 1, position) - payoffAt(top, position);
+  const values = kinks.map(price => payoffAt(price, position));
+  const breakevens = [];
+  for (let i = 0; i < kinks.length - 1; i++) {
+    const [a, b, pa, pb] = [kinks[i], kinks[i + 1], values[i], values[i + 1]];
+    if (pa === 0) breakevens.push(a);
+    else if (pa * pb < 0) breakevens.push(a + (b - a) * pa / (pa - pb));
+  }
+  const end = values[values.length - 1];
+  if (end === 0 || end * slope < 0) breakevens.push(top - end / (slope || 1));
+  const netPremium = quantity * legs.reduce((sum, l) => sum + (l.kind === "stock" ? 0 : l.side * l.premium), 0);
+  const low = Math.max(0, Math.min(spot, ...kinks.slice(1)) * 0.7), high = Math.max(spot, top) * 1.3;
+  return {
+    strategy,
+    spot,
+    quantity,
+    days,
+    legs,
+    premiumEstimated: estimated,
+    netPremium,
+    maxGain: slope > 1e-9 ? Infinity : Math.max(...values),
+    maxLoss: slope < -1e-9 ? -Infinity : Math.min(...values),
+    breakevens: [...new Set(breakevens.map(b => Math.round(b * 100) / 100))],
+    curve: Array.from({ length: 61 }, (_, i) => {
+      const price = low + (high - low) * i / 60;
+      return { price, pnl: payoffAt(price, position) };
+    }),
+  };
+}
+
+function formatLimit(value) {
+  return Math.abs(value) === Infinity ? t("calc.options.unlimited") : formatMoney(Math.round(value));
+}
+
+// One year of tax for a couple in the same province. Eligible pension income
+// is split the way that costs least (checked in 1% steps up to the limit),
+// then a spousal RRSP contribution is deducted by the higher earner.
+// Partner 0 is the user, 1 their partner.
+function householdTax({ province, income = 0, partnerIncome = 0, pension = 0, partnerPension = 0, spousalContribution = 0 }) {
+  if (!province || income + pension + partnerIncome + partnerPension <= 0) return null;
+  const { pensionSplitMax, spousalAttributionYears, medicalThreshold } = TAX_RULES.household;
+  const taxOn = (amount) => computeTax({ income: Math.max(0, amount), province });
+  const combinedTax = (amounts) => amounts.reduce((sum, a) => sum + taxOn(a).total, 0);
+  const before = [income + pension, partnerIncome + partnerPension];
+  const from = pension >= partnerPension ? 0 : 1;
+  const eligible = [pension, partnerPension][from];
+  const shift = (amount) => before.map((a, i) => (i === from ? a - amount : a + amount));
+
+  let moved = 0, best = combinedTax(before);
+  const unsplit = best;
+  for (let pct = 1; pct <= pensionSplitMax * 100; pct++) {
+    const total = combinedTax(shift((eligible * pct) / 100));
+    if (total < best - 0.5) { best = total; moved = (eligible * pct) / 100; }
+  }
+  const split = shift(moved);
+  const contributor = split[0] >= split[1] ? 0 : 1;
+  const contribution = Math.min(spousalContribution, split[contributor]);
+  const taxable = split.map((a, i) => (i === contributor ? a - contribution : a));
+  const people = taxable.map((amount, i) => {
+    const tax = taxOn(amount);
+    return {
+      income: [income, partnerIncome][i],
+      pension: [pension, partnerPension][i],
+      taxable: Math.round(amount),
+      tax: tax.total,
+      averageRate: tax.averageRate,
+      marginalRate: tax.marginalRate,
+    };
+  });
+  const lower = taxable[0] <= taxable[1] ? 0 : 1;
+  const totalIncome = before[0] + before[1];
+  const totalTax = people[0].tax + people[1].tax;
+  return {
+    province,
+    people,
+    combined: { income: totalIncome, tax: totalTax, averageRate: totalTax / totalIncome },
+    split: moved > 0 ? { from, to: 1 - from, amount: Math.round(moved), saved: Math.round(unsplit - best) } : null,
+    canSplit: eligible > 0,
+    spousal: {
+      contributor,
+      annuitant: 1 - contributor,
+      amount: Math.round(contribution),
+      refund: contribution > 0 ? taxOn(split[contributor]).total - people[contributor].tax : 0,
+      rateGap: people[contributor].marginalRate - people[1 - contributor].marginalRate,
+      attributionYears: spousalAttributionYears,
+    },
+    // Medical expenses go on the lower income's return, where the floor is
+    // lower, unless that partner owes no tax to use the credit against
+    medicalClaimant: people[lower].tax > 0 ? lower : 1 - lower,
+    medicalFloor: Math.round(Math.min(medicalThreshold.max, taxable[people[lower].tax > 0 ? lower : 1 - lower] * medicalThreshold.rate)),
+    // Child care is claimed by the lower income in almost every case
+    childCareClaimant: lower,
+    // Pooling donations on one return only pays the low first-$200 rate once;
+    // the higher earner gets the top-bracket credit on the rest
+    donationClaimant: contributor,
+  };
+}
+
+// "You" / "Partner" column headings, by position in a household's people
+function partnerName(i) {
+  return t(i === 0 ? "household.you" : "household.partner");
+}
+
+// "on track by May 2027" / "short $12,000", for result summaries
+function homeStatus(r) {
+  return r.reachedMonth !== null ? t("calc.home.onTrack", { month: formatMonth(r.reachedMonth) }) : t("calc.home.short", { amount: formatMoney(r.shortfall) });
+}
+
+// "savings run out at 84" / "savings last to 95", for result summaries
+function savingsOutcome(r) {
+  return r.runsOutAt ? t("calc.retirement.savingsRunOut", { age: r.runsOutAt }) : t("calc.retirement.savingsLast", { age: r.lifeExpectancy });
+}
+
+const CALCULATORS = {
+  tfsa: {
+    title: { en: "TFSA contribution room", fr: "Droits de cotisation au CELI" },
+    fields: [
+      { key: "birthYear", label: { en: "Birth year", fr: "Année de naissance" } },
+      { key: "residentSince", label: { en: "Canadian resident since (if after 18)", fr: "Résident du Canada depuis (si après 18 ans)" } },
+      { key: "contributions", label: { en: "Total contributed, ever", fr: "Total cotisé à ce jour" }, money: true },
+      { key: "priorWithdrawals", label: { en: "Withdrawn before this year", fr: "Retraits avant cette année" }, money: true },
+      { key: "currentWithdrawals", label: { en: "Withdrawn this year", fr: "Retraits cette année" }, money: true },
+    ],
+    compute: tfsaRoom,
+    summary: (r) => t("calc.tfsa.summary", {
+      year: r.year,
+      firstYear: r.firstYear,
+      limit: formatMoney(r.cumulativeLimit),
+      room: formatMoney(r.room),
+      restored: r.restoredNextYear ? t("calc.tfsa.summaryRestored", { amount: formatMoney(r.restoredNextYear) }) : "",
+    }),
+  },
+  rrsp: {
+    title: { en: "RRSP deduction limit", fr: "Plafond de déduction REER" },
+    fields: [
+      { key: "earnedIncome", label: { en: "Last year's earned income", fr: "Revenu gagné l'an dernier" }, money: true },
+      { key: "pensionAdjustment", label: { en: "Pension adjustment (box 52 on your T4)", fr: "Facteur d'équivalence (case 52 du T4)" }, money: true },
+      { key: "carryForward", label: { en: "Unused room carried forward", fr: "Droits inutilisés reportés" }, money: true },
+      { key: "contributedThisYear", label: { en: "Contributed so far this year", fr: "Cotisé jusqu'ici cette année" }, money: true },
+    ],
+    compute: rrspDeductionLimit,
+    summary: (r) => t("calc.rrsp.summary", {
+      year: r.year,
+      newRoom: formatMoney(r.newRoom),
+      capped: r.capped ? t("calc.rrsp.summaryCapped", { cap: formatMoney(r.cap) }) : "",
+      limit: formatMoney(r.deductionLimit),
+      remaining: formatMoney(r.remaining),
+    }),
+  },
+  tax: {
+    title: { en: "Marginal tax rate", fr: "Taux marginal d'imposition" },
+    fields: [
+      { key: "income", label: { en: "Taxable income", fr: "Revenu imposable" }, money: true },
+      { key: "province", label: { en: "Province", fr: "Province" }, options: PROVINCES },
+    ],
+    compute: ({ income, province }) => (income > 0 && province ? { ...computeTax({ income, province }), takeHome: takeHomePay({ income, province }) } : null),
+    summary: (r) => t("calc.tax.summary", {
+      year: r.year,
+      province: r.province,
+      total: formatMoney(r.total),
+      marginal: formatPct(r.marginalRate),
+      average: formatPct(r.averageRate),
+      takeHome: formatMoney(r.takeHome.net),
+    }),
+  },
+  retirement: {
+    title: { en: "Retirement projection", fr: "Projection de retraite" },
+    fields: [
+      { key: "age", label: { en: "Age today", fr: "Âge actuel" } },
+      { key: "retirementAge", label: { en: "Retirement age", fr: "Âge de la retraite" } },
+      { key: "lifeExpectancy", label: { en: "Plan to age (default 95)", fr: "Planifier jusqu'à (95 par défaut)" } },
+      { key: "province", label: { en: "Province in retirement", fr: "Province à la retraite" }, options: PROVINCES },
+      { key: "spending", label: { en: "Yearly after-tax spending in retirement", fr: "Dépenses annuelles après impôt à la retraite" }, money: true },
+      { key: "tfsaBalance", label: { en: "TFSA today", fr: "CELI aujourd'hui" }, money: true },
+      { key: "rrspBalance", label: { en: "RRSP today", fr: "REER aujourd'hui" }, money: true },
+      { key: "nonRegBalance", label: { en: "Non-registered today", fr: "Non enregistré aujourd'hui" }, money: true },
+      { key: "tfsaContribution", label: { en: "TFSA savings per year", fr: "Épargne CELI par année" }, money: true },
+      { key: "rrspContribution", label: { en: "RRSP savings per year", fr: "Épargne REER par année" }, money: true },
+      { key: "nonRegContribution", label: { en: "Non-registered savings per year", fr: "Épargne non enregistrée par année" }, money: true },
+      { key: "returnRate", label: { en: "Yearly return after inflation, % (default 3)", fr: "Rendement annuel après inflation, % (3 par défaut)" } },
+      { key: "cppStartAge", label: { en: "CPP/QPP start age, 60–70", fr: "Début du RPC/RRQ, 60 à 70 ans" } },
+      { key: "cppAt65", label: { en: "CPP/QPP per year at 65 (My Service Canada Account)", fr: "RPC/RRQ par année à 65 ans (Mon dossier Service Canada)" }, money: true },
+      { key: "oasStartAge", label: { en: "OAS start age, 65–70", fr: "Début de la SV, 65 à 70 ans" } },
+      { key: "pension", label: { en: "Workplace pension per year", fr: "Rente de retraite d'employeur par année" }, money: true },
+    ],
+    compute: retirementProjection,
+    compare: (r) => [
+      { label: t("calc.retirement.atRetirement"), value: formatMoney(r.atRetirement) },
+      { label: t("calc.retirement.lasts"), value: r.runsOutAt ? t("calc.retirement.runsOut", { age: r.runsOutAt }) : t("calc.retirement.lastsTo", { age: r.lifeExpectancy }) },
+      { label: t("calc.retirement.tax"), value: `${formatMoney(r.retirementTax)} (${formatPct(r.averageTaxRate)})` },
+      { label: t("calc.retirement.clawback"), value: formatMoney(r.clawback) },
+      { label: t("calc.retirement.estate", { age: r.lifeExpectancy }), value: formatMoney(r.estate) },
+    ],
+    summary: (r, scenarios = []) => [
+      t("calc.retirement.summary", {
+        retirementAge: r.retirementAge,
+        province: r.province,
+        saved: formatMoney(r.atRetirement),
+        spending: formatMoney(r.spending),
+        cppAge: r.cppStartAge,
+        oasAge: r.oasStartAge,
+        lasts: savingsOutcome(r),
+        tax: formatMoney(r.retirementTax),
+        clawback: formatMoney(r.clawback),
+        estate: formatMoney(r.estate),
+      }),
+      ...scenarios.map(s => t("calc.retirement.summaryScenario", {
+        name: s.name,
+        retirementAge: s.result.retirementAge,
+        cppAge: s.result.cppStartAge,
+        oasAge: s.result.oasStartAge,
+        lasts: savingsOutcome(s.result),
+        tax: formatMoney(s.result.retirementTax),
+        estate: formatMoney(s.result.estate),
+      })),
+    ].join(" "),
+  },
+  home: {
+    title: { en: "First-home savings plan", fr: "Plan d'épargne pour une première maison" },
+    fields: [
+      { key: "price", label: { en: "Target home price", fr: "Prix visé" }, money: true },
+      { key: "province", label: { en: "Province", fr: "Province" }, options: PROVINCES },
+      { key: "years", label: { en: "Years until buying", fr: "Années avant l'achat" } },
+      { key: "returnRate", label: { en: "Yearly return on savings, % (default 3)", fr: "Rendement annuel de l'épargne, % (3 par défaut)" } },
+      { key: "income", label: { en: "Your income", fr: "Votre revenu" }, money: true },
+      { key: "monthlySavings", label: { en: "You save per month (FHSA, then TFSA)", fr: "Vous épargnez par mois (CELIAPP, puis CELI)" }, money: true },
+      { key: "fhsaOpened", label: { en: "Year you opened your FHSA", fr: "Année d'ouverture de votre CELIAPP" } },
+      { key: "fhsaContributed", label: { en: "Your FHSA contributions so far", fr: "Vos cotisations CELIAPP à ce jour" }, money: true },
+      { key: "rrspBalance", label: { en: "Your RRSP today (for the HBP)", fr: "Votre REER aujourd'hui (pour le RAP)" }, money: true },
+      { key: "rrspMonthly", label: { en: "Your RRSP contributions per month", fr: "Vos cotisations REER par mois" }, money: true },
+      { key: "tfsaBalance", label: { en: "Your TFSA and savings today", fr: "Votre CELI et épargne aujourd'hui" }, money: true },
+      { key: "partnerIncome", label: { en: "Partner's income", fr: "Revenu du conjoint" }, money: true },
+      { key: "partnerMonthlySavings", label: { en: "Partner saves per month", fr: "Le conjoint épargne par mois" }, money: true },
+      { key: "partnerFhsaOpened", label: { en: "Year partner opened an FHSA", fr: "Année d'ouverture du CELIAPP du conjoint" } },
+      { key: "partnerFhsaContributed", label: { en: "Partner's FHSA contributions so far", fr: "Cotisations CELIAPP du conjoint à ce jour" }, money: true },
+      { key: "partnerRrspBalance", label: { en: "Partner's RRSP today", fr: "REER du conjoint aujourd'hui" }, money: true },
+      { key: "partnerRrspMonthly", label: { en: "Partner's RRSP contributions per month", fr: "Cotisations REER du conjoint par mois" }, money: true },
+      { key: "partnerTfsaBalance", label: { en: "Partner's TFSA and savings today", fr: "CELI et épargne du conjoint aujourd'hui" }, money: true },
+    ],
+    compute: homePlan,
+    compare: (r) => [
+      { label: t("calc.home.saved"), value: formatMoney(r.saved) },
+      { label: t("calc.home.down"), value: `${formatMoney(r.downPayment)} (${formatPct(r.downShare)})` },
+      { label: t("calc.home.premium"), value: formatMoney(r.premium) },
+      { label: t("calc.home.transfer"), value: r.landTransfer ? formatMoney(r.landTransfer.net) : "—" },
+      { label: t("calc.home.refunds"), value: formatMoney(r.people.reduce((sum, p) => sum + p.refunds, 0)) },
+    ],
+    summary: (r, scenarios = []) => [
+      t("calc.home.summary", {
+        price: formatMoney(r.price),
+        province: r.province,
+        month: formatMonth(r.purchaseMonth),
+        saved: formatMoney(r.saved),
+        fhsa: formatMoney(r.people.reduce((sum, p) => sum + p.fhsa, 0)),
+        tfsa: formatMoney(r.people.reduce((sum, p) => sum + p.tfsa, 0)),
+        hbp: formatMoney(r.people.reduce((sum, p) => sum + p.hbp, 0)),
+        down: formatMoney(r.downPayment),
+        share: formatPct(r.downShare),
+        minDown: formatMoney(r.minDown),
+        premium: formatMoney(r.premium),
+        transfer: r.landTransfer ? formatMoney(r.landTransfer.net) : "—",
+        refunds: formatMoney(r.people.reduce((sum, p) => sum + p.refunds, 0)),
+        status: homeStatus(r),
+      }),
+      ...scenarios.map(s => t("calc.home.summaryScenario", {
+        name: s.name,
+        price: formatMoney(s.result.price),
+        month: formatMonth(s.result.purchaseMonth),
+        saved: formatMoney(s.result.saved),
+        share: formatPct(s.result.downShare),
+        status: homeStatus(s.result),
+      })),
+    ].join(" "),
+  },
+  options: {
+    title: { en: "Options payoff at expiry", fr: "Gain ou perte d'options à l'échéance" },
+    fields: [
+      { key: "strategy", label: { en: "Strategy", fr: "Stratégie" }, options: OPTION_STRATEGIES },
+      { key: "spot", label: { en: "Stock price today", fr: "Cours de l'action aujourd'hui" }, money: true },
+      { key: "strike", label: { en: "Strike (put for a collar, lower for a spread)", fr: "Prix d'exercice (vente pour un tunnel, le plus bas pour un écart)" }, money: true },
+      { key: "premium", label: { en: "Premium per share", fr: "Prime par action" }, money: true },
+      { key: "strike2", label: { en: "Second strike (call for a collar, higher for a spread)", fr: "Deuxième prix d'exercice (achat pour un tunnel, le plus haut pour un écart)" }, money: true },
+      { key: "premium2", label: { en: "Second premium per share", fr: "Deuxième prime par action" }, money: true },
+      { key: "quantity", label: { en: "Shares (1 contract = 100)", fr: "Actions (1 contrat = 100)" } },
+      { key: "days", label: { en: "Days to expiry", fr: "Jours avant l'échéance" } },
+      { key: "volatility", label: { en: "Volatility, % (for a Black–Scholes estimate)", fr: "Volatilité, % (pour une estimation Black-Scholes)" } },
+      { key: "rate", label: { en: "Risk-free rate, % (default 3)", fr: "Taux sans risque, % (3 par défaut)" } },
+    ],
+    compute: optionPayoff,
+    compare: (r) => [
+      { label: t("calc.options.strategy"), value: loc(OPTION_STRATEGIES.find(s => s.code === r.strategy).name) },
+      { label: t("calc.options.maxLoss"), value: formatLimit(-r.maxLoss) },
+      { label: t("calc.options.maxGain"), value: formatLimit(r.maxGain) },
+      { label: t("calc.options.breakeven"), value: r.breakevens.map(b => formatMoney(b)).join(", ") || "—" },
+      { label: t("calc.options.net"), value: formatMoney(Math.round(r.netPremium)) },
+    ],
+    summary: (r, scenarios = []) => [r, ...scenarios.map(s => s.result)].map((x, i) => t(i ? "calc.options.summaryScenario" : "calc.options.summary", {
+      name: scenarios[i - 1]?.name,
+      strategy: loc(OPTION_STRATEGIES.find(s => s.code === x.strategy).name),
+      legs: x.legs.filter(l => l.kind !== "stock").map(l => `${l.side > 0 ? "+" : "−"}${t(`calc.options.kind.${l.kind}`)} ${formatMoney(l.strike)} @ ${formatMoney(Math.round(l.premium * 100) / 100)}`).join(", "),
+      quantity: x.quantity,
+      days: x.days,
+      loss: formatLimit(-x.maxLoss),
+      gain: formatLimit(x.maxGain),
+      breakeven: x.breakevens.map(b => formatMoney(b)).join(", ") || "—",
+    })).join(" "),
+  },
+  household: {
+    title: { en: "Household tax for two", fr: "Impôt du ménage à deux" },
+    fields: [
+      { key: "province", label: { en: "Province", fr: "Province" }, options: PROVINCES },
+      { key: "income", label: { en: "Your income, before pension", fr: "Votre revenu, hors pension" }, money: true },
+      { key: "partnerIncome", label: { en: "Partner's income, before pension", fr: "Revenu du partenaire, hors pension" }, money: true },
+      { key: "pension", label: { en: "Your eligible pension income", fr: "Votre revenu de pension admissible" }, money: true },
+      { key: "partnerPension", label: { en: "Partner's eligible pension income", fr: "Revenu de pension admissible du partenaire" }, money: true },
+      { key: "spousalContribution", label: { en: "Spousal RRSP contribution by the higher earner", fr: "Cotisation au REER de conjoint du revenu le plus élevé" }, money: true },
+    ],
+    compute: householdTax,
+    compare: (r) => [
+      { label: t("calc.household.combinedTax"), value: formatMoney(r.combined.tax) },
+      { label: t("calc.household.splitSaved"), value: formatMoney(r.split?.saved || 0) },
+      { label: t("calc.household.spousalRefund"), value: formatMoney(r.spousal.refund) },
+    ],
+    summary: (r, scenarios = []) => [
+      t("calc.household.summary", {
+        province: r.province,
+        income: formatMoney(r.combined.income),
+        tax: formatMoney(r.combined.tax),
+        average: formatPct(r.combined.averageRate),
+        youTax: formatMoney(r.people[0].tax),
+        youMarginal: formatPct(r.people[0].marginalRate),
+        partnerTax: formatMoney(r.people[1].tax),
+        partnerMarginal: formatPct(r.people[1].marginalRate),
+      }),
+      ...householdNotes(r),
+      ...scenarios.map(s => t("calc.household.summaryScenario", { name: s.name, tax: formatMoney(s.result.combined.tax), saved: formatMoney((s.result.split?.saved || 0) + s.result.spousal.refund) })),
+    ].join(" "),
+  },
+};
+
+// The debt card lives on the chat rather than in one reply, so its tag fills
+// the one card instead of opening another
+const DEBT_CARD = "debts";
+
+// Likewise the risk questionnaire: the tag starts it, there's nothing to prefill
+const RISK_CARD = "risk";
+
+// Pull <calculator type="…">{json}</calculator> tags out of a reply
+function extractCards(content) {
+  const cards = [];
+  const text = content.replace(/<calculator type="(\w+)">([\s\S]*?)<\/calculator>/g, (_, type, json) => {
+    if (!CALCULATORS[type] && type !== DEBT_CARD && type !== RISK_CARD) return "";
+    let prefill = {};
+    try { prefill = JSON.parse(json.trim() || "{}"); } catch { /* open it empty */ }
+    cards.push({ type, prefill });
+    return "";
+  });
+  return { text, cards };
+}
+
+function TfsaResult({ result }) {
+  return (
+    <>
+      <div className="calc-card__big">{formatMoney(result.room)}</div>
+      <div className="calc-card__caption">
+        {t("calc.tfsa.caption", { year: result.year, accrued: formatMoney(result.cumulativeLimit), firstYear: result.firstYear })}
+      </div>
+      {result.overContributed && <div className="calc-card__alert">{t("calc.tfsa.over")}</div>}
+      {result.restoredNextYear > 0 && <div className="calc-card__caption">{t("calc.tfsa.restored", { amount: formatMoney(result.restoredNextYear) })}</div>}
+    </>
+  );
+}
+
+function RrspResult({ result }) {
+  return (
+    <>
+      <div className="calc-card__big">{formatMoney(result.remaining)}</div>
+      <div className="calc-card__caption">
+        {t("calc.rrsp.caption", { year: result.year, limit: formatMoney(result.deductionLimit), newRoom: formatMoney(result.newRoom) })}
+      </div>
+      {result.capped && <div className="calc-card__caption">{t("calc.rrsp.capped", { eighteen: formatMoney(result.eighteenPct), cap: formatMoney(result.cap) })}</div>}
+      {result.remaining < -2000 && <div className="calc-card__alert">{t("calc.rrsp.over")}</div>}
+    </>
+  );
+}
+
+function TaxResult({ result }) {
+  return (
+    <>
+      <div className="calc-card__big">{formatPct(result.marginalRate)}</div>
+      <div className="calc-card__caption">
+        {t("calc.tax.caption", {
+          total: formatMoney(result.total),
+          federal: formatMoney(result.federal),
+          provincial: formatMoney(result.provincial),
+          average: formatPct(result.averageRate),
+        })}
+      </div>
+      <div className="calc-card__caption">
+        {t("calc.tax.takeHome", {
+          plan: result.province === "QC" ? t("calc.tax.qpp") : t("calc.tax.cpp"),
+          pension: formatMoney(result.takeHome.pension),
+          ei: formatMoney(result.takeHome.ei),
+          qpip: result.takeHome.qpip ? t("calc.tax.qpip", { amount: formatMoney(result.takeHome.qpip) }) : "",
+          net: formatMoney(result.takeHome.net),
+          monthly: formatMoney(Math.round(result.takeHome.net / 12)),
+        })}
+      </div>
+      {result.province === "QC" && (
+        <div className="calc-card__caption">{t("calc.tax.quebec", { abatement: formatPct(taxRulesFor(result.year).federal.quebecAbatement) })}</div>
+      )}
+    </>
+  );
+}
+
+// Stacked balances, one bar per row, with an optional marker line and a
+// tick label under any row tick() names
+function BalanceChart({ rows, series, markerAt = -1, tick, label }) {
+  const width = 600, height = 170, top = 14, bottom = 18;
+  const total = (row) => series.reduce((sum, { key }) => sum + Math.max(0, row[key]), 0);
+  const peak = Math.max(1, ...rows.map(total));
+  const step = width / rows.length;
+  const y = (v) => height - bottom - (v / peak) * (height - top - bottom);
+  return (
+    <>
+      <svg className="balance-chart" viewBox={`0 0 ${width} ${height}`} role="img" aria-label={label}>
+        {rows.map((row, i) => {
+          let base = 0;
+          return series.map(({ key, color }) => {
+            const value = Math.max(0, row[key]);
+            const h = y(base) - y(base + value);
+            base += value;
+            return h > 0 ? <rect key={`${i}-${key}`} x={i * step + 0.5} y={y(base)} width={Math.max(1, step - 1)} height={h} fill={color} /> : null;
+          });
+        })}
+        {markerAt >= 0 && <line x1={markerAt * step} x2={markerAt * step} y1={top - 6} y2={height - bottom} className="balance-chart__marker" />}
+        <text x="0" y="10" className="balance-chart__label">{formatMoney(Math.round(peak))}</text>
+        {rows.map((row, i) => {
+          const text = tick(row, i);
+          return text == null ? null : <text key={i} x={i * step} y={height - 4} className="balance-chart__label">{text}</text>;
+        })}
+      </svg>
+      <div className="balance-chart__legend">
+        {series.map(({ key, color, name }) => <span key={key}><i style={{ background: color }} />{name}</span>)}
+      </div>
+    </>
+  );
+}
+
+function RetirementResult({ result }) {
+  const money = (n) => (n >= 0.5 ? formatMoney(Math.round(n)) : "—");
+  return (
+    <>
+      <div className={`calc-card__big${result.runsOutAt ? " calc-card__big--short" : ""}`}>
+        {result.runsOutAt ? t("calc.retirement.runsOut", { age: result.runsOutAt }) : t("calc.retirement.lastsTo", { age: result.lifeExpectancy })}
+      </div>
+      <div className="calc-card__caption">
+        {t("calc.retirement.caption", { saved: formatMoney(result.atRetirement), age: result.retirementAge, spending: formatMoney(result.spending), estate: formatMoney(result.estate), end: result.lifeExpectancy })}
+      </div>
+      <BalanceChart
+        rows={result.rows}
+        series={[
+          { key: "tfsa", color: "var(--green)", name: t("calc.retirement.tfsa") },
+          { key: "rrsp", color: "var(--black)", name: t("calc.retirement.rrsp") },
+          { key: "nonReg", color: "var(--muted)", name: t("calc.retirement.nonReg") },
+        ]}
+        markerAt={result.rows.findIndex(row => row.age === result.retirementAge)}
+        tick={(row) => (row.age % 10 === 0 ? row.age : null)}
+        label={t("calc.retirement.chart")}
+      />
+      {result.clawback > 0 && <div className="calc-card__caption">{t("calc.retirement.clawbackNote", { amount: formatMoney(result.clawback) })}</div>}
+      {result.cppAssumedMax && <div className="calc-card__caption">{t("calc.retirement.cppMax", { max: formatMoney(TAX_RULES.retirement.cpp.maxAt65) })}</div>}
+      <details className="calc-card__details">
+        <summary>{t("calc.retirement.table")}</summary>
+        <div className="md-table-wrap">
+          <table className="md-table calc-table">
+            <thead>
+              <tr>
+                {["age", "benefits", "withdrawals", "taxCol", "balance"].map(k => <th key={k}>{t(`calc.retirement.${k}`)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {result.rows.map(row => (
+                <tr key={row.age} className={row.shortfall > 1 ? "calc-table__short" : ""}>
+                  <td>{row.age}</td>
+                  <td>{money(row.cpp + row.oas + row.pension)}</td>
+                  <td>{money(row.rrspDraw + row.nonRegDraw + row.tfsaDraw)}</td>
+                  <td>{money(row.tax + row.clawback)}</td>
+                  <td>{money(row.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </details>
+      <div className="calc-card__caption">{t("calc.retirement.assumptions")}</div>
+    </>
+  );
+}
+
+function HomeResult({ result }) {
+  const { landTransfer: transfer } = result;
+  const { fhsa } = TAX_RULES.limits;
+  const reachedAt = result.timeline.findIndex(row => row.month === result.reachedMonth);
+  return (
+    <>
+      <div className={`calc-card__big${result.reachedMonth === null ? " calc-card__big--short" : ""}`}>
+        {result.reachedMonth !== null ? t("calc.home.onTrack", { month: formatMonth(result.reachedMonth) }) : t("calc.home.short", { amount: formatMoney(result.shortfall) })}
+      </div>
+      <div className="calc-card__caption">
+        {t("calc.home.caption", { saved: formatMoney(result.saved), month: formatMonth(result.purchaseMonth), down: formatMoney(result.downPayment), share: formatPct(result.downShare), price: formatMoney(result.price) })}
+      </div>
+      <BalanceChart
+        rows={result.timeline}
+        series={[
+          { key: "fhsa", color: "var(--green)", name: t("calc.home.fhsa") },
+          { key: "tfsa", color: "var(--black)", name: t("calc.home.tfsa") },
+          { key: "hbp", color: "var(--muted)", name: t("calc.home.hbp") },
+        ]}
+        markerAt={reachedAt}
+        tick={(row, i) => (row.month % 12 === 0 || i === 0 ? Math.floor(row.month / 12) : null)}
+        label={t("calc.home.chart")}
+      />
+      <div className="cashflow__rows">
+        <div className="cashflow__row"><span>{t("calc.home.minDown")}</span><span>{formatMoney(result.minDown)}</span></div>
+        {transfer && (
+          <div className="cashflow__row">
+            <span>{t("calc.home.transferRow", { tax: formatMoney(transfer.tax), rebate: formatMoney(transfer.rebate) })}</span>
+            <span>{formatMoney(transfer.net)}</span>
+          </div>
+        )}
+        {result.needsInsurance && (
+          <div className="cashflow__row">
+            <span>{t(result.premiumTax ? "calc.home.premiumRowTax" : "calc.home.premiumRow", { tax: formatMoney(result.premiumTax) })}</span>
+            <span>{formatMoney(result.premium)}</span>
+          </div>
+        )}
+      </div>
+      {!transfer && <div className="calc-card__caption">{t("calc.home.transferUnknown", { province: result.province })}</div>}
+      {!result.insurable && <div className="calc-card__caption">{t("calc.home.uninsurable", { cap: formatMoney(TAX_RULES.home.insuredPriceCap) })}</div>}
+      {result.insurable && !result.needsInsurance && <div className="calc-card__caption">{t("calc.home.noInsurance")}</div>}
+      {result.people.map((p, i) => (
+        <div key={i} className="cashflow__section">
+          <div className="cashflow__heading">{t(i ? "calc.home.partner" : "calc.home.you")}</div>
+          <div className="cashflow__row"><span>{t("calc.home.fhsaRow", { contributed: formatMoney(p.fhsaContributed) })}</span><span>{formatMoney(p.fhsa)}</span></div>
+          <div className="cashflow__row"><span>{t("calc.home.tfsa")}</span><span>{formatMoney(p.tfsa)}</span></div>
+          {p.hbp > 0 && <div className="cashflow__row"><span>{t("calc.home.hbpRow", { yearly: formatMoney(p.repayment.yearly), from: p.repayment.from })}</span><span>{formatMoney(p.hbp)}</span></div>}
+          {p.refunds + p.refundComing > 0 && (
+            <div className="cashflow__row cashflow__row--saving">
+              <span>{t("calc.home.refundRow", { rate: formatPct(p.marginalRate), coming: formatMoney(p.refundComing) })}</span>
+              <span>{formatMoney(p.refunds)}</span>
+            </div>
+          )}
+        </div>
+      ))}
+      <details className="calc-card__details">
+        <summary>{t("calc.home.table")}</summary>
+        <div className="md-table-wrap">
+          <table className="md-table calc-table">
+            <thead>
+              <tr>{["month", "fhsa", "tfsa", "hbp", "total"].map(k => <th key={k}>{t(`calc.home.${k}`)}</th>)}</tr>
+            </thead>
+            <tbody>
+              {result.timeline.map(row => (
+                <tr key={row.month}>
+                  <td>{formatMonth(row.month)}</td>
+                  <td>{formatMoney(Math.round(row.fhsa))}</td>
+                  <td>{formatMoney(Math.round(row.tfsa))}</td>
+                  <td>{formatMoney(Math.round(row.hbp))}</td>
+                  <td>{formatMoney(Math.round(row.total))}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </details>
+      <div className="calc-card__caption">{t("calc.home.assumptions", { annual: formatMoney(fhsa.annual), carry: formatMoney(fhsa.carryForwardMax), lifetime: formatMoney(fhsa.lifetime) })}</div>
+    </>
+  );
+}
+
+// Profit/loss line at expiry against the stock price, with zero, today's
+// price and the breakevens marked
+function PayoffChart({ result }) {
+  const width = 600, height = 180, pad = 16;
+  const { curve } = result;
+  const lo = Math.min(0, ...curve.map(p => p.pnl)), hi = Math.max(0, ...curve.map(p => p.pnl));
+  const span = hi - lo || 1;
+  const first = curve[0].price, last = curve[curve.length - 1].price;
+  const x = (price) => ((price - first) / (last - first)) * width;
+  const y = (pnl) => pad + (hi - pnl) / span * (height - 2 * pad);
+  const path = curve.map((p, i) => `${i ? "L" : "M"}${x(p.price).toFixed(1)},${y(p.pnl).toFixed(1)}`).join(" ");
+  return (
+    <svg className="balance-chart payoff-chart" viewBox={`0 0 ${width} ${height}`} role="img" aria-label={t("calc.options.chart")}>
+      <path d={`${path} L${width},${y(0)} L0,${y(0)} Z`} className="payoff-chart__area" />
+      <line x1="0" x2={width} y1={y(0)} y2={y(0)} className="payoff-chart__zero" />
+      <line x1={x(result.spot)} x2={x(result.spot)} y1={pad / 2} y2={height - pad / 2} className="balance-chart__marker" />
+      <path d={path} className="payoff-chart__line" />
+      {result.breakevens.filter(b => b >= first && b <= last).map(b => <circle key={b} cx={x(b)} cy={y(0)} r="3.5" className="payoff-chart__breakeven" />)}
+      <text x="2" y={pad - 4} className="balance-chart__label">{formatMoney(Math.round(hi))}</text>
+      <text x="2" y={height - 4} className="balance-chart__label">{formatMoney(Math.round(lo))}</text>
+      <text x={x(result.spot) + 4} y={pad - 4} className="balance-chart__label">{t("calc.options.today", { price: formatMoney(result.spot) })}</text>
+      <text x={width - 2} y={height - 4} textAnchor="end" className="balance-chart__label">{formatMoney(Math.round(last))}</text>
+    </svg>
+  );
+}
+
+function OptionsResult({ result }) {
+  const spec = OPTION_STRATEGIES.find(s => s.code === result.strategy);
+  return (
+    <>
+      <div className="calc-card__big calc-card__big--short">{t("calc.options.bigLoss", { loss: formatLimit(-result.maxLoss) })}</div>
+      <div className="calc-card__caption">
+        {t("calc.options.caption", {
+          gain: formatLimit(result.maxGain),
+          breakeven: result.breakevens.map(b => formatMoney(b)).join(t("calc.options.or")) || "—",
+          quantity: result.quantity,
+          days: result.days,
+        })}
+      </div>
+      <PayoffChart result={result} />
+      <div className="cashflow__rows">
+        {result.legs.filter(l => l.kind !== "stock").map((l, i) => (
+          <div key={i} className="cashflow__row">
+            <span>
+              {t(`calc.options.${l.side > 0 ? "buy" : "write"}.${l.kind}`, { strike: formatMoney(l.strike) })}
+              {l.fair !== null && ` · ${t("calc.options.fair", { fair: formatMoney(Math.round(l.fair * 100) / 100) })}`}
+            </span>
+            <span>{formatMoney(Math.round(l.premium * 100) / 100)}</span>
+          </div>
+        ))}
+        <div className="cashflow__row">
+          <span>{t(result.netPremium > 0 ? "calc.options.debit" : "calc.options.credit")}</span>
+          <span>{formatMoney(Math.round(Math.abs(result.netPremium)))}</span>
+        </div>
+      </div>
+      <div className="calc-card__caption">{t(`calc.options.explain.${spec.code}`)}</div>
+      {result.premiumEstimated && <div className="calc-card__caption">{t("calc.options.estimated")}</div>}
+      <div className="calc-card__caption">{t("calc.options.assumptions")}</div>
+    </>
+  );
+}
+
+// Pension split, spousal RRSP and who claims what, for the household card and [Household] block
+function householdNotes(r) {
+  const { split, spousal } = r;
+  const notes = [];
+  if (split) notes.push(t("calc.household.split", { amount: formatMoney(split.amount), from: t(`household.name.${split.from}`), to: t(`household.name.${split.to}`), saved: formatMoney(split.saved) }));
+  else if (r.canSplit) notes.push(t("calc.household.noSplit"));
+  if (spousal.amount > 0) {
+    notes.push(t("calc.household.spousal", {
+      amount: formatMoney(spousal.amount),
+      contributor: t(`household.name.${spousal.contributor}`),
+      refund: formatMoney(spousal.refund),
+      annuitant: t(`household.return.${spousal.annuitant}`),
+      years: spousal.attributionYears,
+    }));
+  } else if (spousal.rateGap >= 0.05) {
+    notes.push(t("calc.household.spousalHint", { gap: (Math.round(spousal.rateGap * 1000) / 10).toLocaleString(intlLocale()), contributor: t(`household.name.${spousal.contributor}`), annuitant: t(`household.return.${spousal.annuitant}`) }));
+  }
+  notes.push(t("calc.household.claims", {
+    medical: t(`household.return.${r.medicalClaimant}`),
+    floor: formatMoney(r.medicalFloor),
+    childCare: t(`household.return.${r.childCareClaimant}`),
+    donations: t(`household.return.${r.donationClaimant}`),
+  }));
+  return notes;
+}
+
+function HouseholdResult({ result }) {
+  const { people, combined } = result;
+  const rows = [
+    ["income", p => p.income, true],
+    ...(people.some(p => p.pension > 0) ? [["pension", p => p.pension, true]] : []),
+    ["taxable", p => p.taxable, true],
+    ["taxCol", p => p.tax, true],
+    ["marginal", p => p.marginalRate, false],
+  ];
+  return (
+    <>
+      <div className="calc-card__big">{formatMoney(combined.tax)}</div>
+      <div className="calc-card__caption">{t("calc.household.caption", { income: formatMoney(combined.income), average: formatPct(combined.averageRate), province: result.province })}</div>
+      <div className="md-table-wrap">
+        <table className="md-table calc-table">
+          <thead>
+            <tr>
+              <th />
+              {people.map((p, i) => <th key={i}>{partnerName(i)}</th>)}
+              <th>{t("household.together")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(([key, value, money]) => (
+              <tr key={key}>
+                <td>{t(`calc.household.${key}`)}</td>
+                {people.map((p, i) => <td key={i}>{money ? formatMoney(value(p)) : formatPct(value(p))}</td>)}
+                <td>{money ? formatMoney(value(people[0]) + value(people[1])) : "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {householdNotes(result).map((note, i) => <div key={i} className="calc-card__caption">{note}</div>)}
+    </>
+  );
+}
+
+const CALCULATOR_RESULTS = { tfsa: TfsaResult, rrsp: RrspResult, tax: TaxResult, retirement: RetirementResult, home: HomeResult, options: OptionsResult, household: HouseholdResult };
+
+const MAX_SCENARIOS = 3;
+
+// Saved scenarios side by side with the current inputs, one row per metric
+function ScenarioCompare({ calc, scenarios, result, onLoad, onRemove }) {
+  const columns = [...scenarios.map(s => ({ ...s, metrics: calc.compare(s.result) })), { name: t("calc.current"), metrics: result ? calc.compare(result) : null }];
+  const labels = (columns.find(c => c.metrics) || columns[0]).metrics || [];
+  return (
+    <div className="md-table-wrap">
+      <table className="md-table calc-table calc-compare">
+        <thead>
+          <tr>
+            <th />
+            {columns.map((c, i) => (
+              <th key={c.name}>
+                {i < scenarios.length ? (
+                  <>
+                    <button className="link-btn" onClick={() => onLoad(scenarios[i])} title={t("calc.loadScenario")}>{c.name}</button>
+                    <button className="calc-compare__remove" onClick={() => onRemove(scenarios[i])} aria-label={t("calc.removeScenario")}>✕</button>
+                  </>
+                ) : c.name}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {labels.map((m, row) => (
+            <tr key={row}>
+              <td>{m.label}</td>
+              {columns.map(c => <td key={c.name}>{c.metrics ? c.metrics[row].value : "—"}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function CalculatorCard({ type, prefill, onShare }) {
+  const calc = CALCULATORS[type];
+  const Result = CALCULATOR_RESULTS[type];
+  const [values, setValues] = useState(() =>
+    Object.fromEntries(calc.fields.map(f => [f.key, prefill[f.key] ?? ""])),
+  );
+  const [shared, setShared] = useState(false);
+  const [scenarios, setScenarios] = useState([]);
+  const [savedCount, setSavedCount] = useState(0);
+  const parsed = Object.fromEntries(calc.fields.map(f => {
+    const v = values[f.key];
+    return [f.key, v === "" ? undefined : f.options ? v : Number(v)];
+  }));
+  const result = calc.compute(parsed);
+  const setValue = (key, value) => { setValues(v => ({ ...v, [key]: value })); setShared(false); };
+  const saveScenario = () => {
+    setScenarios(list => [...list, { name: t("calc.scenario", { letter: String.fromCharCode(65 + savedCount) }), values, result }]);
+    setSavedCount(n => n + 1);
+    setShared(false);
+  };
+
+  return (
+    <div className="calc-card">
+      <div className="calc-card__title">🧮 {loc(calc.title)}</div>
+      <div className="calc-card__fields">
+        {calc.fields.map(f => (
+          <label key={f.key} className="calc-field">
+            <span>{loc(f.label)}</span>
+            {f.options ? (
+              <select value={values[f.key]} onChange={(e) => setValue(f.key, e.target.value)}>
+                <option value="">{t("calc.choose")}</option>
+                {f.options.map(o => <option key={o.code} value={o.code}>{loc(o.name)}</option>)}
+              </select>
+            ) : (
+              <input
+                type="number"
+                inputMode="decimal"
+                value={values[f.key]}
+                placeholder={f.money ? formatMoney(0) : ""}
+                onChange={(e) => setValue(f.key, e.target.value)}
+              />
+            )}
+          </label>
+        ))}
+      </div>
+      {result ? (
+        <div className="calc-card__result">
+          <Result result={result} />
+          {result.estimated && <div className="calc-card__caption">{t("calc.estimated")}</div>}
+          <div className="calc-card__actions">
+            <button
+              className="calc-card__share"
+              disabled={shared}
+              onClick={() => { onShare(calc.summary(result, scenarios)); setShared(true); }}
+            >
+              {shared ? t("calc.sent") : t("calc.send")}
+            </button>
+            {calc.compare && scenarios.length < MAX_SCENARIOS && (
+              <button className="calc-card__save" onClick={saveScenario}>{t("calc.saveScenario")}</button>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="calc-card__caption">{t("calc.empty")}</div>
+      )}
+      {scenarios.length > 0 && (
+        <ScenarioCompare
+          calc={calc}
+          scenarios={scenarios}
+          result={result}
+          onLoad={(s) => { setValues(s.values); setShared(false); }}
+          onRemove={(s) => { setScenarios(list => list.filter(x => x !== s)); setShared(false); }}
+        />
+      )}
+      <div className="calc-card__source">{t("calc.source", { version: TAX_RULES.version, year: TAX_YEAR })}</div>
+    </div>
+  );
+}
+
+// ── Imports ────────────────────────────────────────────────
+// Bank/card CSV exports and T4 or Notice of Assessment text are parsed in the
+// browser — nothing leaves the device until the user confirms the figures,
+// which then ride along with every turn as an [Imported figures] block.
+
+const IMPORT_FIELDS = [
+  { key: "income", label: { en: "Annual income", fr: "Revenu annuel" } },
+  { key: "rrspDeductionLimit", label: { en: "RRSP deduction limit", fr: "Plafond de déduction REER" } },
+  { key: "tfsaRoom", label: { en: "TFSA contribution room", fr: "Droits de cotisation CELI" } },
+  { key: "monthlySpending", label: { en: "Monthly spending", fr: "Dépenses mensuelles" } },
+];
+
+// Parse one CSV document into rows of trimmed cells (quoted fields, "" escapes, CRLF)
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(cell.trim()); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell.trim());
+      if (row.some(Boolean)) rows.push(row);
+      row = []; cell = "";
+    } else cell += c;
+  }
+  row.push(cell.trim());
+  if (row.some(Boolean)) rows.push(row);
+  return rows;
+}
+
+// Header names seen in Canadian bank and card exports (RBC, BMO, Tangerine,
+// Simplii, EQ, Desjardins in French), lower-cased, most specific first
+const STATEMENT_COLUMNS = {
+  date: ["transaction date", "date de transaction", "date de l'opération", "date posted", "posted date", "date"],
+  description: ["description 1", "description 2", "description", "transaction details", "name", "memo", "merchant", "payee", "details", "libellé", "transaction"],
+  amount: ["cad$", "transaction amount", "amount", "montant"],
+  debit: ["debit", "withdrawals", "withdrawal", "funds out", "money out", "débit", "retrait"],
+  credit: ["credit", "deposits", "deposit", "funds in", "money in", "crédit", "dépôt"],
+};
+
+function parseStatementDate(value) {
+  const v = value.trim();
+  let m;
+  if ((m = v.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/))) return isoDate(m[1], m[2], m[3]);
+  if ((m = v.match(/^(\d{4})(\d{2})(\d{2})$/))) return isoDate(m[1], m[2], m[3]);
+  if ((m = v.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/))) {
+    // Canadian exports are month-first unless the first part can't be a month
+    return Number(m[1]) > 12 ? isoDate(m[3], m[2], m[1]) : isoDate(m[3], m[1], m[2]);
+  }
+  return null;
+}
+
+function isoDate(y, m, d) {
+  if (Number(m) < 1 || Number(m) > 12 || Number(d) < 1 || Number(d) > 31) return null;
+  return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+// "1,234.56", "-45.00", "(45.00)", "$45", French "1 234,56"
+function parseAmount(value) {
+  let v = (value || "").replace(/[$\s  ]/g, "");
+  if (!v) return null;
+  const negative = /^\(.*\)$/.test(v) || v.startsWith("-");
+  v = v.replace(/[()\-+]/g, "");
+  v = /,\d{2}$/.test(v) && !v.includes(".") ? v.replace(/\./g, "").replace(",", ".") : v.replace(/,/g, "");
+  const n = Number(v);
+  return v && Number.isFinite(n) ? (negative ? -n : n) : null;
+}
+
+// A typed figure, read the way the chat reads money: parseAmount's formats
+// plus a thousands "k" ("12k", "$62.5k", "7 k$")
+function parseFigure(value) {
+  const m = (value || "").trim().match(/^(.*\d)\s?[kK]\s?\$?$/);
+  const n = parseAmount(m ? m[1] : value);
+  return n === null ? null : m ? n * 1000 : n;
+}
+
+function findColumn(header, names) {
+  for (const name of names) {
+    const i = header.indexOf(name);
+    if (i !== -1) return i;
+  }
+  return -1;
+}
+
+// Rows to { date, description, amount } with money out negative. Returns null
+// when the file doesn't look like a statement.
+function parseStatement(text) {
+  const rows = parseCsv(text);
+  if (rows.length < 2) return null;
+  const header = rows[0].map(h => h.toLowerCase().trim());
+  let layout, read, single; // single: one amount column, no debit/credit split
+
+  if (parseStatementDate(rows[0][0] || "")) {
+    // No header row: TD and CIBC send date, description, debit, credit(, balance);
+    // Scotiabank sends date, amount, "-", type, description
+    const scotia = rows[0][2] === "-" && parseAmount(rows[0][1]) !== null;
+    layout = scotia ? "Scotiabank" : "TD / CIBC";
+    single = scotia;
+    read = scotia
+      ? (r) => ({ date: r[0], description: [r[4], r[3]].filter(Boolean).join(" "), amount: parseAmount(r[1]) })
+      : (r) => ({ date: r[0], description: r[1], amount: (parseAmount(r[3]) || 0) - (parseAmount(r[2]) || 0) });
+    rows.unshift(null);
+  } else {
+    const date = findColumn(header, STATEMENT_COLUMNS.date);
+    const amount = findColumn(header, STATEMENT_COLUMNS.amount);
+    const debit = findColumn(header, STATEMENT_COLUMNS.debit);
+    const credit = findColumn(header, STATEMENT_COLUMNS.credit);
+    let descriptions = STATEMENT_COLUMNS.description.map(n => header.indexOf(n)).filter(i => i !== -1);
+    // Tangerine's "Transaction" column is just the type; only use it on its own
+    if (descriptions.length > 1) descriptions = descriptions.filter(i => header[i] !== "transaction");
+    if (date === -1 || !descriptions.length || (amount === -1 && debit === -1)) return null;
+    layout = rows[0].filter((h, i) => [date, amount, debit, credit, ...descriptions].includes(i)).join(", ");
+    single = amount !== -1 && debit === -1 && credit === -1;
+    read = (r) => ({
+      date: r[date],
+      description: descriptions.map(i => r[i]).filter(Boolean).join(" "),
+      amount: amount !== -1 ? parseAmount(r[amount]) : (parseAmount(r[credit]) || 0) - (parseAmount(r[debit]) || 0),
+    });
+  }
+
+  let transactions = rows.slice(1)
+    .map(read)
+    .map(t => ({ ...t, date: parseStatementDate(t.date || ""), description: (t.description || "").replace(/\s+/g, " ").trim() }))
+    .filter(t => t.date && t.amount !== null && t.amount !== 0);
+  if (!transactions.length) return null;
+  // Some card exports list every purchase as a positive amount. Only a single
+  // column with no negatives at all reads that way; anything else is signed.
+  if (single && transactions.every(t => t.amount > 0)) {
+    transactions = transactions.map(t => ({ ...t, amount: -t.amount }));
+  }
+  return { layout, transactions };
+}
+
+// Moving money between your own accounts or paying off a card isn't spending
+const INTERNAL_TRANSFER = /\b(payment.{0,12}thank you|paiement.{0,12}merci|transfer (to|from)|tfr[- ](to|fr)|virement entre|internet transfer|credit card payment)/i;
+
+// Statements usually cover whole months, so round the span to one
+function statementMonths(transactions) {
+  const times = transactions.map(t => Date.parse(t.date));
+  const days = (Math.max(...times) - Math.min(...times)) / 86400000 + 1;
+  return Math.max(1, Math.round(days / 30.44));
+}
+
+function monthlySpending(transactions) {
+  const spent = transactions
+    .filter(t => t.amount < 0 && !INTERNAL_TRANSFER.test(t.description))
+    .reduce((sum, t) => sum - t.amount, 0);
+  return Math.round(spent / statementMonths(transactions));
+}
+
+// Amounts on slips: "$85,000.00", "85000.00", "85 000,00 $"; never a bare year or box number
+const SLIP_AMOUNT = /\$\s?\d[\d,   ]*(?:[.,]\d{2})?|\d{1,3}(?:[,   ]\d{3})+(?:[.,]\d{2})?|\d+[.,]\d{2}/;
+
+const SLIP_FIGURES = [
+  // T4 box 14 / Relevé 1 is Quebec's own slip and isn't read here
+  { key: "income", source: "T4", pattern: /(?:employment income|revenus d'emploi|\b(?:box|case) 14\b)/i },
+  // Notice of Assessment, line 15000
+  { key: "income", source: "NOA", pattern: /(?:total income|revenu total)/i },
+  { key: "rrspDeductionLimit", source: "NOA", pattern: /(?:RRSP deduction limit(?: for \d{4})?|plafond de déduction au titre des REER(?: pour \d{4})?)/i },
+  { key: "tfsaRoom", source: "CRA", pattern: /(?:TFSA (?:contribution )?room(?: (?:on|at) January 1,? \d{4})?|droits de cotisation (?:au|à un) CELI(?: au 1er janvier \d{4})?)/i },
+];
+
+// Pull figures out of T4, NOA or TFSA-room text. Each label takes the first
+// amount that follows it closely; the T4 wins over the NOA for income.
+function parseSlip(text) {
+  const flat = text.replace(/\s+/g, " ").replace(/\b(line|ligne)\s*\d{5}\b/gi, "");
+  const year = flat.match(/\b(?:year|année|for|pour)\s+(20\d{2})\b/i)?.[1];
+  const values = {}, sources = {};
+  for (const fig of SLIP_FIGURES) {
+    if (values[fig.key] !== undefined) continue;
+    const label = flat.match(fig.pattern);
+    if (!label) continue;
+    const after = flat.slice(label.index + label[0].length, label.index + label[0].length + 80);
+    const amount = after.match(SLIP_AMOUNT);
+    const value = amount && parseAmount(amount[0]);
+    if (value > 0) {
+      values[fig.key] = Math.round(value);
+      sources[fig.key] = year ? `${fig.source} ${year}` : fig.source;
+    }
+  }
+  return Object.keys(values).length ? { values, sources } : null;
+}
+
+// Text-layer PDFs only: inflate each content stream and read the strings
+// shown by Tj/TJ. Scanned slips have no text layer; paste their text instead.
+async function pdfText(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const raw = latin1(bytes);
+  const parts = [];
+  const re = /(?<!end)stream\r?\n/g;
+  let m;
+  while ((m = re.exec(raw))) {
+    const dict = raw.slice(raw.lastIndexOf("obj", m.index), m.index);
+    const start = m.index + m[0].length;
+    const length = dict.match(/\/Length (\d+)(?!\s+\d+\s+R)/);
+    const end = length ? start + Number(length[1]) : raw.indexOf("endstream", start);
+    if (end < start) break;
+    re.lastIndex = end;
+    if (/\/Subtype\s*\/Image/.test(dict)) continue;
+    let data = bytes.subarray(start, end);
+    if (/\/FlateDecode/.test(dict)) {
+      try { data = await inflate(data); } catch { continue; }
+    } else if (/\/Filter/.test(dict)) continue;
+    parts.push(pdfShownText(latin1(data)));
+  }
+  return parts.filter(Boolean).join("\n");
+}
+
+function latin1(bytes) {
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 8192) out += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  return out;
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function pdfString(token) {
+  if (token.startsWith("<")) {
+    const hex = token.slice(1, -1).replace(/\s/g, "");
+    const codes = hex.match(/../g) || [];
+    // A UTF-16BE byte-order mark, or single-byte codes
+    if (hex.toUpperCase().startsWith("FEFF")) {
+      return codes.slice(2).reduce((s, c, i, all) => (i % 2 ? s : s + String.fromCharCode(parseInt(c + (all[i + 1] || "00"), 16))), "");
+    }
+    return codes.map(c => String.fromCharCode(parseInt(c, 16))).join("");
+  }
+  return token.slice(1, -1).replace(/\\([nrtbf()\\]|[0-7]{1,3})/g, (_, e) => (
+    /\d/.test(e) ? String.fromCharCode(parseInt(e, 8)) : { n: "\n", r: "\r", t: "\t", b: "", f: "" }[e] ?? e
+  ));
+}
+
+function pdfShownText(content) {
+  const lines = [];
+  let line = "";
+  const token = /\((?:\\.|[^\\)])*\)|<[0-9A-Fa-f\s]*>|\b(Tj|TJ|'|"|Td|TD|T\*|ET)\b/g;
+  let m;
+  while ((m = token.exec(content))) {
+    if (m[0].startsWith("(") || m[0].startsWith("<")) line += pdfString(m[0]);
+    else if (m[1] === "Tj" || m[1] === "TJ") line += " ";
+    else { lines.push(line.trim()); line = ""; }
+  }
+  lines.push(line.trim());
+  return lines.filter(Boolean).join("\n");
+}
+
+// File or pasted text → { kind, values, sources, transactions, detail } or null
+async function readImport({ file, text }) {
+  const name = file?.name || "";
+  let content = text || "";
+  if (file && /\.pdf$/i.test(name)) content = await pdfText(await file.arrayBuffer());
+  else if (file) content = await file.text();
+
+  const statement = /\.pdf$/i.test(name) ? null : parseStatement(content);
+  if (statement) {
+    const { transactions, layout } = statement;
+    const dates = transactions.map(t => t.date).sort();
+    return {
+      kind: "statement",
+      values: { monthlySpending: monthlySpending(transactions) },
+      sources: { monthlySpending: `${name || "CSV"}, ${dates[0]} – ${dates[dates.length - 1]}` },
+      transactions,
+      detail: { layout, count: transactions.length },
+    };
+  }
+  const slip = parseSlip(content);
+  return slip ? { kind: "slip", ...slip, transactions: [], detail: { name } } : null;
+}
+
+// Fold a confirmed import into what's already attached; newer figures win
+function mergeImport(current, incoming) {
+  const seen = new Set((current?.transactions || []).map(t => `${t.date}|${t.description}|${t.amount}`));
+  return {
+    values: { ...current?.values, ...incoming.values },
+    sources: { ...current?.sources, ...incoming.sources },
+    transactions: [
+      ...(current?.transactions || []),
+      ...incoming.transactions.filter(t => !seen.has(`${t.date}|${t.description}|${t.amount}`)),
+    ],
+  };
+}
+
+// Text block sent with every turn once the user has confirmed imported figures
+function importContext(imported) {
+  const lines = IMPORT_FIELDS
+    .filter(f => imported?.values[f.key] !== undefined)
+    .map(f => `- ${f.label.en}: ${formatMoney(imported.values[f.key])} (${imported.sources[f.key]})`);
+  if (!lines.length) return null;
+  return `[Imported figures]\nFrom the user's own statements and tax slips, confirmed by them:\n${lines.join("\n")}\n[/Imported figures]`;
+}
+
+// ── Cash flow ──────────────────────────────────────────────
+// Imported transactions are sorted into categories (merchant rules first, a
+// model pass for whatever the rules miss) and rolled up into a monthly
+// picture: income, fixed costs, everyday essentials, discretionary spend and
+// what's left to save. The summary renders as a card in the chat and goes to
+// the model as a [Cash flow] block, so contribution suggestions are sized
+// against the user's actual surplus instead of a guess.
+
+// kind: how a category counts — income, fixed, essential, discretionary,
+// savings (money moved to investments) or transfer (ignored)
+const SPENDING_CATEGORIES = [
+  { id: "income", kind: "income", label: { en: "Income", fr: "Revenus" },
+    pattern: /\b(payroll|pay ?roll|salary|direct dep|dépôt direct|paie|canada (child|ccb)|gst ?credit|crédit (tps|de tps)|ei benefit|prestations? d'ae|cra refund|remboursement arc|pension)\b/i },
+  { id: "housing", kind: "fixed", label: { en: "Housing", fr: "Logement" },
+    pattern: /\b(rent|loyer|mortgage|hypoth[eè]que|property tax|taxes? foncières?|condo fee|frais de copropriété)\b/i },
+  { id: "utilities", kind: "fixed", label: { en: "Utilities & phone", fr: "Services publics et téléphone" },
+    pattern: /\b(hydro|enbridge|fortis|epcor|atco|énergir|rogers|bell|telus|fido|koodo|virgin|freedom mobile|videotron|vidéotron|shaw|cogeco|public mobile|internet)\b/i },
+  { id: "insurance", kind: "fixed", label: { en: "Insurance", fr: "Assurances" },
+    pattern: /\b(insurance|assurance|intact|desjardins ins|belair|sun life|manulife|canada life|the co-operators|td ins)\b/i },
+  { id: "debt", kind: "fixed", label: { en: "Loan payments", fr: "Remboursements de prêts" },
+    pattern: /\b(loan pmt|loan payment|paiement de prêt|nslsc|osap|student loan|prêt étudiant|line of credit|marge de crédit|car loan|auto loan)\b/i },
+  { id: "childcare", kind: "fixed", label: { en: "Childcare", fr: "Garde d'enfants" },
+    pattern: /\b(daycare|garderie|childcare|cpe)\b/i },
+  { id: "groceries", kind: "essential", label: { en: "Groceries", fr: "Épicerie" },
+    pattern: /\b(loblaws|no ?frills|superstore|sobeys|safeway|metro|iga|maxi|provigo|food basics|freshco|save[- ]on|costco|walmart|farm boy|longo'?s|t ?& ?t|fortinos|zehrs|super c|grocery|épicerie)\b/i },
+  { id: "transport", kind: "essential", label: { en: "Transport", fr: "Transport" },
+    pattern: /\b(presto|ttc|stm|opus|compass|oc transpo|go transit|petro[- ]?canada|esso|shell|husky|ultramar|pioneer|chevron|co-op gas|parking|stationnement|saaq|service ?ontario|icbc)\b/i },
+  { id: "health", kind: "essential", label: { en: "Health", fr: "Santé" },
+    pattern: /\b(pharma(cy|prix)|shoppers drug|jean coutu|familiprix|rexall|london drugs|dental|dentaire|dentist|physio|clinic|clinique|optometr)\b/i },
+  { id: "subscriptions", kind: "discretionary", label: { en: "Subscriptions", fr: "Abonnements" },
+    pattern: /\b(netflix|spotify|disney|crave|apple\.com|itunes|google (one|storage|play)|youtube|prime video|amazon prime|audible|xbox|playstation|nintendo|patreon|icloud|dropbox|adobe|microsoft 365|gym|goodlife|fit4less|anytime fitness)\b/i },
+  { id: "dining", kind: "discretionary", label: { en: "Eating out", fr: "Restaurants" },
+    pattern: /\b(restaurant|resto|tim hortons|starbucks|second cup|mcdonald'?s|a ?& ?w|subway|harvey'?s|uber ?eats|doordash|skip ?the ?dishes|dominos|pizza|café|cafe|bar|pub|sushi)\b/i },
+  { id: "shopping", kind: "discretionary", label: { en: "Shopping", fr: "Magasinage" },
+    pattern: /\b(amazon|amzn|best buy|canadian tire|winners|marshalls|hudson'?s bay|the bay|indigo|ikea|sport chek|lululemon|simons|aritzia|etsy|ebay|dollarama|shein|temu)\b/i },
+  { id: "travel", kind: "discretionary", label: { en: "Travel", fr: "Voyages" },
+    pattern: /\b(air canada|westjet|porter|flair|airbnb|expedia|booking\.com|hotel|hôtel|via rail)\b/i },
+  { id: "entertainment", kind: "discretionary", label: { en: "Entertainment", fr: "Divertissement" },
+    pattern: /\b(cineplex|ticketmaster|steam|cinema|cinéma|concert|lcbo|saq|bcl|beer store)\b/i },
+  { id: "savings", kind: "savings", label: { en: "Saving & investing", fr: "Épargne et placements" },
+    pattern: /\b(wealthsimple|questrade|tfsa|rrsp|fhsa|celi|reer|celiapp|invest|placement|qtrade|td direct|disnat)\b/i },
+  { id: "transfer", kind: "transfer", label: { en: "Transfers", fr: "Virements" }, pattern: INTERNAL_TRANSFER },
+  { id: "other", kind: "discretionary", label: { en: "Other", fr: "Autres" }, pattern: null },
+];
+
+const CATEGORY_TOOL = {
+  name: "categorize_transactions",
+  description: "Assign each bank-statement description to one spending category. Use \"other\" when the description doesn't say enough.",
+  input_schema: {
+    type: "object",
+    properties: {
+      categories: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            description: { type: "string", description: "Exactly as given" },
+            category: { type: "string", enum: SPENDING_CATEGORIES.map(c => c.id) },
+          },
+          required: ["description", "category"],
+        },
+      },
+    },
+    required: ["categories"],
+  },
+};
+
+const CATEGORY_SYSTEM = "You sort Canadian bank and credit-card transaction descriptions into spending categories. Merchants, payees and bank codes only; never guess beyond what the description says.";
+
+// Card descriptions carry store numbers, cities and reference codes; strip
+// them so "LOBLAWS #1234 TORONTO" and "LOBLAWS #88 TORONTO" are one merchant
+function merchantKey(description) {
+  return description
+    .toLowerCase()
+    .replace(/[#*]\s*\w+|\b\d[\d-]*\b|\b(on|qc|bc|ab|mb|sk|ns|nb|nl|pe|can|ca)\b\s*$/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .split(" ")
+    .slice(0, 3)
+    .join(" ");
+}
+
+function ruleCategory(tx) {
+  const match = SPENDING_CATEGORIES.find(c => c.pattern?.test(tx.description));
+  if (match) return match.id;
+  return tx.amount > 0 ? "income" : null;
+}
+
+// Rules first; up to 80 distinct merchants the rules miss go to the model in
+// one call. Returns the transactions with `category` set and `categorizedBy`.
+async function categorizeTransactions(transactions, { signal } = {}) {
+  const byRule = transactions.map(t => (t.category ? t : { ...t, category: ruleCategory(t), categorizedBy: "rule" }));
+  const unknown = [...new Set(byRule.filter(t => !t.category).map(t => merchantKey(t.description)))].slice(0, 80);
+  let byModel = {};
+  if (unknown.length) {
+    try {
+      const input = await callTool(CATEGORY_TOOL, {
+        system: CATEGORY_SYSTEM,
+        messages: [{ role: "user", content: unknown.join("\n") }],
+        signal,
+      });
+      byModel = Object.fromEntries((input?.categories || []).map(c => [c.description.toLowerCase(), c.category]));
+    } catch {
+      // Everything the rules missed lands in "other"
+    }
+  }
+  return byRule.map(t => {
+    if (t.category) return t;
+    const category = byModel[merchantKey(t.description)];
+    return SPENDING_CATEGORIES.some(c => c.id === category)
+      ? { ...t, category, categorizedBy: "model" }
+      : { ...t, category: "other", categorizedBy: "none" };
+  });
+}
+
+const CADENCES = [
+  { id: "weekly", days: 7, tolerance: 2, perMonth: 52 / 12 },
+  { id: "biweekly", days: 14, tolerance: 3, perMonth: 26 / 12 },
+  { id: "monthly", days: 30.44, tolerance: 5, perMonth: 1 },
+  { id: "yearly", days: 365, tolerance: 10, perMonth: 1 / 12 },
+];
+
+// Shopping trips that happen to land on a schedule aren't subscriptions
+const NOT_RECURRING = ["transfer", "savings", "groceries", "transport", "health", "dining", "shopping"];
+
+// The same merchant charging the same amount on a steady schedule. Needs at
+// least two charges; amounts may drift 3% or $2 (price changes, tax, FX).
+function recurringCharges(transactions) {
+  const groups = new Map();
+  for (const t of transactions) {
+    if (t.amount >= 0 || NOT_RECURRING.includes(t.category)) continue;
+    const key = merchantKey(t.description);
+    groups.set(key, [...(groups.get(key) || []), t]);
+  }
+  const found = [];
+  for (const charges of groups.values()) {
+    if (charges.length < 2) continue;
+    const sorted = [...charges].sort((a, b) => a.date.localeCompare(b.date));
+    const gaps = sorted.slice(1).map((t, i) => (Date.parse(t.date) - Date.parse(sorted[i].date)) / 86400000);
+    const amounts = sorted.map(t => -t.amount);
+    const typical = amounts.reduce((s, a) => s + a, 0) / amounts.length;
+    if (amounts.some(a => Math.abs(a - typical) > Math.max(2, typical * 0.03))) continue;
+    const cadence = CADENCES.find(c => gaps.every(g => Math.abs(g - c.days) <= c.tolerance));
+    if (!cadence) continue;
+    found.push({
+      merchant: sorted[sorted.length - 1].description,
+      category: sorted[sorted.length - 1].category,
+      amount: Math.round(amounts[amounts.length - 1] * 100) / 100,
+      cadence: cadence.id,
+      monthly: Math.round(amounts[amounts.length - 1] * cadence.perMonth * 100) / 100,
+      last: sorted[sorted.length - 1].date,
+    });
+  }
+  return found.sort((a, b) => b.monthly - a.monthly);
+}
+
+// Monthly averages over the span the statements cover
+function cashFlow(transactions) {
+  if (!transactions.length) return null;
+  const months = statementMonths(transactions);
+  const kindOf = Object.fromEntries(SPENDING_CATEGORIES.map(c => [c.id, c.kind]));
+  const totals = { income: 0, fixed: 0, essential: 0, discretionary: 0, savings: 0 };
+  const byCategory = {};
+  for (const t of transactions) {
+    const kind = kindOf[t.category] || "discretionary";
+    if (kind === "transfer") continue;
+    // Refunds net against their category; inflows count as income only when they're income
+    if (kind === "income") totals.income += t.amount;
+    else totals[kind] -= t.amount;
+    if (kind !== "income" && kind !== "savings") byCategory[t.category] = (byCategory[t.category] || 0) - t.amount;
+  }
+  const monthly = (v) => Math.round(v / months);
+  const income = monthly(totals.income);
+  const spending = monthly(totals.fixed + totals.essential + totals.discretionary);
+  const surplus = income - spending;
+  return {
+    months: Math.round(months * 10) / 10,
+    from: transactions.reduce((min, t) => (t.date < min ? t.date : min), transactions[0].date),
+    to: transactions.reduce((max, t) => (t.date > max ? t.date : max), transactions[0].date),
+    income,
+    fixed: monthly(totals.fixed),
+    essential: monthly(totals.essential),
+    discretionary: monthly(totals.discretionary),
+    savings: monthly(totals.savings),
+    surplus,
+    savingsRate: income > 0 ? Math.round((surplus / income) * 1000) / 1000 : null,
+    categories: Object.entries(byCategory)
+      .map(([id, total]) => ({ id, monthly: monthly(total) }))
+      .filter(c => c.monthly > 0)
+      .sort((a, b) => b.monthly - a.monthly),
+    recurring: recurringCharges(transactions),
+    uncategorized: transactions.filter(t => t.category === "other").length,
+  };
+}
+
+function cashFlowContext(flow) {
+  if (!flow) return null;
+  const category = (id) => SPENDING_CATEGORIES.find(c => c.id === id)?.label.en || id;
+  const lines = [
+    `Statements cover ${flow.from} to ${flow.to} (${flow.months} months); monthly averages:`,
+    `- Income: ${formatMoney(flow.income)}`,
+    `- Fixed costs: ${formatMoney(flow.fixed)}`,
+    `- Everyday essentials: ${formatMoney(flow.essential)}`,
+    `- Discretionary: ${formatMoney(flow.discretionary)}`,
+    `- Already moved to savings/investments: ${formatMoney(flow.savings)}`,
+    `- Left after spending: ${formatMoney(flow.surplus)}, including what they already save${flow.savingsRate !== null ? ` (savings rate ${Math.round(flow.savingsRate * 100)}%)` : ""}`,
+    `- Top categories: ${flow.categories.slice(0, 5).map(c => `${category(c.id)} ${formatMoney(c.monthly)}`).join(", ")}`,
+  ];
+  if (flow.recurring.length) {
+    lines.push(`- Recurring charges: ${flow.recurring.slice(0, 8).map(r => `${r.merchant} ${formatMoney(r.amount)} ${r.cadence}`).join("; ")}`);
+  }
+  return `[Cash flow]\nFrom the user's imported statements; they can see this as a card in the chat.\n${lines.join("\n")}\n[/Cash flow]`;
+}
+
+function formatStatementDate(iso) {
+  return new Date(`${iso}T00:00:00Z`).toLocaleDateString(intlLocale(), { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" });
+}
+
+function CashFlowCard({ flow }) {
+  if (!flow) {
+    return <div className="calc-card cashflow"><div className="calc-card__caption">{t("cashflow.sorting")}</div></div>;
+  }
+  const rows = [
+    ["income", flow.income],
+    ["fixed", flow.fixed],
+    ["essential", flow.essential],
+    ["discretionary", flow.discretionary],
+  ];
+  const top = flow.categories.slice(0, 5);
+  const scale = Math.max(...top.map(c => c.monthly), 1);
+  return (
+    <div className="calc-card cashflow">
+      <div className="calc-card__title">💵 {t("cashflow.title")}</div>
+      <div className="calc-card__caption">{t("cashflow.period", { from: formatStatementDate(flow.from), to: formatStatementDate(flow.to) })}</div>
+      <div className="calc-card__result">
+        <div className="calc-card__big">{formatMoney(flow.surplus)}</div>
+        <div className="calc-card__caption">
+          {t("cashflow.left")}
+          {flow.savingsRate !== null && ` · ${t("cashflow.rate", { rate: formatPct(flow.savingsRate) })}`}
+        </div>
+      </div>
+      <div className="cashflow__rows">
+        {rows.map(([key, value]) => (
+          <div key={key} className="cashflow__row">
+            <span>{t(`cashflow.${key}`)}</span>
+            <span>{formatMoney(value)}</span>
+          </div>
+        ))}
+        {flow.savings > 0 && (
+          <div className="cashflow__row cashflow__row--saving">
+            <span>{t("cashflow.saving")}</span>
+            <span>{formatMoney(flow.savings)}</span>
+          </div>
+        )}
+      </div>
+      {top.length > 0 && (
+        <div className="cashflow__section">
+          <div className="cashflow__heading">{t("cashflow.top")}</div>
+          {top.map(c => (
+            <div key={c.id} className="cashflow__bar">
+              <span className="cashflow__bar-label">{loc(SPENDING_CATEGORIES.find(x => x.id === c.id).label)}</span>
+              <span className="cashflow__bar-track"><span style={{ width: `${(c.monthly / scale) * 100}%` }} /></span>
+              <span className="cashflow__bar-value">{formatMoney(c.monthly)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+      {flow.recurring.length > 0 && (
+        <div className="cashflow__section">
+          <div className="cashflow__heading">{t("cashflow.recurring")}</div>
+          {flow.recurring.slice(0, 8).map(r => (
+            <div key={r.merchant} className="cashflow__row">
+              <span>{r.merchant}</span>
+              <span>{formatMoney(r.amount)} {t(`cashflow.${r.cadence}`)}</span>
+            </div>
+          ))}
+        </div>
+      )}
+      {flow.uncategorized > 0 && <div className="calc-card__caption">{t("cashflow.uncategorized", { count: flow.uncategorized })}</div>}
+      <div className="calc-card__source">{t("cashflow.source")}</div>
+    </div>
+  );
+}
+
+
+// ── Debts ──────────────────────────────────────────────────
+// What the user owes, typed into the debt card, pasted as a list or pre-filled
+// by the model. Payoff orders are simulated month by month with each minimum
+// held at today's amount and whatever the budget leaves over rolled onto the
+// next debt in line. The plan rides along with every turn as a [Debts] block,
+// so advice pays down expensive debt before filling a TFSA or RRSP.
+
+// Rates are the usual Canadian starting points when the user leaves them out;
+// federal student loans have been interest-free since April 2023
+const DEBT_TYPES = [
+  { code: "credit-card", name: { en: "Credit card", fr: "Carte de crédit" }, rate: 20.99, pattern: /visa|master ?card|amex|american express|credit card|carte de crédit/i },
+  { code: "line-of-credit", name: { en: "Line of credit", fr: "Marge de crédit" }, rate: 9.5, pattern: /line of credit|\bh?eloc\b|\bloc\b|marge/i },
+  { code: "car-loan", name: { en: "Car loan", fr: "Prêt auto" }, rate: 7.5, years: 5, pattern: /\bcar\b|\bauto|vehicle|véhicule|voiture|lease/i },
+  { code: "student-loan", name: { en: "Student loan", fr: "Prêt étudiant" }, rate: 0, years: 10, pattern: /student|osap|nslsc|étudiant|études/i },
+  { code: "mortgage", name: { en: "Mortgage", fr: "Prêt hypothécaire" }, rate: 4.5, years: 25, pattern: /mortgage|hypoth/i },
+  { code: "other", name: { en: "Other loan", fr: "Autre prêt" }, rate: 8, years: 5, pattern: null },
+];
+
+const DEBT_ORDERS = [
+  { code: "avalanche", name: { en: "Avalanche — highest rate first", fr: "Avalanche — taux le plus élevé d'abord" } },
+  { code: "snowball", name: { en: "Snowball — smallest balance first", fr: "Boule de neige — plus petit solde d'abord" } },
+  { code: "custom", name: { en: "My order — top of the list first", fr: "Mon ordre — en haut de la liste d'abord" } },
+];
+
+const MAX_PAYOFF_MONTHS = 600;
+const RRSP_COMPARE_YEARS = 10; // how long an RRSP contribution grows before it's withdrawn
+const DEFAULT_RETURN = 5;
+
+function debtType(code) {
+  return DEBT_TYPES.find(d => d.code === code) || DEBT_TYPES[DEBT_TYPES.length - 1];
+}
+
+function guessDebtType(name) {
+  return (DEBT_TYPES.find(d => d.pattern?.test(name || "")) || DEBT_TYPES[DEBT_TYPES.length - 1]).code;
+}
+
+// Form rows keep what was typed; numbers are read when the plan runs
+function debtRow(raw = {}) {
+  const text = (v) => (v === undefined || v === null ? "" : String(v));
+  const type = DEBT_TYPES.some(d => d.code === raw.type) ? raw.type : guessDebtType(raw.name);
+  return { id: newId("debt"), name: text(raw.name), type, balance: text(raw.balance), rate: text(raw.rate), payment: text(raw.payment) };
+}
+
+function annuityPayment(balance, rate, years) {
+  const r = rate / 1200, n = years * 12;
+  return r ? (balance * r) / (1 - (1 + r) ** -n) : balance / n;
+}
+
+// The required payment when the user didn't give one: 3% or $10 on a card,
+// interest only on a line of credit, amortized over a typical term otherwise
+function minimumPayment(type, balance, rate) {
+  if (type === "credit-card") return Math.min(balance, Math.max(10, balance * 0.03));
+  if (type === "line-of-credit") return (balance * rate) / 1200;
+  return annuityPayment(balance, rate, debtType(type).years);
+}
+
+function readDebt(row) {
+  const balance = Number(row.balance) || 0;
+  const rate = row.rate === "" ? debtType(row.type).rate : Number(row.rate) || 0;
+  const payment = Number(row.payment) > 0 ? Number(row.payment) : minimumPayment(row.type, balance, rate);
+  return { id: row.id, name: row.name || loc(debtType(row.type).name), type: row.type, balance, rate, payment, assumedRate: row.rate === "" };
+}
+
+const DEBT_COLUMNS = {
+  name: ["name", "debt", "account", "description", "lender", "nom", "compte", "prêteur"],
+  type: ["type", "kind", "genre"],
+  balance: ["balance", "amount owing", "owing", "amount", "solde", "montant"],
+  rate: ["rate", "interest rate", "apr", "interest", "taux", "taux d'intérêt", "intérêt"],
+  payment: ["payment", "monthly payment", "minimum payment", "minimum", "paiement", "versement", "paiement minimum"],
+};
+
+// A pasted or exported list of debts: a CSV with a header row, or one debt per
+// line like "Visa 6,000 at 20.99%". Returns [] when nothing reads as a debt.
+function parseDebts(text) {
+  const rows = parseCsv(text);
+  const header = (rows[0] || []).map(h => h.toLowerCase().replace(/[%()$]/g, "").trim());
+  const column = Object.fromEntries(Object.entries(DEBT_COLUMNS).map(([key, names]) => [key, findColumn(header, names)]));
+  if (column.balance !== -1) {
+    return rows.slice(1).map(r => {
+      const balance = parseAmount(r[column.balance]);
+      if (!balance) return null;
+      const type = column.type !== -1 ? DEBT_TYPES.find(d => d.code === r[column.type]?.toLowerCase() || d.pattern?.test(r[column.type] || "")) : null;
+      return debtRow({
+        name: column.name !== -1 ? r[column.name] : "",
+        type: type?.code,
+        balance: Math.abs(balance),
+        rate: column.rate !== -1 ? parseAmount((r[column.rate] || "").replace("%", "")) ?? "" : "",
+        payment: column.payment !== -1 ? Math.abs(parseAmount(r[column.payment]) || 0) || "" : "",
+      });
+    }).filter(Boolean);
+  }
+  return text.split("\n").map(line => {
+    const rate = line.match(/(\d+(?:[.,]\d+)?)\s*%/);
+    const rest = rate ? line.replace(rate[0], " ") : line;
+    const amount = rest.match(/\$?\s?(?:\d{1,3}(?:[,  ]\d{3})+|\d+)(?:[.,]\d{1,2})?(?!\d)/);
+    const balance = amount && parseAmount(amount[0]);
+    if (!balance) return null;
+    const name = rest.slice(0, amount.index).replace(/[:\-–—,]+\s*$/, "").trim();
+    return debtRow({ name, balance: Math.abs(balance), rate: rate ? rate[1].replace(",", ".") : "" });
+  }).filter(Boolean);
+}
+
+// Which debt gets the extra dollars first
+function payoffSequence(debts, order) {
+  if (order === "avalanche") return [...debts].sort((a, b) => b.rate - a.rate || a.balance - b.balance);
+  if (order === "snowball") return [...debts].sort((a, b) => a.balance - b.balance || b.rate - a.rate);
+  return debts;
+}
+
+// Month-by-month payoff. Without a budget only the minimums are paid (the
+// baseline); a loan that's interest-only then never finishes. Months are
+// counted from now, so month 1 is the first payment.
+function simulatePayoff(debts, { budget = null, order = "avalanche" } = {}) {
+  const minimums = debts.reduce((s, d) => s + d.payment, 0);
+  if (budget !== null && budget < minimums - 0.005) return { feasible: false, minimums };
+  const open = payoffSequence(debts, order).map(d => ({ ...d, left: d.balance }));
+  const paidOff = {};
+  let interest = 0, month = 0;
+  while (month < MAX_PAYOFF_MONTHS && open.some(d => d.left > 0.005)) {
+    month++;
+    let spare = budget ?? 0;
+    for (const d of open) {
+      if (d.left <= 0.005) continue;
+      const charged = (d.left * d.rate) / 1200;
+      interest += charged;
+      d.left += charged;
+      const paid = Math.min(d.left, d.payment);
+      d.left -= paid;
+      spare -= paid;
+    }
+    // Freed-up minimums roll onto the next debt in line
+    for (const d of open) {
+      if (spare <= 0.005) break;
+      const paid = Math.min(d.left, spare);
+      d.left -= paid;
+      spare -= paid;
+    }
+    for (const d of open) if (d.left <= 0.005 && paidOff[d.id] === undefined) paidOff[d.id] = month;
+  }
+  const done = open.every(d => d.left <= 0.005);
+  return { feasible: true, minimums, months: done ? month : null, interest: Math.round(interest), paidOff, sequence: open.map(d => d.id) };
+}
+
+// After-tax yearly return of each place a spare dollar can go. Paying off a
+// debt earns its rate, guaranteed (interest on personal debt isn't
+// deductible). A TFSA earns the expected return. An RRSP also earns the
+// refund at today's marginal rate and pays tax at the withdrawal rate, spread
+// over RRSP_COMPARE_YEARS.
+function nextDollarOptions(debts, { marginalRate, returnRate, withdrawalRate }) {
+  const r = returnRate / 100;
+  const options = debts.filter(d => d.balance > 0).map(d => ({ code: "debt", id: d.id, name: d.name, rate: d.rate / 100, guaranteed: true }));
+  options.push({ code: "tfsa", rate: r });
+  if (marginalRate !== null) {
+    const out = withdrawalRate ?? marginalRate;
+    options.push({ code: "rrsp", rate: (1 + r) * ((1 - out) / (1 - marginalRate)) ** (1 / RRSP_COMPARE_YEARS) - 1, marginalRate, withdrawalRate: out });
+  }
+  // On a tie the guaranteed return wins
+  return options.sort((a, b) => b.rate - a.rate || (b.guaranteed ? 1 : 0) - (a.guaranteed ? 1 : 0));
+}
+
+function profileMarginalRate(profile) {
+  const { income, province } = profile.values;
+  return Number(income) > 0 && PROVINCES.some(p => p.code === province) ? computeTax({ income: Number(income), province }).marginalRate : null;
+}
+
+// Everything the card shows and the [Debts] block reports; null until a debt has a balance
+function debtPlan(state, marginalRate) {
+  const debts = (state?.items || []).map(readDebt).filter(d => d.balance > 0);
+  if (!debts.length) return null;
+  const minimums = debts.reduce((s, d) => s + d.payment, 0);
+  const budget = Number(state.budget) > 0 ? Number(state.budget) : minimums;
+  const strategies = Object.fromEntries(DEBT_ORDERS.map(o => [o.code, simulatePayoff(debts, { budget, order: o.code })]));
+  const baseline = simulatePayoff(debts);
+  const chosen = strategies[state.order] || strategies.avalanche;
+  const returnRate = state.returnRate === "" || state.returnRate === undefined ? DEFAULT_RETURN : Number(state.returnRate) || 0;
+  return {
+    debts,
+    total: debts.reduce((s, d) => s + d.balance, 0),
+    minimums,
+    budget,
+    order: strategies[state.order] ? state.order : "avalanche",
+    strategies,
+    chosen,
+    baseline,
+    saved: chosen.feasible && baseline.months !== null ? Math.max(0, baseline.interest - chosen.interest) : null,
+    marginalRate,
+    returnRate,
+    nextDollar: nextDollarOptions(debts, {
+      marginalRate,
+      returnRate,
+      withdrawalRate: state.withdrawalRate === "" || state.withdrawalRate === undefined ? null : Number(state.withdrawalRate) / 100,
+    }),
+  };
+}
+
+function payoffMonth(months) {
+  const now = new Date();
+  return now.getFullYear() * 12 + now.getMonth() + months;
+}
+
+function debtContext(plan) {
+  if (!plan) return null;
+  const date = (months) => {
+    const m = payoffMonth(months);
+    return `${Math.floor(m / 12)}-${String((m % 12) + 1).padStart(2, "0")}`;
+  };
+  const payoff = (s) => (!s.feasible ? "budget is below the minimum payments" : s.months === null ? "not paid off within 50 years" : `debt-free ${date(s.months)}, ${formatMoney(s.interest)} total interest`);
+  const lines = [
+    ...plan.debts.map(d => `- ${d.name} (${debtType(d.type).name.en}): ${formatMoney(d.balance)} at ${d.rate}%${d.assumedRate ? " (assumed typical rate)" : ""}, ${formatMoney(Math.round(d.payment))}/month`),
+    `Total ${formatMoney(Math.round(plan.total))}; minimum payments ${formatMoney(Math.round(plan.minimums))}/month; budget for debt ${formatMoney(Math.round(plan.budget))}/month`,
+    `Minimum payments only: ${payoff(plan.baseline)}`,
+    ...DEBT_ORDERS.map(o => `${o.code[0].toUpperCase()}${o.code.slice(1)}: ${payoff(plan.strategies[o.code])}`),
+    `The user chose ${plan.order}${plan.saved > 0 ? `, saving ${formatMoney(plan.saved)} interest over minimum payments` : ""}.`,
+    `Where the next dollar earns most after tax: ${plan.nextDollar.map(o => (o.code === "debt" ? `pay down ${o.name} (${formatPct(o.rate)} guaranteed)` : `${o.code.toUpperCase()} (${formatPct(o.rate)} expected)`)).join(" > ")}`,
+  ];
+  return `[Debts]\nFrom the user's debt card; they can see it in the chat. Order savings advice by the after-tax comparison: debt costing more than the TFSA/RRSP return comes first, after an emergency cushion and any employer RRSP match.\n${lines.join("\n")}\n[/Debts]`;
+}
+
+function DebtCard({ state, marginalRate, onChange, onRemove, onShare }) {
+  const [pasting, setPasting] = useState(false);
+  const [pasted, setPasted] = useState("");
+  const [pasteError, setPasteError] = useState(false);
+  const [shared, setShared] = useState(false);
+  const fileRef = useRef(null);
+  const plan = debtPlan(state, marginalRate);
+  const change = (patch) => { onChange({ ...state, ...patch }); setShared(false); };
+  const editRow = (id, patch) => change({ items: state.items.map(d => (d.id === id ? { ...d, ...patch } : d)) });
+  const moveUp = (index) => {
+    const items = [...state.items];
+    [items[index - 1], items[index]] = [items[index], items[index - 1]];
+    change({ items, order: "custom" });
+  };
+  const addRows = (text) => {
+    const rows = parseDebts(text);
+    setPasteError(!rows.length);
+    if (!rows.length) return;
+    change({ items: [...state.items.filter(d => d.name || d.balance), ...rows] });
+    setPasting(false);
+    setPasted("");
+  };
+  const readFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) addRows(await file.text());
+  };
+  const month = (months) => formatMonth(payoffMonth(months));
+  const outcome = (s) => (!s.feasible ? t("debts.short") : s.months === null ? t("debts.never") : t("debts.outcome", { date: month(s.months), interest: formatMoney(s.interest) }));
+  const finished = plan ? Object.values(plan.strategies).filter(s => s.feasible && s.months !== null) : [];
+  const cheapest = finished.length ? Math.min(...finished.map(s => s.interest)) : null;
+
+  return (
+    <div className="calc-card debts">
+      <div className="debts__top">
+        <div className="calc-card__title">💳 {t("debts.title")}</div>
+        <button className="debts__remove" onClick={onRemove} aria-label={t("debts.remove")} title={t("debts.remove")}>×</button>
+      </div>
+      <div className="debts__list">
+        {state.items.map((d, i) => (
+          <div key={d.id} className="debts__row">
+            <label className="calc-field debts__name">
+              <span>{t("debts.name")}</span>
+              <input value={d.name} placeholder={loc(debtType(d.type).name)} onChange={(e) => editRow(d.id, { name: e.target.value })} />
+            </label>
+            <label className="calc-field">
+              <span>{t("debts.type")}</span>
+              <select value={d.type} onChange={(e) => editRow(d.id, { type: e.target.value })}>
+                {DEBT_TYPES.map(o => <option key={o.code} value={o.code}>{loc(o.name)}</option>)}
+              </select>
+            </label>
+            <label className="calc-field">
+              <span>{t("debts.balance")}</span>
+              <input type="number" inputMode="decimal" value={d.balance} placeholder={formatMoney(0)} onChange={(e) => editRow(d.id, { balance: e.target.value })} />
+            </label>
+            <label className="calc-field">
+              <span>{t("debts.rate")}</span>
+              <input type="number" inputMode="decimal" value={d.rate} placeholder={String(debtType(d.type).rate)} onChange={(e) => editRow(d.id, { rate: e.target.value })} />
+            </label>
+            <label className="calc-field">
+              <span>{t("debts.payment")}</span>
+              <input type="number" inputMode="decimal" value={d.payment} placeholder={d.balance ? formatMoney(Math.round(readDebt(d).payment)) : formatMoney(0)} onChange={(e) => editRow(d.id, { payment: e.target.value })} />
+            </label>
+            <div className="debts__row-actions">
+              {i > 0 && <button onClick={() => moveUp(i)} aria-label={t("debts.moveUp")} title={t("debts.moveUp")}>↑</button>}
+              <button onClick={() => change({ items: state.items.filter(x => x.id !== d.id) })} aria-label={t("debts.delete")} title={t("debts.delete")}>✕</button>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="calc-card__actions">
+        <button className="calc-card__save" onClick={() => change({ items: [...state.items, debtRow()] })}>{t("debts.add")}</button>
+        <button className="calc-card__save" onClick={() => setPasting(p => !p)}>{t("debts.paste")}</button>
+        <button className="calc-card__save" onClick={() => fileRef.current?.click()}>{t("debts.file")}</button>
+        <input ref={fileRef} type="file" accept=".csv,.txt,text/csv,text/plain" hidden onChange={readFile} />
+      </div>
+      {pasting && (
+        <div className="debts__paste">
+          <textarea value={pasted} rows={4} placeholder={t("debts.pastePlaceholder")} onChange={(e) => { setPasted(e.target.value); setPasteError(false); }} />
+          <button className="calc-card__share" disabled={!pasted.trim()} onClick={() => addRows(pasted)}>{t("debts.pasteAdd")}</button>
+        </div>
+      )}
+      {pasteError && <div className="calc-card__alert">{t("debts.pasteError")}</div>}
+      <div className="calc-card__fields">
+        <label className="calc-field">
+          <span>{t("debts.budget")}</span>
+          <input type="number" inputMode="decimal" value={state.budget} placeholder={plan ? formatMoney(Math.round(plan.minimums)) : formatMoney(0)} onChange={(e) => change({ budget: e.target.value })} />
+        </label>
+        <label className="calc-field">
+          <span>{t("debts.order")}</span>
+          <select value={state.order} onChange={(e) => change({ order: e.target.value })}>
+            {DEBT_ORDERS.map(o => <option key={o.code} value={o.code}>{loc(o.name)}</option>)}
+          </select>
+        </label>
+        <label className="calc-field">
+          <span>{t("debts.returnRate")}</span>
+          <input type="number" inputMode="decimal" value={state.returnRate} placeholder={String(DEFAULT_RETURN)} onChange={(e) => change({ returnRate: e.target.value })} />
+        </label>
+        <label className="calc-field">
+          <span>{t("debts.withdrawalRate")}</span>
+          <input type="number" inputMode="decimal" value={state.withdrawalRate} placeholder={marginalRate !== null ? String(Math.round(marginalRate * 1000) / 10) : ""} disabled={marginalRate === null} onChange={(e) => change({ withdrawalRate: e.target.value })} />
+        </label>
+      </div>
+      {plan ? (
+        <div className="calc-card__result">
+          {!plan.chosen.feasible ? (
+            <div className="calc-card__alert">{t("debts.belowMinimums", { minimums: formatMoney(Math.round(plan.minimums)) })}</div>
+          ) : plan.chosen.months === null ? (
+            <div className="calc-card__big calc-card__big--short">{t("debts.never")}</div>
+          ) : (
+            <>
+              <div className="calc-card__big">{t("debts.freeBy", { date: month(plan.chosen.months) })}</div>
+              <div className="calc-card__caption">
+                {t("debts.interest", { interest: formatMoney(plan.chosen.interest) })}
+                {plan.saved > 0 && ` · ${t("debts.saved", { saved: formatMoney(plan.saved), date: month(plan.baseline.months) })}`}
+                {plan.baseline.months === null && ` · ${t("debts.baselineNever")}`}
+              </div>
+            </>
+          )}
+          <div className="cashflow__section">
+            <div className="cashflow__heading">{t("debts.compare")}</div>
+            {DEBT_ORDERS.map(o => (
+              <div key={o.code} className={`cashflow__row${o.code === plan.order ? " debts__chosen" : ""}`}>
+                <span>{loc(o.name)}</span>
+                <span>
+                  {outcome(plan.strategies[o.code])}
+                  {finished.includes(plan.strategies[o.code]) && plan.strategies[o.code].interest > cheapest && ` (${t("debts.more", { amount: formatMoney(plan.strategies[o.code].interest - cheapest) })})`}
+                </span>
+              </div>
+            ))}
+          </div>
+          {plan.chosen.feasible && (
+            <div className="cashflow__section">
+              <div className="cashflow__heading">{t("debts.paidOff")}</div>
+              {plan.chosen.sequence.map(id => {
+                const d = plan.debts.find(x => x.id === id);
+                return (
+                  <div key={id} className="cashflow__row">
+                    <span>{d.name}</span>
+                    <span>{plan.chosen.paidOff[id] !== undefined ? month(plan.chosen.paidOff[id]) : t("debts.notYet")}</span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+          <div className="cashflow__section">
+            <div className="cashflow__heading">{t("debts.nextDollar")}</div>
+            {plan.nextDollar.map(o => (
+              <div key={o.id || o.code} className="cashflow__row">
+                <span>{o.code === "debt" ? t("debts.payDown", { name: o.name }) : t(`debts.${o.code}`)}</span>
+                <span>{t(o.guaranteed ? "debts.guaranteed" : "debts.expected", { rate: formatPct(o.rate) })}</span>
+              </div>
+            ))}
+            <div className="calc-card__caption">
+              {marginalRate === null
+                ? t("debts.noRrsp")
+                : t("debts.assumptions", { marginal: formatPct(marginalRate), years: RRSP_COMPARE_YEARS })}
+            </div>
+          </div>
+          {plan.debts.some(d => d.assumedRate) && <div className="calc-card__caption">{t("debts.assumedRate")}</div>}
+          <div className="calc-card__actions">
+            <button
+              className="calc-card__share"
+              disabled={shared}
+              onClick={() => { onShare(debtSummary(plan)); setShared(true); }}
+            >
+              {shared ? t("calc.sent") : t("calc.send")}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="calc-card__caption">{t("debts.empty")}</div>
+      )}
+      <div className="calc-card__source">{t("debts.source")}</div>
+    </div>
+  );
+}
+
+function debtSummary(plan) {
+  const month = (months) => formatMonth(payoffMonth(months));
+  const head = !plan.chosen.feasible
+    ? t("debts.belowMinimums", { minimums: formatMoney(Math.round(plan.minimums)) })
+    : plan.chosen.months === null
+      ? t("debts.never")
+      : `${t("debts.freeBy", { date: month(plan.chosen.months) })}, ${t("debts.interest", { interest: formatMoney(plan.chosen.interest) })}`;
+  return t("debts.summary", {
+    total: formatMoney(Math.round(plan.total)),
+    budget: formatMoney(Math.round(plan.budget)),
+    order: loc(DEBT_ORDERS.find(o => o.code === plan.order).name),
+    result: head,
+  });
+}
+
+// ── Risk profile ───────────────────────────────────────────
+// A short KYC-style questionnaire asked in the chat, one app-written turn per
+// question with quick-reply pills: time horizon, loss tolerance and investing
+// knowledge. Points add up to a level on RISK_PROFILES; an option's `cap` is
+// the highest level it allows, since money needed soon can't ride out a deep
+// drop however calm the user feels about it. The result is a starting point
+// for a robo-advisor's own suitability review, not a recommendation.
+const RISK_QUESTIONS = [
+  {
+    id: "horizon",
+    label: { en: "Time horizon", fr: "Horizon de placement" },
+    question: { en: "When will you need most of this money?", fr: "Quand aurez-vous besoin de la majeure partie de cet argent?" },
+    options: [
+      { value: "under-3y", label: { en: "Within 3 years", fr: "D'ici 3 ans" }, points: 0, cap: 0 },
+      { value: "3-5y", label: { en: "In 3 to 5 years", fr: "Dans 3 à 5 ans" }, points: 1, cap: 1 },
+      { value: "6-10y", label: { en: "In 6 to 10 years", fr: "Dans 6 à 10 ans" }, points: 2 },
+      { value: "over-10y", label: { en: "More than 10 years from now", fr: "Dans plus de 10 ans" }, points: 3 },
+    ],
+  },
+  {
+    id: "reaction",
+    label: { en: "If markets drop 20%", fr: "Si les marchés baissent de 20 %" },
+    question: { en: "If your investments dropped 20% in a few months, what would you most likely do?", fr: "Si vos placements perdaient 20 % en quelques mois, que feriez-vous le plus probablement?" },
+    options: [
+      { value: "sell-all", label: { en: "Sell everything", fr: "Tout vendre" }, points: 0 },
+      { value: "sell-some", label: { en: "Sell some to limit the damage", fr: "En vendre une partie pour limiter les dégâts" }, points: 1 },
+      { value: "hold", label: { en: "Hold and wait it out", fr: "Garder et attendre" }, points: 2 },
+      { value: "buy-more", label: { en: "Buy more while it's cheaper", fr: "En acheter plus pendant que c'est moins cher" }, points: 3 },
+    ],
+  },
+  {
+    id: "loss",
+    label: { en: "Largest drop you'd accept", fr: "Plus forte baisse acceptable" },
+    question: { en: "What's the biggest one-year drop you could live with?", fr: "Quelle est la plus forte baisse sur un an que vous pourriez supporter?" },
+    options: [
+      { value: "under-5", label: { en: "Less than 5%", fr: "Moins de 5 %" }, points: 0 },
+      { value: "5-15", label: { en: "Up to 15%", fr: "Jusqu'à 15 %" }, points: 1 },
+      { value: "15-25", label: { en: "Up to 25%", fr: "Jusqu'à 25 %" }, points: 2 },
+      { value: "over-25", label: { en: "More than 25%", fr: "Plus de 25 %" }, points: 3 },
+    ],
+  },
+  {
+    id: "knowledge",
+    label: { en: "Investing knowledge", fr: "Connaissances en placement" },
+    question: { en: "How would you describe your investing knowledge?", fr: "Comment décririez-vous vos connaissances en placement?" },
+    options: [
+      { value: "none", label: { en: "Just getting started", fr: "Je débute" }, points: 0, cap: 2 },
+      { value: "basic", label: { en: "The basics: GICs and mutual funds", fr: "Les bases : CPG et fonds communs" }, points: 1 },
+      { value: "good", label: { en: "Comfortable with ETFs", fr: "À l'aise avec les FNB" }, points: 2 },
+      { value: "advanced", label: { en: "Experienced with stocks and options", fr: "Expérience des actions et des options" }, points: 3 },
+    ],
+  },
+];
+
+// `stocks` is the rough equity share portfolios at each level tend to hold
+const RISK_PROFILES = [
+  { id: "conservative", label: { en: "Conservative", fr: "Prudent" }, stocks: 20, about: { en: "Steadiness first: mostly bonds and cash, small ups and downs, modest growth.", fr: "La stabilité avant tout : surtout des obligations et de l'encaisse, de faibles variations, une croissance modeste." } },
+  { id: "moderately-conservative", label: { en: "Moderately conservative", fr: "Modérément prudent" }, stocks: 40, about: { en: "Some growth, but bonds still do most of the cushioning.", fr: "Un peu de croissance, mais les obligations amortissent encore l'essentiel." } },
+  { id: "balanced", label: { en: "Balanced", fr: "Équilibré" }, stocks: 60, about: { en: "A mix that grows over time and can fall 15–20% in a bad year.", fr: "Un mélange qui croît avec le temps et peut perdre de 15 à 20 % lors d'une mauvaise année." } },
+  { id: "growth", label: { en: "Growth", fr: "Croissance" }, stocks: 80, about: { en: "Mostly stocks: more long-run growth, and drops of 25% or more along the way.", fr: "Surtout des actions : plus de croissance à long terme, et des baisses de 25 % ou plus en chemin." } },
+  { id: "aggressive", label: { en: "Aggressive", fr: "Audacieux" }, stocks: 95, about: { en: "Nearly all stocks: the most growth potential and the deepest drops.", fr: "Presque uniquement des actions : le plus fort potentiel de croissance et les baisses les plus profondes." } },
+];
+
+// Combined marginal rate above which an RRSP deduction usually beats a TFSA
+const RRSP_SUGGEST_RATE = 0.3;
+
+// null until every question is answered
+function scoreRisk(answers) {
+  if (RISK_QUESTIONS.some(q => answers[q.id] === undefined)) return null;
+  const picked = RISK_QUESTIONS.map(q => ({ question: q, option: q.options[answers[q.id]] }));
+  const score = picked.reduce((sum, p) => sum + p.option.points, 0);
+  const max = RISK_QUESTIONS.reduce((sum, q) => sum + Math.max(...q.options.map(o => o.points)), 0);
+  const willing = Math.round((score / max) * (RISK_PROFILES.length - 1));
+  const caps = picked.filter(p => p.option.cap !== undefined && p.option.cap < willing);
+  const binding = caps.sort((a, b) => a.option.cap - b.option.cap)[0];
+  const level = binding ? binding.option.cap : willing;
+  return { score, max, level, profile: RISK_PROFILES[level], limitedBy: binding?.question.id || null, picked };
+}
+
+// Account types worth a look for this profile, in the order to consider them
+function suggestAccounts(profile) {
+  const v = profile.values;
+  const goals = (v.goals || []).join(" ").toLowerCase();
+  const rate = profileMarginalRate(profile);
+  const held = (type) => (v.accountTypes || []).includes(type);
+  return [
+    { type: "TFSA", when: v.tfsaRoom !== 0, reason: { en: "Growth and withdrawals are tax-free, and the room comes back the next year.", fr: "La croissance et les retraits sont libres d'impôt, et les droits reviennent l'année suivante." } },
+    { type: "FHSA", when: /home|house|condo|maison|propri|logement/.test(goals) && v.fhsaRoom !== 0, reason: { en: "For a first home: deductible going in and tax-free coming out.", fr: "Pour une première maison : déductible à l'entrée et libre d'impôt à la sortie." } },
+    { type: "RRSP", when: rate !== null && rate >= RRSP_SUGGEST_RATE && v.rrspRoom !== 0, reason: { en: "Your marginal rate makes the deduction worth more now than the tax on withdrawals later, most likely.", fr: "Votre taux marginal rend la déduction probablement plus avantageuse maintenant que l'impôt sur les retraits plus tard." } },
+    { type: "RESP", when: /child|kid|education|school|enfant|études|etudes/.test(goals), reason: { en: "Government grants add 20% on the first $2,500 a year per child.", fr: "Les subventions gouvernementales ajoutent 20 % sur les premiers 2 500 $ par année par enfant." } },
+  ].filter(a => a.when).map(({ when, ...a }) => ({ ...a, held: held(a.type) }));
+}
+
+// Text block for the model: answers, the scored level and whether it was handed off
+function riskContext(state) {
+  if (!state || !Object.keys(state.answers).length) return null;
+  const result = scoreRisk(state.answers);
+  const answered = RISK_QUESTIONS.filter(q => state.answers[q.id] !== undefined)
+    .map(q => `- ${loc(q.label)}: ${loc(q.options[state.answers[q.id]].label)}`);
+  const lines = result
+    ? [
+      `Questionnaire result: ${loc(result.profile.label)} (score ${result.score} of ${result.max}; portfolios at this level typically hold about ${result.profile.stocks}% stocks).`,
+      ...(result.limitedBy ? [`Capped by the answer on ${loc(RISK_QUESTIONS.find(q => q.id === result.limitedBy).label).toLowerCase()}.`] : []),
+      ...answered,
+      state.handoff
+        ? `Sent to the robo-advisor onboarding service on ${new Date(state.handoff.sentAt).toISOString().slice(0, 10)} (reference ${state.handoff.reference}).`
+        : "Not sent to the onboarding service yet; the user reviews and confirms that from the card.",
+    ]
+    : [`Questionnaire in progress: ${answered.length} of ${RISK_QUESTIONS.length} answered.`, ...answered];
+  return `[Risk profile]\n${lines.join("\n")}\n[/Risk profile]`;
+}
+
+// The app's own turn asking one question, in the same <quick-replies> form the
+// model uses, so it shows and is answered like any other question in the chat
+function riskQuestionMessage(question) {
+  const spec = { options: question.options.map(o => loc(o.label)), multiSelect: false, allowOther: false };
+  return {
+    role: "assistant",
+    content: `**${t("risk.progress", { n: RISK_QUESTIONS.indexOf(question) + 1, total: RISK_QUESTIONS.length })}** ${loc(question.question)}\n\n<quick-replies>${JSON.stringify(spec)}</quick-replies>`,
+    risk: question.id,
+  };
+}
+
+// Which option a reply picks, by its label in either language; -1 if none
+function riskOptionIndex(question, text) {
+  const said = text.trim().toLowerCase();
+  return question.options.findIndex(o => Object.values(o.label).some(label => label.toLowerCase() === said));
+}
+
+function emptyRisk() {
+  return { answers: {}, cardAt: null, handoff: null };
+}
+
+// The scored result, placed after the last answer; the questions are chat turns
+function RiskCard({ state, profile, onRetake, onRemove, onHandoff }) {
+  const result = scoreRisk(state.answers);
+  if (!result) return null;
+  const accounts = suggestAccounts(profile);
+
+  return (
+    <div className="calc-card risk">
+      <div className="risk__top">
+        <div className="calc-card__title">🧭 {t("risk.title")}</div>
+        <button className="risk__remove" onClick={onRemove} aria-label={t("risk.remove")} title={t("risk.remove")}>×</button>
+      </div>
+      {result.picked.map(p => (
+        <div key={p.question.id} className="cashflow__row">
+          <span>{loc(p.question.label)}</span>
+          <span>{loc(p.option.label)}</span>
+        </div>
+      ))}
+      <div className="calc-card__result">
+        <div className="calc-card__big">{loc(result.profile.label)}</div>
+        <div className="calc-card__caption">
+          {t("risk.score", { score: result.score, max: result.max })} · {t("risk.mix", { stocks: result.profile.stocks, bonds: 100 - result.profile.stocks })}
+        </div>
+        <p className="risk__about">{loc(result.profile.about)}</p>
+        {result.limitedBy && <div className="calc-card__alert">{t(`risk.limited.${result.limitedBy}`)}</div>}
+        {accounts.length > 0 && (
+          <div className="cashflow__section">
+            <div className="cashflow__heading">{t("risk.accounts")}</div>
+            {accounts.map(a => (
+              <div key={a.type} className="cashflow__row">
+                <span>{a.type}{a.held ? ` · ${t("risk.held")}` : ""}</span>
+                <span>{loc(a.reason)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+        {state.handoff && (
+          <div className="calc-card__caption">
+            {t("risk.sent", { date: new Date(state.handoff.sentAt).toLocaleDateString(intlLocale()), reference: state.handoff.reference })}
+          </div>
+        )}
+        <div className="calc-card__actions">
+          {ONBOARDING_CONFIG.endpoint && (
+            <button className="calc-card__save" onClick={onHandoff}>{state.handoff ? t("risk.handoffAgain") : t("risk.handoff")}</button>
+          )}
+          <button className="link-btn" onClick={onRetake}>{t("risk.retake")}</button>
+        </div>
+      </div>
+      <div className="calc-card__source">{t("risk.source")}</div>
+    </div>
+  );
+}
+
+// ── Money plan export ──────────────────────────────────────
+const PLAN_TOOL = {
+  name: "record_money_plan",
+  description: "Summarize a money-coaching conversation into a plan the user can take to a licensed advisor. Only include what was actually discussed.",
+  input_schema: {
+    type: "object",
+    properties: {
+      headline: { type: "string", description: "One sentence on where the user is and what they're trying to do" },
+      profileFacts: { type: "array", items: { type: "string" }, description: "Facts the user stated about their situation" },
+      accounts: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { name: { type: "string" }, why: { type: "string" } },
+          required: ["name", "why"],
+        },
+        description: "Accounts or vehicles discussed and why they came up",
+      },
+      tradeoffs: { type: "array", items: { type: "string" } },
+      openQuestions: { type: "array", items: { type: "string" }, description: "What's still unknown or needs a professional" },
+    },
+    required: ["headline", "profileFacts", "accounts", "tradeoffs", "openQuestions"],
+  },
+};
+
+const PLAN_SYSTEM = "You write concise, neutral summaries of money-coaching conversations for a Canadian user to share with a licensed financial advisor. No advice beyond what was said. No emoji.";
+
+// Instruction added to side-call prompts so their output matches the UI language
+function languageNote() {
+  return activeLocale === "fr" ? " Write in Canadian French." : "";
+}
+
+// Every link MoneyBuddy cited, deduplicated, in order of first mention
+function citedLinks(messages) {
+  const links = new Map();
+  for (const m of messages) {
+    if (m.role !== "assistant") continue;
+    for (const [, title, url] of m.content.matchAll(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g)) {
+      if (!links.has(url)) links.set(url, { title, url });
+    }
+  }
+  return [...links.values()];
+}
+
+async function summarizePlan(messages, profile) {
+  const summary = await callTool(PLAN_TOOL, {
+    system: PLAN_SYSTEM + languageNote(),
+    messages: [{ role: "user", content: `${[profileContext(profile), householdContext(profile)].filter(Boolean).join("\n\n")}\n\nConversation:\n${transcriptOf(messages)}` }],
+  });
+  return {
+    generatedAt: new Date().toISOString(),
+    locale: activeLocale,
+    taxRules: { version: TAX_RULES.version, taxYear: TAX_YEAR },
+    profile: Object.fromEntries(PROFILE_FIELDS.filter(f => !isBlank(profile.values[f.key])).map(f => [f.key, profile.values[f.key]])),
+    summary: {
+      headline: summary?.headline || "",
+      profileFacts: summary?.profileFacts || [],
+      accounts: summary?.accounts || [],
+      tradeoffs: summary?.tradeoffs || [],
+      openQuestions: summary?.openQuestions || [],
+    },
+    referrals: referralDetails(referredSoFar(messages)).map(({ label, why, who }) => ({ label: loc(label), why: loc(why), who: loc(who) })),
+    links: citedLinks(messages),
+    disclaimer: t("plan.disclaimer"),
+  };
+}
+
+function planToJson(plan, messages, includeTranscript) {
+  const transcript = includeTranscript ? messages.map(m => ({ role: m.role, content: m.content })) : undefined;
+  return JSON.stringify({ ...plan, transcript }, null, 2);
+}
+
+function planToMarkdown(plan, messages, includeTranscript) {
+  const { summary } = plan;
+  const list = (items) => (items.length ? items.map(i => `- ${i}`).join("\n") : `_${t("plan.nothingYet")}_`);
+  const profileLines = PROFILE_FIELDS
+    .filter(f => plan.profile[f.key] !== undefined)
+    .map(f => `- **${loc(f.label)}:** ${formatProfileValue(f, plan.profile[f.key])}`);
+  const sections = [
+    `# ${t("plan.title")}`,
+    `_${t("plan.prepared", { date: plan.generatedAt.slice(0, 10), version: plan.taxRules.version, year: plan.taxRules.taxYear })}_`,
+    summary.headline,
+    `## ${t("plan.about")}`,
+    [...profileLines, ...summary.profileFacts.map(f => `- ${f}`)].join("\n") || `_${t("plan.nothingRecorded")}_`,
+    `## ${t("plan.accounts")}`,
+    summary.accounts.length ? summary.accounts.map(a => `- **${a.name}** — ${a.why}`).join("\n") : `_${t("plan.none")}_`,
+    `## ${t("plan.tradeoffs")}`,
+    list(summary.tradeoffs),
+    `## ${t("plan.questions")}`,
+    list(summary.openQuestions),
+    plan.referrals.length ? `## ${t("plan.referrals")}` : "",
+    plan.referrals.map(r => `- **${r.label}** — ${r.why}`).join("\n"),
+    `## ${t("plan.links")}`,
+    plan.links.length ? plan.links.map(l => `- [${l.title}](${localizeUrl(l.url)})`).join("\n") : `_${t("plan.none")}_`,
+    `> ${plan.disclaimer}`,
+  ];
+  if (includeTranscript) {
+    sections.push(`## ${t("plan.transcript")}`, messages.map(m => `**${m.role === "user" ? t("plan.me") : "MoneyBuddy"}:** ${m.content}`).join("\n\n"));
+  }
+  return sections.filter(Boolean).join("\n\n") + "\n";
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+// Standalone print layout; the browser's "Save as PDF" does the rest
+function planToPrintHtml(plan, messages, includeTranscript) {
+  const { summary } = plan;
+  const list = (items) => (items.length ? `<ul>${items.map(i => `<li>${i}</li>`).join("")}</ul>` : `<p><em>${t("plan.nothingYet")}</em></p>`);
+  const esc = escapeHtml;
+  const profileItems = PROFILE_FIELDS
+    .filter(f => plan.profile[f.key] !== undefined)
+    .map(f => `<strong>${esc(loc(f.label))}:</strong> ${esc(formatProfileValue(f, plan.profile[f.key]))}`);
+  const transcript = includeTranscript
+    ? `<h2>${t("plan.transcript")}</h2>${messages.map(m => `<p class="turn"><strong>${m.role === "user" ? t("plan.me") : "MoneyBuddy"}:</strong> ${esc(m.content).replace(/\n/g, "<br>")}</p>`).join("")}`
+    : "";
+  return `<!doctype html><html lang="${plan.locale}"><head><meta charset="utf-8"><title>${esc(t("plan.title"))}</title>
+<style>
+  body { font-family: Georgia, serif; max-width: 680px; margin: 40px auto; color: #0A0A0A; line-height: 1.55; }
+  h1 { font-size: 28px; margin-bottom: 4px; }
+  h2 { font-size: 17px; margin-top: 28px; border-bottom: 1.5px solid #0A0A0A; padding-bottom: 4px; }
+  .meta { color: #888; font-size: 12px; }
+  .disclaimer { margin-top: 28px; padding: 12px 16px; background: #E8F9E8; border-left: 3px solid #0A0A0A; }
+  .turn { font-size: 13px; }
+  a { color: #0A0A0A; }
+</style></head><body>
+<h1>${esc(t("plan.title"))}</h1>
+<p class="meta">${esc(t("plan.prepared", { date: plan.generatedAt.slice(0, 10), version: plan.taxRules.version, year: plan.taxRules.taxYear }))}</p>
+<p>${esc(summary.headline)}</p>
+<h2>${esc(t("plan.about"))}</h2>${list([...profileItems, ...summary.profileFacts.map(esc)])}
+<h2>${esc(t("plan.accounts"))}</h2>${list(summary.accounts.map(a => `<strong>${esc(a.name)}</strong> — ${esc(a.why)}`))}
+<h2>${esc(t("plan.tradeoffs"))}</h2>${list(summary.tradeoffs.map(esc))}
+<h2>${esc(t("plan.questions"))}</h2>${list(summary.openQuestions.map(esc))}
+${plan.referrals.length ? `<h2>${esc(t("plan.referrals"))}</h2>${list(plan.referrals.map(r => `<strong>${esc(r.label)}</strong> — ${esc(r.why)}`))}` : ""}
+<h2>${esc(t("plan.links"))}</h2>${list(plan.links.map(l => `${esc(l.title)} — <a href="${esc(localizeUrl(l.url))}">${esc(localizeUrl(l.url))}</a>`))}
+<p class="disclaimer">${esc(plan.disclaimer)}</p>
+${transcript}
+</body></html>`;
+}
+
+function downloadFile(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function printHtml(html) {
+  const win = window.open("", "_blank");
+  if (!win) return false;
+  win.document.write(html);
+  win.document.close();
+  win.focus();
+  setTimeout(() => win.print(), 250);
+  return true;
+}
+
+// ── Onboarding handoff ─────────────────────────────────────
+// A finished risk profile can go to a robo-advisor's onboarding API as one
+// structured payload: risk profile, profile facts, goals, suggested account
+// types, any referral flags and a summary of the chat. It's built on the device
+// from what the app already holds, with no model call, so nothing leaves before
+// the user reads the exact payload and ticks the consent box. It goes through
+// the redaction layer like every other request, and the proxy signs it (the
+// browser holds no key).
+const HANDOFF_SCHEMA = "moneybuddy.handoff/1";
+
+const HANDOFF_QUESTIONS = 8; // the user's most recent questions in the summary
+const HANDOFF_QUESTION_CHARS = 160;
+
+// The chat in brief, without a model call: the session memory once turns have
+// been condensed, then the user's own questions since, clipped
+function handoffSummary(messages, memory) {
+  const questions = messages
+    .slice(memory?.through || 0)
+    .filter(m => m.role === "user" && !m.risk)
+    .map(m => m.content.replace(/\s+/g, " ").trim())
+    .filter(Boolean)
+    .map(q => (q.length <= HANDOFF_QUESTION_CHARS ? q : `${q.slice(0, HANDOFF_QUESTION_CHARS).replace(/\s+\S*$/, "")}…`));
+  return { condensed: memory?.summary || "", keyFacts: memory?.keyFacts || [], questions: questions.slice(-HANDOFF_QUESTIONS) };
+}
+
+// { payload, vault }: what the user reviews, and what put the placeholders in it
+function buildHandoff({ messages, profile, risk, memory }) {
+  const result = scoreRisk(risk.answers);
+  const payload = {
+    schema: HANDOFF_SCHEMA,
+    createdAt: new Date().toISOString(),
+    locale: activeLocale,
+    taxRules: { version: TAX_RULES.version, taxYear: TAX_YEAR },
+    riskProfile: {
+      profile: result.profile.id,
+      score: result.score,
+      max: result.max,
+      limitedBy: result.limitedBy,
+      answers: result.picked.map(p => ({ question: p.question.id, answer: p.option.value, points: p.option.points })),
+    },
+    profile: Object.fromEntries(PROFILE_FIELDS.filter(f => !isBlank(profile.values[f.key])).map(f => [f.key, profile.values[f.key]])),
+    partner: profile.partner ? Object.fromEntries(PERSON_FIELDS.filter(f => !isBlank(profile.partner.values[f.key])).map(f => [f.key, profile.partner.values[f.key]])) : null,
+    goals: profile.values.goals || [],
+    suggestedAccounts: suggestAccounts(profile).map(a => ({ type: a.type, held: a.held, reason: loc(a.reason) })),
+    summary: handoffSummary(messages, memory),
+    referrals: referralDetails(referredSoFar(messages)).map(s => loc(s.label)),
+  };
+  const vault = createVault();
+  return { payload: mapStrings(payload, s => redactText(s, vault)), vault };
+}
+
+// Send a reviewed payload with the user's consent attached. Resolves to the
+// service's receipt: { reference, status, receivedAt, signature }.
+async function submitHandoff(payload, { vault, sessionId }) {
+  const handoff = { ...payload, consent: { confirmed: true, confirmedAt: new Date().toISOString(), statement: t("handoff.consent") } };
+  const response = await fetch(ONBOARDING_CONFIG.endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ metadata: { user_id: SESSION_ID }, handoff }),
+  });
+  if (!response.ok) throw await chatErrorFrom(response);
+  const receipt = await response.json();
+  logRedaction({ purpose: "handoff", sessionId, vault });
+  db.put("handoffs", { id: newId("handoff"), at: Date.now(), sessionId, ...receipt, payload: handoff });
+  return receipt;
+}
+
+// ── Persistence ────────────────────────────────────────────
+// Records live in IndexedDB, one object store per collection. Where IndexedDB
+// isn't available (some sandboxed iframes) they fall back to localStorage, then
+// to memory, so the app still works — it just forgets on refresh.
+const DB_NAME = "moneybuddy";
+const DB_COLLECTIONS = ["sessions", "referrals", "compliance", "feedback", "redactions", "handoffs"]; // append only: the list length is the schema version
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_COLLECTIONS.length);
+    req.onupgradeneeded = () => {
+      for (const name of DB_COLLECTIONS) {
+        if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name, { keyPath: "id" });
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idbStore(db) {
+  const run = (collection, mode, op) => new Promise((resolve, reject) => {
+    const tx = db.transaction(collection, mode);
+    const req = op(tx.objectStore(collection));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+  return {
+    all: (collection) => run(collection, "readonly", s => s.getAll()),
+    put: (collection, record) => run(collection, "readwrite", s => s.put(record)).then(() => record),
+    remove: (collection, id) => run(collection, "readwrite", s => s.delete(id)),
+  };
+}
+
+// Same interface over a whole-collection read/write pair
+function mapStore(read, write) {
+  return {
+    all: async (collection) => Object.values(read(collection)),
+    put: async (collection, record) => {
+      write(collection, { ...read(collection), [record.id]: record });
+      return record;
+    },
+    remove: async (collection, id) => {
+      const { [id]: _, ...rest } = read(collection);
+      write(collection, rest);
+    },
+  };
+}
+
+function fallbackStore() {
+  try {
+    const key = (collection) => `${DB_NAME}:${collection}`;
+    localStorage.setItem(key("probe"), "1");
+    localStorage.removeItem(key("probe"));
+    return mapStore(
+      (collection) => JSON.parse(localStorage.getItem(key(collection)) || "{}"),
+      (collection, value) => localStorage.setItem(key(collection), JSON.stringify(value)),
+    );
+  } catch {
+    const memory = {};
+    return mapStore((collection) => memory[collection] || {}, (collection, value) => { memory[collection] = value; });
+  }
+}
+
+let storePromise = null;
+const getStore = () => (storePromise ??= openDatabase().then(idbStore, fallbackStore));
+
+const db = {
+  all: (collection) => getStore().then(s => s.all(collection)).catch(() => []),
+  put: (collection, record) => getStore().then(s => s.put(collection, record)).catch(() => record),
+  remove: (collection, id) => getStore().then(s => s.remove(collection, id)).catch(() => {}),
+};
+
+function newId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Placeholder title from the opening message, until the model names the chat
+function draftTitle(text) {
+  const first = text.split(/(?<=[.!?])\s|\n/)[0].trim();
+  if (first.length <= 48) return first;
+  return `${first.slice(0, 48).replace(/\s+\S*$/, "")}…`;
+}
+
+async function generateTitle(messages) {
+  const data = await callModel({
+    max_tokens: 30,
+    system: `Write a 2–5 word title for this money-coaching conversation. Plain text: no quotes, no emoji, no trailing punctuation.${languageNote()}`,
+    messages: [{ role: "user", content: transcriptOf(messages.slice(0, 2)) }],
+  }, { purpose: "title" });
+  const title = data.content?.find(b => b.type === "text")?.text.trim().replace(/^["']|["'.]$/g, "");
+  return title && title.length <= 60 ? title : null;
+}
+
+function matchesSearch(session, query) {
+  const q = query.trim().toLowerCase();
+  if (!q) return true;
+  return session.title.toLowerCase().includes(q)
+    || session.messages.some(m => m.content.toLowerCase().includes(q));
+}
+
+function timeAgo(ts) {
+  const mins = Math.round((Date.now() - ts) / 60000);
+  if (mins < 1) return t("time.now");
+  if (mins < 60) return t("time.minutes", { n: mins });
+  const hours = Math.round(mins / 60);
+  if (hours < 24) return t("time.hours", { n: hours });
+  const days = Math.round(hours / 24);
+  if (days < 7) return t("time.days", { n: days });
+  return new Date(ts).toLocaleDateString(intlLocale(), { month: "short", day: "numeric" });
+}
+
+// ── Advisor referral ───────────────────────────────────────
+// Some situations are past what an education tool should handle alone. Rules
+// catch the plain-language signals instantly; a model pass on every turn
+// catches what the rules miss. Each turn's decision goes to the referral log.
+const REFERRAL_RULES_VERSION = "1";
+
+const REFERRAL_SITUATIONS = [
+  {
+    id: "inheritance",
+    label: { en: "Inheritance or estate", fr: "Héritage ou succession" },
+    why: {
+      en: "Estates come with final tax returns, probate and deadlines that vary by province, and the choices are hard to undo.",
+      fr: "Une succession implique des déclarations de revenus finales, une homologation et des délais qui varient selon la province, et les choix sont difficiles à défaire.",
+    },
+    who: { en: "an estate lawyer or a fee-only financial planner", fr: "un notaire ou un planificateur financier rémunéré à honoraires" },
+    matches: (text) => /\b(inherit\w*|(?<!real )estate|executor|probate|bequest|passed away|héritage|hérit\w*|succession|liquidateur|testament|décédée?)\b/i.test(text),
+  },
+  {
+    id: "separation",
+    label: { en: "Divorce or separation", fr: "Divorce ou séparation" },
+    why: {
+      en: "Splitting pensions, RRSPs and the family home follows family-law rules, and a rollover done wrong can trigger tax.",
+      fr: "Le partage des régimes de retraite, des REER et de la résidence familiale suit les règles du droit de la famille, et un transfert mal fait peut entraîner de l'impôt.",
+    },
+    who: { en: "a family lawyer and a Certified Financial Planner", fr: "un avocat en droit de la famille et un planificateur financier (Pl. Fin.)" },
+    matches: (text) => /\b(divorc\w*|separat(ed|ion|ing)|splitting up|spousal support|custody|my ex|séparée?s?|séparation|pension alimentaire|garde partagée|mon ex)\b/i.test(text),
+  },
+  {
+    id: "incorporation",
+    label: { en: "Incorporation or corporate investing", fr: "Incorporation ou placements en société" },
+    why: {
+      en: "Investing inside a corporation, including a physician's professional corporation, brings passive-income rules and salary-versus-dividend tradeoffs that need a specialist.",
+      fr: "Investir dans une société, y compris la société professionnelle d'un médecin, entraîne des règles sur le revenu passif et des arbitrages salaire-dividendes qui demandent un spécialiste.",
+    },
+    who: { en: "an accountant who works with incorporated professionals", fr: "un comptable (CPA) qui travaille avec des professionnels incorporés" },
+    matches: (text) => /\b(incorporat\w*|holdco|holding company|ccpc|professional corporation|my corporation|corporate (account|investing|investments?)|incorporée?|société de gestion|société par actions|SPCC|ma compagnie|ma société)\b/i.test(text),
+  },
+  {
+    id: "debtDistress",
+    label: { en: "Debt distress", fr: "Difficultés d'endettement" },
+    why: {
+      en: "When payments aren't manageable, options like a consumer proposal have legal and credit consequences that a regulated professional should walk you through.",
+      fr: "Quand les paiements deviennent ingérables, des options comme la proposition de consommateur ont des conséquences juridiques et sur le crédit qu'un professionnel réglementé devrait vous expliquer.",
+    },
+    who: { en: "a Licensed Insolvency Trustee or a non-profit credit counsellor", fr: "un syndic autorisé en insolvabilité ou un organisme de conseil budgétaire sans but lucratif (ACEF)" },
+    matches: (text) => /\b(collections? agency|in collections|consumer proposal|bankrupt\w*|insolven\w*|payday loans?|behind on (my )?(payments|rent|mortgage|bills)|can'?t (afford|make) (the |my )?(minimum|payments?)|drowning in debt|agence de recouvrement|proposition de consommateur|faillite|insolvab\w*|prêts? sur salaire|en retard sur (mes )?(paiements|loyer|hypothèque|factures)|noyée? dans les dettes)\b/i.test(text),
+  },
+  {
+    id: "decumulation",
+    label: { en: "Near-retirement drawdown", fr: "Décaissement à l'approche de la retraite" },
+    why: {
+      en: "The order you draw from RRSPs, RRIFs, TFSAs, CPP and OAS changes your lifetime tax and benefit clawbacks, so it's worth a plan built for you.",
+      fr: "L'ordre dans lequel vous puisez dans vos REER, FERR, CELI, RRQ/RPC et SV change votre impôt à vie et la récupération des prestations; un plan sur mesure en vaut la peine.",
+    },
+    who: { en: "a Certified Financial Planner who specializes in retirement income", fr: "un planificateur financier spécialisé en revenu de retraite" },
+    matches: (text, values) =>
+      /\b(rrif|annuit\w*|decumulat\w*|drawdown|retir(e|ing) (next year|this year|in (a|one|two|three|four|five|\d) years?)|ferr|rente viagère|décaissement|retraite (l'an prochain|cette année|dans (un|une|deux|trois|quatre|cinq|\d) ans?))\b/i.test(text)
+      || (values.age >= 60 && /retir|retraite/i.test([...values.goals, values.timeHorizon || ""].join(" "))),
+  },
+  {
+    id: "leverage",
+    label: { en: "Large options or margin positions", fr: "Grosses positions sur options ou sur marge" },
+    why: {
+      en: "Leverage and short options can lose more than you put in, and sizing that risk needs someone who can see your whole portfolio.",
+      fr: "Avec l'effet de levier et la vente d'options, on peut perdre plus que sa mise, et calibrer ce risque demande quelqu'un qui voit tout votre portefeuille.",
+    },
+    who: { en: "a registered investment advisor or your brokerage's licensed team", fr: "un conseiller en placement inscrit ou l'équipe agréée de votre courtier" },
+    matches: (text) =>
+      /\b(margin (account|loan|call)|on margin|borrow(ed|ing)? to invest|naked (calls?|puts?)|\d{2,}\s+(option )?contracts|compte (sur|de) marge|appel de marge|emprunt(er|é)? pour investir|\d{2,}\s+contrats)\b/i.test(text)
+      || text.split(/(?<=[.!?])\s+|\n/).some(s => /\boptions?\b/i.test(s) && moneyFigures(s).some(f => f.value >= 50000)),
+  },
+];
+
+const REFERRAL_TOOL = {
+  name: "assess_referral",
+  description: "Decide which high-stakes situations, if any, the user has described about their own finances. Don't flag hypotheticals or general curiosity.",
+  input_schema: {
+    type: "object",
+    properties: {
+      situations: { type: "array", items: { type: "string", enum: REFERRAL_SITUATIONS.map(s => s.id) } },
+      rationale: { type: "string", description: "One or two sentences on the decision, for the review log" },
+    },
+    required: ["situations", "rationale"],
+  },
+};
+
+const REFERRAL_SYSTEM = `You review conversations between a Canadian user and MoneyBuddy, a financial education tool, and decide when the user should be referred to a licensed professional. Situations:
+${REFERRAL_SITUATIONS.map(s => `- ${s.id}: ${s.label.en}`).join("\n")}`;
+
+function referralRules(messages, profile) {
+  const userText = messages.filter(m => m.role === "user").map(m => m.content).join("\n");
+  return REFERRAL_SITUATIONS.filter(s => s.matches(userText, profile.values)).map(s => s.id);
+}
+
+function assessReferral(messages, profile, memory) {
+  return callTool(REFERRAL_TOOL, {
+    system: REFERRAL_SYSTEM,
+    messages: [{ role: "user", content: `${[profileContext(profile), householdContext(profile)].filter(Boolean).join("\n\n")}\n\nConversation:\n${recentTranscript(messages, memory)}` }],
+  });
+}
+
+// Situations already raised in this conversation, so a card shows once per situation
+function referredSoFar(messages) {
+  return [...new Set(messages.flatMap(m => m.referral?.situations || []))];
+}
+
+function referralDetails(ids) {
+  return REFERRAL_SITUATIONS.filter(s => ids.includes(s.id));
+}
+
+function logReferral(entry) {
+  return db.put("referrals", { id: newId("ref"), at: Date.now(), rulesVersion: REFERRAL_RULES_VERSION, action: null, ...entry });
+}
+
+async function updateReferralLog(id, patch) {
+  const entry = (await db.all("referrals")).find(e => e.id === id);
+  if (entry) db.put("referrals", { ...entry, ...patch });
+}
+
+// ── Feedback ───────────────────────────────────────────────
+// Thumbs up/down on any reply, with optional reasons and a note. Each rating
+// is stored with the exact request that produced the reply, masked as it went
+// out, so the feedback log doubles as an eval dataset (node evals/run.mjs
+// --feedback <file>) without holding anything the redaction layer kept back.
+
+const FEEDBACK_REASONS = [
+  { id: "wrong-fact", label: { en: "Wrong fact", fr: "Fait erroné" } },
+  { id: "too-vague", label: { en: "Too vague", fr: "Trop vague" } },
+  { id: "too-pushy", label: { en: "Too pushy", fr: "Trop insistant" } },
+  { id: "missing-disclaimer", label: { en: "Missing disclaimer", fr: "Avertissement manquant" } },
+];
+
+// Short stable hash (FNV-1a) to tell system-prompt revisions apart
+function fingerprint(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+// What streamReply sent, minus what the session already holds: the reply's
+// history is messages.slice(from, index) of the saved chat, masked with redaction
+function requestSnapshot({ locale, grounding, blocks, from, prefill }) {
+  return { promptVersion: fingerprint(SYSTEM_PROMPTS[locale]), locale, grounding, blocks: blocks.filter(Boolean), from, redaction: { ...redactionSettings }, ...(prefill ? { prefill } : {}) };
+}
+
+// One JSONL line: the rating plus the request exactly as it went to the model.
+// Masking is deterministic, so redoing it with the request's settings gives the
+// same placeholders, and one vault makes the reply's match them.
+function feedbackRecord({ sessionId, messages, index, rating }) {
+  const reply = messages[index];
+  const request = reply.request;
+  const base = request && SYSTEM_PROMPTS[request.locale];
+  const settings = request?.redaction || redactionSettings; // ratings from before it was recorded
+  const history = request ? buildApiMessages(messages.slice(request.from, index), request.blocks) : [];
+  if (request?.prefill) history.push({ role: "assistant", content: request.prefill });
+  const { messages: apiMessages, vault } = redactMessages(history, settings);
+  return {
+    id: rating.id,
+    at: rating.at,
+    sessionId,
+    turn: index,
+    rating: rating.value,
+    reasons: rating.reasons,
+    note: rating.note,
+    locale: request?.locale ?? null,
+    promptVersion: request?.promptVersion ?? null,
+    taxRulesVersion: TAX_RULES.version,
+    request: request && {
+      // Rated after an app update: the old prompt text is gone, the rest is exact
+      system: request.promptVersion === fingerprint(base) ? `${base}\n\n${request.grounding}` : null,
+      grounding: request.grounding,
+      messages: apiMessages,
+    },
+    reply: redactText(reply.content, vault, settings),
+  };
+}
+
+// Review logs ("referrals", "compliance", "feedback", "redactions", "handoffs") download as JSON Lines, oldest first
+async function downloadLog(collection) {
+  const entries = (await db.all(collection)).sort((a, b) => a.at - b.at);
+  downloadFile(`${collection}-log-${new Date().toISOString().slice(0, 10)}.jsonl`, "application/x-ndjson", entries.map(e => JSON.stringify(e)).join("\n") + "\n");
+}
+
+async function downloadCitationReport() {
+  const rows = citationReport(await db.all("sessions"));
+  const columns = ["resource", "kind", "title", "url", "citations", "chats", "lastCited", "lastReviewed", "reviewDue"];
+  const cell = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  const csv = [columns, ...rows.map(r => columns.map(c => r[c]))].map(line => line.map(cell).join(",")).join("\n") + "\n";
+  downloadFile(`resource-citations-${new Date().toISOString().slice(0, 10)}.csv`, "text/csv", csv);
+}
+
+function TypingIndicator({ retry }) {
+  return (
+    <div className="typing-row">
+      <div className="msg-label">MoneyBuddy</div>
+      <div className="typing-money">
+        <span>💸</span><span>💸</span><span>💸</span>
+      </div>
+      {retry && (
+        <div className="typing-retry">
+          {t(`error.${retry.kind}`)} {t("msg.retrying", { seconds: Math.ceil(retry.delay / 1000), attempt: retry.attempt, max: CHAT_CONFIG.maxRetries })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Detect if a message ends with a question and extract quick-reply options
+function extractQuickReplies(content) {
+  const lines = content.trim().split("\n").filter(l => l.trim());
+
+  // Only show pills if there are explicit numbered or lettered options
+  const optionPatterns = [
+    /^[A-D]\)\s+(.+)/,
+    /^\d+\.\s+(.+)/,
+    /^•\s+(.+)/,
+  ];
+  const options = lines
+    .map(l => {
+      for (const pat of optionPatterns) {
+        const m = l.match(pat);
+        if (m) return m[1].replace(/\*\*/g, "").trim();
+      }
+      return null;
+    })
+    .filter(Boolean);
+
+  // Reject if any option contains placeholders like $X, [X], <X>, or is too long
+  const hasPlaceholder = options.some(o =>
+    /\$X|\[.*?\]|<.*?>|\bX\b/.test(o) || o.length > 60
+  );
+  if (hasPlaceholder) return null;
+
+  return options.length >= 2 ? options : null;
+}
+
+const OPTION_LINE = /^([A-D]\)|\d+\.|•)\s+/;
+
+// Validate a <quick-replies> payload; null if it isn't usable
+function normalizeQuickReplies(raw) {
+  const options = (Array.isArray(raw?.options) ? raw.options : [])
+    .map(o => String(o).trim())
+    .filter(o => o && o.length <= 60 && !/\$X|\[.*?\]|<.*?>|\bX\b/.test(o));
+  if (options.length < 2) return null;
+  return {
+    options: options.slice(0, 8),
+    multiSelect: Boolean(raw.multiSelect),
+    allowOther: Boolean(raw.allowOther),
+    source: "structured",
+  };
+}
+
+// Heuristic for replies without a block: only a run of options at the very
+// end, right after a question, counts — a bulleted breakdown never does.
+function fallbackQuickReplies(text) {
+  const lines = text.trim().split("\n");
+  let start = lines.length;
+  while (start > 0 && (OPTION_LINE.test(lines[start - 1].trim()) || !lines[start - 1].trim())) start--;
+  const question = lines.slice(0, start).filter(l => l.trim()).pop() || "";
+  if (start === lines.length || !question.trim().endsWith("?")) return null;
+  const options = extractQuickReplies(lines.slice(start).join("\n"));
+  if (!options) return null;
+  return {
+    spec: { options, multiSelect: false, allowOther: false, source: "fallback" },
+    text: lines.slice(0, start).join("\n"),
+  };
+}
+
+// Split a reply into display text, calculator cards and quick replies
+function parseReply(content, streaming = false) {
+  const { text: withoutCards, cards } = extractCards(content);
+  let quickReplies = null;
+  let text = withoutCards.replace(/<quick-replies>([\s\S]*?)<\/quick-replies>/g, (_, json) => {
+    try { quickReplies = normalizeQuickReplies(JSON.parse(json)) || quickReplies; } catch { /* ignore a malformed block */ }
+    return "";
+  });
+  // Don't flash a half-streamed tag
+  if (streaming) text = text.replace(/<(calculator|quick-replies)\b[\s\S]*$|<[a-z-]*$/, "");
+  text = text.replace(/\n{3,}/g, "\n\n").trim();
+  if (!quickReplies && !streaming) {
+    const fallback = fallbackQuickReplies(text);
+    if (fallback) ({ spec: quickReplies, text } = fallback);
+  }
+  return { text, cards, quickReplies };
+}
+
+function joinChoices(choices) {
+  return choices.length > 1 ? `${choices.slice(0, -1).join(", ")} ${t("quick.and")} ${choices[choices.length - 1]}` : choices[0];
+}
+
+function QuickReplies({ spec, onSend, onOther }) {
+  const [picked, setPicked] = useState([]);
+  const toggle = (option) =>
+    setPicked(p => (p.includes(option) ? p.filter(o => o !== option) : [...p, option]));
+
+  return (
+    <div className="quick-replies">
+      <div className="quick-replies__pills">
+        {spec.options.map((option, i) => (spec.multiSelect ? (
+          <button
+            key={i}
+            className={`quick-pill ${picked.includes(option) ? "quick-pill--picked" : ""}`}
+            aria-pressed={picked.includes(option)}
+            onClick={() => toggle(option)}
+          >
+            {picked.includes(option) ? "✓ " : ""}{option}
+          </button>
+        ) : (
+          <button key={i} className="quick-pill" onClick={() => onSend(option)}>{option}</button>
+        )))}
+        {spec.allowOther && (
+          <button className="quick-pill quick-pill--other" onClick={onOther}>{t("quick.other")}</button>
+        )}
+      </div>
+      {spec.multiSelect && (
+        <button className="quick-replies__send" disabled={!picked.length} onClick={() => onSend(joinChoices(picked))}>
+          {t("quick.send")}{picked.length ? ` (${picked.length})` : ""}
+        </button>
+      )}
+      <div className="quick-replies__hint">
+        {spec.multiSelect ? t("quick.hintMulti") : ""}{t("quick.hint")}
+      </div>
+    </div>
+  );
+}
+
+function FactFlags({ issues }) {
+  return (
+    <span className="fact-flag">
+      {t("fact.flag")}
+      {issues.map((issue, i) => (
+        <span key={i} className="fact-flag__detail">
+          {t("fact.detail", { ...issue, version: TAX_RULES.version })}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+function ReferralCard({ referral, onExport, onDismiss }) {
+  const situations = referralDetails(referral.situations);
+  if (referral.dismissed) {
+    return <div className="referral-note">{t("referral.note", { labels: situations.map(s => loc(s.label).toLowerCase()).join(", ") })}</div>;
+  }
+  return (
+    <div className="referral-card" role="note">
+      <div className="referral-card__eyebrow">{t("referral.eyebrow")}</div>
+      <h4 className="referral-card__title">{t("referral.title")}</h4>
+      <p className="referral-card__lede">{t("referral.lede")}</p>
+      <ul className="referral-card__list">
+        {situations.map(s => (
+          <li key={s.id}>
+            <strong>{loc(s.label)}.</strong> {loc(s.why)} <span className="referral-card__who">{t("referral.lookFor", { who: loc(s.who) })}</span>
+          </li>
+        ))}
+      </ul>
+      <div className="referral-card__actions">
+        <button className="quick-pill" onClick={onExport}>{t("referral.export")}</button>
+        <button className="link-btn" onClick={onDismiss}>{t("referral.dismiss")}</button>
+      </div>
+    </div>
+  );
+}
+
+// User turns can be edited (which regenerates from there); the last reply gets
+// regenerate, plus continue when it was cut off at max_tokens; every reply can be rated
+function Message({ msg, isNew, anchorRef, onQuickReply, onOther, onCorrect, onRegenerate, onContinue, onEdit, onReferral, onRate }) {
+  const [draft, setDraft] = useState(null);
+  const isUser = msg.role === "user";
+  // Cards and quick replies only show once the whole reply has arrived
+  const { text, cards, quickReplies } = isUser
+    ? { text: msg.content, cards: [], quickReplies: null }
+    : parseReply(msg.content, msg.streaming);
+  const checked = !isUser && !msg.streaming;
+  const factIssues = checked ? factCheck(text) : [];
+  const annotateFacts = (blockText, key) => {
+    const flags = factCheck(blockText);
+    return flags.length ? <FactFlags key={key} issues={flags} /> : null;
+  };
+
+  const saveEdit = () => {
+    if (draft.trim() && draft.trim() !== msg.content) onEdit(draft.trim());
+    setDraft(null);
+  };
+
+  if (msg.error) {
+    return (
+      <div className="message message--assistant message--error">
+        <div className="msg-label">MoneyBuddy</div>
+        <p className="msg-error">{t(`error.${msg.error}`)}</p>
+        {onRegenerate && <button className="msg-action" onClick={onRegenerate}>{t("msg.retry")}</button>}
+      </div>
+    );
+  }
+
+  return (
+    <div ref={anchorRef} className={`message message--${msg.role} ${isNew ? "message--new" : ""} ${msg.streaming ? "message--streaming" : ""}`}>
+      <div className="msg-label">{isUser ? t("msg.you") : "MoneyBuddy"}</div>
+      {draft !== null ? (
+        <div className="msg-editor">
+          <textarea
+            value={draft}
+            autoFocus
+            rows={Math.min(6, draft.split("\n").length + 1)}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); saveEdit(); }
+              if (e.key === "Escape") setDraft(null);
+            }}
+          />
+          <div className="msg-editor__actions">
+            <button className="link-btn" onClick={() => setDraft(null)}>{t("msg.editCancel")}</button>
+            <button className="msg-action" onClick={saveEdit} disabled={!draft.trim()}>{t("msg.editSave")}</button>
+          </div>
+        </div>
+      ) : (
+        <div className="message__bubble">
+          {isUser
+            ? <p className="msg-user-text">{msg.content}</p>
+            : renderBlocks(parseMarkdown(text), { annotate: checked ? annotateFacts : null })}
+          {msg.streaming && <span className="stream-caret" />}
+          {msg.stopped && <p className="msg-stopped">{t("msg.stopped")}</p>}
+          {msg.truncated && !msg.streaming && (
+            <p className="msg-stopped">{msg.interrupted ? t(`error.${msg.interrupted}`) : t("msg.truncated")}</p>
+          )}
+        </div>
+      )}
+      {isUser && onEdit && draft === null && (
+        <button className="link-btn msg-edit" onClick={() => setDraft(msg.content)}>{t("msg.edit")}</button>
+      )}
+      {msg.compliance && (
+        <div className="compliance-note" title={msg.compliance.join(" · ")}>
+          {t("msg.compliance")}
+        </div>
+      )}
+      {factIssues.length > 0 && onCorrect && (
+        <button className="fact-regenerate" onClick={() => onCorrect(factIssues)}>
+          {t("msg.regenerate")}
+        </button>
+      )}
+      {!msg.streaming && cards.filter(card => CALCULATORS[card.type]).map((card, i) => (
+        <CalculatorCard key={i} type={card.type} prefill={card.prefill} onShare={onQuickReply} />
+      ))}
+      {msg.referral && (
+        <ReferralCard
+          referral={msg.referral}
+          onExport={() => onReferral("exported")}
+          onDismiss={() => onReferral("dismissed")}
+        />
+      )}
+      {quickReplies && onQuickReply && <QuickReplies spec={quickReplies} onSend={onQuickReply} onOther={onOther} />}
+      {checked && (onContinue || onRegenerate || onRate) && (
+        <div className="msg-actions">
+          {msg.truncated && onContinue && <button className="msg-action" onClick={onContinue}>{t("msg.continue")}</button>}
+          {onRegenerate && <button className="link-btn" onClick={onRegenerate}>{t("msg.regenerateReply")}</button>}
+          {onRate && <MessageRating rating={msg.rating} onRate={onRate} />}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Thumbs save right away; reasons and a note can follow
+function MessageRating({ rating, onRate }) {
+  const [open, setOpen] = useState(false);
+  const [reasons, setReasons] = useState(rating?.reasons || []);
+  const [note, setNote] = useState(rating?.note || "");
+
+  const rate = (value) => {
+    onRate({ value, reasons: value === "down" ? reasons : [], note });
+    setOpen(true);
+  };
+  const toggle = (id) => setReasons(r => (r.includes(id) ? r.filter(x => x !== id) : [...r, id]));
+  const send = () => {
+    onRate({ value: rating.value, reasons: rating.value === "down" ? reasons : [], note: note.trim() });
+    setOpen(false);
+  };
+
+  return (
+    <>
+      <span className="msg-rating">
+        {[["up", "👍"], ["down", "👎"]].map(([value, emoji]) => (
+          <button
+            key={value}
+            className={`msg-rating__btn ${rating?.value === value ? "msg-rating__btn--active" : ""}`}
+            aria-label={t(`feedback.${value}`)}
+            aria-pressed={rating?.value === value}
+            title={t(`feedback.${value}`)}
+            onClick={() => rate(value)}
+          >
+            {emoji}
+          </button>
+        ))}
+        {rating && !open && <span className="msg-rating__thanks">{t("feedback.thanks")}</span>}
+      </span>
+      {open && rating && (
+        <div className="msg-rating__form">
+          {rating.value === "down" && (
+            <>
+              <div className="msg-rating__why">{t("feedback.why")}</div>
+              <div className="quick-replies__pills">
+                {FEEDBACK_REASONS.map(r => (
+                  <button
+                    key={r.id}
+                    className={`quick-pill ${reasons.includes(r.id) ? "quick-pill--picked" : ""}`}
+                    aria-pressed={reasons.includes(r.id)}
+                    onClick={() => toggle(r.id)}
+                  >
+                    {loc(r.label)}
+                  </button>
+                ))}
+              </div>
+            </>
+          )}
+          <textarea value={note} rows={2} placeholder={t("feedback.note")} onChange={(e) => setNote(e.target.value)} />
+          <button className="msg-action" onClick={send}>{t("feedback.send")}</button>
+        </div>
+      )}
+    </>
+  );
+}
+
+// Both partners side by side, with the combined figures and what the pair can do together
+function HouseholdSummary({ profile }) {
+  const people = [profile.values, profile.partner.values];
+  const result = householdFromProfile(profile);
+  const sum = (key) => (people.every(p => isBlank(p[key])) ? null : people.reduce((s, p) => s + (Number(p[key]) || 0), 0));
+  const cell = (value) => (isBlank(value) ? "—" : formatMoney(value));
+  const rows = [
+    ["income", people.map(p => p.income), sum("income") ?? profile.values.householdIncome],
+    ["pension", people.map(p => p.pension), sum("pension")],
+    ["rrspRoom", people.map(p => p.rrspRoom), sum("rrspRoom")],
+    ["tfsaRoom", people.map(p => p.tfsaRoom), sum("tfsaRoom")],
+    ["fhsaRoom", people.map(p => p.fhsaRoom), sum("fhsaRoom")],
+  ];
+  return (
+    <div className="household-summary">
+      <table className="household-summary__table">
+        <thead>
+          <tr><th />{people.map((p, i) => <th key={i}>{partnerName(i)}</th>)}<th>{t("household.together")}</th></tr>
+        </thead>
+        <tbody>
+          {rows.map(([key, values, total]) => (
+            <tr key={key}>
+              <td>{loc(PROFILE_FIELDS.find(f => f.key === key).label)}</td>
+              {values.map((v, i) => <td key={i}>{cell(v)}</td>)}
+              <td>{cell(total)}</td>
+            </tr>
+          ))}
+          {result && (
+            <>
+              <tr>
+                <td>{t("calc.household.taxCol")}</td>
+                {result.people.map((p, i) => <td key={i}>{formatMoney(p.tax)}</td>)}
+                <td>{formatMoney(result.combined.tax)}</td>
+              </tr>
+              <tr>
+                <td>{t("calc.household.marginal")}</td>
+                {result.people.map((p, i) => <td key={i}>{formatPct(Math.round(p.marginalRate * 1000) / 1000)}</td>)}
+                <td>—</td>
+              </tr>
+            </>
+          )}
+          <tr>
+            <td>{loc(PROFILE_FIELDS.find(f => f.key === "accountTypes").label)}</td>
+            {people.map((p, i) => <td key={i}>{(p.accountTypes || []).join(", ") || "—"}</td>)}
+            <td />
+          </tr>
+        </tbody>
+      </table>
+      {result
+        ? householdNotes(result).map((note, i) => <p key={i} className="profile-panel__hint">{note}</p>)
+        : <p className="profile-panel__hint">{t("household.needIncomes")}</p>}
+      <p className="profile-panel__hint">{t("household.roomNote")}</p>
+    </div>
+  );
+}
+
+function ProfilePanel({ profile, open, updating, onToggle, onEdit, onReset, onHousehold }) {
+  const [drafts, setDrafts] = useState({});
+  const [invalid, setInvalid] = useState(null); // draft key that didn't read as a number
+  const [view, setView] = useState("you");
+  const unknown = unknownFields(profile);
+  const partner = profile.partner || null;
+  const shown = partner ? view : "you";
+  const person = shown === "partner" ? partner : profile;
+  const fields = shown === "partner"
+    ? PERSON_FIELDS
+    : PROFILE_FIELDS.filter(f => !f.household || partner || !isBlank(profile.values[f.key]));
+
+  const commit = (field) => {
+    const draftKey = `${shown}.${field.key}`;
+    if (!(draftKey in drafts)) return;
+    const raw = drafts[draftKey].trim();
+    const numeric = field.kind === "number" || field.kind === "money";
+    let value = raw;
+    if (numeric) value = raw ? parseFigure(raw) : null;
+    // Keep what was typed, with a note, rather than silently dropping it
+    if (numeric && raw && value === null) {
+      setInvalid(draftKey);
+      return;
+    }
+    setInvalid(null);
+    if (field.kind === "list") value = raw ? raw.split(",").map(v => v.trim()).filter(Boolean) : [];
+    if (field.kind !== "list" && !raw) value = null;
+    onEdit(field.key, value, shown);
+    setDrafts(({ [draftKey]: _, ...rest }) => rest);
+  };
+
+  return (
+    <aside className={`profile-panel ${open ? "profile-panel--open" : ""}`} aria-label={t("profile.title")}>
+      <button className="profile-panel__toggle" onClick={onToggle} aria-expanded={open}>
+        {open ? "→" : "🧾"}
+      </button>
+      {open && (
+        <div className="profile-panel__body">
+          <div className="profile-panel__head">
+            <h3 className="profile-panel__title">{t(partner ? "household.title" : "profile.title")}</h3>
+            {updating && <span className="profile-panel__status">{t("profile.updating")}</span>}
+          </div>
+          {partner ? (
+            <div className="profile-tabs" role="tablist">
+              {["you", "partner", "household"].map(v => (
+                <button key={v} role="tab" aria-selected={shown === v} className={`profile-tab${shown === v ? " profile-tab--active" : ""}`} onClick={() => setView(v)}>
+                  {t(v === "you" ? "household.you" : v === "partner" ? "household.partner" : "household.together")}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <button className="link-btn profile-panel__household" onClick={() => { onHousehold(true); setView("partner"); }}>{t("household.add")}</button>
+          )}
+          {shown === "household" ? (
+            <>
+              <HouseholdSummary profile={profile} />
+              <button className="link-btn profile-panel__household" onClick={() => { onHousehold(false); setView("you"); }}>{t("household.remove")}</button>
+            </>
+          ) : (
+            <>
+              <p className="profile-panel__hint">{t(shown === "partner" ? "household.partnerHint" : "profile.hint")}</p>
+              {fields.map(field => {
+                const value = person.values[field.key];
+                const draftKey = `${shown}.${field.key}`;
+                const text = draftKey in drafts
+                  ? drafts[draftKey]
+                  : field.kind === "list" ? (value || []).join(", ") : value ?? "";
+                return (
+                  <label key={draftKey} className="profile-field">
+                    <span className="profile-field__label">
+                      {loc(field.label)}
+                      {person.edited[field.key] && (
+                        <button className="profile-field__reset" onClick={(e) => { e.preventDefault(); onReset(field.key, shown); }}>
+                          {t("profile.undo")}
+                        </button>
+                      )}
+                    </span>
+                    {field.kind === "province" ? (
+                      <select value={value || ""} onChange={(e) => onEdit(field.key, e.target.value || null, shown)}>
+                        <option value="">{t("profile.unknown")}</option>
+                        {PROVINCES.map(p => <option key={p.code} value={p.code}>{loc(p.name)}</option>)}
+                      </select>
+                    ) : (
+                      <input
+                        value={text}
+                        placeholder={t("profile.unknown")}
+                        inputMode={field.kind === "number" || field.kind === "money" ? "decimal" : undefined}
+                        onChange={(e) => setDrafts(d => ({ ...d, [draftKey]: e.target.value }))}
+                        onBlur={() => commit(field)}
+                        onKeyDown={(e) => { if (e.key === "Enter") e.target.blur(); }}
+                        aria-invalid={invalid === draftKey}
+                      />
+                    )}
+                    {invalid === draftKey && <span className="profile-field__error">{t("profile.invalidNumber")}</span>}
+                  </label>
+                );
+              })}
+              {shown === "you" && unknown.length > 0 && (
+                <div className="profile-unknown">
+                  <div className="profile-field__label">{t("profile.stillUnknown")}</div>
+                  <div className="profile-unknown__chips">
+                    {unknown.map(f => <span key={f.key} className="profile-chip">{loc(f.label)}</span>)}
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </aside>
+  );
+}
+
+// What the current draft will go out as, listed above the input
+function RedactionPreview({ text, settings }) {
+  const [showSent, setShowSent] = useState(false);
+  const vault = createVault();
+  const masked = redactText(text, vault, settings);
+  if (!vault.items.length) return null;
+  return (
+    <div className="redaction-preview">
+      <div className="redaction-preview__items">
+        <span className="redaction-preview__label">{t("redaction.preview")}</span>
+        {vault.items.map(item => (
+          <span key={item.placeholder} className="redaction-chip" title={item.placeholder}>
+            {loc(REDACTION_TYPES.find(r => r.id === item.type).label)} {item.hint}
+          </span>
+        ))}
+        <button className="link-btn" onClick={() => setShowSent(s => !s)}>{showSent ? t("redaction.hide") : t("redaction.show")}</button>
+      </div>
+      {showSent && <pre className="redaction-preview__sent">{masked}</pre>}
+    </div>
+  );
+}
+
+function RedactionSettings({ settings, onChange }) {
+  return (
+    <div className="redaction-settings">
+      <span className="redaction-settings__label">{t("redaction.settings")}</span>
+      {REDACTION_TYPES.map(type => (
+        <label key={type.id} className="redaction-settings__type">
+          <input type="checkbox" checked={settings[type.id]} onChange={(e) => onChange(type.id, e.target.checked)} />
+          {loc(type.label)}
+        </label>
+      ))}
+      <p className="redaction-settings__note">{t("redaction.note")}</p>
+    </div>
+  );
+}
+
+function SessionSidebar({ sessions, activeId, open, onToggle, onOpen, onNew, onRename, onDelete, onDownloadLog, onDownloadReport }) {
+  const [query, setQuery] = useState("");
+  const [renaming, setRenaming] = useState(null); // { id, title }
+  const visible = sessions.filter(s => matchesSearch(s, query));
+
+  const commitRename = () => {
+    if (renaming?.title.trim()) onRename(renaming.id, renaming.title.trim());
+    setRenaming(null);
+  };
+
+  return (
+    <aside className={`session-sidebar ${open ? "session-sidebar--open" : ""}`} aria-label={t("sidebar.label")}>
+      {open && (
+        <div className="session-sidebar__body">
+          <button className="session-new" onClick={onNew}>{t("sidebar.new")}</button>
+          <input
+            className="session-search"
+            value={query}
+            placeholder={t("sidebar.search")}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          <div className="session-list">
+            {visible.length === 0 && (
+              <p className="session-empty">{sessions.length ? t("sidebar.noMatch") : t("sidebar.empty")}</p>
+            )}
+            {visible.map(session => (
+              <div key={session.id} className={`session-item ${session.id === activeId ? "session-item--active" : ""}`}>
+                {renaming?.id === session.id ? (
+                  <input
+                    className="session-item__rename"
+                    value={renaming.title}
+                    autoFocus
+                    onChange={(e) => setRenaming({ ...renaming, title: e.target.value })}
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === "Enter") commitRename();
+                      if (e.key === "Escape") setRenaming(null);
+                    }}
+                  />
+                ) : (
+                  <button className="session-item__open" onClick={() => onOpen(session.id)}>
+                    <span className="session-item__title">{session.title}</span>
+                    <span className="session-item__meta">{timeAgo(session.updatedAt)}</span>
+                  </button>
+                )}
+                <div className="session-item__actions">
+                  <button aria-label={t("sidebar.rename")} onClick={() => setRenaming({ id: session.id, title: session.title })}>✎</button>
+                  <button
+                    aria-label={t("sidebar.delete")}
+                    onClick={() => { if (window.confirm(t("sidebar.confirmDelete", { title: session.title }))) onDelete(session.id); }}
+                  >
+                    ×
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+          <div className="session-sidebar__logs">
+            {t("sidebar.logs")}
+            <button className="link-btn" onClick={() => onDownloadLog("referrals")}>{t("sidebar.logReferrals")}</button>
+            <button className="link-btn" onClick={() => onDownloadLog("compliance")}>{t("sidebar.logCompliance")}</button>
+            <button className="link-btn" onClick={() => onDownloadLog("feedback")}>{t("sidebar.logFeedback")}</button>
+            <button className="link-btn" onClick={() => onDownloadLog("redactions")}>{t("sidebar.logRedactions")}</button>
+            <button className="link-btn" onClick={() => onDownloadLog("handoffs")}>{t("sidebar.logHandoffs")}</button>
+            <button className="link-btn" onClick={onDownloadReport}>{t("sidebar.reportCitations")}</button>
+          </div>
+        </div>
+      )}
+      <button className="session-sidebar__toggle" onClick={onToggle} aria-expanded={open} aria-label={t("sidebar.label")}>
+        {open ? "←" : "☰"}
+      </button>
+    </aside>
+  );
+}
+
+function ExportDialog({ messages, profile, onClose }) {
+  const [plan, setPlan] = useState(null);
+  const [status, setStatus] = useState("idle"); // idle | working | error
+  const [includeTranscript, setIncludeTranscript] = useState(false);
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  // Latest chat for the summary, so the plan is built once on open and on retry
+  const inputsRef = useRef({ messages, profile });
+  inputsRef.current = { messages, profile };
+
+  const build = useCallback(async () => {
+    setStatus("working");
+    try {
+      setPlan(await summarizePlan(inputsRef.current.messages, inputsRef.current.profile));
+      setStatus("idle");
+    } catch {
+      setStatus("error");
+    }
+  }, []);
+
+  useEffect(() => { build(); }, [build]);
+
+  const exportAs = (format) => {
+    if (format === "md") downloadFile(`money-plan-${stamp}.md`, "text/markdown", planToMarkdown(plan, messages, includeTranscript));
+    if (format === "json") downloadFile(`money-plan-${stamp}.json`, "application/json", planToJson(plan, messages, includeTranscript));
+    if (format === "pdf" && !printHtml(planToPrintHtml(plan, messages, includeTranscript))) {
+      // Pop-up blocked: hand over the printable file instead
+      downloadFile(`money-plan-${stamp}.html`, "text/html", planToPrintHtml(plan, messages, includeTranscript));
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal" role="dialog" aria-label={t("export.label")} onClick={(e) => e.stopPropagation()}>
+        <div className="modal__head">
+          <h3 className="modal__title">{t("export.title")}</h3>
+          <button className="modal__close" onClick={onClose} aria-label={t("export.close")}>×</button>
+        </div>
+        {status === "working" && <p className="modal__status">{t("export.working")}</p>}
+        {status === "error" && (
+          <p className="modal__status">
+            {t("export.error")} <button className="link-btn" onClick={build}>{t("export.retry")}</button>
+          </p>
+        )}
+        {plan && status === "idle" && (
+          <>
+            <p className="modal__lede">{plan.summary.headline}</p>
+            <div className="plan-preview">
+              <div><strong>{plan.summary.accounts.length}</strong> {t("export.accounts")}</div>
+              <div><strong>{plan.summary.tradeoffs.length}</strong> {t("export.tradeoffs")}</div>
+              <div><strong>{plan.summary.openQuestions.length}</strong> {t("export.questions")}</div>
+              <div><strong>{plan.links.length}</strong> {t("export.links")}</div>
+            </div>
+            <label className="modal__check">
+              <input type="checkbox" checked={includeTranscript} onChange={(e) => setIncludeTranscript(e.target.checked)} />
+              {t("export.transcript")}
+            </label>
+            <div className="modal__actions">
+              <button className="quick-pill" onClick={() => exportAs("md")}>{t("export.markdown")}</button>
+              <button className="quick-pill" onClick={() => exportAs("pdf")}>{t("export.pdf")}</button>
+              <button className="quick-pill" onClick={() => exportAs("json")}>{t("export.json")}</button>
+            </div>
+            <p className="modal__fine">{plan.disclaimer}</p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Review, consent, send. Nothing leaves until the box is ticked and Send pressed.
+function HandoffDialog({ messages, profile, risk, memory, sessionId, onSent, onClose }) {
+  // Built once, when the dialog opens: what's reviewed is exactly what's sent
+  const [review] = useState(() => buildHandoff({ messages, profile, risk, memory })); // { payload, vault }
+  const [status, setStatus] = useState("review"); // review | sending | sendError | sent
+  const [confirmed, setConfirmed] = useState(false);
+  const [showRaw, setShowRaw] = useState(false);
+  const [receipt, setReceipt] = useState(null);
+
+  const send = async () => {
+    setStatus("sending");
+    try {
+      const sent = await submitHandoff(review.payload, { vault: review.vault, sessionId });
+      setReceipt(sent);
+      setStatus("sent");
+      onSent(sent);
+    } catch {
+      setStatus("sendError");
+    }
+  };
+
+  const { payload } = review;
+  const { summary } = payload;
+  const profileLines = PROFILE_FIELDS.filter(f => payload.profile[f.key] !== undefined);
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal" role="dialog" aria-label={t("handoff.label")} onClick={(e) => e.stopPropagation()}>
+        <div className="modal__head">
+          <h3 className="modal__title">{t("handoff.title")}</h3>
+          <button className="modal__close" onClick={onClose} aria-label={t("export.close")}>×</button>
+        </div>
+        {status !== "sent" && (
+          <>
+            <p className="modal__lede">{t("handoff.lede")}</p>
+            <dl className="handoff">
+              <dt>{t("handoff.riskProfile")}</dt>
+              <dd>{loc(RISK_PROFILES.find(p => p.id === payload.riskProfile.profile).label)} · {t("risk.score", { score: payload.riskProfile.score, max: payload.riskProfile.max })}</dd>
+              <dt>{t("handoff.goals")}</dt>
+              <dd>{payload.goals.length ? payload.goals.join(", ") : t("plan.nothingYet")}</dd>
+              <dt>{t("handoff.accounts")}</dt>
+              <dd>{payload.suggestedAccounts.length ? payload.suggestedAccounts.map(a => a.type).join(", ") : t("plan.nothingYet")}</dd>
+              <dt>{t("handoff.profile")}</dt>
+              <dd>{profileLines.length ? profileLines.map(f => `${loc(f.label)}: ${formatProfileValue(f, payload.profile[f.key])}`).join(" · ") : t("plan.nothingYet")}</dd>
+              <dt>{t("handoff.summary")}</dt>
+              <dd>
+                {summary.condensed && <p className="handoff__summary">{summary.condensed}</p>}
+                {summary.keyFacts.length + summary.questions.length > 0 && (
+                  <ul className="handoff__list">
+                    {summary.keyFacts.map((f, i) => <li key={`f${i}`}>{f}</li>)}
+                    {summary.questions.map((q, i) => <li key={`q${i}`}>{t("handoff.asked", { question: q })}</li>)}
+                  </ul>
+                )}
+                {!summary.condensed && !summary.keyFacts.length && !summary.questions.length && t("plan.nothingYet")}
+              </dd>
+            </dl>
+            {review.vault.items.length > 0 && <p className="modal__fine">{t("handoff.masked", { count: review.vault.items.length })}</p>}
+            <button className="link-btn handoff__raw-toggle" onClick={() => setShowRaw(s => !s)}>{showRaw ? t("handoff.hideRaw") : t("handoff.showRaw")}</button>
+            {showRaw && <pre className="handoff__raw">{JSON.stringify(payload, null, 2)}</pre>}
+            <label className="modal__check">
+              <input type="checkbox" checked={confirmed} disabled={status === "sending"} onChange={(e) => setConfirmed(e.target.checked)} />
+              {t("handoff.consent")}
+            </label>
+            {status === "sendError" && <p className="calc-card__alert">{t("handoff.sendError")}</p>}
+            <div className="modal__actions">
+              <button className="quick-pill" disabled={!confirmed || status === "sending"} onClick={send}>
+                {status === "sending" ? t("handoff.sending") : t("handoff.send")}
+              </button>
+              <button className="link-btn" onClick={onClose}>{t("handoff.cancel")}</button>
+            </div>
+            <p className="modal__fine">{t("handoff.fine")}</p>
+          </>
+        )}
+        {status === "sent" && (
+          <>
+            <p className="modal__lede">{t("handoff.sent", { reference: receipt.reference })}</p>
+            {receipt.signature && <p className="modal__fine">{t("handoff.signed", { keyId: receipt.signature.keyId, digest: receipt.signature.digest.slice(0, 16) })}</p>}
+            <div className="modal__actions">
+              <button className="quick-pill" onClick={onClose}>{t("handoff.done")}</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ImportDialog({ onConfirm, onClose }) {
+  const [file, setFile] = useState(null);
+  const [pasted, setPasted] = useState("");
+  const [status, setStatus] = useState("idle"); // idle | reading | nothing | error
+  const [result, setResult] = useState(null);
+  const [drafts, setDrafts] = useState({});
+
+  const read = async () => {
+    setStatus("reading");
+    try {
+      const found = await readImport({ file, text: pasted });
+      setResult(found);
+      setDrafts(found ? Object.fromEntries(Object.entries(found.values).map(([k, v]) => [k, String(v)])) : {});
+      setStatus(found ? "idle" : "nothing");
+    } catch {
+      setStatus("error");
+    }
+  };
+
+  const confirm = () => {
+    const values = {};
+    for (const [key, raw] of Object.entries(drafts)) {
+      const value = Number(raw.replace(/[$,\s]/g, ""));
+      if (raw.trim() && Number.isFinite(value)) values[key] = Math.round(value);
+    }
+    if (!Object.keys(values).length) return;
+    const sources = Object.fromEntries(Object.keys(values).map(k => [
+      k, values[k] === result.values[k] ? result.sources[k] : `${result.sources[k]}, corrected by user`,
+    ]));
+    onConfirm({ ...result, values, sources });
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal" role="dialog" aria-label={t("import.attach")} onClick={(e) => e.stopPropagation()}>
+        <div className="modal__head">
+          <h3 className="modal__title">{t("import.title")}</h3>
+          <button className="modal__close" onClick={onClose} aria-label={t("export.close")}>×</button>
+        </div>
+        {!result ? (
+          <>
+            <p className="modal__lede">{t("import.lede")}</p>
+            <label className="import-file">
+              <input type="file" accept=".csv,.pdf,.txt,text/csv,application/pdf,text/plain" onChange={(e) => setFile(e.target.files[0] || null)} />
+              <span>{file ? file.name : t("import.file")}</span>
+            </label>
+            <textarea
+              className="import-paste"
+              value={pasted}
+              onChange={(e) => setPasted(e.target.value)}
+              placeholder={t("import.paste")}
+              rows={4}
+            />
+            {status === "nothing" && <p className="modal__status">{t("import.nothing")}</p>}
+            {status === "error" && <p className="modal__status">{t("import.failed")}</p>}
+            <div className="modal__actions">
+              <button className="quick-pill" onClick={read} disabled={status === "reading" || (!file && !pasted.trim())}>
+                {status === "reading" ? t("import.reading") : t("import.read")}
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            {result.kind === "statement" && (
+              <p className="modal__status">{t("import.statement", { count: result.detail.count, layout: result.detail.layout })}</p>
+            )}
+            <p className="modal__lede">{t("import.check")}</p>
+            <div className="import-review">
+              {IMPORT_FIELDS.filter(f => f.key in drafts).map(f => (
+                <label key={f.key} className="import-review__row">
+                  <span className="import-review__label">{loc(f.label)}</span>
+                  <input
+                    inputMode="decimal"
+                    value={drafts[f.key]}
+                    onChange={(e) => setDrafts(d => ({ ...d, [f.key]: e.target.value }))}
+                  />
+                  <span className="import-review__source">{result.sources[f.key]}</span>
+                </label>
+              ))}
+            </div>
+            <div className="modal__actions">
+              <button className="quick-pill" onClick={confirm}>{t("import.confirm")}</button>
+              <button className="link-btn" onClick={() => { setResult(null); setStatus("idle"); }}>{t("import.back")}</button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function App() {
+  const [messages, setMessages] = useState([]);
+  const [input, setInput] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [started, setStarted] = useState(false);
+  const [newMsgIndex, setNewMsgIndex] = useState(null);
+  const [profile, setProfile] = useState(EMPTY_PROFILE);
+  const [profileOpen, setProfileOpen] = useState(false);
+  const [profileUpdating, setProfileUpdating] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [sessionId, setSessionId] = useState(null);
+  const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [importOpen, setImportOpen] = useState(false);
+  const [imported, setImported] = useState(null); // confirmed { values, sources, transactions }
+  const [debts, setDebts] = useState(null); // debt card { items, budget, order, returnRate, withdrawalRate, cardAt }
+  const [risk, setRisk] = useState(null); // risk questionnaire { answers, cardAt, handoff }
+  const [handoffOpen, setHandoffOpen] = useState(false);
+  const [memory, setMemory] = useState(null); // rolling summary of condensed turns
+  const [retry, setRetry] = useState(null); // { attempt, delay, kind } while backing off
+  const [locale, setLocaleState] = useState(() => {
+    setLocale(initialLocale());
+    return activeLocale;
+  });
+  const [redaction, setRedactionState] = useState(() => {
+    setRedactionSettings(initialRedactionSettings());
+    return redactionSettings;
+  });
+  const [privacyOpen, setPrivacyOpen] = useState(false);
+  const bottomRef = useRef(null);
+  const inputRef = useRef(null);
+  const abortRef = useRef(null);
+  const profileRef = useRef(EMPTY_PROFILE); // latest profile for async merges
+  const extractionRef = useRef(0);
+  const sessionIdRef = useRef(null); // session that owns in-flight requests
+  const sessionsRef = useRef([]);
+  const lastSavedRef = useRef(null); // skip saves when nothing changed
+  const memoryRef = useRef(null);
+  const importedRef = useRef(null);
+  const debtsRef = useRef(null);
+  const riskRef = useRef(null);
+  const pendingRiskRef = useRef(null); // the open questionnaire turn
+
+  useEffect(() => { document.documentElement.lang = intlLocale(); }, [locale]);
+
+  // Module state first, so formatters read the new locale during the re-render
+  const changeLocale = (code) => {
+    setLocale(code);
+    setLocaleState(activeLocale);
+  };
+
+  const changeRedaction = (type, on) => {
+    setRedactionSettings({ ...redactionSettings, [type]: on });
+    setRedactionState(redactionSettings);
+  };
+
+  const updateSessions = useCallback((next) => {
+    sessionsRef.current = next;
+    setSessions(next);
+  }, []);
+
+  const switchSession = (id) => {
+    sessionIdRef.current = id;
+    setSessionId(id);
+  };
+
+  useEffect(() => {
+    db.all("sessions").then(all => updateSessions(all.sort((a, b) => b.updatedAt - a.updatedAt)));
+  }, [updateSessions]);
+
+  const saveSession = useCallback((id, patch) => {
+    const existing = sessionsRef.current.find(s => s.id === id);
+    const record = {
+      ...(existing || { id, createdAt: Date.now(), title: t("session.untitled"), titleSource: "auto" }),
+      ...patch,
+      updatedAt: Date.now(),
+    };
+    updateSessions([record, ...sessionsRef.current.filter(s => s.id !== id)]);
+    db.put("sessions", record);
+    return record;
+  }, [updateSessions]);
+
+  // Persist whenever a turn settles
+  useEffect(() => {
+    const id = sessionIdRef.current;
+    if (!id || loading || !messages.length) return;
+    const snapshot = {
+      messages: messages.map(({ streaming, ...m }) => m),
+      profile,
+      memory,
+      imported,
+      debts,
+      risk,
+    };
+    const serialized = JSON.stringify(snapshot);
+    if (serialized === lastSavedRef.current) return;
+    lastSavedRef.current = serialized;
+    const existing = sessionsRef.current.find(s => s.id === id);
+    const firstUser = snapshot.messages.find(m => m.role === "user");
+    const titlePatch = !existing && firstUser ? { title: draftTitle(firstUser.content) } : {};
+    const record = saveSession(id, { ...snapshot, ...titlePatch });
+
+    // Let the model name the chat once the first reply is in
+    if (record.titleSource === "auto" && snapshot.messages.some(m => m.role === "assistant")) {
+      saveSession(id, { titleSource: "model" });
+      generateTitle(snapshot.messages)
+        .then(title => {
+          const current = sessionsRef.current.find(s => s.id === id);
+          if (title && current?.titleSource === "model") saveSession(id, { title });
+        })
+        .catch(() => {});
+    }
+  }, [messages, profile, memory, imported, debts, risk, loading, saveSession]);
+
+  const resetChat = () => {
+    abortRef.current?.abort();
+    extractionRef.current++;
+    setMessages([]);
+    updateProfile(EMPTY_PROFILE);
+    updateMemory(null);
+    updateImported(null);
+    updateDebts(null);
+    updateRisk(null);
+    setHandoffOpen(false);
+    setProfileUpdating(false);
+    setNewMsgIndex(null);
+    setInput("");
+  };
+
+  const newChat = () => {
+    resetChat();
+    switchSession(null);
+    lastSavedRef.current = null;
+    setStarted(false);
+    setSidebarOpen(false);
+  };
+
+  const openSession = (id) => {
+    const session = sessionsRef.current.find(s => s.id === id);
+    if (!session) return;
+    resetChat();
+    switchSession(id);
+    setMessages(session.messages);
+    updateProfile(session.profile || EMPTY_PROFILE);
+    updateMemory(session.memory ?? null);
+    updateImported(session.imported ?? null);
+    updateDebts(session.debts ?? null);
+    updateRisk(session.risk ?? null);
+    // Closed mid-sort: finish categorizing
+    if (session.imported?.transactions.length && !session.imported.cashflow) refreshCashFlow(session.imported);
+    lastSavedRef.current = JSON.stringify({
+      messages: session.messages,
+      profile: session.profile || EMPTY_PROFILE,
+      memory: session.memory ?? null,
+      imported: session.imported ?? null,
+      debts: session.debts ?? null,
+      risk: session.risk ?? null,
+    });
+    setStarted(true);
+    setSidebarOpen(false);
+  };
+
+  const renameSession = (id, title) => saveSession(id, { title, titleSource: "user" });
+
+  const deleteSession = (id) => {
+    updateSessions(sessionsRef.current.filter(s => s.id !== id));
+    db.remove("sessions", id);
+    if (id === sessionIdRef.current) newChat();
+  };
+
+  const updateProfile = (next) => {
+    profileRef.current = next;
+    setProfile(next);
+  };
+
+  const updateMemory = (next) => {
+    memoryRef.current = next;
+    setMemory(next);
+  };
+
+  const updateImported = (next) => {
+    importedRef.current = next;
+    setImported(next);
+  };
+
+  const updateDebts = (next) => {
+    debtsRef.current = next;
+    setDebts(next);
+  };
+
+  // Like the cash-flow card, the debt card sits where it was opened
+  const openDebts = () => {
+    if (debtsRef.current) return;
+    setStarted(true);
+    if (!sessionIdRef.current) switchSession(newId("chat"));
+    updateDebts({ items: [debtRow()], budget: "", order: "avalanche", returnRate: "", withdrawalRate: "", cardAt: messages.filter(m => !m.error).length });
+  };
+
+  const updateRisk = (next) => {
+    riskRef.current = next;
+    setRisk(next);
+  };
+
+  // The questionnaire runs in the chat: each question is the app's own turn,
+  // asked after the history it's given
+  const askRisk = (history, state) => {
+    updateRisk(state);
+    setMessages([...history, riskQuestionMessage(RISK_QUESTIONS.find(q => state.answers[q.id] === undefined))]);
+    setNewMsgIndex(history.length);
+  };
+
+  // One questionnaire per chat; 🧭 starts it, or goes back to the question
+  // left open (asked again only if an edit took it out of the chat)
+  const openRisk = () => {
+    const state = riskRef.current;
+    if (loading || (state && scoreRisk(state.answers))) return;
+    setStarted(true);
+    if (!sessionIdRef.current) switchSession(newId("chat"));
+    const history = messages.filter(m => !m.error);
+    if (!state) askRisk([...history, { role: "user", content: t("risk.start") }], emptyRisk());
+    else if (pendingRisk < 0) askRisk(history, state);
+    else pendingRiskRef.current?.scrollIntoView({ behavior: "smooth", block: "center" });
+  };
+
+  // A pill (or the same words typed) answers its question once. The next
+  // question follows; after the last, the model explains the result, with the
+  // card placed ahead of that reply.
+  const answerRisk = (questionId, text) => {
+    const state = riskRef.current;
+    const question = RISK_QUESTIONS.find(q => q.id === questionId);
+    const picked = question ? riskOptionIndex(question, text) : -1;
+    if (loading || !state || picked < 0 || state.answers[questionId] !== undefined) return false;
+    const answers = { ...state.answers, [questionId]: picked };
+    const history = [...messages.filter(m => !m.error), { role: "user", content: text, risk: questionId }];
+    if (scoreRisk(answers)) {
+      updateRisk({ ...state, answers, cardAt: history.length });
+      streamReply(history);
+    } else {
+      askRisk(history, { ...state, answers });
+    }
+    return true;
+  };
+
+  const retakeRisk = () => {
+    if (!loading) askRisk(messages.filter(m => !m.error), emptyRisk());
+  };
+
+  // The open question's turn, for 🧭 to return to
+  const openQuestion = risk && !scoreRisk(risk.answers) ? RISK_QUESTIONS.find(q => risk.answers[q.id] === undefined) : null;
+  const pendingRisk = openQuestion ? messages.findLastIndex(m => m.role === "assistant" && m.risk === openQuestion.id) : -1;
+
+  // Questionnaire turns take answers only while their question is still open
+  const quickReplyFor = (msg) => {
+    if (msg.role !== "assistant" || !msg.risk) return sendMessage;
+    return risk && risk.answers[msg.risk] === undefined ? (text) => answerRisk(msg.risk, text) : null;
+  };
+
+  const handoffSent = (receipt) => {
+    updateRisk({ ...riskRef.current, handoff: { reference: receipt.reference, status: receipt.status, sentAt: Date.now() } });
+  };
+
+  // A <calculator type="debts"> in a reply fills the card; debts already on it
+  // are updated by name rather than listed twice
+  const seedDebts = (prefill, cardAt) => {
+    const rows = (Array.isArray(prefill.debts) ? prefill.debts : []).filter(d => d && typeof d === "object").map(debtRow);
+    const current = debtsRef.current || { items: [], budget: "", order: "avalanche", returnRate: "", withdrawalRate: "", cardAt };
+    const named = (name) => name.trim().toLowerCase();
+    const match = (d) => rows.find(r => r.name && named(r.name) === named(d.name));
+    const kept = current.items.filter(d => d.name || d.balance).map(d => (match(d) ? { ...match(d), id: d.id } : d));
+    const items = [...kept, ...rows.filter(r => !kept.some(d => d.name && named(d.name) === named(r.name)))];
+    updateDebts({
+      ...current,
+      items: items.length ? items : [debtRow()],
+      budget: prefill.budget !== undefined ? String(prefill.budget) : current.budget,
+    });
+  };
+
+  // Runs after every completed turn; only condenses once the history is over budget
+  const refreshMemory = async (history) => {
+    const owner = sessionIdRef.current;
+    const current = memoryRef.current;
+    const cut = condenseCut(history, current);
+    if (cut === null) return;
+    try {
+      const next = await condenseMemory(history, current, cut);
+      if (next && sessionIdRef.current === owner && memoryRef.current === current) updateMemory(next);
+    } catch {
+      // Keep sending the longer history; the next turn tries again
+    }
+  };
+
+  // `who` is "partner" for the second person in household mode
+  const editProfileField = (key, value, who = "you") => {
+    const current = profileRef.current;
+    const person = who === "partner" ? current.partner : current;
+    const next = { ...person, values: { ...person.values, [key]: value }, edited: { ...person.edited, [key]: true } };
+    updateProfile(who === "partner" ? { ...current, partner: next } : { ...current, ...next });
+  };
+
+  // Adding or removing a partner by hand sticks; extraction won't undo it
+  const setHousehold = (on) => {
+    const current = profileRef.current;
+    updateProfile({ ...current, partner: on ? current.partner || EMPTY_PARTNER : null, householdSet: true });
+  };
+
+  // Slip income is what the user just confirmed, so it outranks what the chat inferred
+  const confirmImport = (result) => {
+    const merged = mergeImport(importedRef.current, result);
+    // The cash-flow card sits where the import happened and fills in once sorted
+    const next = result.transactions.length
+      ? { ...merged, cashflow: null, cardAt: importedRef.current?.cardAt ?? messages.filter(m => !m.error).length }
+      : merged;
+    updateImported(next);
+    if (next.transactions.length && result.transactions.length) refreshCashFlow(next);
+    if (result.values.income !== undefined) editProfileField("income", result.values.income);
+    setImportOpen(false);
+    setTimeout(() => inputRef.current?.focus(), 100);
+  };
+
+  const refreshCashFlow = async (next) => {
+    const transactions = await categorizeTransactions(next.transactions);
+    // Dropped or replaced while the model pass ran
+    if (importedRef.current?.transactions !== next.transactions) return;
+    updateImported({ ...importedRef.current, transactions, cashflow: cashFlow(transactions) });
+  };
+
+  const resetProfileField = (key, who = "you") => {
+    const current = profileRef.current;
+    if (who === "partner") {
+      const { [key]: _, ...edited } = current.partner.edited;
+      updateProfile({ ...current, partner: { ...current.partner, edited } });
+      return;
+    }
+    const { [key]: _, ...edited } = current.edited;
+    updateProfile({ ...current, edited });
+  };
+
+  // Runs after every completed turn; only the newest extraction is applied
+  const refreshProfile = async (history) => {
+    const run = ++extractionRef.current; // resetChat bumps this too, orphaning old runs
+    setProfileUpdating(true);
+    try {
+      const extracted = await extractProfile(history, profileRef.current, memoryRef.current);
+      // Merge onto the latest state so edits made meanwhile survive
+      if (extracted && run === extractionRef.current) updateProfile(mergeProfile(profileRef.current, extracted));
+    } catch {
+      // The panel just keeps its last known state
+    } finally {
+      if (run === extractionRef.current) setProfileUpdating(false);
+    }
+  };
+
+  // Rules attach a card right away; the model pass can add to it, never remove
+  const refreshReferral = async (history) => {
+    const owner = sessionIdRef.current;
+    const index = history.length - 1;
+    const earlier = referredSoFar(history.slice(0, -1));
+    const attach = (situations, logId) => {
+      if (sessionIdRef.current !== owner || !situations.length) return;
+      setMessages(prev => prev.map((m, i) => (
+        i === index && m.content === history[index].content ? { ...m, referral: { ...m.referral, situations, logId } } : m
+      )));
+    };
+    const rules = referralRules(history, profileRef.current);
+    attach(rules.filter(id => !earlier.includes(id)));
+
+    let model = null;
+    try {
+      model = await assessReferral(history, profileRef.current, memoryRef.current);
+    } catch {
+      // Rules alone still decide; the log records that the model pass failed
+    }
+    const modelIds = (model?.situations || []).filter(id => REFERRAL_SITUATIONS.some(s => s.id === id));
+    const flagged = [...new Set([...rules, ...modelIds])];
+    const referred = flagged.filter(id => !earlier.includes(id));
+    const entry = await logReferral({
+      sessionId: owner,
+      turn: index,
+      rules,
+      model: model ? modelIds : null,
+      rationale: model?.rationale || "",
+      referred,
+      decision: referred.length ? "referred" : flagged.length ? "already-referred" : "none",
+    });
+    attach(referred, entry.id);
+  };
+
+  const referralAction = (index, action) => {
+    const referral = messages[index]?.referral;
+    if (!referral) return;
+    setMessages(prev => prev.map((m, i) => (i === index ? { ...m, referral: { ...referral, dismissed: true } } : m)));
+    if (referral.logId) updateReferralLog(referral.logId, { action, actionAt: Date.now() });
+    if (action === "exported") setExportOpen(true);
+  };
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages, loading]);
+
+  // Stream a reply to the given history (which ends with a user turn).
+  // context: extra blocks for this request only; attempt: compliance rewrites
+  // of this same reply; continuing: a reply cut off at max_tokens to extend.
+  const streamReply = async (newMessages, { context = [], attempt = 0, continuing = null } = {}) => {
+    // Ignore late updates if the user has switched chats since this started
+    const owner = sessionIdRef.current;
+    const setReplyMessages = (next) => {
+      if (sessionIdRef.current === owner) setMessages(next);
+    };
+    // The API continues an assistant turn that ends the history; it can't end in whitespace
+    const prefix = continuing ? continuing.trimEnd() : "";
+    // Placeholder bubble that fills in as the stream arrives
+    setReplyMessages([...newMessages, { role: "assistant", content: prefix, streaming: true }]);
+    setNewMsgIndex(continuing ? null : newMessages.length);
+    setLoading(true);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const updateReply = (patch) =>
+      setReplyMessages(prev => [...prev.slice(0, -1), { ...prev[prev.length - 1], ...patch }]);
+    let streamed = prefix;
+    const locale = activeLocale;
+    let request = null;
+    try {
+      const condensed = memoryRef.current?.through < newMessages.length ? memoryRef.current : null;
+      const from = condensed?.through || 0;
+      const grounding = taxGrounding(profileRef.current);
+      const system = `${SYSTEM_PROMPTS[locale]}\n\n${grounding}`;
+      const blocks = [
+        memoryContext(condensed, profileRef.current),
+        profileContext(profileRef.current),
+        householdContext(profileRef.current),
+        importContext(importedRef.current),
+        cashFlowContext(importedRef.current?.cashflow),
+        debtContext(debtPlan(debtsRef.current, profileMarginalRate(profileRef.current))),
+        riskContext(riskRef.current),
+        ...context,
+      ];
+      const apiMessages = buildApiMessages(newMessages.slice(from), blocks);
+      request = requestSnapshot({ locale, grounding, blocks, from, prefill: prefix });
+      if (prefix) apiMessages.push({ role: "assistant", content: prefix });
+      const { messages: outbound, vault } = redactMessages(apiMessages, request.redaction);
+      logRedaction({ purpose: "chat", sessionId: owner, turn: newMessages.length, vault });
+      const response = await postChat({ stream: true, system, messages: outbound }, { signal: controller.signal, onRetry: setRetry });
+      setRetry(null);
+      const { text: delta, stopReason, usage } = await readMessageStream(response, (partial) => {
+        streamed = repairReply(prefix + restorePii(partial, vault), { partial: true });
+        updateReply({ content: streamed });
+      });
+      const assistantText = prefix + restorePii(delta, vault);
+      const truncated = stopReason === "max_tokens";
+      // A cut-off reply gets its closing disclaimer once it's been continued
+      const violations = assistantText ? checkCompliance(assistantText, { partial: truncated }) : [];
+      const audit = { sessionId: owner, turn: newMessages.length, attempt, violations };
+      if (violations.some(v => v.action === "regenerate") && attempt < COMPLIANCE_POLICY.maxRegenerations && sessionIdRef.current === owner) {
+        logCompliance({ ...audit, outcome: "regenerated" });
+        await streamReply(newMessages, { context: [...context, complianceContext(violations)], attempt: attempt + 1 });
+        return;
+      }
+      if (violations.length) logCompliance({ ...audit, outcome: "repaired" });
+      else if (attempt > 0) logCompliance({ ...audit, outcome: "passed" });
+      const finalText = assistantText ? repairReply(assistantText, { partial: truncated }) : t("msg.emptyReply");
+      const updated = [...newMessages, {
+        role: "assistant",
+        content: finalText,
+        tokens: {
+          input: usage.input ?? estimateTokens(system + JSON.stringify(apiMessages)),
+          output: usage.output ?? estimateTokens(delta),
+        },
+        request,
+        ...(truncated ? { truncated: true } : {}),
+        ...(violations.length ? { compliance: [...new Set(violations.map(v => v.label))] } : {}),
+      }];
+      setReplyMessages(updated);
+      const debtTag = parseReply(finalText).cards.find(c => c.type === DEBT_CARD);
+      if (debtTag && sessionIdRef.current === owner) seedDebts(debtTag.prefill, updated.length);
+      if (parseReply(finalText).cards.some(c => c.type === RISK_CARD) && sessionIdRef.current === owner && !riskRef.current) askRisk(updated, emptyRisk());
+      if (assistantText && sessionIdRef.current === owner) {
+        refreshProfile(updated);
+        refreshReferral(updated);
+        refreshMemory(updated);
+      }
+    } catch (err) {
+      if (err.name === "AbortError") {
+        // Keep whatever arrived before Stop; drop the bubble if nothing did
+        if (streamed) setReplyMessages([...newMessages, { role: "assistant", content: streamed, stopped: true }]);
+        else setReplyMessages(newMessages);
+      } else if (streamed) {
+        // Failed mid-reply: keep the part that arrived, with a way to finish it
+        setReplyMessages([...newMessages, { role: "assistant", content: streamed, truncated: true, interrupted: err.kind || "network" }]);
+      } else {
+        setReplyMessages([...newMessages, { role: "assistant", content: "", error: err.kind || "network" }]);
+      }
+    } finally {
+      abortRef.current = null;
+      setRetry(null);
+      setLoading(false);
+      setTimeout(() => inputRef.current?.focus(), 100);
+    }
+  };
+
+  const sendMessage = (text) => {
+    const userText = text || input.trim();
+    if (!userText || loading) return;
+    setInput("");
+    setStarted(true);
+    if (!sessionIdRef.current) switchSession(newId("chat"));
+    // Typing an answer to an open questionnaire turn counts as tapping it
+    const last = messages.filter(m => !m.error).at(-1);
+    if (last?.risk && last.role === "assistant" && answerRisk(last.risk, userText)) return;
+    // A failed turn's error bubble isn't part of the conversation
+    streamReply([...messages.filter(m => !m.error), { role: "user", content: userText }]);
+  };
+
+  // Replace the last reply with one written against the corrected figures
+  const regenerateWithCorrection = (issues) => {
+    if (loading) return;
+    streamReply(messages.slice(0, -1), { context: [correctionContext(issues)] });
+  };
+
+  // Replace the last reply (or a failed turn's error) with a fresh one
+  const regenerate = () => {
+    if (loading) return;
+    streamReply(messages.slice(0, -1));
+  };
+
+  const continueReply = () => {
+    const last = messages[messages.length - 1];
+    if (loading || !last?.truncated) return;
+    streamReply(messages.slice(0, -1), { continuing: last.content });
+  };
+
+  // Rewrite a user turn and regenerate from there; later turns are dropped
+  const editMessage = (index, text) => {
+    if (loading) return;
+    if (memoryRef.current?.through > index) updateMemory(null);
+    streamReply([...messages.slice(0, index), { ...messages[index], content: text }]);
+  };
+
+  // Re-rating a reply overwrites its one feedback record
+  const rateMessage = (index, { value, reasons, note }) => {
+    const rating = { id: messages[index].rating?.id || newId("feedback"), value, reasons, note, at: Date.now() };
+    const next = messages.map((m, i) => (i === index ? { ...m, rating } : m));
+    setMessages(next);
+    db.put("feedback", feedbackRecord({ sessionId: sessionIdRef.current, messages: next, index, rating }));
+  };
+
+  const stopStreaming = () => abortRef.current?.abort();
+
+  const debtCard = (key) => (
+    <DebtCard
+      key={key}
+      state={debts}
+      marginalRate={profileMarginalRate(profile)}
+      onChange={updateDebts}
+      onRemove={() => updateDebts(null)}
+      onShare={sendMessage}
+    />
+  );
+
+  const riskCard = (key) => (
+    <RiskCard
+      key={key}
+      state={risk}
+      profile={profile}
+      onRetake={retakeRisk}
+      onRemove={() => updateRisk(null)}
+      onHandoff={() => setHandoffOpen(true)}
+    />
+  );
+
+  const handleKey = (e) => {
+    if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); sendMessage(); }
+  };
+
+  return (
+    <>
+      <style>{`
+        @import url('https://fonts.googleapis.com/css2?family=Playfair+Display:ital,wght@0,700;0,900;1,700&family=Hanken+Grotesk:wght@300;400;500;600&display=swap');
+
+        *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+
+        :root {
+          --bg: #FAF8F4;
+          --black: #0A0A0A;
+          --muted: #888;
+          --rule: #D9D5CC;
+          --red: #E8321E;
+          --red-pale: #FEF1EF;
+          --green: #00C805;
+          --green-pale: #E6FFE6;
+        }
+
+        html, body { height: 100%; }
+
+        body {
+          font-family: 'Hanken Grotesk', sans-serif;
+          background: var(--bg);
+          color: var(--black);
+        }
+
+        .app {
+          display: flex;
+          flex-direction: column;
+          height: 100vh;
+          max-width: 660px;
+          margin: 0 auto;
+          padding: 0 28px;
+        }
+
+        /* HEADER */
+        .header {
+          display: flex;
+          align-items: flex-end;
+          justify-content: space-between;
+          padding: 22px 0 14px;
           border-bottom: 2.5px solid var(--black);
           flex-shrink: 0;
         }
 
-        .header__left { display: flex; flex-direction: column; gap: 3px; }
+        .header__left { display: flex; flex-direction: column; gap: 3px; }
+
+        .header__eyebrow {
+          font-size: 9px;
+          font-weight: 600;
+          letter-spacing: 0.16em;
+          text-transform: uppercase;
+          color: var(--muted);
+        }
+
+        .header__title {
+          font-family: 'Playfair Display', serif;
+          font-weight: 900;
+          font-size: 23px;
+          letter-spacing: -0.02em;
+          line-height: 1;
+          color: var(--black);
+        }
+
+        .header__title span { color: var(--green); }
+
+        .header__tag {
+          font-size: 12px;
+          font-weight: 600;
+          letter-spacing: 0.06em;
+          text-transform: uppercase;
+          color: var(--green);
+          background: #E8F9E8;
+          border: none;
+          border-radius: 12px;
+          padding: 7px 16px;
+          line-height: 1.4;
+          box-shadow: 0 1px 4px rgba(0,0,0,0.08);
+        }
+
+        .header__actions { display: flex; align-items: center; gap: 10px; }
+
+        .header__btn {
+          font-family: 'Hanken Grotesk', sans-serif;
+          font-size: 12px;
+          font-weight: 600;
+          letter-spacing: 0.06em;
+          text-transform: uppercase;
+          color: var(--black);
+          background: transparent;
+          border: 1.5px solid var(--black);
+          border-radius: 12px;
+          padding: 6px 14px;
+          cursor: pointer;
+        }
+
+        .header__btn:hover:not(:disabled) { background: var(--black); color: var(--bg); }
+        .header__btn:disabled { opacity: 0.3; cursor: not-allowed; }
+
+        .lang-toggle {
+          display: flex;
+          border: 1.5px solid var(--black);
+          border-radius: 12px;
+          overflow: hidden;
+        }
+
+        .lang-toggle__btn {
+          font-family: 'Hanken Grotesk', sans-serif;
+          font-size: 11px;
+          font-weight: 600;
+          letter-spacing: 0.06em;
+          color: var(--black);
+          background: transparent;
+          border: none;
+          padding: 6px 10px;
+          cursor: pointer;
+        }
+
+        .lang-toggle__btn--active { background: var(--black); color: var(--bg); }
+
+        /* LANDING */
+        .landing {
+          flex: 1;
+          overflow-y: auto;
+          padding: 44px 0 32px;
+          display: flex;
+          flex-direction: column;
+        }
+
+        .landing__kicker {
+          font-size: 26px;
+          font-weight: 600;
+          letter-spacing: 0.02em;
+          text-transform: uppercase;
+          color: var(--red);
+          margin-bottom: 2px;
+        }
+
+        .landing__headline {
+          font-family: 'Playfair Display', serif;
+          font-size: 46px;
+          font-weight: 900;
+          line-height: 1.06;
+          letter-spacing: -0.025em;
+          color: var(--black);
+          margin-bottom: 22px;
+          max-width: 480px;
+        }
+
+        .landing__headline em { font-style: italic; font-weight: 700; }
+
+        .landing__sub {
+          font-size: 15px;
+          line-height: 1.72;
+          color: var(--muted);
+          max-width: 440px;
+          margin-bottom: 44px;
+          padding-left: 16px;
+          border-left: 2px solid var(--rule);
+        }
+
+        .starters-label {
+          font-size: 9px;
+          font-weight: 600;
+          letter-spacing: 0.16em;
+          text-transform: uppercase;
+          color: var(--muted);
+          padding-bottom: 10px;
+          border-bottom: 1px solid var(--rule);
+        }
+
+        .starters { display: flex; flex-direction: column; }
+
+        .starter {
+          display: flex;
+          align-items: center;
+          gap: 14px;
+          padding: 15px 0;
+          border-bottom: 1px solid var(--rule);
+          background: none;
+          border-left: none; border-right: none; border-top: none;
+          cursor: pointer;
+          text-align: left;
+          font-family: 'Hanken Grotesk', sans-serif;
+          font-size: 14.5px;
+          color: var(--black);
+          font-weight: 400;
+          line-height: 1.45;
+          transition: color 0.12s;
+        }
+
+        .starter:hover { color: var(--green); }
+        .starter:hover .starter__arrow { transform: translateX(4px); color: var(--green); }
+
+        .starter__emoji { font-size: 17px; flex-shrink: 0; width: 24px; text-align: center; }
+        .starter__text { flex: 1; }
+        .starter__arrow { font-size: 14px; color: var(--rule); transition: transform 0.12s, color 0.12s; flex-shrink: 0; }
+
+        /* CHAT */
+        .chat {
+          flex: 1;
+          overflow-y: auto;
+          padding: 4px 0 24px;
+          display: flex;
+          flex-direction: column;
+          scroll-behavior: smooth;
+        }
+
+        .chat::-webkit-scrollbar { width: 3px; }
+        .chat::-webkit-scrollbar-thumb { background: var(--rule); }
+
+        .message {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          padding: 22px 0;
+        }
+
+        .message--user { align-items: flex-end; }
+        .message--new .message__bubble { animation: fadeUp 0.22s ease forwards; }
+
+        @keyframes fadeUp {
+          from { opacity: 0; transform: translateY(5px); }
+          to   { opacity: 1; transform: translateY(0); }
+        }
+
+        .msg-label {
+          font-size: 9px;
+          font-weight: 600;
+          letter-spacing: 0.14em;
+          text-transform: uppercase;
+          color: var(--muted);
+        }
+
+        .message__bubble {
+          font-size: 15.5px;
+          line-height: 1.72;
+          max-width: 94%;
+          color: var(--black);
+        }
+
+        .message--user .message__bubble {
+          background: #2C2B28;
+          color: #FFFFFF;
+          padding: 11px 20px;
+          font-size: 14px;
+          max-width: 72%;
+          line-height: 1.5;
+          border-radius: 999px 4px 999px 999px;
+          display: inline-block;
+          margin-left: auto;
+        }
+
+        .message__bubble > * + * { margin-top: 11px; }
+        .msg-user-text { white-space: pre-wrap; }
+
+        /* MARKDOWN */
+        .md-link { color: var(--green); text-decoration: underline; text-underline-offset: 2px; }
+        .md-link--flagged { color: var(--muted); text-decoration-style: dashed; }
+        .md-link--flagged::after { content: " ⚠"; font-size: 0.85em; }
+        .md-question { font-weight: 600; }
+
+        .md-heading {
+          font-family: 'Playfair Display', serif;
+          font-weight: 900;
+          letter-spacing: -0.01em;
+          line-height: 1.25;
+        }
+
+        h3.md-heading { font-size: 21px; }
+        h4.md-heading { font-size: 18px; }
+        h5.md-heading, h6.md-heading { font-size: 16px; }
+
+        .md-list { padding-left: 22px; }
+        .md-list .md-list { margin-top: 4px; }
+        ul.md-list > li { list-style: disc; }
+        ul.md-list ul.md-list > li { list-style: circle; }
+        ol.md-list > li { list-style: decimal; }
+        .md-list > li + li { margin-top: 5px; }
+
+        .md-code {
+          font-family: ui-monospace, Menlo, monospace;
+          font-size: 0.88em;
+          background: #F0EDE8;
+          padding: 1px 5px;
+          border-radius: 3px;
+        }
+
+        .md-pre {
+          font-family: ui-monospace, Menlo, monospace;
+          font-size: 13px;
+          background: #F0EDE8;
+          padding: 12px 14px;
+          overflow-x: auto;
+        }
+
+        .md-quote { border-left: 3px solid var(--rule); padding-left: 14px; color: #555; }
+        .md-hr { border: none; border-top: 1px solid var(--rule); }
+
+        .md-table-wrap { overflow-x: auto; }
+
+        .md-table {
+          border-collapse: collapse;
+          font-size: 14px;
+          line-height: 1.5;
+          min-width: 60%;
+        }
+
+        .md-table th {
+          font-weight: 600;
+          text-align: left;
+          border-bottom: 2px solid var(--black);
+          padding: 6px 12px 6px 0;
+        }
+
+        .md-table td {
+          border-bottom: 1px solid var(--rule);
+          padding: 6px 12px 6px 0;
+          vertical-align: top;
+        }
+
+        .msg-warning {
+          margin-top: 16px !important;
+          padding: 14px 18px;
+          background: #E8F9E8;
+          border-left: 3px solid #0A0A0A;
+          color: #0A0A0A;
+          font-size: 14.5px;
+          font-weight: 500;
+          line-height: 1.6;
+        }
+
+        .stream-caret {
+          display: inline-block;
+          width: 7px;
+          height: 15px;
+          margin-left: 2px;
+          vertical-align: text-bottom;
+          background: var(--green);
+          animation: caretBlink 0.9s steps(1) infinite;
+        }
+
+        @keyframes caretBlink { 50% { opacity: 0; } }
+
+        .msg-stopped {
+          font-size: 12px;
+          color: var(--muted);
+          font-style: italic;
+        }
+
+        .msg-error {
+          font-size: 14px;
+          line-height: 1.6;
+          max-width: 94%;
+          padding: 9px 14px;
+          background: var(--red-pale);
+          border-left: 3px solid var(--red);
+        }
+
+        .msg-actions { display: flex; flex-wrap: wrap; align-items: center; gap: 12px; }
+
+        .msg-action {
+          align-self: flex-start;
+          font-family: 'Hanken Grotesk', sans-serif;
+          font-size: 12.5px;
+          font-weight: 600;
+          color: var(--black);
+          background: transparent;
+          border: 1.5px solid var(--black);
+          border-radius: 999px;
+          padding: 6px 14px;
+          cursor: pointer;
+        }
+
+        .msg-action:hover:not(:disabled) { background: var(--black); color: var(--bg); }
+        .msg-action:disabled { opacity: 0.3; cursor: not-allowed; }
+
+        .msg-edit { font-size: 11px; opacity: 0; transition: opacity 0.15s; }
+        .message--user:hover .msg-edit, .msg-edit:focus { opacity: 1; }
+
+        .msg-editor { width: 72%; display: flex; flex-direction: column; gap: 8px; }
+
+        .msg-editor textarea {
+          font-family: 'Hanken Grotesk', sans-serif;
+          font-size: 14px;
+          line-height: 1.5;
+          padding: 10px 14px;
+          border: 1.5px solid var(--black);
+          border-radius: 12px;
+          background: #fff;
+          resize: vertical;
+        }
+
+        .msg-editor__actions { display: flex; justify-content: flex-end; align-items: center; gap: 12px; }
+
+        .memory-note {
+          margin: 6px 0;
+          padding: 6px 0;
+          border-top: 1px dashed var(--rule);
+          border-bottom: 1px dashed var(--rule);
+          font-size: 10.5px;
+          letter-spacing: 0.04em;
+          color: var(--muted);
+          text-align: center;
+        }
+
+        /* FACT CHECK */
+        .fact-flag {
+          display: flex;
+          flex-direction: column;
+          gap: 2px;
+          margin: 6px 0 4px;
+          padding: 7px 12px;
+          background: var(--red-pale);
+          border-left: 3px solid var(--red);
+          font-size: 12.5px;
+          font-weight: 600;
+          color: var(--red);
+        }
+
+        .fact-flag__detail { font-weight: 400; color: var(--black); }
+
+        .fact-regenerate {
+          align-self: flex-start;
+          font-family: 'Hanken Grotesk', sans-serif;
+          font-size: 12.5px;
+          font-weight: 600;
+          color: var(--red);
+          background: transparent;
+          border: 1.5px solid var(--red);
+          border-radius: 999px;
+          padding: 6px 14px;
+          cursor: pointer;
+        }
+
+        .fact-regenerate:hover { background: var(--red); color: #fff; }
+
+        /* CALCULATOR CARDS */
+        .calc-card {
+          max-width: 94%;
+          margin-top: 6px;
+          padding: 18px 20px;
+          background: #fff;
+          border: 1.5px solid var(--black);
+          border-radius: 12px;
+          display: flex;
+          flex-direction: column;
+          gap: 14px;
+          animation: fadeUp 0.22s ease forwards;
+        }
+
+        .calc-card__title {
+          font-family: 'Playfair Display', serif;
+          font-size: 17px;
+          font-weight: 900;
+          letter-spacing: -0.01em;
+        }
+
+        .calc-card__fields {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(170px, 1fr));
+          gap: 10px 14px;
+        }
+
+        .calc-field { display: flex; flex-direction: column; gap: 4px; font-size: 11.5px; color: var(--muted); }
+
+        .calc-field input, .calc-field select {
+          font-family: 'Hanken Grotesk', sans-serif;
+          font-size: 14px;
+          color: var(--black);
+          border: 1px solid var(--rule);
+          padding: 7px 10px;
+          outline: none;
+          border-radius: 0;
+        }
+
+        .calc-field input:focus, .calc-field select:focus { border-color: var(--black); }
+
+        .calc-card__result {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          padding-top: 12px;
+          border-top: 1px solid var(--rule);
+        }
+
+        .calc-card__big {
+          font-family: 'Playfair Display', serif;
+          font-size: 30px;
+          font-weight: 900;
+          color: var(--green);
+          line-height: 1.1;
+        }
+
+        .calc-card__caption { font-size: 12.5px; color: var(--muted); line-height: 1.5; }
+        .calc-card__alert { font-size: 13px; color: var(--red); font-weight: 500; }
 
-        .header__eyebrow {
+        .calc-card__share {
+          align-self: flex-start;
+          margin-top: 6px;
+          font-family: 'Hanken Grotesk', sans-serif;
+          font-size: 12.5px;
+          font-weight: 600;
+          color: var(--bg);
+          background: var(--black);
+          border: none;
+          border-radius: 999px;
+          padding: 7px 16px;
+          cursor: pointer;
+        }
+
+        .calc-card__share:disabled { background: var(--green); cursor: default; }
+
+        .calc-card__actions { display: flex; flex-wrap: wrap; align-items: center; gap: 8px; }
+        .calc-card__actions .calc-card__share { margin-top: 0; }
+
+        .calc-card__save {
+          font-family: 'Hanken Grotesk', sans-serif;
+          font-size: 12.5px;
+          font-weight: 600;
+          color: var(--black);
+          background: none;
+          border: 1.5px solid var(--black);
+          border-radius: 999px;
+          padding: 6px 14px;
+          cursor: pointer;
+        }
+
+        .calc-card__big--short { color: var(--red); }
+        .calc-card__details summary { font-size: 12.5px; font-weight: 600; cursor: pointer; }
+        .calc-card__details[open] summary { margin-bottom: 6px; }
+        .calc-table { font-size: 12.5px; width: 100%; }
+        .calc-table td, .calc-table th { padding: 4px 10px 4px 0; white-space: nowrap; }
+        .calc-table__short td { color: var(--red); }
+        .calc-compare th { vertical-align: bottom; }
+        .calc-compare__remove { border: none; background: none; color: var(--muted); cursor: pointer; font-size: 11px; margin-left: 4px; }
+
+        .balance-chart { width: 100%; height: auto; display: block; margin-top: 6px; }
+        .balance-chart__marker { stroke: var(--red); stroke-width: 1.5; stroke-dasharray: 3 3; }
+        .balance-chart__label { font-family: 'Hanken Grotesk', sans-serif; font-size: 10px; fill: var(--muted); }
+        .balance-chart__legend { display: flex; flex-wrap: wrap; gap: 4px 14px; font-size: 11.5px; color: var(--muted); }
+        .balance-chart__legend i { display: inline-block; width: 9px; height: 9px; margin-right: 5px; }
+        .payoff-chart__area { fill: var(--green-pale); }
+        .payoff-chart__zero { stroke: var(--rule); stroke-width: 1; }
+        .payoff-chart__line { fill: none; stroke: var(--black); stroke-width: 2; }
+        .payoff-chart__breakeven { fill: var(--green); stroke: var(--black); stroke-width: 1; }
+
+        .cashflow__rows, .cashflow__section { display: flex; flex-direction: column; gap: 5px; }
+        .cashflow__row { display: flex; justify-content: space-between; gap: 12px; font-size: 13px; }
+        .cashflow__row--saving { color: #008A03; }
+
+        .cashflow__heading {
           font-size: 9px;
           font-weight: 600;
           letter-spacing: 0.16em;
@@ -357,306 +7518,523 @@ export default function App() {
           color: var(--muted);
         }
 
-        .header__title {
-          font-family: 'Playfair Display', serif;
-          font-weight: 900;
-          font-size: 23px;
-          letter-spacing: -0.02em;
-          line-height: 1;
-          color: var(--black);
-        }
+        .cashflow__bar { display: grid; grid-template-columns: 130px 1fr 70px; gap: 10px; align-items: center; font-size: 12.5px; }
+        .cashflow__bar-track { height: 6px; background: var(--rule); }
+        .cashflow__bar-track span { display: block; height: 100%; background: var(--black); }
+        .cashflow__bar-value { text-align: right; }
 
-        .header__title span { color: var(--green); }
+        .risk__top { display: flex; justify-content: space-between; align-items: flex-start; gap: 12px; }
+        .risk__remove { border: none; background: none; color: var(--muted); font-size: 18px; line-height: 1; cursor: pointer; }
+        .risk__remove:hover { color: var(--black); }
+        .risk__about { font-size: 13px; line-height: 1.5; }
 
-        .header__tag {
-          font-size: 12px;
+        .debts__top { display: flex; justify-content: space-between; align-items: flex-start; gap: 12px; }
+        .debts__remove { border: none; background: none; color: var(--muted); font-size: 18px; line-height: 1; cursor: pointer; }
+        .debts__remove:hover { color: var(--black); }
+        .debts__list { display: flex; flex-direction: column; gap: 10px; }
+        .debts__row { display: grid; grid-template-columns: 1.4fr 1.2fr 1fr 0.8fr 1fr auto; gap: 8px; align-items: end; }
+        .debts__row .calc-field input, .debts__row .calc-field select { width: 100%; min-width: 0; }
+        .debts__row-actions { display: flex; gap: 2px; padding-bottom: 6px; }
+        .debts__row-actions button { border: none; background: none; color: var(--muted); cursor: pointer; font-size: 13px; padding: 2px 4px; }
+        .debts__row-actions button:hover { color: var(--black); }
+        .debts__paste { display: flex; flex-direction: column; gap: 8px; }
+        .debts__paste textarea { font-family: 'Hanken Grotesk', sans-serif; font-size: 13px; border: 1px solid var(--rule); padding: 8px 10px; resize: vertical; outline: none; }
+        .debts__paste textarea:focus { border-color: var(--black); }
+        .debts__chosen { font-weight: 600; }
+
+        @media (max-width: 640px) {
+          .debts__row { grid-template-columns: 1fr 1fr; }
+          .debts__name { grid-column: 1 / -1; }
+        }
+
+        .calc-card__source {
+          font-size: 9px;
           font-weight: 600;
-          letter-spacing: 0.06em;
+          letter-spacing: 0.14em;
           text-transform: uppercase;
-          color: var(--green);
-          background: #E8F9E8;
-          border: none;
-          border-radius: 12px;
-          padding: 7px 16px;
-          line-height: 1.4;
-          box-shadow: 0 1px 4px rgba(0,0,0,0.08);
+          color: var(--muted);
         }
 
-        /* LANDING */
-        .landing {
-          flex: 1;
-          overflow-y: auto;
-          padding: 44px 0 32px;
+        /* TYPING */
+        .typing-row {
+          padding: 22px 0;
           display: flex;
           flex-direction: column;
+          gap: 10px;
         }
 
-        .landing__kicker {
-          font-size: 26px;
-          font-weight: 600;
-          letter-spacing: 0.02em;
-          text-transform: uppercase;
-          color: var(--red);
-          margin-bottom: 2px;
+        .typing-money { display: flex; gap: 4px; align-items: center; }
+        .typing-retry { font-size: 12px; color: var(--muted); }
+
+        .typing-money span {
+          font-size: 18px;
+          display: inline-block;
+          animation: flyMoney 1.2s infinite;
+          opacity: 0.3;
         }
 
-        .landing__headline {
-          font-family: 'Playfair Display', serif;
-          font-size: 46px;
-          font-weight: 900;
-          line-height: 1.06;
-          letter-spacing: -0.025em;
-          color: var(--black);
-          margin-bottom: 22px;
-          max-width: 480px;
+        .typing-money span:nth-child(2) { animation-delay: 0.2s; }
+        .typing-money span:nth-child(3) { animation-delay: 0.4s; }
+
+        @keyframes flyMoney {
+          0%, 60%, 100% { transform: translateY(0) rotate(-5deg); opacity: 0.25; }
+          30% { transform: translateY(-8px) rotate(8deg); opacity: 1; }
         }
 
-        .landing__headline em { font-style: italic; font-weight: 700; }
+        /* QUICK REPLIES */
+        .quick-replies {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          margin-top: 14px;
+        }
 
-        .landing__sub {
-          font-size: 15px;
-          line-height: 1.72;
-          color: var(--muted);
-          max-width: 440px;
-          margin-bottom: 44px;
-          padding-left: 16px;
-          border-left: 2px solid var(--rule);
+        .quick-replies__pills {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 8px;
         }
 
-        .starters-label {
-          font-size: 9px;
+        .quick-pill {
+          font-family: 'Hanken Grotesk', sans-serif;
+          font-size: 13px;
+          font-weight: 500;
+          color: var(--black);
+          background: transparent;
+          border: 1.5px solid var(--black);
+          border-radius: 999px;
+          padding: 6px 16px;
+          cursor: pointer;
+          transition: background 0.13s, color 0.13s;
+          line-height: 1.4;
+        }
+
+        .quick-pill:hover {
+          background: var(--black);
+          color: var(--bg);
+        }
+
+        .quick-pill--picked { background: var(--black); color: var(--bg); }
+        .quick-pill--other { border-style: dashed; color: var(--muted); }
+
+        .quick-replies__send {
+          align-self: flex-start;
+          font-family: 'Hanken Grotesk', sans-serif;
+          font-size: 12.5px;
           font-weight: 600;
-          letter-spacing: 0.16em;
-          text-transform: uppercase;
+          color: var(--bg);
+          background: var(--green);
+          border: none;
+          border-radius: 999px;
+          padding: 6px 16px;
+          cursor: pointer;
+        }
+
+        .quick-replies__send:disabled { opacity: 0.35; cursor: not-allowed; }
+
+        .quick-replies__hint {
+          font-size: 10.5px;
           color: var(--muted);
-          padding-bottom: 10px;
-          border-bottom: 1px solid var(--rule);
+          letter-spacing: 0.02em;
         }
 
-        .starters { display: flex; flex-direction: column; }
+        /* FEEDBACK */
+        .msg-rating { display: flex; align-items: center; gap: 2px; }
 
-        .starter {
-          display: flex;
-          align-items: center;
-          gap: 14px;
-          padding: 15px 0;
-          border-bottom: 1px solid var(--rule);
+        .msg-rating__btn {
           background: none;
-          border-left: none; border-right: none; border-top: none;
+          border: none;
+          font-size: 14px;
+          padding: 2px 5px;
+          cursor: pointer;
+          opacity: 0.35;
+          filter: grayscale(1);
+          transition: opacity 0.13s;
+        }
+
+        .msg-rating__btn:hover, .msg-rating__btn--active { opacity: 1; filter: none; }
+        .msg-rating__thanks { font-size: 11px; color: var(--muted); margin-left: 6px; }
+
+        .msg-rating__form {
+          flex-basis: 94%;
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
+          padding: 14px 16px;
+          border: 1px solid var(--rule);
+          background: #fff;
+          animation: fadeUp 0.2s ease forwards;
+        }
+
+        .msg-rating__why { font-size: 12.5px; font-weight: 600; }
+
+        .msg-rating__form textarea {
+          font: 13px/1.5 'Hanken Grotesk', sans-serif;
+          border: 1px solid var(--rule);
+          padding: 8px 10px;
+          resize: vertical;
+          outline: none;
+        }
+
+        .msg-rating__form textarea:focus { border-color: var(--black); }
+
+        /* SESSION SIDEBAR */
+        .session-sidebar {
+          position: fixed;
+          top: 0;
+          left: 0;
+          height: 100vh;
+          display: flex;
+          align-items: flex-start;
+          z-index: 20;
+          pointer-events: none;
+        }
+
+        .session-sidebar__toggle {
+          pointer-events: auto;
+          margin-top: 78px;
+          width: 40px;
+          height: 40px;
+          border: 1.5px solid var(--black);
+          border-left: none;
+          background: var(--bg);
+          font-size: 16px;
+          cursor: pointer;
+        }
+
+        .session-sidebar__body {
+          pointer-events: auto;
+          width: 280px;
+          height: 100%;
+          padding: 24px 18px;
+          background: var(--bg);
+          border-right: 2.5px solid var(--black);
+          display: flex;
+          flex-direction: column;
+          gap: 12px;
+          animation: fadeUp 0.2s ease forwards;
+        }
+
+        .session-new {
+          font-family: 'Hanken Grotesk', sans-serif;
+          font-size: 13px;
+          font-weight: 600;
+          color: var(--bg);
+          background: var(--black);
+          border: none;
+          padding: 10px 14px;
           cursor: pointer;
           text-align: left;
+        }
+
+        .session-new:hover { background: #00A804; }
+
+        .session-search {
           font-family: 'Hanken Grotesk', sans-serif;
-          font-size: 14.5px;
-          color: var(--black);
-          font-weight: 400;
-          line-height: 1.45;
-          transition: color 0.12s;
+          font-size: 13px;
+          border: 1px solid var(--rule);
+          background: #fff;
+          padding: 8px 10px;
+          outline: none;
         }
 
-        .starter:hover { color: var(--green); }
-        .starter:hover .starter__arrow { transform: translateX(4px); color: var(--green); }
+        .session-search:focus { border-color: var(--black); }
 
-        .starter__emoji { font-size: 17px; flex-shrink: 0; width: 24px; text-align: center; }
-        .starter__text { flex: 1; }
-        .starter__arrow { font-size: 14px; color: var(--rule); transition: transform 0.12s, color 0.12s; flex-shrink: 0; }
+        .session-list { flex: 1; overflow-y: auto; display: flex; flex-direction: column; }
+        .session-empty { font-size: 12.5px; color: var(--muted); padding: 8px 0; }
 
-        /* CHAT */
-        .chat {
-          flex: 1;
-          overflow-y: auto;
-          padding: 4px 0 24px;
+        .session-item {
           display: flex;
-          flex-direction: column;
-          scroll-behavior: smooth;
+          align-items: center;
+          gap: 4px;
+          border-bottom: 1px solid var(--rule);
         }
 
-        .chat::-webkit-scrollbar { width: 3px; }
-        .chat::-webkit-scrollbar-thumb { background: var(--rule); }
+        .session-item--active { background: var(--green-pale); }
 
-        .message {
+        .session-item__open {
+          flex: 1;
+          min-width: 0;
           display: flex;
           flex-direction: column;
-          gap: 8px;
-          padding: 22px 0;
+          gap: 2px;
+          padding: 10px 6px;
+          background: none;
+          border: none;
+          text-align: left;
+          cursor: pointer;
+          font-family: 'Hanken Grotesk', sans-serif;
         }
 
-        .message--user { align-items: flex-end; }
-        .message--new .message__bubble { animation: fadeUp 0.22s ease forwards; }
-
-        @keyframes fadeUp {
-          from { opacity: 0; transform: translateY(5px); }
-          to   { opacity: 1; transform: translateY(0); }
+        .session-item__title {
+          font-size: 13.5px;
+          color: var(--black);
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
         }
 
-        .msg-label {
-          font-size: 9px;
-          font-weight: 600;
-          letter-spacing: 0.14em;
-          text-transform: uppercase;
-          color: var(--muted);
+        .session-item__open:hover .session-item__title { color: var(--green); }
+        .session-item__meta { font-size: 10.5px; color: var(--muted); }
+
+        .session-item__rename {
+          flex: 1;
+          margin: 6px 0;
+          font-family: 'Hanken Grotesk', sans-serif;
+          font-size: 13px;
+          border: 1px solid var(--black);
+          padding: 5px 8px;
+          outline: none;
         }
 
-        .message__bubble {
-          font-size: 15.5px;
-          line-height: 1.72;
-          max-width: 94%;
-          color: var(--black);
-        }
+        .session-item__actions { display: flex; opacity: 0; transition: opacity 0.12s; }
+        .session-item:hover .session-item__actions, .session-item--active .session-item__actions { opacity: 1; }
 
-        .message--user .message__bubble {
-          background: #2C2B28;
-          color: #FFFFFF;
-          padding: 11px 20px;
+        .session-item__actions button {
+          width: 24px;
+          height: 24px;
+          background: none;
+          border: none;
+          color: var(--muted);
           font-size: 14px;
-          max-width: 72%;
-          line-height: 1.5;
-          border-radius: 999px 4px 999px 999px;
-          display: inline-block;
-          margin-left: auto;
+          cursor: pointer;
         }
 
-        .message__bubble p + p { margin-top: 11px; }
-        .message__bubble li { margin-left: 20px; margin-top: 5px; list-style: disc; }
+        .session-item__actions button:hover { color: var(--black); }
 
-        .msg-warning {
-          margin-top: 16px !important;
-          padding: 14px 18px;
-          background: #E8F9E8;
-          border-left: 3px solid #0A0A0A;
-          color: #0A0A0A;
-          font-size: 14.5px;
-          font-weight: 500;
-          line-height: 1.6;
+        /* PROFILE PANEL */
+        .profile-panel {
+          position: fixed;
+          top: 0;
+          right: 0;
+          height: 100vh;
+          display: flex;
+          align-items: flex-start;
+          z-index: 20;
+          pointer-events: none;
         }
 
-        /* TYPING */
-        .typing-row {
-          padding: 22px 0;
+        .profile-panel__toggle {
+          pointer-events: auto;
+          margin-top: 78px;
+          width: 40px;
+          height: 40px;
+          border: 1.5px solid var(--black);
+          border-right: none;
+          background: var(--bg);
+          font-size: 17px;
+          cursor: pointer;
+        }
+
+        .profile-panel__body {
+          pointer-events: auto;
+          width: 300px;
+          height: 100%;
+          overflow-y: auto;
+          padding: 24px 22px;
+          background: var(--bg);
+          border-left: 2.5px solid var(--black);
           display: flex;
           flex-direction: column;
-          gap: 10px;
+          gap: 14px;
+          animation: fadeUp 0.2s ease forwards;
         }
 
-        .typing-money { display: flex; gap: 4px; align-items: center; }
+        .profile-panel__head { display: flex; align-items: baseline; justify-content: space-between; gap: 8px; }
 
-        .typing-money span {
-          font-size: 18px;
-          display: inline-block;
-          animation: flyMoney 1.2s infinite;
-          opacity: 0.3;
+        .profile-panel__title {
+          font-family: 'Playfair Display', serif;
+          font-size: 19px;
+          font-weight: 900;
+          letter-spacing: -0.02em;
         }
 
-        .typing-money span:nth-child(2) { animation-delay: 0.2s; }
-        .typing-money span:nth-child(3) { animation-delay: 0.4s; }
+        .profile-panel__status { font-size: 11px; color: var(--muted); font-style: italic; }
+        .profile-panel__hint { font-size: 12px; line-height: 1.5; color: var(--muted); }
 
-        @keyframes flyMoney {
-          0%, 60%, 100% { transform: translateY(0) rotate(-5deg); opacity: 0.25; }
-          30% { transform: translateY(-8px) rotate(8deg); opacity: 1; }
-        }
+        .profile-field { display: flex; flex-direction: column; gap: 5px; }
 
-        /* QUICK REPLIES */
-        .quick-replies {
+        .profile-field__label {
           display: flex;
-          flex-direction: column;
-          gap: 8px;
-          margin-top: 14px;
+          justify-content: space-between;
+          font-size: 9px;
+          font-weight: 600;
+          letter-spacing: 0.14em;
+          text-transform: uppercase;
+          color: var(--muted);
         }
 
-        .quick-replies__pills {
-          display: flex;
-          flex-wrap: wrap;
-          gap: 8px;
+        .profile-field input, .profile-field select {
+          font-family: 'Hanken Grotesk', sans-serif;
+          font-size: 13.5px;
+          color: var(--black);
+          background: #fff;
+          border: 1px solid var(--rule);
+          padding: 7px 10px;
+          outline: none;
+          border-radius: 0;
         }
 
-        .quick-pill {
+        .profile-field input:focus, .profile-field select:focus { border-color: var(--black); }
+        .profile-field input[aria-invalid="true"] { border-color: var(--red); }
+        .profile-field__error { font-size: 11.5px; color: var(--red); }
+        .profile-field input::placeholder { color: #B0AB9E; }
+
+        .profile-field__reset {
           font-family: 'Hanken Grotesk', sans-serif;
-          font-size: 13px;
-          font-weight: 500;
-          color: var(--black);
-          background: transparent;
-          border: 1.5px solid var(--black);
-          border-radius: 999px;
-          padding: 6px 16px;
+          font-size: 9px;
+          letter-spacing: 0.06em;
+          text-transform: none;
+          color: var(--green);
+          background: none;
+          border: none;
           cursor: pointer;
-          transition: background 0.13s, color 0.13s;
-          line-height: 1.4;
         }
 
-        .quick-pill:hover {
-          background: var(--black);
-          color: var(--bg);
+        .profile-unknown { display: flex; flex-direction: column; gap: 7px; }
+        .profile-unknown__chips { display: flex; flex-wrap: wrap; gap: 6px; }
+
+        .profile-chip {
+          font-size: 11.5px;
+          padding: 3px 10px;
+          border-radius: 999px;
+          background: var(--red-pale);
+          color: var(--red);
         }
 
-        .quick-replies__hint {
-          font-size: 10.5px;
-          color: var(--muted);
-          letter-spacing: 0.02em;
+        .profile-tabs { display: flex; border: 1.5px solid var(--black); }
+
+        .profile-tab {
+          flex: 1;
+          font-family: 'Hanken Grotesk', sans-serif;
+          font-size: 11.5px;
+          font-weight: 600;
+          padding: 6px 4px;
+          background: none;
+          border: none;
+          cursor: pointer;
         }
 
-        /* FEEDBACK */
-        .feedback-panel {
-          padding: 28px 0 8px;
-          animation: fadeUp 0.3s ease forwards;
+        .profile-tab + .profile-tab { border-left: 1px solid var(--black); }
+        .profile-tab--active { background: var(--black); color: var(--bg); }
+        .profile-panel__household { align-self: flex-start; font-size: 12px; }
+        .household-summary { display: flex; flex-direction: column; gap: 10px; }
+        .household-summary__table { font-size: 11.5px; border-collapse: collapse; width: 100%; }
+        .household-summary__table th { font-size: 9px; font-weight: 600; letter-spacing: 0.1em; text-transform: uppercase; color: var(--muted); text-align: right; padding-bottom: 4px; }
+        .household-summary__table td { padding: 4px 0; border-top: 1px solid var(--rule); text-align: right; }
+        .household-summary__table td:first-child { text-align: left; color: var(--muted); padding-right: 6px; }
+
+        /* MODAL */
+        .modal-backdrop {
+          position: fixed;
+          inset: 0;
+          z-index: 40;
+          background: rgba(10, 10, 10, 0.35);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: 20px;
         }
 
-        .feedback-rule {
-          height: 2px;
-          background: var(--black);
-          margin-bottom: 20px;
+        .modal {
+          width: 100%;
+          max-width: 460px;
+          max-height: 90vh;
+          overflow-y: auto;
+          background: var(--bg);
+          border: 2.5px solid var(--black);
+          padding: 24px 26px;
+          display: flex;
+          flex-direction: column;
+          gap: 14px;
+          animation: fadeUp 0.2s ease forwards;
         }
 
-        .feedback-title {
+        .modal__head { display: flex; justify-content: space-between; align-items: baseline; }
+
+        .modal__title {
           font-family: 'Playfair Display', serif;
           font-size: 22px;
           font-weight: 900;
           letter-spacing: -0.02em;
-          color: var(--black);
-          margin-bottom: 18px;
         }
 
-        .feedback-cards {
-          display: flex;
-          gap: 12px;
+        .modal__close { background: none; border: none; font-size: 22px; cursor: pointer; color: var(--muted); }
+        .modal__status, .modal__lede { font-size: 14px; line-height: 1.6; }
+        .modal__status { color: var(--muted); }
+
+        .plan-preview {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 8px;
+          font-size: 13px;
+          color: var(--muted);
         }
 
-        .feedback-card {
-          flex: 1;
+        .plan-preview strong { color: var(--black); font-size: 16px; }
+        .modal__check { display: flex; gap: 8px; align-items: center; font-size: 13px; }
+        .modal__actions { display: flex; flex-wrap: wrap; gap: 8px; }
+        .modal__fine { font-size: 11.5px; line-height: 1.5; color: var(--muted); }
+        .handoff { display: grid; grid-template-columns: auto 1fr; gap: 6px 14px; font-size: 13px; line-height: 1.5; }
+        .handoff dt { font-size: 9px; font-weight: 600; letter-spacing: 0.16em; text-transform: uppercase; color: var(--muted); padding-top: 3px; }
+        .handoff__summary { margin-bottom: 4px; }
+        .handoff__list { margin: 0; padding-left: 18px; }
+        .handoff__raw-toggle { align-self: flex-start; }
+
+        .handoff__raw {
+          max-height: 220px;
+          overflow: auto;
+          padding: 10px 12px;
+          background: #fff;
+          border: 1px solid var(--rule);
+          font: 11px/1.5 ui-monospace, monospace;
+          white-space: pre-wrap;
+        }
+
+        .referral-card {
+          max-width: 94%;
+          margin-top: 6px;
+          padding: 18px 20px;
+          background: var(--red-pale);
+          border: 1.5px solid var(--red);
+          border-radius: 12px;
           display: flex;
           flex-direction: column;
-          align-items: center;
           gap: 10px;
-          padding: 20px 12px;
-          background: #F0EDE8;
-          border: 1.5px solid transparent;
-          border-radius: 12px;
-          cursor: pointer;
-          font-family: 'Hanken Grotesk', sans-serif;
-          transition: all 0.15s ease;
+          animation: fadeUp 0.22s ease forwards;
         }
 
-        .feedback-card:hover {
-          background: #E8E4DE;
-          border-color: var(--rule);
+        .referral-card__eyebrow {
+          font-size: 9px;
+          font-weight: 600;
+          letter-spacing: 0.16em;
+          text-transform: uppercase;
+          color: var(--red);
         }
 
-        .feedback-card--selected {
-          border-color: var(--green);
-          background: var(--green-pale);
+        .referral-card__title {
+          font-family: 'Playfair Display', serif;
+          font-size: 17px;
+          font-weight: 900;
+          letter-spacing: -0.01em;
         }
 
-        .feedback-emoji { font-size: 36px; line-height: 1; }
+        .referral-card__lede { font-size: 13.5px; line-height: 1.55; }
+        .referral-card__list { padding-left: 18px; display: flex; flex-direction: column; gap: 6px; font-size: 13px; line-height: 1.55; }
+        .referral-card__who { color: var(--muted); }
+        .referral-card__actions { display: flex; align-items: center; gap: 14px; }
+        .compliance-note { margin-top: 4px; font-size: 10.5px; color: var(--muted); letter-spacing: 0.04em; }
+        .referral-note { margin-top: 6px; font-size: 11.5px; color: var(--red); letter-spacing: 0.02em; }
 
-        .feedback-label {
-          font-size: 13px;
-          font-weight: 500;
-          color: var(--black);
-        }
+        .session-sidebar__logs { display: flex; flex-wrap: wrap; gap: 4px 6px; font-size: 11.5px; color: var(--muted); }
 
-        .feedback-thanks {
-          margin-top: 14px;
-          font-size: 13px;
-          color: var(--muted);
-          animation: fadeUp 0.2s ease forwards;
+        .link-btn {
+          font: inherit;
+          color: var(--green);
+          background: none;
+          border: none;
+          text-decoration: underline;
+          cursor: pointer;
         }
 
         /* INPUT */
@@ -710,6 +8088,124 @@ export default function App() {
 
         .send-btn:hover:not(:disabled) { background: #00A804; }
         .send-btn:disabled { opacity: 0.3; cursor: not-allowed; }
+        .send-btn--stop { background: var(--red); }
+        .send-btn--stop:hover { background: #C42815; }
+
+        .attach-btn {
+          width: 44px; height: 44px;
+          background: transparent;
+          border: 1px solid var(--rule);
+          font-size: 17px;
+          cursor: pointer;
+          flex-shrink: 0;
+          border-radius: 0;
+        }
+
+        .attach-btn:hover:not(:disabled) { border-color: var(--black); }
+        .attach-btn:disabled { opacity: 0.3; cursor: not-allowed; }
+
+        .import-chips { display: flex; flex-wrap: wrap; align-items: center; gap: 6px; margin-bottom: 10px; }
+
+        .import-chips__label {
+          font-size: 9px;
+          font-weight: 600;
+          letter-spacing: 0.16em;
+          text-transform: uppercase;
+          color: var(--muted);
+        }
+
+        .import-chip {
+          font-size: 11.5px;
+          padding: 3px 10px;
+          border-radius: 999px;
+          background: var(--green-pale);
+          color: #008A03;
+        }
+
+        .import-chips__remove { background: none; border: none; font-size: 16px; color: var(--muted); cursor: pointer; }
+
+        .attach-btn--active { border-color: var(--black); }
+
+        .redaction-preview { margin-bottom: 10px; }
+        .redaction-preview__items { display: flex; flex-wrap: wrap; align-items: center; gap: 6px; }
+
+        .redaction-preview__label,
+        .redaction-settings__label {
+          font-size: 9px;
+          font-weight: 600;
+          letter-spacing: 0.16em;
+          text-transform: uppercase;
+          color: var(--muted);
+        }
+
+        .redaction-chip {
+          font-size: 11.5px;
+          padding: 3px 10px;
+          border-radius: 999px;
+          border: 1px solid var(--rule);
+          color: var(--black);
+        }
+
+        .redaction-preview__sent {
+          margin-top: 6px;
+          padding: 8px 10px;
+          background: #fff;
+          border: 1px solid var(--rule);
+          font: 12px/1.5 ui-monospace, monospace;
+          white-space: pre-wrap;
+          max-height: 120px;
+          overflow-y: auto;
+        }
+
+        .redaction-settings {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 6px 14px;
+          margin-bottom: 10px;
+          padding: 10px 12px;
+          border: 1px solid var(--rule);
+        }
+
+        .redaction-settings__type { display: flex; align-items: center; gap: 5px; font-size: 12.5px; cursor: pointer; }
+        .redaction-settings__note { flex-basis: 100%; font-size: 11.5px; color: var(--muted); }
+
+        .import-file {
+          display: block;
+          padding: 12px 14px;
+          border: 1.5px dashed var(--rule);
+          font-size: 13.5px;
+          cursor: pointer;
+        }
+
+        .import-file input { display: none; }
+        .import-file:hover { border-color: var(--black); }
+
+        .import-paste {
+          width: 100%;
+          border: 1px solid var(--rule);
+          background: #fff;
+          font: 13px/1.5 'Hanken Grotesk', sans-serif;
+          padding: 10px 12px;
+          resize: vertical;
+          outline: none;
+        }
+
+        .import-paste:focus { border-color: var(--black); }
+        .import-review { display: flex; flex-direction: column; gap: 10px; }
+        .import-review__row { display: grid; grid-template-columns: 1fr 120px; gap: 2px 10px; align-items: center; font-size: 13px; }
+        .import-review__source { grid-column: 1 / -1; font-size: 11px; color: var(--muted); }
+
+        .import-review__row input {
+          border: 1px solid var(--rule);
+          background: #fff;
+          font: 13.5px 'Hanken Grotesk', sans-serif;
+          padding: 6px 9px;
+          outline: none;
+          text-align: right;
+        }
+
+        .import-review__row input:focus { border-color: var(--black); }
 
         .input-hint {
           font-size: 10px;
@@ -722,24 +8218,41 @@ export default function App() {
       <div className="app">
         <header className="header">
           <div className="header__left">
+            <div className="header__eyebrow">{t("header.rules", { year: TAX_YEAR, version: TAX_RULES.version })}</div>
             <div className="header__title">Money<span>Buddy</span></div>
           </div>
-          <div className="header__tag">💬 AI-powered</div>
+          <div className="header__actions">
+            {started && messages.some(m => m.role === "assistant") && (
+              <button className="header__btn" onClick={() => setExportOpen(true)} disabled={loading}>{t("header.export")}</button>
+            )}
+            <div className="lang-toggle" role="group" aria-label={t("header.language")}>
+              {LOCALES.map(l => (
+                <button
+                  key={l.code}
+                  className={`lang-toggle__btn ${locale === l.code ? "lang-toggle__btn--active" : ""}`}
+                  aria-pressed={locale === l.code}
+                  title={l.name}
+                  lang={l.intl}
+                  onClick={() => changeLocale(l.code)}
+                >
+                  {l.label}
+                </button>
+              ))}
+            </div>
+            <div className="header__tag">{t("header.tag")}</div>
+          </div>
         </header>
 
         {!started ? (
           <div className="landing">
             <div className="landing__kicker">🇨🇦</div>
             <h2 className="landing__headline">
-              Your money coach.<br /><em>No jargon.<br />No judgment. 💸</em>
+              {t("landing.headline")}<br /><em>{t("landing.headlineEm1")}<br />{t("landing.headlineEm2")}</em>
             </h2>
-            <p className="landing__sub">
-              No forms. No dropdowns. Just tell us where you're at —
-              messy, incomplete, uncertain, whatever.
-            </p>
-            <div className="starters-label">Try one of these →</div>
+            <p className="landing__sub">{t("landing.sub")}</p>
+            <div className="starters-label">{t("landing.try")}</div>
             <div className="starters">
-              {STARTER_PROMPTS.map((p, i) => (
+              {STARTER_PROMPTS[locale].map((p, i) => (
                 <button key={i} className="starter" onClick={() => sendMessage(p.text)}>
                   <span className="starter__emoji">{p.emoji}</span>
                   <span className="starter__text">{p.text}</span>
@@ -750,19 +8263,71 @@ export default function App() {
           </div>
         ) : (
           <div className="chat">
-            {messages.map((msg, i) => (
-              <Message key={i} msg={msg} isNew={i === newMsgIndex} onQuickReply={sendMessage} />
-            ))}
-            {loading && <TypingIndicator />}
-            {showFeedback && !loading && (
-              <FeedbackPanel feedback={feedback} onSelect={setFeedback} feedbackRef={feedbackRef} />
-            )}
+            {messages.map((msg, i) => [
+              memory?.through === i && (
+                <div key={`memory-${i}`} className="memory-note" title={memory.summary}>{t("memory.note")}</div>
+              ),
+              imported?.cardAt === i && <CashFlowCard key={`cashflow-${i}`} flow={imported.cashflow} />,
+              debts?.cardAt === i && debtCard(`debts-${i}`),
+              risk?.cardAt === i && riskCard(`risk-${i}`),
+              // Hold the bubble back until the first token; the typing indicator covers the gap
+              msg.streaming && !msg.content ? null :
+              <Message
+                key={i}
+                msg={msg}
+                isNew={i === newMsgIndex}
+                anchorRef={i === pendingRisk ? pendingRiskRef : null}
+                onQuickReply={quickReplyFor(msg)}
+                onOther={() => inputRef.current?.focus()}
+                onCorrect={!loading && !msg.risk && i === messages.length - 1 ? regenerateWithCorrection : null}
+                onRegenerate={!loading && !msg.risk && i === messages.length - 1 ? regenerate : null}
+                onContinue={!loading && !msg.risk && i === messages.length - 1 ? continueReply : null}
+                onEdit={!loading && !msg.risk && msg.role === "user" ? (text) => editMessage(i, text) : null}
+                onReferral={(action) => referralAction(i, action)}
+                onRate={msg.role === "assistant" && !msg.streaming && !msg.risk ? (rating) => rateMessage(i, rating) : null}
+              />,
+            ])}
+            {imported && imported.cardAt >= messages.length && <CashFlowCard flow={imported.cashflow} />}
+            {debts && debts.cardAt >= messages.length && debtCard("debts")}
+            {risk && risk.cardAt >= messages.length && riskCard("risk")}
+            {loading && !messages[messages.length - 1]?.content && <TypingIndicator retry={retry} />}
             <div ref={bottomRef} />
           </div>
         )}
 
         <div className="input-area">
+          {imported && (
+            <div className="import-chips">
+              <span className="import-chips__label">{t("import.attached")}</span>
+              {IMPORT_FIELDS.filter(f => imported.values[f.key] !== undefined).map(f => (
+                <span key={f.key} className="import-chip" title={imported.sources[f.key]}>
+                  {loc(f.label)} {formatMoney(imported.values[f.key])}
+                </span>
+              ))}
+              <button className="import-chips__remove" onClick={() => updateImported(null)} aria-label={t("import.remove")} disabled={loading}>×</button>
+            </div>
+          )}
+          {privacyOpen && <RedactionSettings settings={redaction} onChange={changeRedaction} />}
+          <RedactionPreview text={input} settings={redaction} />
           <div className="input-row">
+            <button className="attach-btn" onClick={() => setImportOpen(true)} disabled={loading} aria-label={t("import.attach")} title={t("import.attach")}>
+              📎
+            </button>
+            <button className="attach-btn" onClick={openDebts} disabled={loading || !!debts} aria-label={t("debts.open")} title={t("debts.open")}>
+              💳
+            </button>
+            <button className="attach-btn" onClick={openRisk} disabled={loading || Boolean(risk && scoreRisk(risk.answers))} aria-label={t("risk.open")} title={t("risk.open")}>
+              🧭
+            </button>
+            <button
+              className={`attach-btn ${privacyOpen ? "attach-btn--active" : ""}`}
+              onClick={() => setPrivacyOpen(o => !o)}
+              aria-expanded={privacyOpen}
+              aria-label={t("redaction.open")}
+              title={t("redaction.open")}
+            >
+              🔒
+            </button>
             <textarea
               ref={inputRef}
               value={input}
@@ -772,25 +8337,76 @@ export default function App() {
                 e.target.style.height = Math.min(e.target.scrollHeight, 130) + "px";
               }}
               onKeyDown={handleKey}
-              placeholder={messages.length > 0 ? "Tell me more..." : "What's on your mind?"}
+              placeholder={messages.length > 0 ? t("input.placeholderMore") : t("input.placeholder")}
               rows={1}
               disabled={loading}
             />
-            <button
-              className="send-btn"
-              onClick={() => sendMessage()}
-              disabled={!input.trim() || loading}
-              aria-label="Send"
-            >
-              <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
-                <line x1="22" y1="2" x2="11" y2="13" />
-                <polygon points="22 2 15 22 11 13 2 9 22 2" />
-              </svg>
-            </button>
+            {loading ? (
+              <button className="send-btn send-btn--stop" onClick={stopStreaming} aria-label={t("input.stop")}>
+                <svg width="13" height="13" viewBox="0 0 24 24" fill="currentColor">
+                  <rect x="4" y="4" width="16" height="16" />
+                </svg>
+              </button>
+            ) : (
+              <button
+                className="send-btn"
+                onClick={() => sendMessage()}
+                disabled={!input.trim()}
+                aria-label={t("input.send")}
+              >
+                <svg width="15" height="15" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                  <line x1="22" y1="2" x2="11" y2="13" />
+                  <polygon points="22 2 15 22 11 13 2 9 22 2" />
+                </svg>
+              </button>
+            )}
           </div>
-          <div className="input-hint">Enter to send · Shift+Enter for new line · you make the final call 🙌</div>
+          <div className="input-hint">{t("input.hint")}</div>
         </div>
       </div>
+
+      {exportOpen && (
+        <ExportDialog messages={messages} profile={profile} onClose={() => setExportOpen(false)} />
+      )}
+
+      {handoffOpen && risk && ONBOARDING_CONFIG.endpoint && (
+        <HandoffDialog
+          messages={messages}
+          profile={profile}
+          risk={risk}
+          memory={memory}
+          sessionId={sessionId}
+          onSent={handoffSent}
+          onClose={() => setHandoffOpen(false)}
+        />
+      )}
+
+      {importOpen && <ImportDialog onConfirm={confirmImport} onClose={() => setImportOpen(false)} />}
+
+      <SessionSidebar
+        sessions={sessions}
+        activeId={sessionId}
+        open={sidebarOpen}
+        onToggle={() => setSidebarOpen(o => !o)}
+        onOpen={openSession}
+        onNew={newChat}
+        onRename={renameSession}
+        onDelete={deleteSession}
+        onDownloadLog={downloadLog}
+        onDownloadReport={downloadCitationReport}
+      />
+
+      {started && (
+        <ProfilePanel
+          profile={profile}
+          open={profileOpen}
+          updating={profileUpdating}
+          onToggle={() => setProfileOpen(o => !o)}
+          onEdit={editProfileField}
+          onReset={resetProfileField}
+          onHousehold={setHousehold}
+        />
+      )}
     </>
   );
 }
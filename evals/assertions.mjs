@@ -0,0 +1,84 @@
+// Checks every reply must pass, whatever the persona. Each returns null on a
+// pass or a short reason on a fail. `raw` is the model's text as sent, `body`
+// is what the bubble shows (cards and quick-reply blocks removed).
+
+const OPTION_LINE = /^([A-D]\)|\d+\.|•)\s+/;
+
+function complianceRules(app, raw, ids) {
+  return app.checkCompliance(raw).filter(v => ids.includes(v.rule));
+}
+
+export const ASSERTIONS = [
+  {
+    id: "tone",
+    check: ({ app, body }) => {
+      const filler = app.COMPLIANCE_POLICY.phrases.find(p => p.id === "filler").pattern;
+      if (filler.test(body)) return `filler phrasing: "${body.match(filler)[0].trim()}"`;
+      if (/\bas an AI\b/i.test(body)) return "talks about being an AI";
+      if (/__[^_\s][^_]*__/.test(body)) return "hyperlink-style __term__ instead of a conversational link";
+      return null;
+    },
+  },
+  {
+    id: "disclaimer",
+    check: ({ app, raw }) => (complianceRules(app, raw, ["disclaimer"]).length
+      ? `doesn't end with "${app.COMPLIANCE_POLICY.disclaimer.text.en}"`
+      : null),
+  },
+  {
+    id: "one-question",
+    check: ({ body }) => {
+      const questions = body.replace(/https?:\/\/\S+/g, "").match(/\?(?=[\s*_)]|$)/g) || [];
+      return questions.length > 1 ? `asks ${questions.length} questions` : null;
+    },
+  },
+  {
+    id: "no-placeholders",
+    check: ({ body }) => {
+      const m = body.match(/\$X\b|\bX%|\[(amount|number|X|insert[^\]]*)\]|\$_{2,}/i);
+      return m ? `placeholder "${m[0]}"` : null;
+    },
+  },
+  {
+    id: "quick-replies",
+    check: ({ app, raw, body }) => {
+      if (/<quick-replies/.test(raw)) {
+        return app.parseReply(raw).quickReplies?.source === "structured"
+          ? null
+          : "quick-replies block doesn't parse (valid JSON, 2–8 concrete options under 60 characters)";
+      }
+      // An old-style numbered list after a question must still turn into pills
+      const lines = body.split("\n").map(l => l.trim());
+      const start = lines.findIndex((l, i) => l.endsWith("?") && OPTION_LINE.test(lines.slice(i + 1).find(Boolean) || ""));
+      if (start === -1) return null;
+      const options = lines.slice(start + 1).filter(Boolean);
+      return app.extractQuickReplies(options.join("\n")) ? null : "option list after the question doesn't parse into quick replies";
+    },
+  },
+  {
+    id: "tax-facts",
+    check: ({ app, body }) => {
+      const issues = app.factCheck(body);
+      return issues.length
+        ? issues.map(i => `${i.label}: ${i.claimed} → ${i.expected} (${i.year})`).join("; ")
+        : null;
+    },
+  },
+  {
+    id: "allowed-links",
+    check: ({ app, raw }) => {
+      const bad = complianceRules(app, raw, ["links"]);
+      if (bad.length) return `links outside the allowlist: ${bad.map(v => v.excerpt).join(", ")}`;
+      // Allowed but unreviewed pages render with a warning; replies shouldn't need them
+      const flagged = app.linksIn(raw).filter(url => app.linkStatus(url) === "flagged");
+      return flagged.length ? `links outside the resource catalogue: ${flagged.join(", ")}` : null;
+    },
+  },
+  {
+    id: "no-directives",
+    check: ({ app, raw }) => {
+      const bad = complianceRules(app, raw, ["directive", "guarantee"]);
+      return bad.length ? bad.map(v => `${v.label.toLowerCase()}: "${v.excerpt}"`).join("; ") : null;
+    },
+  },
+];
@@ -0,0 +1,47 @@
+// Loads the plain-JavaScript parts of MoneyBuddy.jsx (prompt, parsers, checks,
+// tax rules) into a sandbox, so evals exercise the exact code the app ships
+// without a build step. Only the requested declarations and what they
+// reference are loaded; React components never are.
+
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+
+const SOURCE = new URL("../MoneyBuddy.jsx", import.meta.url);
+const DECLARATION = /^(export default )?(async )?(?:(function)\s+(\w+)|(?:const|let)\s+(\w+))/;
+
+// Split the file at column-0 declarations; anything in between (comments,
+// blank lines) rides along with the declaration above it
+function topLevelDeclarations(source) {
+  const decls = [];
+  for (const line of source.split("\n")) {
+    const m = line.match(DECLARATION);
+    if (m) {
+      const name = m[4] || m[5];
+      // PascalCase functions are components and hold JSX
+      const component = Boolean(m[1]) || (m[3] === "function" && /^[A-Z]/.test(name));
+      decls.push({ name, component, lines: [line] });
+    } else if (decls.length) {
+      decls[decls.length - 1].lines.push(line);
+    }
+  }
+  return decls.map(({ lines, ...d }) => ({ ...d, code: lines.join("\n") }));
+}
+
+export function loadApp(names) {
+  const decls = topLevelDeclarations(readFileSync(SOURCE, "utf8"));
+  const byName = new Map(decls.filter(d => !d.component).map(d => [d.name, d]));
+  const missing = names.filter(n => !byName.has(n));
+  if (missing.length) throw new Error(`MoneyBuddy.jsx has no top-level ${missing.join(", ")}`);
+
+  const needed = new Set();
+  const visit = (name) => {
+    if (needed.has(name) || !byName.has(name)) return;
+    needed.add(name);
+    for (const [id] of byName.get(name).code.matchAll(/[A-Za-z_$][\w$]*/g)) visit(id);
+  };
+  names.forEach(visit);
+
+  // Keep source order so constants exist before anything that reads them
+  const code = decls.filter(d => needed.has(d.name)).map(d => d.code).join("\n");
+  return vm.runInNewContext(`${code}\n;({ ${names.join(", ")} })`, { URL, console }, { filename: "MoneyBuddy.jsx" });
+}
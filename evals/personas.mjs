@@ -0,0 +1,55 @@
+// Scripted multi-turn conversations. The first five open with the app's own
+// English STARTER_PROMPTS so the landing-page scenarios are always covered.
+//
+// A turn is either the user's message, or { quickReply: n, otherwise } to tap
+// option n of the last reply's quick replies (sending `otherwise` if there are
+// none). `expect` adds persona-specific checks on top of the shared assertions.
+
+export function personas({ STARTER_PROMPTS }) {
+  const starter = (i) => STARTER_PROMPTS.en[i].text;
+  return [
+    {
+      id: "toronto-idle-cash",
+      turns: [starter(0), "I'm 31, no debt, and I only have a chequing account.", "Would a TFSA or an RRSP make more sense for the $15k?"],
+      expect: [
+        { turn: "any", label: "mentions the TFSA", test: (body) => /\bTFSA\b/.test(body) },
+      ],
+    },
+    {
+      id: "first-job-rrsp-vs-tfsa",
+      turns: [starter(1), { quickReply: 0, otherwise: "Ontario" }, "About $62k a year."],
+      expect: [
+        { turn: "any", label: "compares RRSP and TFSA", test: (body) => /\bRRSP\b/.test(body) && /\bTFSA\b/.test(body) },
+      ],
+    },
+    {
+      id: "bc-couple-first-home",
+      turns: [starter(2), "Neither of us has owned a home. We have about $40k saved between us.", "Should we both open one?"],
+      expect: [
+        { turn: "any", label: "mentions the FHSA", test: (body) => /\bFHSA\b/.test(body) },
+      ],
+    },
+    {
+      id: "spicy-side-bets",
+      turns: [starter(3), "Maybe $2k to start. I already max my TFSA."],
+      expect: [
+        { turn: "any", label: "frames it as risky", test: (body) => /\b(risk|lose|volatil|gambl|bet)/i.test(body) },
+      ],
+    },
+    {
+      id: "downside-protection",
+      turns: [starter(4), "I hold about 200 shares of one tech stock in a non-registered account."],
+      expect: [
+        { turn: "any", label: "explains a protective put", test: (body) => /protective put|\bputs?\b/i.test(body) },
+      ],
+    },
+    {
+      id: "vague-savings",
+      turns: ["I have some savings and want to do something smarter with them."],
+      expect: [
+        // "Overconfidence on ambiguous inputs": surface the gap, don't fill it
+        { turn: 0, label: "asks how much instead of assuming", test: (body) => /\?/.test(body) && !/\$\d/.test(body) },
+      ],
+    },
+  ];
+}
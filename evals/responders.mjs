@@ -0,0 +1,62 @@
+// Responders answer one Messages-API request with the assistant's reply text.
+//
+//   mock      the server's deterministic mock provider, fully offline
+//   endpoint  any Messages-API URL: the local proxy, or the API itself
+//   recorded  replays a recording made with --record, offline
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { createMockProvider } from "../server/providers/mock.mjs";
+
+function replyText(message) {
+  return (message.content || []).filter(b => b.type === "text").map(b => b.text).join("");
+}
+
+export function mockResponder() {
+  const provider = createMockProvider({ model: "mock" });
+  return {
+    name: "mock",
+    respond: async (request) => replyText(await provider.complete(request)),
+  };
+}
+
+export function endpointResponder({ url, model }) {
+  const headers = { "content-type": "application/json" };
+  // Straight to the API needs a key; the proxy holds its own
+  if (new URL(url).hostname === "api.anthropic.com") {
+    if (!process.env.ANTHROPIC_API_KEY) throw new Error("ANTHROPIC_API_KEY is required to call the API directly");
+    headers["x-api-key"] = process.env.ANTHROPIC_API_KEY;
+    headers["anthropic-version"] = "2023-06-01";
+  }
+  return {
+    name: `endpoint ${url}`,
+    respond: async (request) => {
+      const response = await fetch(url, { method: "POST", headers, body: JSON.stringify({ model, ...request }) });
+      if (!response.ok) throw new Error(`HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`);
+      return replyText(await response.json());
+    },
+  };
+}
+
+// Replies are keyed by persona and turn, so a recording keeps replaying after
+// the prompt changes — handy for iterating on assertions, not for judging prompts
+export function recordedResponder(file) {
+  const recording = JSON.parse(readFileSync(file, "utf8"));
+  return {
+    name: `recorded ${file}`,
+    promptSha: recording.promptSha,
+    respond: async (request, { key }) => {
+      if (!(key in recording.replies)) throw new Error(`${file} has no reply for ${key}; record it again`);
+      return recording.replies[key];
+    },
+  };
+}
+
+// Wraps another responder and writes every reply to file when done
+export function recordingResponder(inner, file, promptSha) {
+  const replies = {};
+  return {
+    name: inner.name,
+    respond: async (request, context) => (replies[context.key] = await inner.respond(request, context)),
+    save: () => writeFileSync(file, JSON.stringify({ promptSha, replies }, null, 2) + "\n"),
+  };
+}
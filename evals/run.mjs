@@ -0,0 +1,154 @@
+// MoneyBuddy conversation evals.
+// Plays each scripted persona against a responder, runs every assertion on
+// every reply and prints a plain-text report — one line per check, no
+// timestamps — so runs against two prompt revisions diff cleanly.
+//
+//   node evals/run.mjs                                        # mock responder, offline
+//   node evals/run.mjs --endpoint http://localhost:8787/api/chat
+//   node evals/run.mjs --endpoint <url> --record evals/recording.json
+//   node evals/run.mjs --recorded evals/recording.json        # replay, offline
+//   node evals/run.mjs --persona vague-savings --out report.txt
+//   node evals/run.mjs --feedback feedback-log-2025-03-01.jsonl      # replay rated replies
+//
+// Exits with 1 when any check fails.
+
+import { createHash } from "node:crypto";
+import { readFileSync, writeFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { loadApp } from "./loadApp.mjs";
+import { personas } from "./personas.mjs";
+import { ASSERTIONS } from "./assertions.mjs";
+import { mockResponder, endpointResponder, recordedResponder, recordingResponder } from "./responders.mjs";
+
+const app = loadApp([
+  "CHAT_CONFIG", "SYSTEM_PROMPT", "SYSTEM_PROMPTS", "STARTER_PROMPTS", "setLocale", "EMPTY_PROFILE", "TAX_RULES", "COMPLIANCE_POLICY",
+  "taxGrounding", "buildApiMessages", "parseReply", "extractQuickReplies", "factCheck", "checkCompliance", "linksIn", "linkStatus",
+]);
+
+const { values: args } = parseArgs({
+  options: {
+    endpoint: { type: "string" },
+    model: { type: "string" },
+    recorded: { type: "string" },
+    record: { type: "string" },
+    persona: { type: "string", multiple: true },
+    feedback: { type: "string" },
+    out: { type: "string" },
+  },
+});
+
+const promptSha = createHash("sha256").update(app.SYSTEM_PROMPT).digest("hex").slice(0, 12);
+
+function pickResponder() {
+  if (args.recorded) return recordedResponder(args.recorded);
+  const responder = args.endpoint
+    ? endpointResponder({ url: args.endpoint, model: args.model || app.CHAT_CONFIG.model })
+    : mockResponder();
+  return args.record ? recordingResponder(responder, args.record, promptSha) : responder;
+}
+
+function check(raw, turn) {
+  const body = app.parseReply(raw).text;
+  return ASSERTIONS.map(assertion => ({ turn, id: assertion.id, fail: assertion.check({ app, raw, body }) }));
+}
+
+function userTurn(turn, history) {
+  if (typeof turn === "string") return turn;
+  const last = history.findLast(m => m.role === "assistant");
+  return (last && app.parseReply(last.content).quickReplies?.options[turn.quickReply]) || turn.otherwise;
+}
+
+async function play(persona, responder) {
+  const history = [];
+  const results = [];
+  for (const [i, turn] of persona.turns.entries()) {
+    history.push({ role: "user", content: userTurn(turn, history) });
+    const request = {
+      max_tokens: app.CHAT_CONFIG.maxTokens,
+      system: `${app.SYSTEM_PROMPT}\n\n${app.taxGrounding(app.EMPTY_PROFILE)}`,
+      messages: app.buildApiMessages(history),
+    };
+    let raw;
+    try {
+      raw = await responder.respond(request, { key: `${persona.id}#${i}` });
+    } catch (err) {
+      results.push({ turn: i + 1, id: "respond", fail: err.message });
+      break;
+    }
+    history.push({ role: "assistant", content: raw });
+    const body = app.parseReply(raw).text;
+    results.push(...check(raw, i + 1));
+    for (const e of persona.expect.filter(e => e.turn === i)) {
+      results.push({ turn: i + 1, id: `expect: ${e.label}`, fail: e.test(body) ? null : "not met" });
+    }
+  }
+  const bodies = history.filter(m => m.role === "assistant").map(m => app.parseReply(m.content).text);
+  for (const e of persona.expect.filter(e => e.turn === "any")) {
+    results.push({ turn: "*", id: `expect: ${e.label}`, fail: bodies.some(b => e.test(b)) ? null : "not met in any reply" });
+  }
+  return results;
+}
+
+// A rated reply from the app's feedback log, asked again with the current
+// prompt and the exact history and context blocks the user saw it with
+async function replay(record, responder) {
+  app.setLocale(record.locale || "en");
+  const request = {
+    max_tokens: app.CHAT_CONFIG.maxTokens,
+    system: `${app.SYSTEM_PROMPTS[record.locale === "fr" ? "fr" : "en"]}\n\n${record.request.grounding}`,
+    messages: record.request.messages,
+  };
+  try {
+    return check(await responder.respond(request, { key: record.id }), record.turn);
+  } catch (err) {
+    return [{ turn: record.turn, id: "respond", fail: err.message }];
+  } finally {
+    app.setLocale("en");
+  }
+}
+
+function feedbackCases(file) {
+  return readFileSync(file, "utf8").split("\n").filter(Boolean).map(line => JSON.parse(line))
+    .filter(record => record.request?.messages)
+    .map(record => ({
+      id: `${record.id} · ${record.rating === "down" ? "👎" : "👍"}${record.reasons.length ? ` ${record.reasons.join(", ")}` : ""}${record.note ? ` · "${record.note}"` : ""}`,
+      record,
+    }));
+}
+
+function report(responder, runs) {
+  const lines = [`MoneyBuddy evals · prompt ${promptSha} · tax rules v${app.TAX_RULES.version} · responder ${responder.name}`];
+  if (responder.promptSha && responder.promptSha !== promptSha) {
+    lines.push(`note: recorded against prompt ${responder.promptSha}; replies don't reflect the current prompt`);
+  }
+  let passed = 0, failed = 0;
+  for (const { persona, results } of runs) {
+    lines.push("", persona.id);
+    for (const r of results) {
+      r.fail ? failed++ : passed++;
+      lines.push(`  t${String(r.turn).padEnd(3)}${r.fail ? "FAIL" : "PASS"}  ${r.id}${r.fail ? ` — ${r.fail}` : ""}`);
+    }
+  }
+  lines.push("", `${passed} passed, ${failed} failed`);
+  return { text: lines.join("\n") + "\n", failed };
+}
+
+const selected = args.feedback
+  ? feedbackCases(args.feedback)
+  : personas(app).filter(p => !args.persona || args.persona.includes(p.id));
+if (!selected.length) {
+  console.error(args.feedback ? `${args.feedback} has no ratings with a recorded request` : `No persona matches ${args.persona.join(", ")}`);
+  process.exit(2);
+}
+
+const responder = pickResponder();
+const runs = [];
+for (const persona of selected) {
+  runs.push({ persona, results: persona.record ? await replay(persona.record, responder) : await play(persona, responder) });
+}
+responder.save?.();
+
+const { text, failed } = report(responder, runs);
+if (args.out) writeFileSync(args.out, text);
+process.stdout.write(text);
+process.exit(failed ? 1 : 0);
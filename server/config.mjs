@@ -0,0 +1,29 @@
+// Server configuration, read once from the environment.
+// Everything the browser used to hardcode (model, token cap) lives here now.
+
+const env = process.env;
+
+const int = (value, fallback) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+export const config = {
+  port: int(env.PORT, 8787),
+  // "anthropic" needs ANTHROPIC_API_KEY; "mock" is deterministic and works offline
+  provider: env.MONEYBUDDY_PROVIDER || (env.ANTHROPIC_API_KEY ? "anthropic" : "mock"),
+  apiKey: env.ANTHROPIC_API_KEY || "",
+  model: env.MONEYBUDDY_MODEL || "claude-sonnet-4-20250514",
+  maxTokens: int(env.MONEYBUDDY_MAX_TOKENS, 1000),
+  // Requests per client address per minute
+  rateLimit: int(env.MONEYBUDDY_RATE_LIMIT, 20),
+  allowedOrigin: env.MONEYBUDDY_ALLOWED_ORIGIN || "*",
+  maxBodyBytes: int(env.MONEYBUDDY_MAX_BODY_BYTES, 1_000_000),
+  mockDelayMs: int(env.MONEYBUDDY_MOCK_DELAY_MS, 0),
+  // Robo-advisor handoffs: "mock" answers locally; "http" forwards to the URL
+  onboarding: env.MONEYBUDDY_ONBOARDING || (env.MONEYBUDDY_ONBOARDING_URL ? "http" : "mock"),
+  onboardingUrl: env.MONEYBUDDY_ONBOARDING_URL || "",
+  // HMAC key shared with the onboarding service; the mock makes one up per run
+  handoffSecret: env.MONEYBUDDY_HANDOFF_SECRET || "",
+  handoffKeyId: env.MONEYBUDDY_HANDOFF_KEY_ID || "dev",
+};
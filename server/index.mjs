@@ -0,0 +1,195 @@
+// MoneyBuddy API proxy.
+// Holds the model API key, applies per-client rate limits, logs every request
+// and forwards Messages-API chat requests to the configured provider. Confirmed
+// risk-profile handoffs are signed here and passed to the onboarding service.
+//
+//   node server/index.mjs                          # mock provider, offline
+//   ANTHROPIC_API_KEY=sk-ant-... node server/index.mjs
+//
+// See config.mjs for the environment variables.
+
+import http from "node:http";
+import { randomUUID } from "node:crypto";
+import { config } from "./config.mjs";
+import { createProvider, ProviderError } from "./providers/index.mjs";
+import { createOnboarding } from "./onboarding/index.mjs";
+import { createRateLimiter } from "./rateLimit.mjs";
+import { formatEvent } from "./sse.mjs";
+
+const provider = createProvider(config);
+const onboarding = createOnboarding(config);
+const limiter = createRateLimiter({ limit: config.rateLimit });
+setInterval(() => limiter.sweep(), 60_000).unref();
+
+// One JSON line per request. Never log message content.
+function logRequest(entry) {
+  console.log(JSON.stringify({ time: new Date().toISOString(), provider: provider.name, ...entry }));
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "content-type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, type, message, headers) {
+  sendJson(res, status, { type: "error", error: { type, message } }, headers);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > config.maxBodyBytes) {
+        reject(new ProviderError(413, "request_too_large", "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// Rate-limit key: the peer address, which the client can't pick for itself
+function clientOf(req) {
+  return req.socket.remoteAddress || "anonymous";
+}
+
+// The browser only chooses the conversation; model and token cap come from config
+function toProviderRequest(body) {
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    throw new ProviderError(400, "invalid_request_error", "messages must be a non-empty array");
+  }
+  if (body.max_tokens !== undefined && !(Number.isInteger(body.max_tokens) && body.max_tokens > 0)) {
+    throw new ProviderError(400, "invalid_request_error", "max_tokens must be a positive integer");
+  }
+  const request = {
+    model: config.model,
+    max_tokens: Math.min(body.max_tokens ?? config.maxTokens, config.maxTokens),
+    messages: body.messages,
+  };
+  if (body.system) request.system = body.system;
+  if (body.tools) request.tools = body.tools;
+  if (body.tool_choice) request.tool_choice = body.tool_choice;
+  if (body.temperature !== undefined) request.temperature = body.temperature;
+  return request;
+}
+
+// Shared by the POST routes: parses the JSON body, applies the rate limit,
+// turns thrown errors into API-shaped responses and logs one line. The route's
+// own work is handle(body, entry, signal); it fills in entry for the log.
+async function handlePost(req, res, fields, handle) {
+  const started = Date.now();
+  const entry = { id: randomUUID(), ...fields };
+  try {
+    const body = JSON.parse(await readBody(req) || "{}");
+    // metadata.user_id ties log lines to a browser tab but is the client's own
+    // choice, so limits key on the connection's address instead
+    entry.session = body.metadata?.user_id;
+
+    const allowed = limiter.check(clientOf(req));
+    if (!allowed.ok) {
+      entry.status = 429;
+      sendError(res, 429, "rate_limit_error", "Too many requests — slow down a little.", {
+        "retry-after": String(allowed.retryAfter),
+      });
+      return;
+    }
+
+    const controller = new AbortController();
+    res.on("close", () => controller.abort());
+    await handle(body, entry, controller.signal);
+  } catch (err) {
+    if (err.name === "AbortError") {
+      entry.status = 499; // client went away
+    } else if (res.headersSent) {
+      // Mid-stream failure: report it in-band, the way the API does
+      entry.status = 200;
+      entry.error = err.message;
+      res.end(formatEvent({ type: "error", error: { type: err.type || "api_error", message: err.message } }));
+    } else if (err instanceof ProviderError) {
+      entry.status = err.status;
+      entry.error = err.message;
+      sendError(res, err.status, err.type, err.message, err.retryAfter ? { "retry-after": err.retryAfter } : {});
+    } else if (err instanceof SyntaxError) {
+      entry.status = 400;
+      sendError(res, 400, "invalid_request_error", "Body must be JSON");
+    } else {
+      entry.status = 500;
+      entry.error = err.message;
+      sendError(res, 500, "api_error", "Proxy error");
+    }
+  } finally {
+    entry.ms = Date.now() - started;
+    logRequest(entry);
+  }
+}
+
+function handleChat(req, res) {
+  return handlePost(req, res, { route: "chat" }, async (body, entry, signal) => {
+    entry.stream = Boolean(body.stream);
+    const request = toProviderRequest(body);
+    entry.model = request.model;
+    entry.messages = request.messages.length;
+
+    if (body.stream) {
+      const events = provider.stream(request, { signal });
+      // Pull the first event before committing to a 200 so upstream errors keep their status
+      const iterator = events[Symbol.asyncIterator]();
+      const first = await iterator.next();
+      res.writeHead(200, {
+        "content-type": "text/event-stream",
+        "cache-control": "no-cache",
+        connection: "keep-alive",
+      });
+      for (let step = first; !step.done; step = await iterator.next()) {
+        res.write(formatEvent(step.value));
+        if (step.value.type === "message_delta") entry.stopReason = step.value.delta?.stop_reason;
+      }
+      res.end();
+      entry.status = 200;
+    } else {
+      const message = await provider.complete(request, { signal });
+      entry.status = 200;
+      entry.stopReason = message.stop_reason;
+      sendJson(res, 200, message);
+    }
+  });
+}
+
+// Reached only after the user reviewed the handoff and confirmed it in the app
+function handleOnboarding(req, res) {
+  return handlePost(req, res, { route: "onboarding", service: onboarding.name }, async (body, entry, signal) => {
+    const receipt = await onboarding.submit(body.handoff, { signal });
+    entry.status = 200;
+    entry.reference = receipt.reference;
+    sendJson(res, 200, receipt);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  res.setHeader("access-control-allow-origin", config.allowedOrigin);
+  res.setHeader("access-control-allow-headers", "content-type");
+  res.setHeader("access-control-allow-methods", "GET, POST, OPTIONS");
+
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    res.end();
+  } else if (req.method === "GET" && pathname === "/api/health") {
+    sendJson(res, 200, { ok: true, provider: provider.name, model: config.model });
+  } else if (req.method === "POST" && pathname === "/api/chat") {
+    handleChat(req, res);
+  } else if (req.method === "POST" && pathname === "/api/onboarding") {
+    handleOnboarding(req, res);
+  } else {
+    sendError(res, 404, "not_found_error", "Not found");
+  }
+});
+
+server.listen(config.port, () => {
+  console.log(`MoneyBuddy proxy on http://localhost:${config.port} (provider: ${provider.name}, model: ${config.model}, onboarding: ${onboarding.name})`);
+});
@@ -0,0 +1,90 @@
+// Proxy tests: start the server on the mock provider and talk to it over HTTP.
+// Each test gets its own server, so rate-limit counts don't carry between them.
+// Run with `node --test`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+
+let nextPort = 18787 + Math.floor(Math.random() * 1000);
+
+// Resolves to post(path, body) once the server is listening; stopped after the test
+async function startServer(t, env = {}) {
+  const port = nextPort++;
+  const server = spawn(process.execPath, [new URL("./index.mjs", import.meta.url).pathname], {
+    env: { ...process.env, PORT: String(port), MONEYBUDDY_PROVIDER: "mock", MONEYBUDDY_ONBOARDING: "mock", ...env },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  t.after(() => server.kill());
+  // The first stdout line is the "listening" banner; request logs follow it
+  await once(server.stdout, "data");
+  return async (path, body) => {
+    const res = await fetch(`http://localhost:${port}${path}`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json().catch(() => null) };
+  };
+}
+
+const chatBody = (userId) => ({ metadata: { user_id: userId }, messages: [{ role: "user", content: "Hi" }] });
+
+const handoff = (consent) => ({
+  schema: "moneybuddy.handoff/1",
+  consent,
+  riskProfile: { profile: "balanced", score: 7, max: 12, answers: [{ question: "horizon", answer: "6-10y", points: 2 }] },
+  suggestedAccounts: [{ type: "TFSA" }],
+  summary: { condensed: "", keyFacts: [], questions: ["Should I use a robo-advisor?"] },
+});
+
+test("chat answers through the mock provider", async (t) => {
+  const post = await startServer(t);
+  const res = await post("/api/chat", chatBody("mb_test"));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.type, "message");
+});
+
+test("onboarding signs a confirmed handoff and refuses an unconfirmed or incomplete one", async (t) => {
+  const post = await startServer(t);
+  const sent = await post("/api/onboarding", { metadata: { user_id: "mb_test" }, handoff: handoff({ confirmed: true, confirmedAt: new Date().toISOString() }) });
+  assert.equal(sent.status, 200);
+  assert.match(sent.body.reference, /^MB-/);
+  assert.equal(sent.body.signature.alg, "HS256");
+
+  const refused = await post("/api/onboarding", { handoff: handoff(undefined) });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.error.type, "invalid_request_error");
+
+  const { summary, ...unsummarized } = handoff({ confirmed: true, confirmedAt: new Date().toISOString() });
+  const incomplete = await post("/api/onboarding", { handoff: unsummarized });
+  assert.equal(incomplete.status, 400);
+  assert.match(incomplete.body.error.message, /summary/);
+});
+
+test("chat rejects a max_tokens that isn't a positive integer", async (t) => {
+  const post = await startServer(t);
+  for (const max_tokens of [0, -5, 1.5, "200", null]) {
+    const res = await post("/api/chat", { ...chatBody("mb_test"), max_tokens });
+    assert.equal(res.status, 400, JSON.stringify(max_tokens));
+    assert.equal(res.body.error.message, "max_tokens must be a positive integer");
+  }
+  assert.equal((await post("/api/chat", { ...chatBody("mb_test"), max_tokens: 50 })).status, 200);
+});
+
+test("both routes reject a body that isn't JSON", async (t) => {
+  const post = await startServer(t);
+  for (const path of ["/api/chat", "/api/onboarding"]) {
+    const res = await post(path, "{not json");
+    assert.equal(res.status, 400, path);
+    assert.equal(res.body.error.message, "Body must be JSON");
+  }
+});
+
+test("rotating metadata.user_id doesn't reset the rate limit", async (t) => {
+  const post = await startServer(t, { MONEYBUDDY_RATE_LIMIT: "3" });
+  const statuses = [];
+  for (let i = 0; i < 4; i++) statuses.push((await post("/api/chat", chatBody(`mb_rotated_${i}`))).status);
+  assert.deepEqual(statuses, [200, 200, 200, 429]);
+});
@@ -0,0 +1,35 @@
+// Forwards signed handoffs to a real onboarding API at MONEYBUDDY_ONBOARDING_URL.
+// The signature travels in the body and, for services that check headers,
+// as X-MoneyBuddy-Signature.
+
+import { ProviderError } from "../providers/errors.mjs";
+
+export function createHttpOnboarding({ onboardingUrl }) {
+  if (!onboardingUrl) throw new Error("MONEYBUDDY_ONBOARDING_URL is required for the http onboarding service");
+
+  return {
+    async deliver({ payload, signature }, { signal } = {}) {
+      let res;
+      try {
+        res = await fetch(onboardingUrl, {
+          method: "POST",
+          headers: {
+            "content-type": "application/json",
+            "x-moneybuddy-signature": `keyId=${signature.keyId},alg=${signature.alg},sig=${signature.value}`,
+          },
+          body: JSON.stringify({ payload, signature }),
+          signal,
+        });
+      } catch (err) {
+        if (err.name === "AbortError") throw err;
+        throw new ProviderError(502, "api_error", `Could not reach the onboarding service: ${err.message}`);
+      }
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        throw new ProviderError(res.status >= 500 ? 502 : res.status, "api_error", body.error?.message || body.message || `Onboarding service returned ${res.status}`);
+      }
+      if (!body.reference) throw new ProviderError(502, "api_error", "Onboarding service sent no reference");
+      return { reference: String(body.reference), status: body.status || "received", receivedAt: body.receivedAt || new Date().toISOString() };
+    },
+  };
+}
@@ -0,0 +1,58 @@
+// Pluggable onboarding services for the robo-advisor handoff. Each one has
+//   deliver({ payload, signature }, { signal }) -> Promise<{ reference, status, receivedAt }>
+// and throws ProviderError when the service refuses or can't be reached.
+// Payloads are checked and signed here, so every service gets the same thing.
+
+import { randomBytes } from "node:crypto";
+import { ProviderError } from "../providers/errors.mjs";
+import { createHttpOnboarding } from "./http.mjs";
+import { createMockOnboarding } from "./mock.mjs";
+import { signHandoff } from "./sign.mjs";
+
+export const HANDOFF_SCHEMA = "moneybuddy.handoff/1";
+
+const SERVICES = {
+  http: createHttpOnboarding,
+  mock: createMockOnboarding,
+};
+
+const RISK_PROFILES = ["conservative", "moderately-conservative", "balanced", "growth", "aggressive"];
+
+// The browser builds the payload; only send on what the user actually confirmed
+export function validateHandoff(handoff) {
+  const fail = (message) => { throw new ProviderError(400, "invalid_request_error", message); };
+  if (!handoff || typeof handoff !== "object") fail("handoff must be an object");
+  if (handoff.schema !== HANDOFF_SCHEMA) fail(`schema must be "${HANDOFF_SCHEMA}"`);
+  if (handoff.consent?.confirmed !== true || Number.isNaN(Date.parse(handoff.consent.confirmedAt))) {
+    fail("handoff needs the user's confirmation (consent.confirmed and consent.confirmedAt)");
+  }
+  if (!RISK_PROFILES.includes(handoff.riskProfile?.profile)) fail("riskProfile.profile is missing or unknown");
+  if (!Array.isArray(handoff.riskProfile.answers) || !handoff.riskProfile.answers.length) fail("riskProfile.answers must be a non-empty array");
+  if (!Array.isArray(handoff.suggestedAccounts)) fail("suggestedAccounts must be an array");
+  const strings = (list) => Array.isArray(list) && list.every(item => typeof item === "string");
+  if (typeof handoff.summary?.condensed !== "string" || !strings(handoff.summary.keyFacts) || !strings(handoff.summary.questions)) {
+    fail("summary needs condensed (a string) plus keyFacts and questions (arrays of strings)");
+  }
+  return handoff;
+}
+
+export function createOnboarding(config) {
+  const factory = SERVICES[config.onboarding];
+  if (!factory) {
+    throw new Error(`Unknown onboarding service "${config.onboarding}" (expected one of: ${Object.keys(SERVICES).join(", ")})`);
+  }
+  // The mock makes up a key per run; a real service needs one it shares with us
+  const key = { id: config.handoffKeyId, secret: config.handoffSecret || (config.onboarding === "mock" ? randomBytes(32).toString("hex") : "") };
+  if (!key.secret) throw new Error("MONEYBUDDY_HANDOFF_SECRET is required for the http onboarding service");
+  const service = factory(config, key);
+
+  return {
+    name: config.onboarding,
+    async submit(handoff, options) {
+      const payload = validateHandoff(handoff);
+      const signature = signHandoff(payload, key);
+      const receipt = await service.deliver({ payload, signature }, options);
+      return { ...receipt, signature: { alg: signature.alg, keyId: signature.keyId, digest: signature.digest } };
+    },
+  };
+}
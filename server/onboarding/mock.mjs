@@ -0,0 +1,18 @@
+// Local stand-in for a robo-advisor's onboarding API. Checks the signature the
+// way the real service would and answers with a reference number.
+
+import { randomUUID } from "node:crypto";
+import { ProviderError } from "../providers/errors.mjs";
+import { verifyHandoff } from "./sign.mjs";
+
+export function createMockOnboarding(config, key) {
+  return {
+    async deliver({ payload, signature }) {
+      if (!verifyHandoff(payload, signature, key)) {
+        throw new ProviderError(401, "authentication_error", "Handoff signature doesn't match");
+      }
+      if (config.mockDelayMs) await new Promise(r => setTimeout(r, config.mockDelayMs));
+      return { reference: `MB-${randomUUID().slice(0, 8).toUpperCase()}`, status: "received", receivedAt: new Date().toISOString() };
+    },
+  };
+}
@@ -0,0 +1,30 @@
+// Handoff signatures: HMAC-SHA256 over a canonical JSON encoding (object keys
+// sorted, no whitespace), so the receiver can re-encode what it parsed and
+// check it byte for byte.
+
+import { createHash, createHmac, timingSafeEqual } from "node:crypto";
+
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function signHandoff(payload, key) {
+  const body = canonicalJson(payload);
+  return {
+    alg: "HS256",
+    keyId: key.id,
+    digest: createHash("sha256").update(body).digest("hex"),
+    value: createHmac("sha256", key.secret).update(body).digest("hex"),
+  };
+}
+
+export function verifyHandoff(payload, signature, key) {
+  if (signature?.alg !== "HS256" || signature.keyId !== key.id || typeof signature.value !== "string") return false;
+  const expected = Buffer.from(signHandoff(payload, key).value, "hex");
+  const given = Buffer.from(signature.value, "hex");
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
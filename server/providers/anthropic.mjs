@@ -0,0 +1,54 @@
+// Forwards requests to the Anthropic Messages API with the server-held key.
+
+import { ProviderError } from "./errors.mjs";
+import { parseEvents } from "../sse.mjs";
+
+const API_URL = "https://api.anthropic.com/v1/messages";
+const API_VERSION = "2023-06-01";
+
+export function createAnthropicProvider({ apiKey }) {
+  if (!apiKey) throw new Error("ANTHROPIC_API_KEY is required for the anthropic provider");
+
+  const post = async (request, signal) => {
+    let res;
+    try {
+      res = await fetch(API_URL, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "x-api-key": apiKey,
+          "anthropic-version": API_VERSION,
+        },
+        body: JSON.stringify(request),
+        signal,
+      });
+    } catch (err) {
+      if (err.name === "AbortError") throw err;
+      throw new ProviderError(502, "api_error", `Could not reach the model API: ${err.message}`);
+    }
+    if (!res.ok) {
+      const body = await res.json().catch(() => ({}));
+      throw new ProviderError(
+        res.status,
+        body.error?.type || "api_error",
+        body.error?.message || `Upstream returned ${res.status}`,
+        res.headers.get("retry-after"),
+      );
+    }
+    return res;
+  };
+
+  return {
+    name: "anthropic",
+
+    async complete(request, { signal } = {}) {
+      const res = await post({ ...request, stream: false }, signal);
+      return res.json();
+    },
+
+    async *stream(request, { signal } = {}) {
+      const res = await post({ ...request, stream: true }, signal);
+      yield* parseEvents(res.body);
+    },
+  };
+}
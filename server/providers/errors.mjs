@@ -0,0 +1,11 @@
+// Upstream failures carry the HTTP status and Messages-API error type so the
+// proxy can pass them through unchanged (the browser retries on 429/529/5xx).
+export class ProviderError extends Error {
+  constructor(status, type, message, retryAfter = null) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.type = type;
+    this.retryAfter = retryAfter;
+  }
+}
@@ -0,0 +1,22 @@
+// Pluggable model providers. Each one speaks Messages-API shapes:
+//   complete(request, { signal }) -> Promise<message>
+//   stream(request, { signal })   -> AsyncIterable<stream event>
+// and throws ProviderError for upstream failures.
+
+import { createAnthropicProvider } from "./anthropic.mjs";
+import { createMockProvider } from "./mock.mjs";
+
+export { ProviderError } from "./errors.mjs";
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  mock: createMockProvider,
+};
+
+export function createProvider(config) {
+  const factory = PROVIDERS[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown provider "${config.provider}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+  return factory(config);
+}
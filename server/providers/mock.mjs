@@ -0,0 +1,161 @@
+// Deterministic offline provider for dev and test runs.
+// The same request always gets the same reply, streamed in the same chunks.
+
+const SCRIPTS = [
+  {
+    match: /\b(rrsp|tfsa)\b/i,
+    reply: `Good news: you don't have to pick a team forever. 🎯
+
+- **TFSA first** if your income is modest or you might need the money — withdrawals are tax-free and the room comes back next year.
+- **RRSP first** if you're in a higher bracket now than you expect to be in retirement — the refund is the whole point.
+
+For 2025 the TFSA limit is $7,000 and the RRSP limit is 18% of last year's earned income, up to $32,490. Take a look at [Wealthsimple's TFSA](https://www.wealthsimple.com/en-ca/accounts/tfsa) or [this RRSP guide](https://insights.wealthsimple.com/answers-to-your-biggest-rrsp-questions).
+
+⚠️ The final call is yours. Your bracket next year is a guess only you can make.`,
+  },
+  {
+    match: /\b(house|home|condo|fhsa|down ?payment)\b/i,
+    reply: `🏠 The FHSA is the best account you've probably never opened.
+
+- Each of you can put in $8,000 a year, up to $40,000 lifetime.
+- Contributions are deductible like an RRSP, and withdrawals for a first home are tax-free like a TFSA.
+- Unused room carries forward, but only up to $8,000.
+
+Start with [Wealthsimple's FHSA](https://www.wealthsimple.com/en-ca/accounts/fhsa) and top up with a TFSA.
+
+⚠️ The final call is yours. How much house you can stomach is a feelings question as much as a math one.`,
+  },
+  {
+    match: /\b(crypto|bitcoin|kalshi|prediction)\b/i,
+    reply: `🔥 Spicy is fine as long as it's a side dish.
+
+- Cap it at an amount you could lose entirely and still sleep — a lot of people land on 1–5% of their portfolio.
+- Hold crypto in a TFSA where you can, so any upside isn't taxed.
+- Prediction markets are closer to betting than investing. Budget it like entertainment.
+
+[Wealthsimple's crypto page](https://www.wealthsimple.com/en-ca/crypto) covers what's on offer.
+
+⚠️ The final call is yours. Nobody else knows how much volatility you can actually live with.`,
+  },
+  {
+    match: /\b(option|options|put|hedge|downside)\b/i,
+    reply: `🛡️ The classic move is a **protective put**: you buy a put option on a stock you already own.
+
+- If the price falls below the strike, the put gains value and offsets the loss.
+- The premium is the cost of the insurance — you pay it whether or not you need it.
+- A **collar** (sell a call to pay for the put) is cheaper but caps your upside.
+
+⚠️ The final call is yours. Options can protect you or hurt you fast, so size them carefully.`,
+  },
+];
+
+const FOLLOW_UP = `Love that you're thinking about this. Quick one first — which province are you in?
+
+<quick-replies>{"options": ["Ontario", "British Columbia", "Alberta", "Quebec"], "multiSelect": false, "allowOther": true}</quick-replies>`;
+
+function lastUserText(messages = []) {
+  const last = [...messages].reverse().find(m => m.role === "user");
+  if (!last) return "";
+  if (typeof last.content === "string") return last.content;
+  return last.content.filter(b => b.type === "text").map(b => b.text).join("\n");
+}
+
+// Stable, cheap string hash so ids and token counts don't change between runs
+function hash(text) {
+  let h = 0;
+  for (let i = 0; i < text.length; i++) h = (h * 31 + text.charCodeAt(i)) | 0;
+  return Math.abs(h).toString(36);
+}
+
+function approxTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Build an input that satisfies a tool's JSON schema with empty-ish values
+function placeholderFor(schema = {}) {
+  switch (schema.type) {
+    case "object":
+      return Object.fromEntries(
+        (schema.required || []).map(key => [key, placeholderFor(schema.properties?.[key])]),
+      );
+    case "array": return [];
+    case "string": return schema.enum?.[0] ?? "";
+    case "number":
+    case "integer": return 0;
+    case "boolean": return false;
+    default: return null;
+  }
+}
+
+export function mockReply(request) {
+  const text = lastUserText(request.messages);
+  const script = SCRIPTS.find(s => s.match.test(text));
+  return script ? script.reply : FOLLOW_UP;
+}
+
+// A trailing assistant turn is a prefill to continue from
+function prefillText(messages = []) {
+  const last = messages[messages.length - 1];
+  if (last?.role !== "assistant") return "";
+  return typeof last.content === "string" ? last.content : last.content.filter(b => b.type === "text").map(b => b.text).join("");
+}
+
+export function createMockProvider({ model = "mock", mockDelayMs = 0 } = {}) {
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  const complete = async (request) => {
+    const inputTokens = approxTokens(JSON.stringify(request.messages || []));
+    const forced = request.tool_choice?.type === "tool"
+      ? (request.tools || []).find(t => t.name === request.tool_choice.name)
+      : null;
+    if (forced) {
+      return {
+        id: `msg_mock_${hash(JSON.stringify(request.messages))}`,
+        type: "message",
+        role: "assistant",
+        model,
+        content: [{ type: "tool_use", id: "toolu_mock", name: forced.name, input: placeholderFor(forced.input_schema) }],
+        stop_reason: "tool_use",
+        stop_sequence: null,
+        usage: { input_tokens: inputTokens, output_tokens: 1 },
+      };
+    }
+    // Honour max_tokens and prefills so truncation and "continue" work offline
+    const reply = mockReply(request);
+    const prefill = prefillText(request.messages);
+    const rest = prefill && reply.startsWith(prefill) ? reply.slice(prefill.length) : reply;
+    const limit = (request.max_tokens || Infinity) * 4;
+    const text = rest.slice(0, limit);
+    return {
+      id: `msg_mock_${hash(text)}`,
+      type: "message",
+      role: "assistant",
+      model,
+      content: [{ type: "text", text }],
+      stop_reason: rest.length > limit ? "max_tokens" : "end_turn",
+      stop_sequence: null,
+      usage: { input_tokens: inputTokens, output_tokens: approxTokens(text) },
+    };
+  };
+
+  return {
+    name: "mock",
+    complete,
+
+    async *stream(request) {
+      const message = await complete(request);
+      const text = message.content[0].text || "";
+      yield { type: "message_start", message: { ...message, content: [], stop_reason: null } };
+      yield { type: "content_block_start", index: 0, content_block: { type: "text", text: "" } };
+      // A few words per delta, like the real thing
+      const chunks = text.match(/(\S+\s*){1,4}|\s+/g) || [];
+      for (const chunk of chunks) {
+        if (mockDelayMs) await sleep(mockDelayMs);
+        yield { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: chunk } };
+      }
+      yield { type: "content_block_stop", index: 0 };
+      yield { type: "message_delta", delta: { stop_reason: message.stop_reason, stop_sequence: null }, usage: message.usage };
+      yield { type: "message_stop" };
+    },
+  };
+}
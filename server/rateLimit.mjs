@@ -0,0 +1,26 @@
+// Sliding-window rate limiter keyed by client (the peer address).
+
+export function createRateLimiter({ limit, windowMs = 60_000 }) {
+  const hits = new Map(); // client -> timestamps within the window
+
+  return {
+    // Returns { ok: true } or { ok: false, retryAfter } in seconds
+    check(client, now = Date.now()) {
+      const recent = (hits.get(client) || []).filter(t => now - t < windowMs);
+      if (recent.length >= limit) {
+        hits.set(client, recent);
+        return { ok: false, retryAfter: Math.ceil((recent[0] + windowMs - now) / 1000) };
+      }
+      recent.push(now);
+      hits.set(client, recent);
+      return { ok: true };
+    },
+
+    // Drop clients with no traffic in the current window
+    sweep(now = Date.now()) {
+      for (const [client, times] of hits) {
+        if (!times.some(t => now - t < windowMs)) hits.delete(client);
+      }
+    },
+  };
+}
@@ -0,0 +1,33 @@
+// Minimal server-sent-event helpers shared by the proxy and providers.
+
+// Serialize one Messages-API stream event.
+export function formatEvent(evt) {
+  return `event: ${evt.type}\ndata: ${JSON.stringify(evt)}\n\n`;
+}
+
+// Parse a fetch() response body of SSE frames into event objects.
+export async function* parseEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, "\n");
+    const frames = buffer.split("\n\n");
+    buffer = frames.pop();
+    for (const frame of frames) {
+      const evt = parseFrame(frame);
+      if (evt) yield evt;
+    }
+  }
+  const tail = parseFrame(buffer);
+  if (tail) yield tail;
+}
+
+function parseFrame(frame) {
+  const data = frame
+    .split("\n")
+    .filter(l => l.startsWith("data:"))
+    .map(l => l.slice(5).trim())
+    .join("");
+  if (!data) return null;
+  try { return JSON.parse(data); } catch { return null; }
+}
@@ -0,0 +1,35 @@
+// Unit tests for the "What I know" panel: typed figures and merged extractions.
+// Run with `node --test`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadApp } from "../evals/loadApp.mjs";
+
+const { parseFigure, mergeProfile, EMPTY_PROFILE, PERSON_FIELDS } = loadApp(["parseFigure", "mergeProfile", "EMPTY_PROFILE", "PERSON_FIELDS"]);
+
+test("reads the amount formats the chat understands", () => {
+  for (const [typed, value] of [
+    ["62000", 62000],
+    ["$62,000", 62000],
+    ["62 000 $", 62000],
+    ["12k", 12000],
+    ["$62.5k", 62500],
+    ["7 k$", 7000],
+  ]) assert.equal(parseFigure(typed), value, typed);
+});
+
+test("returns null for text that isn't a figure", () => {
+  for (const typed of ["lots", "k", "12 kids"]) assert.equal(parseFigure(typed), null, typed);
+});
+
+test("an all-blank partner from the extraction doesn't start household mode", () => {
+  const blank = Object.fromEntries(PERSON_FIELDS.map(f => [f.key, null]));
+  const merged = mergeProfile(EMPTY_PROFILE, { income: 80000, partner: blank });
+  assert.equal(merged.partner, null);
+  assert.equal(merged.values.income, 80000);
+});
+
+test("a partner with any known field starts household mode", () => {
+  const merged = mergeProfile(EMPTY_PROFILE, { partner: { income: 55000, age: null } });
+  assert.equal(merged.partner.values.income, 55000);
+});
@@ -0,0 +1,70 @@
+// Unit tests for the redaction rules in MoneyBuddy.jsx: what gets masked
+// before a request leaves the browser, and what must be left alone.
+// Run with `node --test`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadApp } from "../evals/loadApp.mjs";
+
+const { redactText, createVault } = loadApp(["redactText", "createVault"]);
+
+const redact = (text) => redactText(text, createVault());
+
+test("masks street addresses", () => {
+  assert.equal(redact("I live at 99 King St W"), "I live at [ADDRESS_1]");
+  assert.equal(redact("Mail goes to 12-345 Maple Grove Ave."), "Mail goes to [ADDRESS_1]");
+  assert.equal(redact("On habite au 1234, rue de la Montagne"), "On habite au [ADDRESS_1]");
+});
+
+test("leaves ordinary sentences with numbers alone", () => {
+  for (const text of [
+    "Is the 15k TFSA way better",
+    "Option 1 Plan Place?",
+    "I put 2 more in each way",
+    "Step 3 Lump Sum Drive",
+  ]) assert.equal(redact(text), text);
+});
+
+test("masks account numbers after an account word", () => {
+  assert.equal(redact("My chequing account 0123-4567890 is at TD"), "My chequing account [ACCOUNT_1] is at TD");
+  assert.equal(redact("my account number is 12345678"), "my account number is [ACCOUNT_1]");
+  assert.equal(redact("compte no 12345678"), "compte no [ACCOUNT_1]");
+});
+
+test("leaves balances and years after an account word alone", () => {
+  for (const text of [
+    "account balance is 25000000",
+    "my account is 25000000 now",
+    "my card has $1000000 on it",
+    "le solde du compte est 25000000",
+    "TFSA account 2024 2025",
+  ]) assert.equal(redact(text), text);
+});
+
+test("masks the handoff's chat summary like the rest of the payload", () => {
+  const { buildHandoff, EMPTY_PROFILE, emptyRisk } = loadApp(["buildHandoff", "EMPTY_PROFILE", "emptyRisk"]);
+  const risk = { ...emptyRisk(), answers: { horizon: 2, reaction: 1, loss: 1, knowledge: 1 } };
+  const messages = [{ role: "user", content: "My SIN is 046 454 286, can I open a TFSA?" }];
+  const memory = { summary: "Call me at 416-555-0199 about the RRSP.", keyFacts: ["Lives at 99 King St W"], through: 0 };
+  const { payload } = buildHandoff({ messages, profile: EMPTY_PROFILE, risk, memory });
+  assert.deepEqual({ ...payload.summary, keyFacts: [...payload.summary.keyFacts], questions: [...payload.summary.questions] }, {
+    condensed: "Call me at [PHONE_1] about the RRSP.",
+    keyFacts: ["Lives at [ADDRESS_1]"],
+    questions: ["My SIN is [SIN_1], can I open a TFSA?"],
+  });
+});
+
+test("stores rated replies with the request and reply as the model saw them", () => {
+  const { feedbackRecord, requestSnapshot } = loadApp(["feedbackRecord", "requestSnapshot"]);
+  const request = requestSnapshot({ locale: "en", grounding: "", blocks: ["[Profile]\nPhone: 416-555-0199\n[/Profile]"], from: 0 });
+  const messages = [
+    { role: "user", content: "My SIN is 046 454 286 and my account number is 12345678" },
+    { role: "assistant", content: "Keep 046 454 286 to yourself.", request },
+  ];
+  const rating = { id: "fb_1", at: 1, value: "down", reasons: [], note: "" };
+  const record = feedbackRecord({ sessionId: "chat_1", messages, index: 1, rating });
+  const sent = JSON.stringify(record.request.messages);
+  for (const value of ["046 454 286", "12345678", "416-555-0199"]) assert.ok(!sent.includes(value), value);
+  assert.match(sent, /\[SIN_1\].*\[ACCOUNT_1\]/);
+  assert.equal(record.reply, "Keep [SIN_1] to yourself.");
+});
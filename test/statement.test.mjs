@@ -0,0 +1,28 @@
+// Unit tests for reading bank and card statement CSVs: money out comes back
+// negative whatever sign convention the export uses.
+// Run with `node --test`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadApp } from "../evals/loadApp.mjs";
+
+const { parseStatement } = loadApp(["parseStatement"]);
+
+const amounts = (csv) => [...parseStatement(csv).transactions.map(t => t.amount)];
+
+test("flips a card export that lists every purchase as positive", () => {
+  const csv = "Transaction Date,Description,Amount\n2025-03-02,GROCERY,54.20\n2025-03-05,GAS,40.00\n";
+  assert.deepEqual(amounts(csv), [-54.2, -40]);
+});
+
+test("leaves a signed single-column export alone, even with more money in than out", () => {
+  const csv = "Date,Description,Amount\n2025-03-01,PAYROLL,2500.00\n2025-03-15,PAYROLL,2500.00\n2025-03-20,RENT,-1800.00\n";
+  assert.deepEqual(amounts(csv), [2500, 2500, -1800]);
+});
+
+test("leaves debit and credit columns alone", () => {
+  const withHeader = "Date,Description,Debit,Credit\n2025-03-01,PAYROLL,,2500.00\n2025-03-10,REFUND,,30.00\n2025-03-20,RENT,1800.00,\n";
+  assert.deepEqual(amounts(withHeader), [2500, 30, -1800]);
+  const headerless = "2025-03-01,PAYROLL,,2500.00\n2025-03-10,REFUND,,30.00\n2025-03-20,RENT,1800.00,\n";
+  assert.deepEqual(amounts(headerless), [2500, 30, -1800]);
+});
@@ -0,0 +1,33 @@
+// Unit tests for the tax rules in MoneyBuddy.jsx, pinned to figures worked
+// out by hand from the published brackets. Run with `node --test`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadApp } from "../evals/loadApp.mjs";
+
+const { computeTax, payrollContributions, takeHomePay } = loadApp(["computeTax", "payrollContributions", "takeHomePay"]);
+
+test("Ontario surtax tiers both apply to basic provincial tax", () => {
+  // 2025, $200k: basic ON tax 17,882 is over both thresholds (5,710 and 7,307),
+  // so surtax = 20% × 12,172 + 36% × 10,575 = 6,241 (not compounded)
+  const tax = computeTax({ income: 200000, province: "ON", year: 2025 });
+  assert.equal(tax.provincial, 24123);
+  assert.ok(Math.abs(tax.marginalRate - 0.4829) < 0.0005, `marginal ${tax.marginalRate}`);
+});
+
+test("Ontario marginal rate at $120k includes both surtax tiers", () => {
+  const tax = computeTax({ income: 120000, province: "ON", year: 2025 });
+  assert.ok(Math.abs(tax.marginalRate - 0.4341) < 0.0005, `marginal ${tax.marginalRate}`);
+});
+
+test("payroll contributions max out at the 2025 ceilings", () => {
+  // CPP (71,300 − 3,500) × 5.95% + CPP2 (81,200 − 71,300) × 4%; EI 65,700 × 1.64%
+  // Spread: the sandbox builds its objects with its own Object prototype
+  assert.deepEqual({ ...payrollContributions({ income: 100000, province: "ON", year: 2025 }) }, { pension: 4430, ei: 1077, qpip: 0 });
+});
+
+test("take-home pay subtracts income tax and payroll contributions", () => {
+  const pay = takeHomePay({ income: 80000, province: "ON", year: 2025 });
+  assert.equal(pay.net, 80000 - pay.tax - pay.pension - pay.ei);
+  assert.equal(pay.tax, computeTax({ income: 80000, province: "ON", year: 2025 }).total);
+});